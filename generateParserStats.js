@@ -2,6 +2,10 @@ const fs = require("fs");
 const path = require("path");
 const { listParsers } = require("./parsers");
 const { verifyParsedContent } = require("./verificationUtils");
+const {
+  collectParserStats: collectResultStats,
+  determineBestParser,
+} = require("./parsers/parser-scoring");
 
 /**
  * Main function to generate statistics for all parsed resume files
@@ -150,36 +154,15 @@ async function generateParserStats() {
 function collectParserStats(result, verificationResults) {
   if (!result) return { error: "No result available" };
 
-  const stats = {
-    name: result.name ? true : false,
-    email: result.email ? true : false,
-    phone: result.phone ? true : false,
-    linkedin: result.linkedin ? true : false,
-    github: result.github ? true : false,
-    location: result.location || result.address ? true : false,
-    experienceCount: result.experience?.length || 0,
-    educationCount: result.education?.length || 0,
-    skillsCount: result.skills?.length || 0,
-    projectsCount: result.projects?.length || 0,
-    honorsCount: result.honors?.length || 0,
-    languagesCount: result.languages?.length || 0,
-    certificationsCount: result.certifications?.length || 0,
-  };
-
-  // Add verification results if available
-  if (verificationResults) {
-    stats.coveragePercentage = verificationResults.coveragePercentage || 0;
-    stats.missingContentCount = verificationResults.missingContent?.length || 0;
-  } else {
+  const stats = collectResultStats(result, verificationResults);
+
+  if (!verificationResults) {
     // Check for missing content files as fallback
     const missingContentPath = path.join(
       path.dirname(result._filePath || ""),
       `${path.basename(result._filePath || "", ".json")}_missing_content.txt`
     );
 
-    stats.coveragePercentage = 0;
-    stats.missingContentCount = 0;
-
     if (fs.existsSync(missingContentPath)) {
       try {
         const content = fs.readFileSync(missingContentPath, "utf8");
@@ -217,72 +200,6 @@ function saveResumeStats(stats, outputDir) {
   console.log(`Statistics saved to: ${outputPath}`);
 }
 
-/**
- * Determine which parser provided the best results
- * @param {Object} parsers - Object containing parser results
- * @returns {string} - The name of the best parser
- */
-function determineBestParser(parsers) {
-  if (!parsers) return "unknown";
-
-  // If only one parser has results, it's the best by default
-  const availableParsers = Object.keys(parsers).filter(
-    (parser) => !parsers[parser].error
-  );
-
-  if (availableParsers.length === 0) return "none";
-  if (availableParsers.length === 1) return availableParsers[0];
-
-  // Create a scoring system (higher is better)
-  const scores = {};
-
-  for (const parser of availableParsers) {
-    const stats = parsers[parser];
-    if (!stats || stats.error) {
-      scores[parser] = 0;
-      continue;
-    }
-
-    // Calculate score based on quantity and coverage
-    let score = 0;
-
-    // Basic info points (1 point each)
-    if (stats.name) score += 1;
-    if (stats.email) score += 1;
-    if (stats.phone) score += 1;
-    if (stats.linkedin) score += 1;
-    if (stats.github) score += 1;
-    if (stats.location) score += 1;
-
-    // Content count points (0.5 points each)
-    score += stats.experienceCount * 0.5;
-    score += stats.educationCount * 0.5;
-    score += stats.skillsCount * 0.25;
-    score += stats.projectsCount * 0.5;
-    score += stats.honorsCount * 0.25;
-    score += stats.languagesCount * 0.25;
-    score += stats.certificationsCount * 0.25;
-
-    // Coverage percentage (most important factor)
-    score += stats.coveragePercentage / 5; // Up to 20 points for 100% coverage
-
-    // Penalty for missing content
-    score -= stats.missingContentCount * 0.5;
-
-    scores[parser] = score;
-  }
-
-  // Find the parser with the highest score
-  let bestParser = availableParsers[0];
-  for (const parser of availableParsers) {
-    if (scores[parser] > scores[bestParser]) {
-      bestParser = parser;
-    }
-  }
-
-  return bestParser;
-}
-
 /**
  * Get file size in KB
  * @param {string} filePath - Path to the file
@@ -1,6 +1,10 @@
 const fs = require("fs");
 const path = require("path");
 const { parseResume, listParsers } = require("./parsers");
+const {
+  extractText,
+  SUPPORTED_EXTENSIONS,
+} = require("./parsers/text-extractor");
 const {
   verifyParsedContent,
   saveVerificationResults,
@@ -10,8 +14,12 @@ const {
  * Main function to process resume text with all available parsers
  * @param {string} text - The resume text to process
  * @param {string} [fileName] - Optional name to use for output files
+ * @param {Object} [options] - Options passed on to the parsers
+ * @returns {Promise<Object>} - Names of the parsers that succeeded and failed
  */
-async function parseAllResumes(text, fileName = "resume") {
+async function parseAllResumes(text, fileName = "resume", options = {}) {
+  const outcome = { succeeded: [], failed: [] };
+
   try {
     // Create the output directories
     const parsedDir = path.join(__dirname, "parsed");
@@ -43,7 +51,7 @@ async function parseAllResumes(text, fileName = "resume") {
         console.log(`\n[${parser.displayName.toUpperCase()}]`);
 
         // Get parser result
-        const result = await parseResume(text, parser.name);
+        const result = await parseResume(text, parser.name, options);
 
         // Verify content
         const verificationResults = verifyParsedContent(text, result);
@@ -62,8 +70,10 @@ async function parseAllResumes(text, fileName = "resume") {
         // Log results
         console.log(`${parser.displayName} extracted:`);
         logParserResults(result, verificationResults);
+        outcome.succeeded.push(parser.name);
       } catch (error) {
         console.error(`Error with ${parser.displayName}: ${error.message}`);
+        outcome.failed.push(parser.name);
       }
     }
 
@@ -84,6 +94,196 @@ async function parseAllResumes(text, fileName = "resume") {
   } catch (error) {
     console.error(`Error: ${error.message}`);
   }
+
+  return outcome;
+}
+
+/**
+ * Process every resume file in a directory with all available parsers
+ * @param {string} [dirPath] - Directory containing the resume files
+ * @param {Object} [options] - Batch options
+ * @param {boolean} [options.recursive] - Also process files in subdirectories
+ * @param {boolean} [options.layout] - Use layout-aware PDF extraction
+ * @param {string} [options.defaultRegion] - Region for phone numbers without a
+ *   country code
+ * @returns {Promise<Object>} - Summary of succeeded, failed and skipped files,
+ *   and of the files whose output was renamed to avoid overwriting another
+ */
+async function parseResumeDirectory(
+  dirPath = path.join(__dirname, "resumes"),
+  options = {}
+) {
+  const summary = { succeeded: [], failed: [], skipped: [], renamed: [] };
+
+  if (!fs.existsSync(dirPath) || !fs.statSync(dirPath).isDirectory()) {
+    throw new Error(`Resume directory "${dirPath}" not found`);
+  }
+
+  const files = collectResumeFiles(dirPath, options.recursive === true);
+  console.log(`Found ${files.length} files in ${dirPath}`);
+
+  const outputNames = getOutputNames(
+    files
+      .map((filePath) => path.relative(dirPath, filePath))
+      .filter((file) =>
+        SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase())
+      )
+  );
+
+  for (const filePath of files) {
+    const relativePath = path.relative(dirPath, filePath);
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+      summary.skipped.push({
+        file: relativePath,
+        reason: "Unsupported file type",
+      });
+      continue;
+    }
+
+    console.log(`\n==================================================`);
+    console.log(`Resume: ${relativePath}`);
+    console.log(`==================================================`);
+
+    let text;
+    let headings;
+    let fileType;
+    try {
+      ({ text, headings, fileType } = await extractText(filePath, {
+        layout: options.layout === true,
+      }));
+    } catch (error) {
+      console.error(`Error reading ${relativePath}: ${error.message}`);
+      summary.failed.push({ file: relativePath, error: error.message });
+      continue;
+    }
+
+    if (!text || !text.trim()) {
+      summary.skipped.push({ file: relativePath, reason: "No text content" });
+      continue;
+    }
+
+    const fileName = outputNames.get(relativePath);
+    if (fileName !== path.basename(filePath, path.extname(filePath))) {
+      summary.renamed.push({ file: relativePath, output: fileName });
+    }
+    const outcome = await parseAllResumes(text, fileName, {
+      headings,
+      defaultRegion: options.defaultRegion,
+      repairText: fileType === "pdf",
+    });
+
+    if (outcome.succeeded.length > 0) {
+      summary.succeeded.push({
+        file: relativePath,
+        parsers: outcome.succeeded,
+        failedParsers: outcome.failed,
+      });
+    } else {
+      summary.failed.push({
+        file: relativePath,
+        error: "All parsers failed to parse the resume",
+      });
+    }
+  }
+
+  logBatchSummary(summary);
+  return summary;
+}
+
+/**
+ * Collect the files in a directory, sorted by path
+ * @param {string} dirPath - Directory to scan
+ * @param {boolean} recursive - Whether to descend into subdirectories
+ * @returns {string[]} - Array of file paths
+ */
+function collectResumeFiles(dirPath, recursive) {
+  const files = [];
+
+  for (const entry of fs.readdirSync(dirPath, { withFileTypes: true })) {
+    // Ignore hidden files such as .DS_Store
+    if (entry.name.startsWith(".")) continue;
+
+    const entryPath = path.join(dirPath, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive) {
+        files.push(...collectResumeFiles(entryPath, recursive));
+      }
+    } else if (entry.isFile()) {
+      files.push(entryPath);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Choose the name each file's output is saved under. Files are named after
+ * their base name; when several files share one ("a/resume.pdf" and
+ * "b/resume.pdf", or "resume.pdf" and "resume.txt"), each of them is named
+ * after its relative path with the extension instead ("a_resume.pdf")
+ * @param {string[]} relativePaths - File paths relative to the directory
+ * @returns {Map<string, string>} - Output name for each relative path
+ */
+function getOutputNames(relativePaths) {
+  const baseName = (file) => path.basename(file, path.extname(file));
+  const counts = new Map();
+  for (const file of relativePaths) {
+    counts.set(baseName(file), (counts.get(baseName(file)) || 0) + 1);
+  }
+
+  const names = new Map();
+  const taken = new Set();
+  for (const file of relativePaths) {
+    const preferred =
+      counts.get(baseName(file)) > 1
+        ? file.split(path.sep).join("_")
+        : baseName(file);
+    // A renamed file can still meet a file that is named that way
+    let name = preferred;
+    for (let n = 2; taken.has(name); n++) {
+      name = `${preferred}-${n}`;
+    }
+    taken.add(name);
+    names.set(file, name);
+  }
+  return names;
+}
+
+/**
+ * Log the final summary of a batch run
+ * @param {Object} summary - The batch summary
+ */
+function logBatchSummary(summary) {
+  console.log("\n=== Batch Summary ===\n");
+  console.log(`• Succeeded: ${summary.succeeded.length} files`);
+  summary.succeeded.forEach((entry) => {
+    const failedNote =
+      entry.failedParsers.length > 0
+        ? ` (failed: ${entry.failedParsers.join(", ")})`
+        : "";
+    console.log(`  - ${entry.file}${failedNote}`);
+  });
+
+  console.log(`• Failed: ${summary.failed.length} files`);
+  summary.failed.forEach((entry) => {
+    console.log(`  - ${entry.file}: ${entry.error}`);
+  });
+
+  console.log(`• Skipped: ${summary.skipped.length} files`);
+  summary.skipped.forEach((entry) => {
+    console.log(`  - ${entry.file}: ${entry.reason}`);
+  });
+
+  if (summary.renamed.length > 0) {
+    console.log(
+      `• Renamed: ${summary.renamed.length} files whose name another file already uses`
+    );
+    summary.renamed.forEach((entry) => {
+      console.log(`  - ${entry.file}: saved as ${entry.output}.json`);
+    });
+  }
 }
 
 /**
@@ -92,14 +292,26 @@ async function parseAllResumes(text, fileName = "resume") {
  * @param {Object} verificationResults - The verification results
  */
 function logParserResults(result, verificationResults) {
-  console.log(`• Name: ${result.name || "Not found"}`);
+  console.log(
+    `• Name: ${result.name || "Not found"}${
+      result.name && typeof result.nameConfidence === "number"
+        ? ` (confidence ${result.nameConfidence})`
+        : ""
+    }`
+  );
 
   if (result.title) {
     console.log(`• Title: ${result.title}`);
   }
 
   console.log(`• Email: ${result.email || "Not found"}`);
-  console.log(`• Phone: ${result.phone || "Not found"}`);
+  console.log(
+    `• Phone: ${result.phone || "Not found"}${
+      result.phoneE164 && result.phoneE164 !== result.phone
+        ? ` (${result.phoneE164})`
+        : ""
+    }`
+  );
 
   if (result.linkedin) {
     console.log(`• LinkedIn: ${result.linkedin}`);
@@ -109,30 +321,87 @@ function logParserResults(result, verificationResults) {
     console.log(`• GitHub: ${result.github}`);
   }
 
+  if (result.contacts?.profiles.length) {
+    const networks = result.contacts.profiles.map((profile) => profile.network);
+    console.log(`• Profiles: ${networks.join(", ")}`);
+  }
+
   if (result.location || result.address) {
     console.log(`• Location: ${result.location || result.address}`);
   }
 
   console.log(`• Experience: ${result.experience?.length || 0} positions`);
-  console.log(`• Education: ${result.education?.length || 0} entries`);
-  console.log(`• Skills: ${result.skills?.length || 0} skills`);
+  const degreeLevels = (result.education || [])
+    .map((entry) => entry.degreeLevel)
+    .filter(Boolean);
+  console.log(
+    `• Education: ${result.education?.length || 0} entries${
+      degreeLevels.length ? ` (${degreeLevels.join(", ")})` : ""
+    }`
+  );
+  const normalizedSkills = result.normalizedSkills || [];
+  const knownSkills = normalizedSkills.filter((skill) => skill.category);
+  console.log(
+    `• Skills: ${result.skills?.length || 0} skills, ${normalizedSkills.length} after normalization (${knownSkills.length} in the taxonomy)`
+  );
+
+  const skillCategories = (result.skillGroups || [])
+    .map((group) => group.category)
+    .filter(Boolean);
+  if (skillCategories.length > 0) {
+    console.log(`• Skill groups: ${skillCategories.join(", ")}`);
+  }
 
   if (result.projects) {
     console.log(`• Projects: ${result.projects.length} projects`);
   }
 
   if (result.certifications) {
-    console.log(`• Certifications: ${result.certifications.length} entries`);
+    const expiredCount = result.certifications.filter(
+      (certification) => certification.expired
+    ).length;
+    console.log(
+      `• Certifications: ${result.certifications.length} entries${
+        expiredCount ? ` (${expiredCount} expired)` : ""
+      }`
+    );
   }
 
   if (result.languages) {
-    console.log(`• Languages: ${result.languages.length} entries`);
+    const languageLevels = result.languages
+      .map((entry) =>
+        entry.cefr ? `${entry.language} ${entry.cefr}` : entry.language
+      )
+      .join(", ");
+    console.log(
+      `• Languages: ${result.languages.length} entries${
+        languageLevels ? ` (${languageLevels})` : ""
+      }`
+    );
   }
 
   if (result.honors) {
     console.log(`• Honors/Awards: ${result.honors.length} entries`);
   }
 
+  if (result.timeline?.roles.length) {
+    const { totalYears, gaps, overlaps, promotions } = result.timeline;
+    console.log(
+      `• Career: ${totalYears} years, ${gaps.length} gaps, ${overlaps.length} overlapping roles, ${promotions.length} promotions`
+    );
+  }
+
+  if (result.additionalSections?.length) {
+    const headings = result.additionalSections.map(
+      (section) => section.heading
+    );
+    console.log(`• Other sections: ${headings.join(", ")}`);
+  }
+
+  if (result._textRepair?.repairCount) {
+    console.log(`• Text repairs: ${result._textRepair.repairCount}`);
+  }
+
   // Include verification results that are now calculated separately
   if (verificationResults) {
     console.log(
@@ -153,14 +422,31 @@ function parseCommandLineArgs() {
   const args = process.argv.slice(2);
   const result = {
     text: null,
+    resumePath: null,
+    dirPath: null,
+    recursive: false,
     fileName: "resume",
+    fileNameSet: false,
+    layout: false,
+    region: null,
   };
 
   for (const arg of args) {
     if (arg.startsWith("--text=")) {
       result.text = arg.substring("--text=".length);
+    } else if (arg.startsWith("--resume=")) {
+      result.resumePath = arg.substring("--resume=".length);
+    } else if (arg.startsWith("--dir=")) {
+      result.dirPath = arg.substring("--dir=".length);
+    } else if (arg === "--recursive") {
+      result.recursive = true;
+    } else if (arg === "--layout") {
+      result.layout = true;
+    } else if (arg.startsWith("--region=")) {
+      result.region = arg.substring("--region=".length);
     } else if (arg.startsWith("--file=")) {
       result.fileName = arg.substring("--file=".length);
+      result.fileNameSet = true;
     } else if (!arg.startsWith("--")) {
       // If not a flag and no text is set yet, assume it's the text
       if (!result.text) {
@@ -172,24 +458,68 @@ function parseCommandLineArgs() {
   return result;
 }
 
+/**
+ * Resolve the text to process from the command line arguments
+ * @param {Object} args - Parsed command line arguments
+ * @returns {Promise<Object>} - Object with the resume text, output file name and parser options
+ */
+async function loadInputText(args) {
+  const options = args.region ? { defaultRegion: args.region } : {};
+  if (!args.resumePath) {
+    return { text: args.text, fileName: args.fileName, options };
+  }
+
+  const { text, fileType, headings } = await extractText(args.resumePath, {
+    layout: args.layout,
+  });
+  console.log(
+    `Extracted text from ${fileType.toUpperCase()} file: ${args.resumePath}`
+  );
+
+  // Name output files after the resume unless a name was given explicitly
+  const fileName = args.fileNameSet
+    ? args.fileName
+    : path.basename(args.resumePath, path.extname(args.resumePath));
+
+  // Only PDF text can carry glyph damage from broken fonts
+  return {
+    text,
+    fileName,
+    options: { ...options, headings, repairText: fileType === "pdf" },
+  };
+}
+
 // Run the main function if called directly
 if (require.main === module) {
   const args = parseCommandLineArgs();
 
-  if (!args.text) {
-    console.error("Error: Please provide text to process");
-    console.log(
-      "Usage: node parseAllResumes.js --text=<text-to-process> [--file=<output-file-name>]"
-    );
-    process.exit(1);
+  if (args.text || args.resumePath) {
+    loadInputText(args)
+      .then(({ text, fileName, options }) =>
+        parseAllResumes(text, fileName, options)
+      )
+      .catch((error) => {
+        console.error("Error:", error);
+      });
+  } else {
+    // Without text or a resume file, process the whole resume directory
+    parseResumeDirectory(args.dirPath || undefined, {
+      recursive: args.recursive,
+      layout: args.layout,
+      defaultRegion: args.region,
+    }).catch((error) => {
+      console.error("Error:", error.message);
+      console.log(
+        "Usage: node parseAllResumes.js [--dir=<resume-directory>] [--recursive] [--layout] [--region=<country-code>] | (--text=<text-to-process> | --resume=<resume-file-path> [--layout]) [--region=<country-code>] [--file=<output-file-name>]"
+      );
+      process.exit(1);
+    });
   }
-
-  const text = args.text;
-  parseAllResumes(text, args.fileName).catch((error) => {
-    console.error("Error:", error);
-  });
 }
 
 module.exports = {
   parseAllResumes,
+  parseResumeDirectory,
+  collectResumeFiles,
+  getOutputNames,
 };
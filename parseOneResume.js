@@ -1,6 +1,7 @@
 const fs = require("fs");
 const path = require("path");
 const { parseResume, listParsers } = require("./parsers");
+const { extractText } = require("./parsers/text-extractor");
 const {
   verifyParsedContent,
   saveVerificationResults,
@@ -11,8 +12,14 @@ const {
  * @param {string} text - The resume text to process
  * @param {string} [parserName] - Specific parser to use (optional)
  * @param {string} [fileName] - Optional name to use for output files
+ * @param {Object} [options] - Options passed on to the parsers
  */
-async function parseOneResume(text, parserName = null, fileName = "resume") {
+async function parseOneResume(
+  text,
+  parserName = null,
+  fileName = "resume",
+  options = {}
+) {
   try {
     // Create the output directories
     const parsedDir = path.join(__dirname, "parsed");
@@ -62,7 +69,7 @@ async function parseOneResume(text, parserName = null, fileName = "resume") {
         console.log(`\n[${parser.displayName.toUpperCase()}]`);
 
         // Get parser result
-        const result = await parseResume(text, parser.name);
+        const result = await parseResume(text, parser.name, options);
 
         // Verify content
         const verificationResults = verifyParsedContent(text, result);
@@ -107,14 +114,26 @@ async function parseOneResume(text, parserName = null, fileName = "resume") {
  * @param {Object} verificationResults - The verification results
  */
 function logParserResults(result, verificationResults) {
-  console.log(`• Name: ${result.name || "Not found"}`);
+  console.log(
+    `• Name: ${result.name || "Not found"}${
+      result.name && typeof result.nameConfidence === "number"
+        ? ` (confidence ${result.nameConfidence})`
+        : ""
+    }`
+  );
 
   if (result.title) {
     console.log(`• Title: ${result.title}`);
   }
 
   console.log(`• Email: ${result.email || "Not found"}`);
-  console.log(`• Phone: ${result.phone || "Not found"}`);
+  console.log(
+    `• Phone: ${result.phone || "Not found"}${
+      result.phoneE164 && result.phoneE164 !== result.phone
+        ? ` (${result.phoneE164})`
+        : ""
+    }`
+  );
 
   if (result.linkedin) {
     console.log(`• LinkedIn: ${result.linkedin}`);
@@ -124,30 +143,98 @@ function logParserResults(result, verificationResults) {
     console.log(`• GitHub: ${result.github}`);
   }
 
+  if (result.contacts?.profiles.length) {
+    const networks = result.contacts.profiles.map((profile) => profile.network);
+    console.log(`• Profiles: ${networks.join(", ")}`);
+  }
+
   if (result.location || result.address) {
     console.log(`• Location: ${result.location || result.address}`);
   }
 
   console.log(`• Experience: ${result.experience?.length || 0} positions`);
-  console.log(`• Education: ${result.education?.length || 0} entries`);
-  console.log(`• Skills: ${result.skills?.length || 0} skills`);
+  if (typeof result.quantifiedBulletRatio === "number") {
+    const achievementCount = (result.experience || []).reduce(
+      (count, entry) => count + (entry.achievements?.length || 0),
+      0
+    );
+    console.log(
+      `• Achievements: ${achievementCount} quantified, in ${Math.round(
+        result.quantifiedBulletRatio * 100
+      )}% of experience bullets`
+    );
+  }
+  const degreeLevels = (result.education || [])
+    .map((entry) => entry.degreeLevel)
+    .filter(Boolean);
+  console.log(
+    `• Education: ${result.education?.length || 0} entries${
+      degreeLevels.length ? ` (${degreeLevels.join(", ")})` : ""
+    }`
+  );
+  const normalizedSkills = result.normalizedSkills || [];
+  const knownSkills = normalizedSkills.filter((skill) => skill.category);
+  console.log(
+    `• Skills: ${result.skills?.length || 0} skills, ${normalizedSkills.length} after normalization (${knownSkills.length} in the taxonomy)`
+  );
+
+  const skillCategories = (result.skillGroups || [])
+    .map((group) => group.category)
+    .filter(Boolean);
+  if (skillCategories.length > 0) {
+    console.log(`• Skill groups: ${skillCategories.join(", ")}`);
+  }
 
   if (result.projects) {
     console.log(`• Projects: ${result.projects.length} projects`);
   }
 
   if (result.certifications) {
-    console.log(`• Certifications: ${result.certifications.length} entries`);
+    const expiredCount = result.certifications.filter(
+      (certification) => certification.expired
+    ).length;
+    console.log(
+      `• Certifications: ${result.certifications.length} entries${
+        expiredCount ? ` (${expiredCount} expired)` : ""
+      }`
+    );
   }
 
   if (result.languages) {
-    console.log(`• Languages: ${result.languages.length} entries`);
+    const languageLevels = result.languages
+      .map((entry) =>
+        entry.cefr ? `${entry.language} ${entry.cefr}` : entry.language
+      )
+      .join(", ");
+    console.log(
+      `• Languages: ${result.languages.length} entries${
+        languageLevels ? ` (${languageLevels})` : ""
+      }`
+    );
   }
 
   if (result.honors) {
     console.log(`• Honors/Awards: ${result.honors.length} entries`);
   }
 
+  if (result.timeline?.roles.length) {
+    const { totalYears, gaps, overlaps, promotions } = result.timeline;
+    console.log(
+      `• Career: ${totalYears} years, ${gaps.length} gaps, ${overlaps.length} overlapping roles, ${promotions.length} promotions`
+    );
+  }
+
+  if (result.additionalSections?.length) {
+    const headings = result.additionalSections.map(
+      (section) => section.heading
+    );
+    console.log(`• Other sections: ${headings.join(", ")}`);
+  }
+
+  if (result._textRepair?.repairCount) {
+    console.log(`• Text repairs: ${result._textRepair.repairCount}`);
+  }
+
   // Include verification results that are now calculated separately
   if (verificationResults) {
     console.log(
@@ -171,8 +258,12 @@ function parseCommandLineArgs() {
   const args = process.argv.slice(2);
   const result = {
     text: null,
+    resumePath: null,
     parserName: null,
     fileName: "resume",
+    fileNameSet: false,
+    layout: false,
+    region: null,
   };
 
   for (const arg of args) {
@@ -180,8 +271,15 @@ function parseCommandLineArgs() {
       result.parserName = arg.substring("--parser=".length);
     } else if (arg.startsWith("--text=")) {
       result.text = arg.substring("--text=".length);
+    } else if (arg.startsWith("--resume=")) {
+      result.resumePath = arg.substring("--resume=".length);
+    } else if (arg === "--layout") {
+      result.layout = true;
+    } else if (arg.startsWith("--region=")) {
+      result.region = arg.substring("--region=".length);
     } else if (arg.startsWith("--file=")) {
       result.fileName = arg.substring("--file=".length);
+      result.fileNameSet = true;
     } else if (!arg.startsWith("--")) {
       // If not a flag and no text is set yet, assume it's the text
       if (!result.text) {
@@ -193,22 +291,56 @@ function parseCommandLineArgs() {
   return result;
 }
 
+/**
+ * Resolve the text to process from the command line arguments
+ * @param {Object} args - Parsed command line arguments
+ * @returns {Promise<Object>} - Object with the resume text, output file name and parser options
+ */
+async function loadInputText(args) {
+  const options = args.region ? { defaultRegion: args.region } : {};
+  if (!args.resumePath) {
+    return { text: args.text, fileName: args.fileName, options };
+  }
+
+  const { text, fileType, headings } = await extractText(args.resumePath, {
+    layout: args.layout,
+  });
+  console.log(
+    `Extracted text from ${fileType.toUpperCase()} file: ${args.resumePath}`
+  );
+
+  // Name output files after the resume unless a name was given explicitly
+  const fileName = args.fileNameSet
+    ? args.fileName
+    : path.basename(args.resumePath, path.extname(args.resumePath));
+
+  // Only PDF text can carry glyph damage from broken fonts
+  return {
+    text,
+    fileName,
+    options: { ...options, headings, repairText: fileType === "pdf" },
+  };
+}
+
 // Check if run directly
 if (require.main === module) {
   const args = parseCommandLineArgs();
 
-  if (!args.text) {
-    console.error("Error: Please provide a text to process");
+  if (!args.text && !args.resumePath) {
+    console.error("Error: Please provide a text to process or a resume file");
     console.log(
-      "Usage: node parseOneResume.js [--parser=<parser-name>] --text=<text-to-process> [--file=<output-file-name>]"
+      "Usage: node parseOneResume.js [--parser=<parser-name>] (--text=<text-to-process> | --resume=<resume-file-path> [--layout]) [--region=<country-code>] [--file=<output-file-name>]"
     );
     process.exit(1);
   }
 
-  const text = args.text;
-  parseOneResume(text, args.parserName, args.fileName).catch((error) => {
-    console.error("Error:", error);
-  });
+  loadInputText(args)
+    .then(({ text, fileName, options }) =>
+      parseOneResume(text, args.parserName, fileName, options)
+    )
+    .catch((error) => {
+      console.error("Error:", error);
+    });
 }
 
 // Export the function for use in other modules
@@ -0,0 +1,430 @@
+/**
+ * Achievements
+ * Finds the quantified achievements in experience bullets: percentages
+ * ("reducing system latency by 40%"), amounts of money ("saving $2M a
+ * year"), multipliers ("3x faster"), durations ("saving 10 hours per week")
+ * and counts ("Mentored 3 junior developers"). Each metric is kept with the
+ * action verb before it and the thing it measures, and the share of bullets
+ * with at least one metric is reported for the whole resume.
+ */
+
+const { isActionVerb } = require("./bullets");
+
+// A number, with thousands separators and decimals
+const NUMBER = String.raw`\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?`;
+
+// Multipliers written after an amount ("$2M", "1.5 million")
+const SCALE = String.raw`k|mm|m|bn|b|thousand|million|billion`;
+const SCALE_FACTORS = {
+  k: 1e3,
+  thousand: 1e3,
+  m: 1e6,
+  mm: 1e6,
+  million: 1e6,
+  b: 1e9,
+  bn: 1e9,
+  billion: 1e9,
+};
+
+// The period a metric is counted over ("per week", "annually")
+const PER_PERIOD = String.raw`(?:\s+(?:per|a|an|each|every)\s+(?:hour|day|week|month|quarter|year|annum|sprint|release)|\s+(?:daily|weekly|monthly|quarterly|annually|yearly))?`;
+
+// Metric patterns, tried in order; a match overlapping an earlier one is
+// skipped, so "$40,000" is not also read as a count
+const METRIC_PATTERNS = [
+  {
+    type: "currency",
+    pattern: new RegExp(
+      String.raw`(?<![\w$€£¥₹])(?<unit>(?:US|AU|NZ|A|C|S)?\$|[€£¥₹]|(?:USD|AUD|EUR|GBP|CAD|INR)\s?)(?<value>${NUMBER})(?:\s?(?<scale>${SCALE})\b)?${PER_PERIOD}`,
+      "gi"
+    ),
+  },
+  {
+    type: "currency",
+    pattern: new RegExp(
+      String.raw`(?<![\w.,])(?<value>${NUMBER})(?:\s?(?<scale>${SCALE}))?\s+(?<unit>dollars|euros|pounds|USD|AUD|EUR|GBP|CAD|INR)\b${PER_PERIOD}`,
+      "gi"
+    ),
+  },
+  {
+    type: "percentage",
+    pattern: new RegExp(
+      String.raw`(?<![\w.,])(?<value>${NUMBER})\s?(?<unit>%|percent\b|per\s+cent\b)`,
+      "gi"
+    ),
+  },
+  {
+    type: "multiplier",
+    pattern: new RegExp(
+      String.raw`(?<![\w.,])(?<value>${NUMBER})(?<unit>\s?[x×]|-fold)(?!\w)`,
+      "gi"
+    ),
+  },
+  {
+    type: "time",
+    pattern: new RegExp(
+      String.raw`(?<![\w.,])(?<value>${NUMBER})\+?\s?(?<unit>milliseconds?|ms|seconds?|secs?|(?<=\d)s|minutes?|mins?|hours?|hrs?|days?|weeks?|months?|years?|yrs?)\b${PER_PERIOD}`,
+      "gi"
+    ),
+  },
+  {
+    type: "count",
+    pattern: new RegExp(
+      String.raw`(?<![\w.,/#:$€£¥₹-])(?<value>${NUMBER})(?<scale>[kKM])?\+?(?=\s+[A-Za-z])`,
+      "g"
+    ),
+  },
+];
+
+// Time units by the way they are written
+const TIME_UNITS = {
+  ms: "millisecond",
+  millisecond: "millisecond",
+  s: "second",
+  sec: "second",
+  second: "second",
+  min: "minute",
+  minute: "minute",
+  hr: "hour",
+  hour: "hour",
+  day: "day",
+  week: "week",
+  month: "month",
+  yr: "year",
+  year: "year",
+};
+
+// Currency symbols and words by the code they stand for; a plain "$" is
+// left as written since it may be any dollar
+const CURRENCY_UNITS = {
+  us$: "USD",
+  au$: "AUD",
+  a$: "AUD",
+  nz$: "NZD",
+  c$: "CAD",
+  s$: "SGD",
+  "€": "EUR",
+  "£": "GBP",
+  "¥": "JPY",
+  "₹": "INR",
+  euros: "EUR",
+  pounds: "GBP",
+};
+
+// Words after a number that show it is not a count ("3 rd party", "1 to 7")
+const NOT_COUNTED = new Set([
+  "a",
+  "am",
+  "an",
+  "and",
+  "at",
+  "by",
+  "for",
+  "from",
+  "in",
+  "nd",
+  "of",
+  "on",
+  "or",
+  "out",
+  "per",
+  "pm",
+  "rd",
+  "st",
+  "th",
+  "than",
+  "the",
+  "to",
+  "with",
+  "january",
+  "february",
+  "march",
+  "april",
+  "may",
+  "june",
+  "july",
+  "august",
+  "september",
+  "october",
+  "november",
+  "december",
+]);
+
+// A product or standard name right before a number: a capitalized word inside
+// the sentence ("Built Python 3 projects") or an acronym ("ISO 27001")
+const PRODUCT_NAME = /(?:[^\s.;:!?•]\s+[A-Z][\w+#]*|\b[A-Z]{2,}[\w+#]*)\s*$/;
+
+// Words between the verb, the measured object and the magnitude
+const FILLER = String.raw`by|from|to|of|in|on|for|per|over|under|more|less|than|up|nearly|almost|approximately|about|around|roughly|some|a|an|the|and|total`;
+const LEADING_FILLER = new RegExp(
+  String.raw`^(?:(?:${FILLER})(?:\s+|$))+`,
+  "i"
+);
+const TRAILING_FILLER = new RegExp(String.raw`(?:\s+(?:${FILLER}))+$`, "i");
+
+// Where the object written after a magnitude ends
+const OBJECT_END =
+  /[,;:()]|\.(?:\s|$)|\s(?:and|by|through|via|using|with|while|across|within|to|for|from|at|after|resulting|leading|which|that|ensuring)\s/i;
+
+// Where a clause of a sentence starts ("..., reducing", "... and cut",
+// "... that increased", "... by reducing")
+const CLAUSE_BOUNDARY =
+  /[,:]\s+|\s+[–—-]\s+|\s+(?:and|while|thereby|which|that|who)\s+|\s+by\s+(?=[A-Za-z]+ing\b)/gi;
+
+// The first word of a clause, after an adverb ("Successfully reduced")
+const LEADING_VERB = /^\s*(?:[A-Za-z]+ly\s+)?([A-Za-z]+)/;
+
+// Longest object kept, in words
+const MAX_OBJECT_WORDS = 10;
+
+/**
+ * Read the number a metric was written with
+ * @param {string} value - Number as written ("1,200", "2.5")
+ * @param {string} [scale] - Multiplier after it ("k", "million")
+ * @returns {number} - The number
+ */
+function toNumber(value, scale) {
+  const number = parseFloat(value.replace(/,/g, ""));
+  const factor = scale ? SCALE_FACTORS[scale.toLowerCase()] : 1;
+  return number * (factor || 1);
+}
+
+/**
+ * Normalize the unit of a metric
+ * @param {string} type - Metric type
+ * @param {string} [unit] - Unit as written
+ * @returns {string} - "%", "x", a currency code or symbol, a singular time
+ *   unit, or "" for counts
+ */
+function normalizeUnit(type, unit) {
+  if (type === "percentage") return "%";
+  if (type === "multiplier") return "x";
+  if (type === "count" || !unit) return "";
+
+  const key = unit.trim().toLowerCase();
+  if (type === "time") {
+    return TIME_UNITS[key] || TIME_UNITS[key.replace(/s$/, "")] || key;
+  }
+  if (type === "currency") {
+    return CURRENCY_UNITS[key] || (key === "dollars" ? "$" : unit.trim());
+  }
+  return key;
+}
+
+/**
+ * Find the metrics written in a bullet
+ * @param {string} text - Bullet text
+ * @returns {Object[]} - `{type, value, unit, magnitude, start, end}` for each
+ *   metric, in the order they appear
+ */
+function findMetrics(text) {
+  const metrics = [];
+  for (const { type, pattern } of METRIC_PATTERNS) {
+    pattern.lastIndex = 0;
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      if (metrics.some((metric) => start < metric.end && end > metric.start)) {
+        continue;
+      }
+
+      const { value, unit, scale } = match.groups;
+      if (type === "count") {
+        const next = text.slice(end).match(/^\s+([A-Za-z]+)/);
+        if (!next || NOT_COUNTED.has(next[1].toLowerCase())) continue;
+        if (/^(?:19|20)\d{2}$/.test(match[0])) continue;
+        // A version or standard number ("Python 3", "ISO 27001")
+        if (PRODUCT_NAME.test(text.slice(0, start))) continue;
+      }
+
+      metrics.push({
+        type,
+        value: toNumber(value, scale),
+        unit: normalizeUnit(type, unit),
+        magnitude: match[0].trim(),
+        start,
+        end,
+      });
+    }
+  }
+  return metrics.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Join "from 67% to 100%" into one metric with a starting value
+ * @param {string} text - Bullet text
+ * @param {Object[]} metrics - Metrics from findMetrics
+ * @returns {Object[]} - The metrics, ranges joined, each with a `from` value
+ *   or null
+ */
+function joinRanges(text, metrics) {
+  const joined = [];
+  for (const metric of metrics) {
+    const previous = joined[joined.length - 1];
+    if (
+      previous &&
+      previous.type === metric.type &&
+      /^\s+to\s+$/i.test(text.slice(previous.end, metric.start)) &&
+      /\bfrom\s+$/i.test(text.slice(0, previous.start))
+    ) {
+      joined[joined.length - 1] = {
+        ...metric,
+        from: previous.value,
+        magnitude: text.slice(previous.start, metric.end),
+        start: previous.start,
+      };
+    } else {
+      joined.push({ ...metric, from: null });
+    }
+  }
+  return joined;
+}
+
+/**
+ * Find the action verb a metric belongs to: the verb leading its clause, or
+ * of the nearest clause before it in the same sentence ("Reduced month-end
+ * close time by 30%", "Led the team, cutting costs by 20%"). Without one,
+ * the nearest verb before the metric is taken; of two verbs in a row the
+ * first is the verb and the second describes the object ("reducing
+ * unauthorized access attempts")
+ * @param {string} text - Bullet text
+ * @param {number} index - Where the metric starts
+ * @returns {Object|null} - `{verb, end}`, or null if there is no verb
+ */
+function findVerb(text, index) {
+  const boundary = [...text.slice(0, index).matchAll(/[.;!?]\s+/g)].pop();
+  const sentenceStart = boundary ? boundary.index + boundary[0].length : 0;
+  const sentence = text.slice(sentenceStart, index);
+  const toVerb = (word, offset) => ({
+    verb: word[0].toLowerCase(),
+    end: sentenceStart + offset + word.index + word[0].length,
+  });
+
+  const clauses = [
+    { index: 0 },
+    ...[...sentence.matchAll(CLAUSE_BOUNDARY)].map((match) => ({
+      index: match.index + match[0].length,
+    })),
+  ].reverse();
+  for (const clause of clauses) {
+    const leading = sentence.slice(clause.index).match(LEADING_VERB);
+    if (leading && isActionVerb(leading[1])) {
+      return toVerb(
+        { 0: leading[1], index: leading[0].length - leading[1].length },
+        clause.index
+      );
+    }
+  }
+
+  const words = [...sentence.matchAll(/[A-Za-z]+/g)].reverse();
+  let position = words.findIndex((word) => isActionVerb(word[0]));
+  while (
+    position >= 0 &&
+    position + 1 < words.length &&
+    isActionVerb(words[position + 1][0])
+  ) {
+    position++;
+  }
+
+  return position >= 0 ? toVerb(words[position], 0) : null;
+}
+
+/**
+ * Trim filler words and limit the length of a measured object
+ * @param {string} text - Candidate object
+ * @returns {string} - The object, or "" if nothing or too much is left
+ */
+function cleanObject(text) {
+  const object = text
+    .trim()
+    .replace(TRAILING_FILLER, "")
+    .replace(LEADING_FILLER, "");
+  return object.split(/\s+/).length <= MAX_OBJECT_WORDS ? object : "";
+}
+
+/**
+ * Find what a metric measures: the words between its verb and the magnitude
+ * ("reducing system latency by 40%") or the words after the magnitude
+ * ("Mentored 3 junior developers"). Counts look after the magnitude first
+ * @param {string} text - Bullet text
+ * @param {Object} metric - Metric from findMetrics
+ * @param {Object|null} verb - Verb from findVerb
+ * @returns {string} - The measured object, or ""
+ */
+function findObject(text, metric, verb) {
+  const before = verb
+    ? cleanObject(
+        text
+          .slice(verb.end, metric.start)
+          .split(/[,;:(]/)
+          .pop()
+      )
+    : "";
+  const after = cleanObject(text.slice(metric.end).split(OBJECT_END)[0]);
+  return metric.type === "count" ? after || before : before || after;
+}
+
+/**
+ * Find the quantified achievements in a bullet
+ * @param {string} bullet - Bullet text
+ * @returns {Object[]} - `{type, value, unit, magnitude, from, verb, object,
+ *   raw}` for each metric
+ */
+function findAchievements(bullet) {
+  if (typeof bullet !== "string") return [];
+
+  return joinRanges(bullet, findMetrics(bullet)).map((metric) => {
+    const verb = findVerb(bullet, metric.start);
+    return {
+      type: metric.type,
+      value: metric.value,
+      unit: metric.unit,
+      magnitude: metric.magnitude,
+      from: metric.from,
+      verb: verb ? verb.verb : "",
+      object: findObject(bullet, metric, verb),
+      raw: bullet,
+    };
+  });
+}
+
+/**
+ * Add the achievements of every experience entry and the share of
+ * experience bullets that are quantified
+ * @param {Object} result - Parser result
+ * @returns {Object} - The same result, with `achievements` on each
+ *   experience entry and `quantifiedBulletRatio` (0 to 1, null without bullets)
+ */
+function addAchievements(result) {
+  if (!Array.isArray(result.experience)) return result;
+
+  let bulletCount = 0;
+  let quantifiedCount = 0;
+  for (const entry of result.experience) {
+    if (!entry || typeof entry !== "object") continue;
+
+    const bullets = (
+      Array.isArray(entry.responsibilities) && entry.responsibilities.length
+        ? entry.responsibilities
+        : entry.description || []
+    ).filter((bullet) => typeof bullet === "string" && bullet.trim());
+
+    entry.achievements = [];
+    for (const bullet of bullets) {
+      const achievements = findAchievements(bullet);
+      entry.achievements.push(...achievements);
+      if (achievements.length) quantifiedCount++;
+    }
+    bulletCount += bullets.length;
+  }
+
+  result.quantifiedBulletRatio = bulletCount
+    ? Math.round((quantifiedCount / bulletCount) * 100) / 100
+    : null;
+  return result;
+}
+
+module.exports = {
+  addAchievements,
+  findAchievements,
+};
@@ -0,0 +1,339 @@
+/**
+ * Bullets
+ * Rebuilds bullet points that text extraction wrapped over several lines.
+ * pdf-parse breaks lines at the width of the page, so one responsibility
+ * ("Maximised performance by monitoring daily activities and mentoring team
+ * members.") comes out as several lines. A bullet starts at a bullet glyph
+ * or a capitalized action verb ("Led", "Developed"); lines starting in
+ * lowercase, or following a line without terminal punctuation, continue the
+ * bullet above them, and words hyphenated at the end of a line are joined.
+ */
+
+// Bullet glyphs at the start of a line; "-" and "*" only before a space
+const BULLET_GLYPH = /^(?:[•●■▪◦○□◼➢➤►▶✓✔·]︎?|[-*](?=\s|$))\s*/;
+
+// Punctuation ending a bullet
+const TERMINAL_PUNCTUATION = /[.!?;:]["')\]]?$/;
+
+// A short label heading the bullets below it ("Accomplishments:")
+const SUBHEADING = /^[A-Z][\w &/'-]{0,40}:$/;
+
+// A word split by a hyphen at the end of a line ("develop-")
+const LINE_END_HYPHEN = /[A-Za-z]-$/;
+
+// Action verbs in their base form or irregular past tense; other forms
+// ("Developed", "leads", "reducing") are traced back to the base form
+const ACTION_VERBS = new Set([
+  "accelerate",
+  "achieve",
+  "acquire",
+  "act",
+  "administrate",
+  "advise",
+  "analyse",
+  "analyze",
+  "architect",
+  "assess",
+  "assist",
+  "attract",
+  "audit",
+  "author",
+  "automate",
+  "became",
+  "began",
+  "boost",
+  "bought",
+  "brought",
+  "build",
+  "built",
+  "calculate",
+  "chose",
+  "close",
+  "coach",
+  "collaborate",
+  "communicate",
+  "compile",
+  "complete",
+  "conduct",
+  "configure",
+  "connect",
+  "consolidate",
+  "consult",
+  "contribute",
+  "convert",
+  "coordinate",
+  "create",
+  "customise",
+  "customize",
+  "cut",
+  "debug",
+  "decrease",
+  "define",
+  "deliver",
+  "demonstrate",
+  "deploy",
+  "design",
+  "develop",
+  "devise",
+  "diagnose",
+  "direct",
+  "document",
+  "double",
+  "draft",
+  "drive",
+  "drove",
+  "earn",
+  "edit",
+  "educate",
+  "eliminate",
+  "enable",
+  "engage",
+  "enhance",
+  "ensure",
+  "establish",
+  "evaluate",
+  "examine",
+  "exceed",
+  "execute",
+  "expand",
+  "extend",
+  "facilitate",
+  "fix",
+  "formulate",
+  "found",
+  "gather",
+  "gave",
+  "generate",
+  "grew",
+  "grow",
+  "guide",
+  "handle",
+  "held",
+  "help",
+  "hire",
+  "identify",
+  "impact",
+  "implement",
+  "improve",
+  "increase",
+  "initiate",
+  "inspect",
+  "install",
+  "integrate",
+  "introduce",
+  "investigate",
+  "kept",
+  "launch",
+  "lead",
+  "led",
+  "leverage",
+  "liaise",
+  "lower",
+  "made",
+  "maintain",
+  "make",
+  "manage",
+  "mentor",
+  "met",
+  "migrate",
+  "modernise",
+  "modernize",
+  "modify",
+  "monitor",
+  "negotiate",
+  "onboard",
+  "optimise",
+  "optimize",
+  "orchestrate",
+  "organise",
+  "organize",
+  "overhaul",
+  "oversaw",
+  "oversee",
+  "own",
+  "participate",
+  "partner",
+  "perform",
+  "pilot",
+  "pioneer",
+  "plan",
+  "prepare",
+  "present",
+  "produce",
+  "promote",
+  "prototype",
+  "provide",
+  "publish",
+  "raise",
+  "ran",
+  "rebuild",
+  "rebuilt",
+  "recruit",
+  "redesign",
+  "reduce",
+  "refactor",
+  "release",
+  "remediate",
+  "repair",
+  "replace",
+  "report",
+  "research",
+  "resolve",
+  "restructure",
+  "revamp",
+  "review",
+  "revise",
+  "rewrote",
+  "roll",
+  "run",
+  "save",
+  "scale",
+  "schedule",
+  "scope",
+  "secure",
+  "sell",
+  "serve",
+  "set",
+  "ship",
+  "simplify",
+  "sold",
+  "solve",
+  "spearhead",
+  "spent",
+  "spoke",
+  "standardise",
+  "standardize",
+  "streamline",
+  "strengthen",
+  "structure",
+  "supervise",
+  "support",
+  "synthesise",
+  "synthesize",
+  "tailor",
+  "taught",
+  "teach",
+  "test",
+  "took",
+  "track",
+  "train",
+  "transfer",
+  "transform",
+  "translate",
+  "triple",
+  "troubleshoot",
+  "undertook",
+  "unify",
+  "update",
+  "upgrade",
+  "use",
+  "utilise",
+  "utilize",
+  "validate",
+  "verify",
+  "volunteer",
+  "win",
+  "won",
+  "work",
+  "write",
+  "wrote",
+]);
+
+// Action verbs whose base form is usually a noun or adjective in a bullet
+// ("month-end close time", "A/B test"); only their other forms ("closed",
+// "testing") count as verbs
+const NOUN_LIKE_VERBS = new Set(["close", "found", "present", "test"]);
+
+/**
+ * Check whether a word is an action verb, in any of its forms
+ * @param {string} word - Word such as "Developed", "leads" or "reducing"
+ * @returns {boolean} - True if the word is an action verb
+ */
+function isActionVerb(word) {
+  const lower = word.toLowerCase();
+  if (NOUN_LIKE_VERBS.has(lower.replace(/s$/, ""))) return false;
+  return [
+    lower,
+    lower.replace(/s$/, ""),
+    lower.replace(/es$/, ""),
+    lower.replace(/ies$/, "y"),
+    lower.replace(/ing$/, ""),
+    lower.replace(/ing$/, "e"),
+    lower.replace(/([a-z])\1ing$/, "$1"),
+    lower.replace(/ed$/, ""),
+    lower.replace(/d$/, ""),
+    lower.replace(/ied$/, "y"),
+    lower.replace(/([a-z])\1ed$/, "$1"),
+  ].some((form) => ACTION_VERBS.has(form));
+}
+
+/**
+ * Check whether a line starts with a capitalized action verb
+ * @param {string} text - Line without its bullet glyph
+ * @returns {boolean} - True for lines such as "Developed ..." or "Leads ..."
+ */
+function startsWithActionVerb(text) {
+  const match = text.match(/^[A-Z][a-z]+/);
+  return Boolean(match) && isActionVerb(match[0]);
+}
+
+/**
+ * Check whether a line starts with a bullet glyph
+ * @param {string} line - Line to check
+ * @returns {boolean} - True for lines such as "• Built ..." or "- Led ..."
+ */
+function hasBulletGlyph(line) {
+  return BULLET_GLYPH.test(line.trim());
+}
+
+/**
+ * Join the lines of a bullet list into whole bullets
+ * @param {string[]} lines - Lines as extracted, with or without bullet glyphs
+ * @returns {string[]} - One string per bullet, without its glyph
+ */
+function joinBulletLines(lines) {
+  const bullets = [];
+  let current = null;
+
+  for (const rawLine of lines || []) {
+    if (typeof rawLine !== "string") continue;
+    const line = rawLine.trim();
+    if (!line) continue;
+
+    const hasGlyph = hasBulletGlyph(line);
+    const text = line.replace(BULLET_GLYPH, "").trim();
+
+    // A glyph on a line of its own starts the bullet on the next line
+    if (
+      hasGlyph ||
+      current === null ||
+      current === "" ||
+      SUBHEADING.test(text)
+    ) {
+      if (current) bullets.push(current);
+      current = text;
+      continue;
+    }
+
+    if (LINE_END_HYPHEN.test(current) && /^[a-z]/.test(text)) {
+      current = current.slice(0, -1) + text;
+    } else if (
+      /^[a-z]/.test(text) ||
+      (!TERMINAL_PUNCTUATION.test(current) && !startsWithActionVerb(text))
+    ) {
+      current = `${current} ${text}`;
+    } else {
+      bullets.push(current);
+      current = text;
+    }
+  }
+
+  if (current) bullets.push(current);
+  return bullets;
+}
+
+module.exports = {
+  hasBulletGlyph,
+  isActionVerb,
+  joinBulletLines,
+};
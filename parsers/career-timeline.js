@@ -0,0 +1,193 @@
+/**
+ * Career Timeline
+ * Analyzes the experience entries of a parsed resume once their periods are
+ * structured date ranges: total months of experience with overlapping roles
+ * counted once, employment gaps, roles held at the same time, which roles
+ * are internships, and promotions within one employer.
+ */
+
+const { findPromotions } = require("./employer-roles");
+const { toYearMonth } = require("./date-range");
+
+// Gaps up to this many months are ordinary job changes, not listed as gaps
+const DEFAULT_GAP_MONTHS = 3;
+
+// Title words marking an internship rather than a full-time role
+const INTERNSHIP_PATTERN =
+  /\b(?:intern(?:ship)?|trainee(?:ship)?|apprentice(?:ship)?|co-?op|placement|summer (?:analyst|associate))\b/i;
+
+/**
+ * Turn a "YYYY-MM" string into a month count, so months can be subtracted
+ * @param {string} yearMonth - Year and month
+ * @returns {number} - Months since year 0
+ */
+function toMonthIndex(yearMonth) {
+  const [year, month] = yearMonth.split("-").map(Number);
+  return year * 12 + month - 1;
+}
+
+/**
+ * Turn a month count back into a "YYYY-MM" string
+ * @param {number} index - Months since year 0
+ * @returns {string} - Year and month
+ */
+function fromMonthIndex(index) {
+  const year = Math.floor(index / 12);
+  const month = (index % 12) + 1;
+  return `${year}-${String(month).padStart(2, "0")}`;
+}
+
+/**
+ * Check whether an experience entry is an internship
+ * @param {Object} entry - Experience entry
+ * @returns {boolean} - True if its title names an internship
+ */
+function isInternship(entry) {
+  return INTERNSHIP_PATTERN.test(
+    `${entry.title || ""} ${entry.position || ""}`
+  );
+}
+
+/**
+ * Merge overlapping or touching month intervals
+ * @param {Object[]} intervals - Intervals with `first` and `last` month indexes
+ * @returns {Object[]} - Merged intervals, in order
+ */
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.first - b.first);
+  const merged = [];
+  for (const interval of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && interval.first <= last.last + 1) {
+      last.last = Math.max(last.last, interval.last);
+    } else {
+      merged.push({ first: interval.first, last: interval.last });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Count the months covered by a set of intervals, overlaps counted once
+ * @param {Object[]} intervals - Intervals with `first` and `last` month indexes
+ * @returns {number} - Months covered
+ */
+function countMonths(intervals) {
+  return mergeIntervals(intervals).reduce(
+    (total, interval) => total + interval.last - interval.first + 1,
+    0
+  );
+}
+
+/**
+ * Build the career timeline of a parsed resume
+ * @param {Object} result - Parsed resume with `dates` on experience entries
+ * @param {Object} [options] - Analysis options
+ * @param {number} [options.gapMonths] - Only list gaps longer than this many
+ *   months (default 3)
+ * @param {Date|string} [options.asOf] - Date open ranges ("Jan 2020 -
+ *   Present") run to, as a Date or "YYYY-MM" string; defaults to today
+ * @returns {Object} - Timeline with the dated `roles` in order, `totalMonths`
+ *   and `totalYears` of full-time experience, `internshipMonths`, `gaps`
+ *   between roles, `overlaps` between roles held at the same time, the
+ *   `promotions` within each employer and the number of undated entries
+ *   (`undatedCount`). Entries listing several roles at one employer count
+ *   each role on its own
+ */
+function analyzeTimeline(result, options = {}) {
+  const gapMonths = options.gapMonths ?? DEFAULT_GAP_MONTHS;
+  const asOf = toYearMonth(options.asOf);
+  const experience = Array.isArray(result.experience) ? result.experience : [];
+
+  const roles = [];
+  let undatedCount = 0;
+  experience.forEach((entry, index) => {
+    if (!entry) {
+      undatedCount++;
+      return;
+    }
+
+    const entryRoles =
+      Array.isArray(entry.roles) && entry.roles.length > 1
+        ? entry.roles
+        : [entry];
+    for (const role of entryRoles) {
+      const dates = role.dates;
+      const end = dates && (dates.end || (dates.isCurrent ? asOf : null));
+      if (!dates || !dates.start || !end) {
+        undatedCount++;
+        continue;
+      }
+
+      const first = toMonthIndex(dates.start);
+      const last = toMonthIndex(end);
+      if (last < first) {
+        undatedCount++;
+        continue;
+      }
+
+      roles.push({
+        index,
+        title: role.title || role.position || "",
+        company: entry.company || "",
+        start: dates.start,
+        end,
+        months: last - first + 1,
+        isCurrent: dates.isCurrent === true,
+        internship: isInternship(role),
+        first,
+        last,
+      });
+    }
+  });
+  roles.sort((a, b) => a.first - b.first || a.last - b.last);
+
+  // Gaps are measured over all roles, internships included
+  const gaps = [];
+  const covered = mergeIntervals(roles);
+  for (let i = 1; i < covered.length; i++) {
+    const months = covered[i].first - covered[i - 1].last - 1;
+    if (months > gapMonths) {
+      gaps.push({
+        start: fromMonthIndex(covered[i - 1].last + 1),
+        end: fromMonthIndex(covered[i].first - 1),
+        months,
+      });
+    }
+  }
+
+  // Sharing one month is a job change, not two jobs at once; roles at the
+  // same employer are one job
+  const overlaps = [];
+  for (let i = 0; i < roles.length; i++) {
+    for (let j = i + 1; j < roles.length; j++) {
+      if (roles[i].index === roles[j].index) continue;
+      const first = Math.max(roles[i].first, roles[j].first);
+      const last = Math.min(roles[i].last, roles[j].last);
+      if (last - first + 1 > 1) {
+        overlaps.push({
+          entries: [roles[i].index, roles[j].index],
+          start: fromMonthIndex(first),
+          end: fromMonthIndex(last),
+          months: last - first + 1,
+        });
+      }
+    }
+  }
+
+  const totalMonths = countMonths(roles.filter((role) => !role.internship));
+  return {
+    totalMonths,
+    totalYears: Math.round((totalMonths / 12) * 10) / 10,
+    internshipMonths: countMonths(roles.filter((role) => role.internship)),
+    roles: roles.map(({ first, last, ...role }) => role),
+    gaps,
+    overlaps,
+    promotions: experience.filter(Boolean).flatMap(findPromotions),
+    undatedCount,
+  };
+}
+
+module.exports = {
+  analyzeTimeline,
+};
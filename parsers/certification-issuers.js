@@ -0,0 +1,150 @@
+/**
+ * Certification Issuers
+ * Vendors and bodies that issue professional certifications. Each entry
+ * lists the names the issuer is written as and a pattern for the names of
+ * its certifications, so "CCNA" is known to come from Cisco even when the
+ * resume does not say so. Entries are tried in order: vendors come before the
+ * learning platforms that resell their courses.
+ */
+
+const CERTIFICATION_ISSUERS = [
+  {
+    issuer: "Amazon Web Services",
+    names: ["Amazon Web Services", "AWS"],
+    certifications: /\bAWS\s+Certified\b/i,
+  },
+  {
+    issuer: "Google Cloud",
+    names: ["Google Cloud", "Google Cloud Platform", "GCP"],
+    certifications:
+      /\b(?:Professional\s+Cloud\s+(?:Architect|Developer|DevOps\s+Engineer|Security\s+Engineer|Network\s+Engineer|Database\s+Engineer)|Professional\s+(?:Data|Machine\s+Learning)\s+Engineer|Associate\s+Cloud\s+Engineer|Cloud\s+Digital\s+Leader)\b/i,
+  },
+  {
+    issuer: "Microsoft",
+    names: ["Microsoft"],
+    certifications:
+      /\b(?:Azure|MCSA|MCSE|MCSD|MCP|MOS|(?:AZ|DP|PL|MS|AI|SC|MD|MB)-\d{3})\b/,
+  },
+  {
+    issuer: "Cisco",
+    names: ["Cisco"],
+    certifications: /\b(?:CCNA|CCNP|CCIE|CCT|CCDA|DevNet)\b/,
+  },
+  {
+    issuer: "Scrum Alliance",
+    names: ["Scrum Alliance"],
+    certifications:
+      /\b(?:Certified\s+Scrum\s*Master|Certified\s+Scrum\s+Product\s+Owner|Certified\s+Scrum\s+Developer|CSM|CSPO|CSD|A-CSM)\b/i,
+  },
+  {
+    issuer: "Scrum.org",
+    names: ["Scrum.org"],
+    certifications:
+      /\b(?:Professional\s+Scrum\s+(?:Master|Product\s+Owner|Developer)|PSM|PSPO|PSD)\b/i,
+  },
+  {
+    issuer: "Project Management Institute",
+    names: ["Project Management Institute", "PMI"],
+    certifications: /\b(?:PMP|CAPM|PgMP|PMI-ACP|PMI-RMP|PMI-PBA)\b/,
+  },
+  {
+    issuer: "CompTIA",
+    names: ["CompTIA"],
+    certifications:
+      /\b(?:Security|Network|A|Cloud|Linux|Server|Data|CySA|PenTest|Project)\+/i,
+  },
+  {
+    issuer: "ISC2",
+    names: ["ISC2", "(ISC)²", "(ISC)2"],
+    certifications: /\b(?:CISSP|SSCP|CCSP|CSSLP)\b/,
+  },
+  {
+    issuer: "ISACA",
+    names: ["ISACA"],
+    certifications: /\b(?:CISA|CISM|CRISC|CGEIT)\b/,
+  },
+  {
+    issuer: "AXELOS",
+    names: ["AXELOS", "PeopleCert"],
+    certifications: /\b(?:ITIL|PRINCE2|MSP)\b/i,
+  },
+  {
+    issuer: "Linux Foundation",
+    names: ["Linux Foundation", "The Linux Foundation", "CNCF"],
+    certifications: /\b(?:CKA|CKAD|CKS|LFCS)\b/,
+  },
+  {
+    issuer: "HashiCorp",
+    names: ["HashiCorp"],
+    certifications: /\b(?:Terraform|Vault|Consul)\s+Associate\b/i,
+  },
+  {
+    issuer: "Red Hat",
+    names: ["Red Hat"],
+    certifications: /\b(?:RHCSA|RHCE|RHCA)\b/,
+  },
+  {
+    issuer: "Oracle",
+    names: ["Oracle"],
+    certifications: /\b(?:OCA|OCP|OCM)\b/,
+  },
+  {
+    issuer: "Salesforce",
+    names: ["Salesforce", "Trailhead"],
+    certifications: null,
+  },
+  {
+    issuer: "Databricks",
+    names: ["Databricks"],
+    certifications: null,
+  },
+  {
+    issuer: "Snowflake",
+    names: ["Snowflake"],
+    certifications: /\bSnowPro\b/i,
+  },
+  {
+    issuer: "Tableau",
+    names: ["Tableau"],
+    certifications: null,
+  },
+  {
+    issuer: "IBM",
+    names: ["IBM"],
+    certifications: null,
+  },
+  {
+    issuer: "Google",
+    names: ["Google"],
+    certifications: null,
+  },
+  {
+    issuer: "Coursera",
+    names: ["Coursera"],
+    certifications: null,
+  },
+  {
+    issuer: "Udemy",
+    names: ["Udemy"],
+    certifications: null,
+  },
+  {
+    issuer: "edX",
+    names: ["edX"],
+    certifications: null,
+  },
+  {
+    issuer: "LinkedIn Learning",
+    names: ["LinkedIn Learning", "Lynda.com"],
+    certifications: null,
+  },
+  {
+    issuer: "freeCodeCamp",
+    names: ["freeCodeCamp"],
+    certifications: null,
+  },
+];
+
+module.exports = {
+  CERTIFICATION_ISSUERS,
+};
@@ -0,0 +1,346 @@
+/**
+ * Certifications
+ * Parses the certifications section into `{name, issuer, issued, expires,
+ * credentialId, url, expired, raw}` entries. Issuers are recognized from a
+ * local catalogue of vendors (parsers/certification-issuers.js), which can be
+ * extended per call, and credentials past their expiry date are flagged as
+ * expired relative to an "as of" date. Certifications written over several
+ * lines (name, issuer, dates, credential ID, link) are read as one entry.
+ */
+
+const { CERTIFICATION_ISSUERS } = require("./certification-issuers");
+const { parseDateRange, toYearMonth } = require("./date-range");
+
+// Bullets and list markers at the start of a line
+const BULLET = /^[\s•·▪◦●○■□➢➤►▶✓✔*-]+/;
+
+const URL_PATTERN =
+  /\b(?:https?:\/\/|www\.)[^\s,;()]+|\b(?:[a-z0-9-]+\.)+(?:com|org|net|io)\/[^\s,;()]+/i;
+
+// "Credential ID ABC-123", "Certificate No. 1234", "ID: 98765"
+const CREDENTIAL_ID =
+  /\b(?:(?:credential|certificate|certification|license|licence|verification)\s*(?:id|no\.?|number|#|code)|id)\s*[:#]?\s*([A-Za-z0-9][A-Za-z0-9-]{3,})\b/i;
+
+const MONTH = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?";
+const DATE_TEXT = `(?:${MONTH}\\s+)?(?:\\d{1,2}[/.-])?(?:19|20)\\d{2}`;
+
+// Words before the date a certification was issued or expires
+const ISSUED_LABEL = new RegExp(
+  `\\b(?:issued|obtained|earned|awarded|achieved|completed)(?:\\s+(?:on|in))?\\s*:?\\s*(?=${MONTH}|\\d)`,
+  "i"
+);
+const EXPIRES_LABEL = new RegExp(
+  `\\b(?:expires|expired|expiry|expiration(?:\\s+date)?|expiring|valid\\s+(?:until|through|thru|till|to)|exp\\.)(?:\\s+on)?\\s*:?\\s*(?=${MONTH}|\\d)`,
+  "i"
+);
+
+// Credentials that never expire
+const NO_EXPIRY =
+  /\bno\s+expiration(?:\s+date)?\b|\b(?:does\s+not|doesn't|never)\s+expire\b|\blifetime\b/i;
+
+// Dates left in a certification's name ("(2021)", "Jan 2020 - Jan 2023")
+const DATE_IN_NAME = new RegExp(
+  `\\(?\\b${DATE_TEXT}(?:\\s*(?:[–—-]|to)\\s*(?:${DATE_TEXT}|present|current))?\\b\\)?`,
+  "gi"
+);
+
+// Lines that add details to the certification above them
+const DETAIL_LINE =
+  /^(?:issued|obtained|earned|awarded|expires|expired|expiry|expiration|valid\s+(?:until|through)|no\s+expiration|credential|(?:certificate|license|licence)\s+(?:id|no)|id\s*[:#])/i;
+
+// Words of organizations that issue certificates, for issuers not in the
+// catalogue ("Certified Financial Planner - CFP Board")
+const ORGANIZATION_WORDS =
+  /\b(?:institute|academy|university|college|alliance|association|council|foundation|society|board|school|inc|ltd|llc|corporation)\b/i;
+
+// Separators between the name, issuer and dates of a certification
+const PART_SEPARATOR = /\s+[–—-]\s+|\s*[|·]\s*|,\s+/;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Prepare issuer catalogue entries for matching
+ * @param {Object[]} catalogue - Entries with issuer, names and certifications
+ * @returns {Object[]} - Entries with a `namePattern` matching any of the names
+ */
+function buildCatalogue(catalogue) {
+  return catalogue.map((entry) => {
+    const names = entry.names || [entry.issuer];
+    return {
+      ...entry,
+      names,
+      namePattern: new RegExp(
+        `(?:^|[^\\w])(?:${names.map(escapeRegExp).join("|")})(?![\\w])`,
+        "i"
+      ),
+    };
+  });
+}
+
+const DEFAULT_CATALOGUE = buildCatalogue(CERTIFICATION_ISSUERS);
+
+/**
+ * Get the catalogue for a parse, with the caller's entries first
+ * @param {Object} options - Parsing options
+ * @returns {Object[]} - Prepared issuer catalogue
+ */
+function getCatalogue(options) {
+  return options.certificationIssuers
+    ? buildCatalogue([
+        ...options.certificationIssuers,
+        ...CERTIFICATION_ISSUERS,
+      ])
+    : DEFAULT_CATALOGUE;
+}
+
+/**
+ * Find the issuer named in, or implied by, a certification
+ * @param {string} text - Certification text
+ * @param {Object[]} catalogue - Prepared issuer catalogue
+ * @returns {string|null} - Issuer name, or null when none is recognized
+ */
+function findIssuer(text, catalogue) {
+  const entry = catalogue.find(
+    ({ namePattern, certifications }) =>
+      namePattern.test(text) || (certifications && certifications.test(text))
+  );
+  return entry ? entry.issuer : null;
+}
+
+/**
+ * Check whether a piece of text names nothing but an issuer ("Amazon Web
+ * Services (AWS)", "by Cisco")
+ * @param {string} text - Line or part of a line
+ * @param {Object[]} catalogue - Prepared issuer catalogue
+ * @returns {boolean} - True when only issuer names are left
+ */
+function isIssuerOnly(text, catalogue) {
+  return catalogue.some(({ names, namePattern }) => {
+    if (!namePattern.test(text)) return false;
+    let rest = text.replace(/\b(?:issued|by|from)\b/gi, "");
+    const longestFirst = [...names].sort((a, b) => b.length - a.length);
+    for (const name of longestFirst) {
+      rest = rest.replace(new RegExp(escapeRegExp(name), "gi"), "");
+    }
+    return !/[A-Za-z0-9]/.test(rest);
+  });
+}
+
+/**
+ * Read the year-month of the first date in a piece of text
+ * @param {string} text - Text starting with a date
+ * @param {boolean} [endOfYear] - Read a year on its own as December, for
+ *   expiry dates
+ * @returns {string|null} - "YYYY-MM", or null when no date is found
+ */
+function readDate(text, endOfYear = false) {
+  const range = parseDateRange(text);
+  if (!range || !range.start) return null;
+  return endOfYear && range.precision === "year"
+    ? `${range.start.slice(0, 4)}-12`
+    : range.start;
+}
+
+/**
+ * Check whether a credential has expired
+ * @param {string|null} expires - Expiry year-month
+ * @param {boolean} neverExpires - Whether the resume says it does not expire
+ * @param {Date|string} [asOf] - Date to check against; defaults to today
+ * @returns {boolean|null} - True past the expiry month, null when no expiry
+ *   date is known
+ */
+function isExpired(expires, neverExpires, asOf) {
+  if (neverExpires) return false;
+  if (!expires) return null;
+  return expires < toYearMonth(asOf);
+}
+
+/**
+ * Check whether a line adds details to the certification above it instead
+ * of naming a new one
+ * @param {string} line - Line without its bullet
+ * @param {Object[]} catalogue - Prepared issuer catalogue
+ * @returns {boolean} - True for issuer, date, credential and link lines
+ */
+function isDetailLine(line, catalogue) {
+  const text = line.replace(URL_PATTERN, "").trim();
+  if (!text || DETAIL_LINE.test(text)) return true;
+
+  // A date or date range on its own line
+  const withoutDates = text
+    .replace(DATE_IN_NAME, "")
+    .replace(/\b(?:present|current)\b/gi, "");
+  if (!/[A-Za-z0-9]/.test(withoutDates)) return true;
+
+  return isIssuerOnly(text, catalogue);
+}
+
+/**
+ * Parse one certification
+ * @param {string} raw - Certification text, e.g. "AWS Certified Developer -
+ *   Associate, Issued Jan 2022, Expires Jan 2025, Credential ID ABC123"
+ * @param {Object} [options] - Parsing options
+ * @param {Date|string} [options.asOf] - Date expiry is checked against, as a
+ *   Date or "YYYY-MM" string; defaults to today
+ * @param {Object[]} [options.certificationIssuers] - Extra issuer catalogue
+ *   entries ({issuer, names, certifications}), tried before the bundled ones
+ * @returns {Object|null} - `{name, issuer, issued, expires, credentialId, url,
+ *   expired, raw}`, or null when the text names no certification
+ */
+function parseCertification(raw, options = {}) {
+  if (!raw || !raw.trim()) return null;
+  const catalogue = getCatalogue(options);
+  const text = raw.replace(BULLET, "").replace(/\s+/g, " ").trim();
+
+  const urlMatch = text.match(URL_PATTERN);
+  const url = urlMatch ? urlMatch[0].replace(/\.+$/, "") : null;
+  let rest = urlMatch ? text.replace(urlMatch[0], " ") : text;
+
+  const idMatch = rest.match(CREDENTIAL_ID);
+  const credentialId = idMatch ? idMatch[1] : null;
+  if (idMatch) rest = rest.replace(idMatch[0], " ");
+
+  // Labelled dates; otherwise a range runs from issue to expiry and a lone
+  // date is the issue date
+  let issued = null;
+  let expires = null;
+  const expiresMatch = rest.match(EXPIRES_LABEL);
+  if (expiresMatch) {
+    expires = readDate(
+      rest.slice(expiresMatch.index + expiresMatch[0].length),
+      true
+    );
+    rest = rest.slice(0, expiresMatch.index);
+  }
+  const issuedMatch = rest.match(ISSUED_LABEL);
+  if (issuedMatch) {
+    issued = readDate(rest.slice(issuedMatch.index + issuedMatch[0].length));
+    rest = rest.slice(0, issuedMatch.index);
+  } else {
+    const range = parseDateRange(rest);
+    if (range && range.start) {
+      issued = range.start;
+      // A year on its own spans January to December without being a range;
+      // an open range ("2019 - Present") has no end to expire at
+      const isRange =
+        range.end !== null &&
+        (range.precision === "year"
+          ? range.end.slice(0, 4) !== range.start.slice(0, 4)
+          : range.end !== range.start);
+      if (!expires && isRange) {
+        expires =
+          range.precision === "year"
+            ? `${range.end.slice(0, 4)}-12`
+            : range.end;
+      }
+    }
+  }
+
+  const neverExpires = NO_EXPIRY.test(text);
+  rest = rest.replace(NO_EXPIRY, " ").replace(DATE_IN_NAME, " ");
+
+  // The name comes first; a later part naming an organization is the issuer,
+  // anything else belongs to the name ("AWS Certified Developer - Associate")
+  const parts = rest
+    .split(PART_SEPARATOR)
+    .map((part) => part.replace(/\(\s*\)/g, "").trim())
+    .filter((part) => /[A-Za-z0-9]/.test(part));
+  if (parts.length === 0) return null;
+
+  let issuer = null;
+  const nameParts = [parts[0]];
+  for (const part of parts.slice(1)) {
+    const named = part.replace(/^(?:issued\s+)?(?:by|from)\s+/i, "");
+    const isIssuer =
+      named !== part ||
+      isIssuerOnly(named, catalogue) ||
+      ORGANIZATION_WORDS.test(named);
+    if (!issuer && isIssuer) {
+      issuer = findIssuer(named, catalogue) || named;
+    } else {
+      nameParts.push(part);
+    }
+  }
+  let name = nameParts.join(" - ");
+
+  // An issuer in parentheses after the name ("CCNA (Cisco)")
+  const parenthetical = name.match(/\s*\(([^()]+)\)\s*$/);
+  if (
+    parenthetical &&
+    (isIssuerOnly(parenthetical[1], catalogue) ||
+      ORGANIZATION_WORDS.test(parenthetical[1]))
+  ) {
+    issuer =
+      issuer ||
+      findIssuer(parenthetical[1], catalogue) ||
+      parenthetical[1].trim();
+    name = name.slice(0, parenthetical.index);
+  }
+
+  name = name.replace(/[\s,;:–—-]+$/, "").trim();
+  if (!/[A-Za-z]/.test(name)) return null;
+
+  return {
+    name,
+    issuer: issuer || findIssuer(text, catalogue),
+    issued,
+    expires,
+    credentialId,
+    url,
+    expired: isExpired(expires, neverExpires, options.asOf),
+    raw: text,
+  };
+}
+
+/**
+ * Extract the certifications from the certifications section
+ * @param {string[]} lines - Lines of the certifications section
+ * @param {Object} [options] - Parsing options, see parseCertification
+ * @returns {Object[]} - Parsed certifications in the order they appear, each
+ *   listed once
+ */
+function extractCertifications(lines, options = {}) {
+  const catalogue = getCatalogue(options);
+
+  // Lines with an issuer, dates, credential ID or link belong to the
+  // certification above them
+  const groups = [];
+  for (const line of lines || []) {
+    const text = line.replace(BULLET, "").trim();
+    if (!text) continue;
+
+    const isNew = BULLET.test(line) || !isDetailLine(text, catalogue);
+    if (isNew || groups.length === 0) {
+      groups.push([text]);
+    } else {
+      groups[groups.length - 1].push(text);
+    }
+  }
+
+  const certifications = [];
+  for (const group of groups) {
+    const certification = parseCertification(group.join(", "), options);
+    if (!certification) continue;
+
+    const duplicate = certifications.some(
+      (existing) =>
+        existing.name.toLowerCase() === certification.name.toLowerCase() &&
+        existing.issuer === certification.issuer
+    );
+    if (!duplicate) certifications.push(certification);
+  }
+
+  return certifications;
+}
+
+module.exports = {
+  extractCertifications,
+  parseCertification,
+};
@@ -0,0 +1,326 @@
+/**
+ * Contacts
+ * Collects every contact channel of a resume: all e-mail addresses
+ * (including obfuscated ones like "john [at] example [dot] com"), all phone
+ * numbers with their mobile/home/work label, and online profiles (LinkedIn,
+ * GitHub, GitLab, Stack Overflow, X/Twitter, Behance, Dribbble, personal
+ * websites and portfolios) with a normalized URL and username.
+ */
+
+const { findPhoneNumbers, looksLikePhoneNumber } = require("./phone-numbers");
+
+// Personal websites, and phone numbers that fit no numbering plan, are only
+// taken from the resume header or from lines labelled as one; such numbers
+// and links further down are credential IDs, order numbers and the sites of
+// employers and projects
+const HEADER_LINES = 10;
+
+const EMAIL_PATTERN = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
+
+// "john [at] example [dot] com", "john (at) example (dot) co (dot) uk",
+// "john at example dot com"
+const OBFUSCATED_EMAIL_PATTERN =
+  /([a-zA-Z0-9._%+-]+)\s*(\[at\]|\(at\)|\{at\}|<at>|\s+at\s+)\s*([a-zA-Z0-9-]+(?:\s*(?:\[dot\]|\(dot\)|\{dot\}|<dot>|\s+dot\s+|\.)\s*[a-zA-Z0-9-]+)+)/gi;
+
+// Separators between the parts of an obfuscated domain
+const OBFUSCATED_DOT = /\s*(?:\[dot\]|\(dot\)|\{dot\}|<dot>|\s+dot\s+|\.)\s*/gi;
+
+// Phone labels written just before a number
+const PHONE_LABELS = [
+  {
+    label: "mobile",
+    pattern: /\b(?:mobile|mob|cell|cellphone|m)\b\.?\s*:?\s*$/i,
+  },
+  { label: "home", pattern: /\b(?:home|h)\b\.?\s*:?\s*$/i },
+  { label: "work", pattern: /\b(?:work|office|business|w)\b\.?\s*:?\s*$/i },
+];
+
+// Labels marking a line as holding a phone number
+const PHONE_LINE_LABEL =
+  /\b(?:phone|tel|telephone|mobile|mob|cell|cellphone|whatsapp)\b\.?\s*:?/i;
+
+// Profile networks: how a profile URL looks, and its normalized form
+const PROFILE_NETWORKS = [
+  {
+    network: "linkedin",
+    pattern: /linkedin\.com\/(?:in|pub)\/([a-zA-Z0-9_%-]+)/i,
+    url: (username) => `https://www.linkedin.com/in/${username}`,
+  },
+  {
+    network: "github",
+    pattern: /github\.com\/([a-zA-Z0-9](?:[a-zA-Z0-9-]*[a-zA-Z0-9])?)/i,
+    url: (username) => `https://github.com/${username}`,
+  },
+  {
+    network: "gitlab",
+    pattern: /gitlab\.com\/([a-zA-Z0-9_.-]+)/i,
+    url: (username) => `https://gitlab.com/${username}`,
+  },
+  {
+    network: "stackoverflow",
+    pattern: /stackoverflow\.com\/users\/(\d+(?:\/[a-zA-Z0-9_-]+)?)/i,
+    url: (username) => `https://stackoverflow.com/users/${username}`,
+    username: (match) => match.split("/").pop(),
+  },
+  {
+    network: "twitter",
+    pattern: /(?:twitter|x)\.com\/@?([a-zA-Z0-9_]{1,15})\b/i,
+    url: (username) => `https://x.com/${username}`,
+  },
+  {
+    network: "behance",
+    pattern: /behance\.net\/([a-zA-Z0-9_-]+)/i,
+    url: (username) => `https://www.behance.net/${username}`,
+  },
+  {
+    network: "dribbble",
+    pattern: /dribbble\.com\/([a-zA-Z0-9_-]+)/i,
+    url: (username) => `https://dribbble.com/${username}`,
+  },
+];
+
+// Handles written without a URL ("GitHub: jdoe")
+const LABELLED_HANDLE =
+  /\b(linkedin|github|gitlab|twitter|behance|dribbble)\s*:\s*@?([a-zA-Z0-9_-]{2,39})\b/gi;
+
+// Paths under a network's domain that are pages, not profiles
+const RESERVED_PATHS = new Set([
+  "about",
+  "features",
+  "home",
+  "login",
+  "search",
+  "settings",
+  "share",
+]);
+
+// Any web address, with or without scheme
+const URL_PATTERN =
+  /\b(?:https?:\/\/)?(?:www\.)?[a-zA-Z0-9-]+(?:\.[a-zA-Z0-9-]+)*\.[a-zA-Z]{2,}(?:\/[^\s|,;()<>]*)?/g;
+
+// Labels marking a line as holding the candidate's own site
+const WEBSITE_LABEL = /\b(?:website|web|site|portfolio|blog|homepage)\b\s*:?/i;
+
+// Hosts used for portfolios
+const PORTFOLIO_HOSTS =
+  /(?:\.github\.io|\.netlify\.app|\.vercel\.app|\.wixsite\.com|\.carrd\.co|\.webflow\.io)$/i;
+
+/**
+ * Add the e-mail addresses found in a line
+ * @param {string} line - Resume line
+ * @param {Object[]} emails - List to add `{address, raw}` entries to
+ */
+function collectEmails(line, emails) {
+  const found = [];
+
+  for (const match of line.matchAll(EMAIL_PATTERN)) {
+    found.push({ address: match[0], raw: match[0], index: match.index });
+  }
+
+  for (const match of line.matchAll(OBFUSCATED_EMAIL_PATTERN)) {
+    const [raw, user, at, domain] = match;
+    // A bare " at " needs a bare " dot " too, so prose ("worked at Acme.com")
+    // is not read as an address
+    if (/^\s+at\s+$/i.test(at) && !/\s+dot\s+/i.test(domain)) continue;
+    if (!/[a-z]{2,}$/i.test(domain)) continue;
+
+    const address = `${user}@${domain.replace(OBFUSCATED_DOT, ".")}`;
+    found.push({ address, raw: raw.trim(), index: match.index });
+  }
+
+  found.sort((a, b) => a.index - b.index);
+  for (const { address, raw } of found) {
+    const normalized = address.replace(/\.$/, "").toLowerCase();
+    if (!emails.some((existing) => existing.address === normalized)) {
+      emails.push({ address: normalized, raw });
+    }
+  }
+}
+
+/**
+ * Add the phone numbers found in a line, labelled when the line says which
+ * kind of number it is. Numbers that fit a numbering plan are kept from any
+ * line. Other numbers are only kept from the header or a line labelled as a
+ * phone number, and outside a labelled line only when written like one and
+ * on a line of their own or next to other contact details, so IP addresses,
+ * IDs and ticket numbers are not
+ * @param {string} line - Resume line
+ * @param {Object[]} phones - List to add phone entries to
+ * @param {Object} options - Parsing options, with the default region
+ * @param {boolean} inHeader - Whether the line is in the resume header
+ * @param {boolean} contactLine - Whether the line holds contact details
+ */
+function collectPhones(line, phones, options, inHeader, contactLine) {
+  // Digits inside e-mail addresses are not phone numbers
+  const text = line.replace(EMAIL_PATTERN, " ");
+  const labelledLine = PHONE_LINE_LABEL.test(text);
+
+  let position = 0;
+  for (const phone of findPhoneNumbers(text, options)) {
+    const index = text.indexOf(phone.raw, position);
+    const before = text.slice(position, index);
+    position = index + phone.raw.length;
+    const standalone = !text.replace(phone.raw, "").replace(/[\s|,;]/g, "");
+    if (
+      !phone.e164 &&
+      !labelledLine &&
+      !(inHeader && looksLikePhoneNumber(phone) && (standalone || contactLine))
+    ) {
+      continue;
+    }
+
+    const labelled = PHONE_LABELS.find(({ pattern }) => pattern.test(before));
+    const key = phone.e164 || phone.raw.replace(/\D/g, "");
+    if (
+      phones.some(
+        (existing) => (existing.e164 || existing.raw.replace(/\D/g, "")) === key
+      )
+    ) {
+      continue;
+    }
+    phones.push({ ...phone, label: labelled ? labelled.label : null });
+  }
+}
+
+/**
+ * Add a profile unless the same one is already listed
+ * @param {Object[]} profiles - List of profiles
+ * @param {Object} profile - Profile with network, url and username
+ */
+function addProfile(profiles, profile) {
+  if (!profiles.some((existing) => existing.url === profile.url)) {
+    profiles.push(profile);
+  }
+}
+
+/**
+ * Normalize a personal website address to a full URL
+ * @param {string} address - Address as written
+ * @returns {string} - URL with scheme and lowercase host, no trailing slash
+ */
+function normalizeUrl(address) {
+  const withScheme = /^https?:\/\//i.test(address)
+    ? address
+    : `https://${address}`;
+  const [, scheme, host, rest = ""] = withScheme.match(
+    /^(https?:\/\/)([^/]+)(.*)$/i
+  );
+  return `${scheme.toLowerCase()}${host.toLowerCase()}${rest}`.replace(
+    /[/.]+$/,
+    ""
+  );
+}
+
+/**
+ * Check whether a line holds the candidate's contact details: an e-mail
+ * address, a phone number or a profile on a known network
+ * @param {string} line - Resume line
+ * @param {Object} options - Parsing options, with the default region
+ * @returns {boolean} - True for contact lines
+ */
+function isContactLine(line, options) {
+  return (
+    line.replace(EMAIL_PATTERN, " ") !== line ||
+    PHONE_LINE_LABEL.test(line) ||
+    PROFILE_NETWORKS.some(({ pattern }) => pattern.test(line)) ||
+    findPhoneNumbers(line, options).some((phone) => phone.e164)
+  );
+}
+
+/**
+ * Add the profiles found in a line
+ * @param {string} line - Resume line
+ * @param {Object[]} profiles - List to add `{network, url, username}` entries to
+ * @param {boolean} inHeader - Whether the line is in the resume header
+ * @param {boolean} contactLine - Whether the line holds contact details
+ */
+function collectProfiles(line, profiles, inHeader, contactLine) {
+  const text = line.replace(EMAIL_PATTERN, " ");
+
+  for (const { network, pattern, url, username } of PROFILE_NETWORKS) {
+    const match = text.match(pattern);
+    if (match && !RESERVED_PATHS.has(match[1].toLowerCase())) {
+      addProfile(profiles, {
+        network,
+        url: url(match[1]),
+        username: username ? username(match[1]) : match[1],
+      });
+    }
+  }
+
+  for (const [, label, handle] of text.matchAll(LABELLED_HANDLE)) {
+    const network = PROFILE_NETWORKS.find(
+      (entry) => entry.network === label.toLowerCase()
+    );
+    addProfile(profiles, {
+      network: network.network,
+      url: network.url(handle),
+      username: handle,
+    });
+  }
+
+  // Personal websites and portfolios
+  const labelled = WEBSITE_LABEL.test(text);
+  if (!inHeader && !labelled) return;
+
+  for (const [address] of text.matchAll(URL_PATTERN)) {
+    const url = normalizeUrl(address);
+    const host = url.replace(/^https?:\/\//, "").split("/")[0];
+    const knownNetwork = PROFILE_NETWORKS.some(({ pattern }) =>
+      pattern.test(url)
+    );
+    // Bare words with a dot ("Node.js") are not addresses
+    const looksLikeAddress =
+      /^(?:https?:\/\/|www\.)/i.test(address) ||
+      /\.(?:com|net|org|io|dev|me|app|co|info|site|page)(?:\.[a-z]{2})?$/i.test(
+        host
+      ) ||
+      url.includes("/", "https://".length);
+
+    if (knownNetwork || !looksLikeAddress) continue;
+    if (/\b(?:linkedin|github|gitlab|twitter|x)\.com$/i.test(host)) continue;
+
+    // A bare domain in the header ("Engineer at acme.com") is the candidate's
+    // site only next to their other contact details
+    const bareDomain =
+      !/^(?:https?:\/\/|www\.)/i.test(address) &&
+      !url.includes("/", "https://".length);
+    if (bareDomain && !labelled && !contactLine) continue;
+
+    const portfolio = PORTFOLIO_HOSTS.test(host) || /portfolio/i.test(text);
+    addProfile(profiles, {
+      network: portfolio ? "portfolio" : "website",
+      url,
+      username: null,
+    });
+  }
+}
+
+/**
+ * Extract every contact channel from resume lines
+ * @param {string[]} lines - Lines from the resume text
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.defaultRegion] - Region for phone numbers without
+ *   a country code
+ * @returns {Object} - Object with `emails` ({address, raw}), `phones` (as
+ *   returned by parsePhoneNumber, plus a `label` of "mobile", "home", "work"
+ *   or null) and `profiles` ({network, url, username}), each in the order
+ *   they appear
+ */
+function extractContacts(lines, options = {}) {
+  const contacts = { emails: [], phones: [], profiles: [] };
+
+  lines.forEach((line, index) => {
+    const inHeader = index < HEADER_LINES;
+    const contactLine = isContactLine(line, options);
+    collectEmails(line, contacts.emails);
+    collectPhones(line, contacts.phones, options, inHeader, contactLine);
+    collectProfiles(line, contacts.profiles, inHeader, contactLine);
+  });
+
+  return contacts;
+}
+
+module.exports = {
+  extractContacts,
+};
@@ -0,0 +1,285 @@
+/**
+ * Date Ranges
+ * Parses the raw periods parsers store on entries ("Jan 2020 - Present",
+ * "2014 - 2018", "(05/2021 - 08/2021)", "Fall 2019", "Expected 2025",
+ * "Since 2019") into
+ * structured ranges with year-month boundaries, so entries can be sorted and
+ * compared however the resume wrote them.
+ */
+
+// Month numbers by the first three letters of the month name
+const MONTHS = {
+  jan: 1,
+  feb: 2,
+  mar: 3,
+  apr: 4,
+  may: 5,
+  jun: 6,
+  jul: 7,
+  aug: 8,
+  sep: 9,
+  oct: 10,
+  nov: 11,
+  dec: 12,
+};
+
+// Month each season starts in
+const SEASONS = {
+  spring: 3,
+  summer: 6,
+  fall: 9,
+  autumn: 9,
+  winter: 12,
+};
+
+// Entry fields holding raw dates
+const DATE_FIELDS = ["period", "timeframe", "date"];
+
+// Precisions from the most to the least precise
+const PRECISIONS = ["month", "season", "year"];
+
+const MONTH_NAME =
+  "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+const YEAR = "(?:19|20)\\d{2}";
+
+// One date in any supported format: month name with an optional year,
+// season, day/month/year, month/year, year-month or a lone year
+const DATE_PATTERN = new RegExp(
+  [
+    `\\b(?<monthName>${MONTH_NAME})\\b\\.?,?(?:\\s*(?:(?<monthNameYear>${YEAR})\\b|'(?<shortYear>\\d{2})\\b))?`,
+    `\\b(?<season>spring|summer|fall|autumn|winter)\\s+(?<seasonYear>${YEAR})\\b`,
+    `\\b(?<day>\\d{1,2})[/.-](?<dayMonth>\\d{1,2})[/.-](?<dayYear>${YEAR})\\b`,
+    `\\b(?<month>\\d{1,2})[/.-](?<monthYear>${YEAR})\\b`,
+    `\\b(?<yearFirst>${YEAR})[/.-](?<yearMonth>\\d{1,2})\\b(?![/.-]?\\d)`,
+    `\\b(?<year>${YEAR})\\b`,
+  ].join("|"),
+  "gi"
+);
+
+// Text allowed between the two dates of a range
+const RANGE_SEPARATOR = /^\s*(?:-|–|—|~|to|until|till)\s*(?:expected\s+)?$/i;
+
+// A range that runs until today ("- Present")
+const CURRENT_END =
+  /^\s*(?:-|–|—|~|to|until|till)\s*(?:present(?:ly)?|current(?:ly)?|now|today|ongoing|date)\b/i;
+
+// A start date with no end, running until today ("Since 2019")
+const OPEN_START = /\bsince\s*$/i;
+
+// Words marking a date that has not been reached yet
+const EXPECTED_WORD =
+  /\b(?:expected|exp\.|anticipated)\s*(?:graduation:?\s*)?$/i;
+
+/**
+ * Format a year and month as "YYYY-MM"
+ * @param {number} year - Year
+ * @param {number} month - Month number (1-12)
+ * @returns {string} - Formatted year-month
+ */
+function formatYearMonth(year, month) {
+  return `${year}-${String(month).padStart(2, "0")}`;
+}
+
+/**
+ * Normalize an "as of" date to "YYYY-MM"
+ * @param {Date|string} [asOf] - Date, or "YYYY-MM" / "YYYY-MM-DD" string;
+ *   defaults to today
+ * @returns {string} - The as-of year-month
+ */
+function toYearMonth(asOf) {
+  if (typeof asOf === "string") {
+    const match = asOf.match(/^(\d{4})-(\d{1,2})/);
+    if (match) return formatYearMonth(Number(match[1]), Number(match[2]));
+  }
+  const date = asOf instanceof Date ? asOf : new Date();
+  return formatYearMonth(date.getFullYear(), date.getMonth() + 1);
+}
+
+/**
+ * Turn a match of DATE_PATTERN into a date
+ * @param {Array} match - Regular expression match
+ * @returns {Object|null} - Object with the year (null for a month name
+ *   without one), month, precision and position, or null for an invalid month
+ */
+function toDate(match) {
+  const groups = match.groups;
+
+  let date;
+  if (groups.monthName) {
+    let year = groups.monthNameYear ? Number(groups.monthNameYear) : null;
+    if (groups.shortYear) year = 2000 + Number(groups.shortYear);
+    date = {
+      year,
+      month: MONTHS[groups.monthName.slice(0, 3).toLowerCase()],
+      precision: "month",
+    };
+  } else if (groups.season) {
+    date = {
+      year: Number(groups.seasonYear),
+      month: SEASONS[groups.season.toLowerCase()],
+      precision: "season",
+    };
+  } else if (groups.dayYear) {
+    // Day and month order is ambiguous; a first number over 12 is the day
+    const month =
+      Number(groups.day) > 12 ? Number(groups.dayMonth) : Number(groups.day);
+    date = { year: Number(groups.dayYear), month, precision: "month" };
+  } else if (groups.monthYear) {
+    date = {
+      year: Number(groups.monthYear),
+      month: Number(groups.month),
+      precision: "month",
+    };
+  } else if (groups.yearFirst) {
+    date = {
+      year: Number(groups.yearFirst),
+      month: Number(groups.yearMonth),
+      precision: "month",
+    };
+  } else {
+    date = { year: Number(groups.year), month: 1, precision: "year" };
+  }
+
+  if (date.month < 1 || date.month > 12) return null;
+  date.index = match.index;
+  date.end = match.index + match[0].length;
+  return date;
+}
+
+/**
+ * Find the dates in a string, in order
+ * @param {string} text - Text to search
+ * @returns {Object[]} - Dates found
+ */
+function findDates(text) {
+  const dates = [];
+  for (const match of text.matchAll(DATE_PATTERN)) {
+    const date = toDate(match);
+    if (date) {
+      date.expected = EXPECTED_WORD.test(text.slice(0, date.index));
+      date.since = OPEN_START.test(text.slice(0, date.index));
+      dates.push(date);
+    }
+  }
+  return dates;
+}
+
+/**
+ * Get the least precise of two precisions
+ * @param {string} a - First precision
+ * @param {string} b - Second precision
+ * @returns {string} - The coarser precision
+ */
+function coarserPrecision(a, b) {
+  return PRECISIONS[Math.max(PRECISIONS.indexOf(a), PRECISIONS.indexOf(b))];
+}
+
+/**
+ * Parse a raw period into a structured date range
+ * @param {string} raw - Raw period, e.g. "Jan 2020 - Present"
+ * @param {Object} [options] - Parsing options
+ * @param {Date|string} [options.asOf] - Date ranges are current at, as a Date
+ *   or "YYYY-MM" string; defaults to today
+ * @returns {Object|null} - Object with `start` and `end` ("YYYY-MM", `start`
+ *   is null when only an expected end is given, `end` is null for an open
+ *   range such as "Jan 2020 - Present" or "Since 2019"; a year on its own
+ *   ends in December, or at the as-of date in the as-of year unless it is an
+ *   expected end), `isCurrent` (the range is open or runs past the as-of
+ *   date),
+ *   `precision` ("month", "season" or "year", from the least precise
+ *   boundary) and the `raw` string; null if no date is found
+ */
+function parseDateRange(raw, options = {}) {
+  if (typeof raw !== "string" || !raw.trim()) return null;
+
+  const text = raw.trim();
+  const asOf = toYearMonth(options.asOf);
+  const dates = findDates(text);
+
+  // A month without a year only counts as the start of a range
+  // ("Jan - Mar 2020"), anything else named "May" or "Mart" is not a date
+  while (dates.length > 0 && dates[0].year === null) {
+    const next = dates[1];
+    const between = next ? text.slice(dates[0].end, next.index) : "";
+    if (next && next.year !== null && RANGE_SEPARATOR.test(between)) {
+      dates[0].year = dates[0].month <= next.month ? next.year : next.year - 1;
+      break;
+    }
+    dates.shift();
+  }
+  if (dates.length === 0) return null;
+
+  const first = dates[0];
+  let start = first;
+  let end = first;
+  let current = false;
+
+  const second = dates[1];
+  if (second && RANGE_SEPARATOR.test(text.slice(first.end, second.index))) {
+    end = second;
+    // A month without a year ends the range in the start year, or the year
+    // after when that would end before it starts ("July 2023 - January")
+    if (end.year === null) {
+      end.year = end.month >= start.month ? start.year : start.year + 1;
+    }
+  } else if (CURRENT_END.test(text.slice(first.end)) || first.since) {
+    current = true;
+  } else if (first.expected) {
+    // "Expected 2025" is the end of a range that has not finished
+    start = null;
+  }
+
+  const startValue = start ? formatYearMonth(start.year, start.month) : null;
+  let endValue = current ? null : formatYearMonth(end.year, end.month);
+  if (!current && end.precision === "year") {
+    // "2014 - 2018" runs through 2018; the year under way only runs to the
+    // as-of date unless it is the expected end
+    endValue = formatYearMonth(end.year, 12);
+    if (!end.expected && asOf.startsWith(`${end.year}-`)) endValue = asOf;
+  }
+  const precision = current
+    ? start.precision
+    : coarserPrecision(start ? start.precision : end.precision, end.precision);
+
+  return {
+    start: startValue,
+    end: endValue,
+    isCurrent: current || endValue > asOf,
+    precision,
+    raw: text,
+  };
+}
+
+/**
+ * Add a structured `dates` range next to the raw period of every dated entry
+ * (experience and education `period`, project `timeframe`, honor `date`) and
+ * of the roles listed under an experience entry
+ * @param {Object} result - Parser result
+ * @param {Object} [options] - Parsing options
+ * @param {Date|string} [options.asOf] - Date ranges are current at
+ * @returns {Object} - The same result
+ */
+function addDateRanges(result, options = {}) {
+  for (const value of Object.values(result)) {
+    if (!Array.isArray(value)) continue;
+
+    for (const entry of value) {
+      if (!entry || typeof entry !== "object") continue;
+
+      const field = DATE_FIELDS.find((name) => typeof entry[name] === "string");
+      if (field) {
+        entry.dates = parseDateRange(entry[field], options);
+      }
+      if (Array.isArray(entry.roles)) {
+        addDateRanges({ roles: entry.roles }, options);
+      }
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  parseDateRange,
+  addDateRanges,
+  toYearMonth,
+};
@@ -1,27 +1,79 @@
 const fs = require("fs");
 const path = require("path");
 const pdfParse = require("pdf-parse");
+const { segmentSections } = require("./section-segmenter");
+const { findPhoneNumber } = require("./phone-numbers");
+const { extractContacts } = require("./contacts");
+const { detectName } = require("./name-detection");
+const { findCandidateLocation } = require("./locations");
+const { groupSkills, removeSkillCategory } = require("./skills");
+const { extractLanguages } = require("./languages");
+const { extractCertifications } = require("./certifications");
+const { extractExperienceWithRoles } = require("./employer-roles");
+const { joinBulletLines } = require("./bullets");
+
+// Section headers to look for
+const SECTION_HEADERS = {
+  summary: [
+    "summary",
+    "professional summary",
+    "profile",
+    "about me",
+    "objective",
+  ],
+  experience: [
+    "experience",
+    "work experience",
+    "employment history",
+    "work history",
+    "professional experience",
+  ],
+  education: ["education", "academic background", "academic history"],
+  skills: [
+    "skills",
+    "technical skills",
+    "core competencies",
+    "competencies",
+    "key skills",
+  ],
+  languages: ["languages", "language proficiency"],
+  certifications: [
+    "certifications",
+    "certificates",
+    "professional certifications",
+  ],
+};
 
 /**
  * A general-purpose parser for resumes in common formats.
  * This function will take resume text and extract relevant information.
  * @param {string} text - The resume text to parse.
+ * @param {Object} [options] - Parsing options.
+ * @param {string[]} [options.headings] - Heading lines marked by the source document.
+ * @param {string} [options.defaultRegion] - Region for phone numbers without a country code.
  * @returns {Object} - An object containing parsed information.
  */
-async function parseResume(text) {
+async function parseResume(text, options = {}) {
   // Initialize parsed data structure
   const parsedData = {
     name: "",
+    nameConfidence: 0,
     email: "",
     phone: "",
+    phoneE164: "",
     address: "",
+    location: "",
     linkedin: "",
+    github: "",
+    contacts: null,
     summary: "",
     experience: [],
     education: [],
     skills: [],
+    skillGroups: [],
     languages: [],
     certifications: [],
+    additionalSections: [],
   };
 
   try {
@@ -32,14 +84,20 @@ async function parseResume(text) {
       .filter((line) => line.length > 0);
 
     // Extract basic information
-    extractBasicInfo(lines, parsedData);
+    extractBasicInfo(lines, parsedData, options);
 
     // Extract sections based on common section headers
-    const sections = extractSections(lines);
+    const { sections, additionalSections } = segmentSections(lines, {
+      vocabulary: SECTION_HEADERS,
+      headings: options.headings,
+    });
 
     // Extract experience information
     if (sections.experience) {
-      parsedData.experience = extractExperience(sections.experience);
+      parsedData.experience = extractExperienceWithRoles(
+        sections.experience,
+        extractExperience
+      );
     }
 
     // Extract education information
@@ -50,22 +108,28 @@ async function parseResume(text) {
     // Extract skills
     if (sections.skills) {
       parsedData.skills = extractSkills(sections.skills);
+      parsedData.skillGroups = groupSkills(sections.skills);
     }
 
-    // Extract languages
-    if (sections.languages) {
-      parsedData.languages = sections.languages.map((line) => line.trim());
-    }
+    // Extract languages from their section and from "Languages:" lines
+    parsedData.languages = extractLanguages(lines, sections.languages);
 
     // Extract certifications
     if (sections.certifications) {
-      parsedData.certifications = sections.certifications.map((line) => line.trim());
+      parsedData.certifications = extractCertifications(
+        sections.certifications,
+        options
+      );
     }
 
+    // Keep sections under headings this parser does not know
+    parsedData.additionalSections = additionalSections;
+
     // Ensure all array fields are properly initialized
     parsedData.experience = parsedData.experience || [];
     parsedData.education = parsedData.education || [];
     parsedData.skills = parsedData.skills || [];
+    parsedData.skillGroups = parsedData.skillGroups || [];
     parsedData.languages = parsedData.languages || [];
     parsedData.certifications = parsedData.certifications || [];
 
@@ -80,13 +144,10 @@ async function parseResume(text) {
  * Extract basic information (name, email, phone, etc.) from resume text
  * @param {string[]} lines - Lines from the resume text
  * @param {Object} parsedData - Object to store the extracted data
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.defaultRegion] - Region for phone numbers without a country code
  */
-function extractBasicInfo(lines, parsedData) {
-  // Extract name (typically the first line)
-  if (lines.length > 0) {
-    parsedData.name = lines[0];
-  }
-
+function extractBasicInfo(lines, parsedData, options = {}) {
   // Extract email
   const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
   for (const line of lines) {
@@ -97,14 +158,16 @@ function extractBasicInfo(lines, parsedData) {
     }
   }
 
-  // Extract phone
-  const phoneRegex = /(\+\d{1,2}\s?)?\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}/g;
-  for (const line of lines) {
-    const match = line.match(phoneRegex);
-    if (match) {
-      parsedData.phone = match[0];
-      break;
-    }
+  // Extract name from the opening lines, checked against the email
+  const detected = detectName(lines, { email: parsedData.email });
+  parsedData.name = detected.name;
+  parsedData.nameConfidence = detected.confidence;
+
+  // Extract phone, in national or international format
+  const phone = findPhoneNumber(lines, options);
+  if (phone) {
+    parsedData.phone = phone.raw;
+    parsedData.phoneE164 = phone.e164 || "";
   }
 
   // Extract LinkedIn
@@ -117,6 +180,19 @@ function extractBasicInfo(lines, parsedData) {
     }
   }
 
+  // Extract GitHub
+  const githubRegex = /github\.com\/[a-zA-Z0-9-]+/i;
+  for (const line of lines) {
+    const match = line.match(githubRegex);
+    if (match) {
+      parsedData.github = match[0];
+      break;
+    }
+  }
+
+  // Every e-mail address, phone number and profile
+  parsedData.contacts = extractContacts(lines, options);
+
   // Extract address (common format indicators)
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i];
@@ -138,107 +214,15 @@ function extractBasicInfo(lines, parsedData) {
       break;
     }
   }
-}
 
-/**
- * Extract different sections from the resume
- * @param {string[]} lines - Lines from the resume text
- * @returns {Object} - Object with different sections as properties
- */
-function extractSections(lines) {
-  const sections = {
-    summary: [],
-    experience: [],
-    education: [],
-    skills: [],
-    languages: [],
-    certifications: [],
-  };
-
-  let currentSection = null;
-
-  // Define section headers to look for
-  const sectionHeaders = {
-    summary: [
-      "summary",
-      "professional summary",
-      "profile",
-      "about me",
-      "objective",
-    ],
-    experience: [
-      "experience",
-      "work experience",
-      "employment history",
-      "work history",
-      "professional experience",
-    ],
-    education: ["education", "academic background", "academic history"],
-    skills: [
-      "skills",
-      "technical skills",
-      "core competencies",
-      "competencies",
-      "key skills",
-    ],
-    languages: ["languages", "language proficiency"],
-    certifications: [
-      "certifications",
-      "certificates",
-      "professional certifications",
-    ],
-  };
-
-  // Find sections in the text
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].toLowerCase();
-
-    // Check if the current line is a section header
-    let foundSection = false;
-    for (const [section, headers] of Object.entries(sectionHeaders)) {
-      if (
-        headers.some(
-          (header) =>
-            line === header ||
-            line.includes(header + ":") ||
-            line.includes(header + " ") ||
-            line === header.toUpperCase() ||
-            line === header.charAt(0).toUpperCase() + header.slice(1)
-        )
-      ) {
-        currentSection = section;
-        foundSection = true;
-        break;
-      }
-    }
-
-    // If not a section header and we're in a section, add the line to that section
-    if (!foundSection && currentSection) {
-      // Check if we've moved to a new section by checking for another section header
-      if (
-        Object.values(sectionHeaders).some((headers) =>
-          headers.some(
-            (header) =>
-              line === header ||
-              line.includes(header + ":") ||
-              line.includes(header + " ") ||
-              line === header.toUpperCase() ||
-              line === header.charAt(0).toUpperCase() + header.slice(1)
-          )
-        )
-      ) {
-        // A new section has started
-        currentSection = null;
-      } else {
-        // Still in the current section
-        sections[currentSection].push(lines[i]);
-      }
-    }
+  // Extract location (city, state, country), resolved against the gazetteer
+  const place = findCandidateLocation(lines, options);
+  if (place) {
+    parsedData.location = place.raw;
   }
-
-  return sections;
 }
 
+
 /**
  * Extract experience information from the experience section
  * @param {string[]} experienceLines - Lines from the experience section
@@ -310,6 +294,11 @@ function extractExperience(experienceLines) {
     experiences.push(currentExperience);
   }
 
+  // Join description lines that were wrapped across several lines
+  for (const experience of experiences) {
+    experience.description = joinBulletLines(experience.description);
+  }
+
   return experiences;
 }
 
@@ -328,7 +317,7 @@ function extractEducation(educationLines) {
 
   // Degree patterns
   const degreePattern =
-    /(?:bachelor|master|phd|ph\.d|doctorate|mba|bs|ba|ms|ma|associate)[^\n]*/i;
+    /\b(?:bachelor|masters?|phd|ph\.d|doctorate|mba|bs|ba|ms|ma|associate)\b[^\n]*/i;
 
   for (let i = 0; i < educationLines.length; i++) {
     const line = educationLines[i];
@@ -400,8 +389,8 @@ function extractSkills(skillsLines) {
   const skills = [];
 
   for (const line of skillsLines) {
-    // Split line by common delimiters
-    const skillsInLine = line.split(/[,|•·;]/);
+    // Split line by common delimiters, leaving out its category label
+    const skillsInLine = removeSkillCategory(line).split(/[,|•·;]/);
 
     for (const skill of skillsInLine) {
       const trimmedSkill = skill.trim();
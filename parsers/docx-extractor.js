@@ -0,0 +1,384 @@
+/**
+ * DOCX Extractor
+ * Reads Word (.docx) resumes without any external tools. The package is
+ * unzipped with zlib, and word/document.xml is converted into text lines
+ * that keep paragraph, list, tab and table structure.
+ */
+
+const zlib = require("zlib");
+
+// ZIP record signatures
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+// Prefix used for list paragraphs so the parsers see them as bullets
+const LIST_BULLET = "• ";
+
+/**
+ * Check whether a buffer looks like a DOCX package
+ * @param {Buffer} dataBuffer - File contents
+ * @returns {boolean} - True if the buffer is a ZIP file containing word/document.xml
+ */
+function isDocx(dataBuffer) {
+  if (
+    dataBuffer.length < 4 ||
+    dataBuffer.readUInt32LE(0) !== LOCAL_FILE_HEADER
+  ) {
+    return false;
+  }
+
+  try {
+    return readZipEntries(dataBuffer).has("word/document.xml");
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Read the central directory of a ZIP file
+ * @param {Buffer} dataBuffer - ZIP file contents
+ * @returns {Map<string, Object>} - Entries keyed by file name
+ */
+function readZipEntries(dataBuffer) {
+  // The end of central directory record sits at the end, followed by an optional comment
+  let endOffset = -1;
+  const minOffset = Math.max(0, dataBuffer.length - 22 - 0xffff);
+  for (let i = dataBuffer.length - 22; i >= minOffset; i--) {
+    if (dataBuffer.readUInt32LE(i) === END_OF_CENTRAL_DIRECTORY) {
+      endOffset = i;
+      break;
+    }
+  }
+
+  if (endOffset === -1) {
+    throw new Error("Invalid DOCX file: ZIP directory not found");
+  }
+
+  const entryCount = dataBuffer.readUInt16LE(endOffset + 10);
+  let offset = dataBuffer.readUInt32LE(endOffset + 16);
+  const entries = new Map();
+
+  for (let i = 0; i < entryCount; i++) {
+    if (dataBuffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error("Invalid DOCX file: corrupt ZIP directory");
+    }
+
+    const nameLength = dataBuffer.readUInt16LE(offset + 28);
+    const extraLength = dataBuffer.readUInt16LE(offset + 30);
+    const commentLength = dataBuffer.readUInt16LE(offset + 32);
+    const name = dataBuffer
+      .slice(offset + 46, offset + 46 + nameLength)
+      .toString("utf8");
+
+    entries.set(name, {
+      method: dataBuffer.readUInt16LE(offset + 10),
+      compressedSize: dataBuffer.readUInt32LE(offset + 20),
+      headerOffset: dataBuffer.readUInt32LE(offset + 42),
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Read a single file from a ZIP package
+ * @param {Buffer} dataBuffer - ZIP file contents
+ * @param {Map<string, Object>} entries - Entries from readZipEntries
+ * @param {string} name - Name of the file to read
+ * @returns {string|null} - File contents as UTF-8 text, or null if missing
+ */
+function readZipFile(dataBuffer, entries, name) {
+  const entry = entries.get(name);
+  if (!entry) {
+    return null;
+  }
+
+  const headerOffset = entry.headerOffset;
+  if (dataBuffer.readUInt32LE(headerOffset) !== LOCAL_FILE_HEADER) {
+    throw new Error(`Invalid DOCX file: corrupt entry "${name}"`);
+  }
+
+  const nameLength = dataBuffer.readUInt16LE(headerOffset + 26);
+  const extraLength = dataBuffer.readUInt16LE(headerOffset + 28);
+  const dataStart = headerOffset + 30 + nameLength + extraLength;
+  const data = dataBuffer.slice(dataStart, dataStart + entry.compressedSize);
+
+  // Method 0 is stored (no compression), method 8 is deflate
+  if (entry.method === 0) {
+    return data.toString("utf8");
+  }
+  if (entry.method === 8) {
+    return zlib.inflateRawSync(data).toString("utf8");
+  }
+
+  throw new Error(
+    `Unsupported compression method ${entry.method} for "${name}"`
+  );
+}
+
+/**
+ * Decode XML character entities
+ * @param {string} text - Raw XML text
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(
+    /&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi,
+    (_, code) => {
+      switch (code.toLowerCase()) {
+        case "amp":
+          return "&";
+        case "lt":
+          return "<";
+        case "gt":
+          return ">";
+        case "quot":
+          return '"';
+        case "apos":
+          return "'";
+        default:
+          return code[1].toLowerCase() === "x"
+            ? String.fromCodePoint(parseInt(code.slice(2), 16))
+            : String.fromCodePoint(parseInt(code.slice(1), 10));
+      }
+    }
+  );
+}
+
+/**
+ * Read an attribute value from the attribute part of an XML tag
+ * @param {string} attributes - Attribute string of the tag
+ * @param {string} name - Attribute name, e.g. "w:val"
+ * @returns {string|null} - Attribute value or null if missing
+ */
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`${name}="([^"]*)"`));
+  return match ? decodeEntities(match[1]) : null;
+}
+
+/**
+ * Find the paragraph style IDs that represent headings
+ * @param {string|null} stylesXml - Contents of word/styles.xml
+ * @returns {Set<string>} - Style IDs used for headings
+ */
+function getHeadingStyles(stylesXml) {
+  // Built-in style IDs are used directly by most English documents. The
+  // Title style is left out: resumes use it for the candidate's name
+  const headingStyles = new Set(["Heading1", "Heading2", "Heading3"]);
+  if (!stylesXml) {
+    return headingStyles;
+  }
+
+  // Localized documents use their own IDs, but keep the built-in style names
+  const stylePattern = /<w:style\b([^>]*)>([\s\S]*?)<\/w:style>/g;
+  let match;
+  while ((match = stylePattern.exec(stylesXml)) !== null) {
+    const styleId = getAttribute(match[1], "w:styleId");
+    const nameMatch = match[2].match(/<w:name\b([^>]*)\/>/);
+    const styleName = nameMatch ? getAttribute(nameMatch[1], "w:val") : "";
+
+    if (styleId && /^heading [1-3]$/i.test(styleName || "")) {
+      headingStyles.add(styleId);
+    }
+  }
+
+  return headingStyles;
+}
+
+/**
+ * Convert word/document.xml into text lines
+ * @param {string} documentXml - Contents of word/document.xml
+ * @param {Set<string>} headingStyles - Style IDs used for headings
+ * @returns {Object} - Object with the text lines and heading lines
+ */
+function convertDocumentXml(documentXml, headingStyles) {
+  const lines = [];
+  const headings = [];
+
+  // Open paragraphs, innermost last (text boxes nest paragraphs inside runs)
+  const paragraphs = [];
+  let paragraph = null;
+  let inParagraphProperties = false;
+  let inText = false;
+
+  // Text boxes are stored twice; only the modern copy is read
+  let inFallback = false;
+
+  // Open tables, innermost last: each holds its current row and cell
+  const tables = [];
+
+  const tagPattern = /<(\/?)([\w:]+)([^>]*?)(\/?)>|([^<]+)/g;
+  let match;
+  while ((match = tagPattern.exec(documentXml)) !== null) {
+    const [, closing, tag, attributes, selfClosing, textContent] = match;
+
+    if (textContent !== undefined) {
+      if (inText && paragraph && !inFallback) {
+        paragraph.text += decodeEntities(textContent);
+      }
+      continue;
+    }
+
+    const isOpening = !closing;
+    const isClosing = closing || selfClosing;
+
+    switch (tag) {
+      case "w:p":
+        if (isOpening) {
+          paragraph = { text: "", style: null, isList: false };
+          paragraphs.push(paragraph);
+        }
+        if (isClosing && paragraph) {
+          paragraphs.pop();
+          if (!inFallback) {
+            finishParagraph(paragraph);
+          }
+          paragraph = paragraphs[paragraphs.length - 1] || null;
+        }
+        break;
+      case "mc:Fallback":
+        inFallback = isOpening && !selfClosing;
+        break;
+      case "w:pPr":
+        inParagraphProperties = isOpening && !selfClosing;
+        break;
+      case "w:pStyle":
+        if (paragraph) {
+          paragraph.style = getAttribute(attributes, "w:val");
+        }
+        break;
+      case "w:numPr":
+        if (paragraph && isOpening) {
+          paragraph.isList = true;
+        }
+        break;
+      case "w:t":
+        inText = isOpening && !selfClosing;
+        break;
+      case "w:tab":
+        // Tabs inside paragraph properties are tab stop definitions, not content
+        if (paragraph && !inParagraphProperties) {
+          paragraph.text += "\t";
+        }
+        break;
+      case "w:br":
+      case "w:cr":
+        if (paragraph) {
+          paragraph.text += "\n";
+        }
+        break;
+      case "w:noBreakHyphen":
+        if (paragraph) {
+          paragraph.text += "-";
+        }
+        break;
+      case "w:tbl":
+        if (isOpening && !selfClosing) {
+          tables.push({ row: null, cell: null });
+        } else if (closing) {
+          tables.pop();
+        }
+        break;
+      case "w:tr":
+        if (tables.length > 0) {
+          const table = tables[tables.length - 1];
+          if (isOpening && !selfClosing) {
+            table.row = [];
+          } else if (closing && table.row) {
+            const rowText = table.row.join("\t").trim();
+            if (rowText) {
+              pushLine(rowText);
+            }
+            table.row = null;
+          }
+        }
+        break;
+      case "w:tc":
+        if (tables.length > 0) {
+          const table = tables[tables.length - 1];
+          if (isOpening && !selfClosing) {
+            table.cell = [];
+          } else if (closing && table.cell) {
+            if (table.row) {
+              table.row.push(table.cell.join(" ").replace(/\s+/g, " ").trim());
+            }
+            table.cell = null;
+          }
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Add a line to the innermost table cell, or to the document
+   * @param {string} line - Line to add
+   */
+  function pushLine(line) {
+    const table = tables[tables.length - 1];
+    if (table && table.cell) {
+      table.cell.push(line);
+    } else {
+      lines.push(line);
+    }
+  }
+
+  /**
+   * Turn a finished paragraph into one or more lines
+   * @param {Object} finished - Paragraph state
+   */
+  function finishParagraph(finished) {
+    const text = finished.text.replace(/[ \t\u00a0]+$/gm, "");
+
+    if (!text.trim()) {
+      // Keep empty paragraphs as paragraph breaks outside of tables
+      if (tables.length === 0) {
+        lines.push("");
+      }
+      return;
+    }
+
+    if (finished.style && headingStyles.has(finished.style)) {
+      headings.push(text.trim());
+    }
+
+    pushLine(finished.isList ? LIST_BULLET + text.trim() : text);
+  }
+
+  return { lines, headings };
+}
+
+/**
+ * Extract the text of a DOCX resume
+ * @param {Buffer} dataBuffer - DOCX file contents
+ * @returns {Object} - Object with the extracted text and heading lines
+ */
+function extractDocxText(dataBuffer) {
+  const entries = readZipEntries(dataBuffer);
+  const documentXml = readZipFile(dataBuffer, entries, "word/document.xml");
+  if (documentXml === null) {
+    throw new Error("Invalid DOCX file: word/document.xml not found");
+  }
+
+  const headingStyles = getHeadingStyles(
+    readZipFile(dataBuffer, entries, "word/styles.xml")
+  );
+  const { lines, headings } = convertDocumentXml(documentXml, headingStyles);
+
+  return {
+    text: lines
+      .join("\n")
+      .replace(/\n{3,}/g, "\n\n")
+      .trim(),
+    headings,
+  };
+}
+
+module.exports = {
+  isDocx,
+  extractDocxText,
+};
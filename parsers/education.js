@@ -0,0 +1,455 @@
+/**
+ * Education
+ * Reads the degree level, field of study, GPA, honours, relevant coursework
+ * and whether the degree is still in progress from the degree, institution
+ * and detail lines of each education entry. Degree abbreviations are matched
+ * as whole words with their usual capitals, so "MS" and "BA" count but "ms"
+ * inside "systems" or the "MA" of "Boston, MA" do not.
+ */
+
+const { toYearMonth } = require("./date-range");
+
+// Degree levels, highest first so "BSc/MSc" counts as a master's degree;
+// high school comes before certificate so a "High School Diploma" is not
+// read as one. Words are matched without case, abbreviations only as
+// capitalized, and abbreviations written with dots need their dots ("A.S.")
+const DEGREE_LEVELS = [
+  {
+    level: "doctorate",
+    words: /\b(?:doctorate|doctoral|doctor\s+of|ph\.?\s?d\b\.?)/i,
+    abbreviations: ["PhD", "DPhil", "EdD", "DBA", "MD", "JD", "DrPH"],
+  },
+  {
+    level: "master",
+    words: /\b(?:master(?:['’]?s)?|postgraduate\s+degree)\b/i,
+    abbreviations: [
+      "MSc",
+      "MS",
+      "MA",
+      "MBA",
+      "MEng",
+      "ME",
+      "MTech",
+      "MPhil",
+      "MRes",
+      "MFA",
+      "MPH",
+      "MPA",
+      "MEd",
+      "MCA",
+      "LLM",
+    ],
+  },
+  {
+    level: "bachelor",
+    words: /\b(?:bachelor(?:['’]?s)?|undergraduate\s+degree)\b/i,
+    abbreviations: [
+      "BSc",
+      "BS",
+      "BA",
+      "BEng",
+      "BE",
+      "BTech",
+      "BBA",
+      "BFA",
+      "BCom",
+      "BCA",
+      "BEd",
+      "LLB",
+      "AB",
+    ],
+  },
+  {
+    level: "associate",
+    words: /\bassociate(?:['’]?s)?\s+(?:degree|of|in)\b/i,
+    abbreviations: ["A.A.", "A.S.", "AAS"],
+  },
+  {
+    level: "high school",
+    words:
+      /\b(?:high\s+school|secondary\s+school|higher\s+secondary|GED|A[\s-]levels?|international\s+baccalaureate|HSC|SSC)\b/i,
+    abbreviations: [],
+  },
+  {
+    level: "certificate",
+    words: /\b(?:diploma|certificate)\b/i,
+    abbreviations: [],
+  },
+];
+
+// Abbreviations that are also US state codes, which follow a comma in a
+// location ("Boston, MA")
+const STATE_CODES = ["MA", "MS", "ME", "MD"];
+
+// Fields implied by the degree itself
+const IMPLIED_FIELDS = {
+  MBA: "Business Administration",
+  BBA: "Business Administration",
+  DBA: "Business Administration",
+  MPA: "Public Administration",
+  MPH: "Public Health",
+  DrPH: "Public Health",
+  MD: "Medicine",
+  JD: "Law",
+  LLB: "Law",
+  LLM: "Law",
+  MCA: "Computer Applications",
+  BCA: "Computer Applications",
+  BCom: "Commerce",
+  MFA: "Fine Arts",
+  BFA: "Fine Arts",
+};
+
+// Words naming the kind of degree rather than its subject ("Bachelor of
+// Science in Physics")
+const DEGREE_KINDS =
+  /^(?:(?:applied\s+)?science|arts|fine\s+arts|engineer(?:ing)?|technology|laws?|philosophy|education|commerce|business|research|studies|diploma|certificate|degree)$/i;
+
+// "(Hons)" after a degree
+const HONOURS_DEGREE = "\\(?\\s*hon(?:ou?rs|s)\\.?\\s*\\)?";
+const LEADING_HONOURS = new RegExp(`^${HONOURS_DEGREE}\\s*`, "i");
+
+// The kind of degree before its subject ("of Science (Hons) in ...")
+const KIND_BEFORE_FIELD = new RegExp(
+  `^(?:(?:of|in)\\s+)?([A-Za-z\\s]+?)(?:\\s*${HONOURS_DEGREE})?(?:\\s+(?:in|of|[–—-])|\\s*,)\\s+`,
+  "i"
+);
+
+// Words of institution names, which are not fields of study ("Bachelor of
+// Arts, Celal Bayar University")
+const INSTITUTION_WORDS =
+  /\b(?:university|college|school|institute|academy|polytechnic)\b/i;
+
+// Labels in front of a field of study
+const FIELD_LABEL =
+  /\b(?:major(?:ing)?(?:\s+in)?|field\s+of\s+study|concentration(?:\s+in)?|specializ(?:ation|ing)(?:\s+in)?|specialis(?:ation|ing)(?:\s+in)?)\s*[:\-–]?\s*/i;
+
+// Where a field of study ends
+const FIELD_END =
+  /\s*(?:[,;|()•]|\.\s|\s[–—-]\s|\b(?:at|from|with|minor|gpa|cgpa|graduated|expected|class\s+of)\b|\b(?:19|20)\d{2}\b|\b(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{4})/i;
+
+// "GPA: 3.8/4.0", "CGPA 8.7 out of 10", "3.6 GPA"
+const GPA_LABEL = "(?:c?gpa|grade\\s+point\\s+average)";
+const GPA_NUMBER = "(\\d{1,2}(?:\\.\\d{1,2})?)";
+const GPA_SCALE = `(?:\\s*(?:\\/|out\\s+of|of)\\s*(\\d{1,3}(?:\\.\\d{1,2})?))?`;
+const GPA_AFTER_LABEL = new RegExp(
+  `\\b${GPA_LABEL}\\s*(?:of|:|-|=)?\\s*${GPA_NUMBER}${GPA_SCALE}`,
+  "i"
+);
+const GPA_BEFORE_LABEL = new RegExp(
+  `\\b${GPA_NUMBER}${GPA_SCALE}\\s*${GPA_LABEL}\\b`,
+  "i"
+);
+
+// Academic honours, with the name they are listed under
+const HONORS = [
+  { name: "Summa Cum Laude", pattern: /\bsumma\s+cum\s+laude\b/i },
+  { name: "Magna Cum Laude", pattern: /\bmagna\s+cum\s+laude\b/i },
+  { name: "Cum Laude", pattern: /(?<!summa\s+|magna\s+)\bcum\s+laude\b/i },
+  {
+    name: "First-Class Honours",
+    pattern: /\b(?:first|1st)[\s-]+class\b/i,
+  },
+  {
+    name: "Upper Second-Class Honours",
+    pattern: /\bupper\s+second[\s-]+class\b|\b2\s*:\s*1\b/i,
+  },
+  {
+    name: "Lower Second-Class Honours",
+    pattern: /\blower\s+second[\s-]+class\b|\b2\s*:\s*2\b/i,
+  },
+  {
+    name: "Third-Class Honours",
+    pattern: /\b(?:third|3rd)[\s-]+class\b/i,
+  },
+  {
+    name: "With High Distinction",
+    pattern: /\bwith\s+(?:high|highest)\s+distinction\b/i,
+  },
+  {
+    name: "With Distinction",
+    pattern:
+      /\b(?:with\s+)?distinction\b(?<!\b(?:high|highest)\s+distinction)/i,
+  },
+  {
+    name: "With Honors",
+    pattern: /\bwith\s+(?:high(?:est)?\s+)?hono(?:u)?rs\b/i,
+  },
+  {
+    name: "Dean's List",
+    pattern: /\bdean['’]?s['’]?\s+(?:list|hono(?:u)?r\s+(?:list|roll))\b/i,
+  },
+  { name: "President's List", pattern: /\bpresident['’]?s['’]?\s+list\b/i },
+  { name: "Valedictorian", pattern: /\bvaledictorian\b/i },
+  { name: "Salutatorian", pattern: /\bsalutatorian\b/i },
+];
+
+// "Relevant Coursework: Algorithms, Databases", "Key modules - ..."
+const COURSEWORK_LABEL =
+  /^(?:(?:relevant|related|key|selected|core)\s+)?(?:course\s*work|courses|modules|subjects)(?:\s+(?:include[sd]?|taken|completed))?\s*[:\-–]\s*/i;
+
+// Words marking a degree that is not finished yet
+const IN_PROGRESS =
+  /\b(?:expected|anticipated|in\s+progress|ongoing|pursuing|candidate|currently\s+enrolled|to\s+graduate)\b/i;
+
+// Bullets and list markers at the start of a line
+const BULLET = /^[\s•·▪◦●○■□➢➤►▶✓✔*-]+/;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build the pattern for degree abbreviations, which may be written with dots
+ * ("M.Sc.", "B.S.")
+ * @param {string[]} abbreviations - Abbreviations, with dots where required
+ * @returns {RegExp|null} - Pattern capturing the abbreviation, or null
+ */
+function abbreviationPattern(abbreviations) {
+  if (abbreviations.length === 0) return null;
+  const alternatives = abbreviations
+    .map((abbreviation) => {
+      const pattern = abbreviation.includes(".")
+        ? escapeRegExp(abbreviation.replace(/\.$/, ""))
+        : abbreviation.split("").join("(?:\\.\\s?)?");
+      return STATE_CODES.includes(abbreviation)
+        ? `(?<!,\\s?)${pattern}`
+        : pattern;
+    })
+    .sort((a, b) => b.length - a.length);
+  // A dot after the last letter belongs to the abbreviation only when it is
+  // written with dots ("M.B.A."); otherwise it ends the sentence ("MBA.")
+  return new RegExp(
+    `\\b(${alternatives.join("|")})(?![\\w])(?:(?<=\\.\\s?[A-Za-z]{1,2})\\.)?`
+  );
+}
+
+const DEGREE_PATTERNS = DEGREE_LEVELS.map((entry) => ({
+  ...entry,
+  abbreviationPattern: abbreviationPattern(entry.abbreviations),
+}));
+
+/**
+ * Find the degree named in a piece of text
+ * @param {string} text - Degree line or other education text
+ * @returns {Object|null} - `{level, match, abbreviation}` for the highest
+ *   degree named, or null when none is
+ */
+function findDegree(text) {
+  for (const entry of DEGREE_PATTERNS) {
+    const wordMatch = text.match(entry.words);
+    const abbreviationMatch =
+      entry.abbreviationPattern && text.match(entry.abbreviationPattern);
+    const match = [wordMatch, abbreviationMatch]
+      .filter(Boolean)
+      .sort((a, b) => a.index - b.index)[0];
+    if (match) {
+      return {
+        level: entry.level,
+        match,
+        abbreviation:
+          match === abbreviationMatch ? match[1].replace(/[.\s]/g, "") : null,
+      };
+    }
+  }
+  return null;
+}
+
+/**
+ * Cut a field of study out of the text that follows it
+ * @param {string} text - Text starting with the field
+ * @returns {string|null} - Field of study, or null when none is left
+ */
+function readField(text) {
+  const end = text.match(FIELD_END);
+  const field = (end ? text.slice(0, end.index) : text)
+    .replace(/[\s.:&–—-]+$/, "")
+    .trim();
+  if (!/^[A-Za-z&]/.test(field) || field.split(/\s+/).length > 8) {
+    return null;
+  }
+  return DEGREE_KINDS.test(field) || INSTITUTION_WORDS.test(field)
+    ? null
+    : field;
+}
+
+/**
+ * Find the field of study of a degree
+ * @param {string} degreeText - Text naming the degree
+ * @param {Object|null} degree - Degree found in the text, see findDegree
+ * @param {string[]} details - Detail lines of the entry
+ * @returns {string|null} - Field of study, or null when none is named
+ */
+function findFieldOfStudy(degreeText, degree, details) {
+  // "Major: Computer Science" anywhere in the entry
+  for (const line of [degreeText, ...details]) {
+    const label = line.match(FIELD_LABEL);
+    if (label) {
+      const field = readField(line.slice(label.index + label[0].length));
+      if (field) return field;
+    }
+  }
+
+  if (degree) {
+    // "Bachelor of Science in Physics", "BSc (Hons) Physics", "MS, Physics"
+    const rest = degreeText
+      .slice(degree.match.index + degree.match[0].length)
+      .replace(/^\s*(?:degree)?\s*/i, "")
+      .replace(LEADING_HONOURS, "")
+      .replace(/^,\s*/, "");
+    const kind = rest.match(KIND_BEFORE_FIELD);
+    if (kind && DEGREE_KINDS.test(kind[1].trim())) {
+      const field = readField(rest.slice(kind[0].length));
+      if (field) return field;
+    }
+    const field = readField(rest.replace(/^(?:of|in)\s+/i, ""));
+    if (field) return field;
+
+    if (degree.abbreviation && IMPLIED_FIELDS[degree.abbreviation]) {
+      return IMPLIED_FIELDS[degree.abbreviation];
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read a grade point average and its scale
+ * @param {string[]} lines - Degree and detail lines of the entry
+ * @returns {Object|null} - `{value, scale}`, or null when no GPA is given. A
+ *   scale that is not written is taken as the usual one for the value (4, 5,
+ *   10 or 100)
+ */
+function findGpa(lines) {
+  for (const line of lines) {
+    const match = line.match(GPA_AFTER_LABEL) || line.match(GPA_BEFORE_LABEL);
+    if (!match) continue;
+
+    const value = parseFloat(match[1]);
+    const scale = match[2]
+      ? parseFloat(match[2])
+      : [4, 5, 10, 100].find((usual) => value <= usual);
+    if (!scale || value > scale) continue;
+    return { value, scale };
+  }
+  return null;
+}
+
+/**
+ * List the academic honours of an entry
+ * @param {string[]} lines - Degree and detail lines of the entry
+ * @returns {string[]} - Honours by their usual name, each listed once
+ */
+function findHonors(lines) {
+  const text = lines.join(" | ");
+  return HONORS.filter(({ pattern }) => pattern.test(text)).map(
+    ({ name }) => name
+  );
+}
+
+/**
+ * List the courses after a "Relevant Coursework" label; the list may go on
+ * over the following detail lines
+ * @param {string[]} details - Detail lines of the entry
+ * @returns {string[]} - Course names as written
+ */
+function findCoursework(details) {
+  const courses = [];
+  for (let i = 0; i < details.length; i++) {
+    const line = details[i].replace(BULLET, "");
+    const label = line.match(COURSEWORK_LABEL);
+    if (!label) continue;
+
+    let text = line.slice(label[0].length);
+    while (/,\s*$/.test(text) && i + 1 < details.length) {
+      text += " " + details[++i].replace(BULLET, "");
+    }
+
+    for (const part of text.split(/\s*[,;|•]\s*/)) {
+      const course = part
+        .replace(/^(?:and|&)\s+/i, "")
+        .replace(/\s*\b(?:etc|and more)\b\.?$/i, "")
+        .replace(/[.\s]+$/, "")
+        .trim();
+      if (course && !courses.includes(course)) courses.push(course);
+    }
+  }
+  return courses;
+}
+
+/**
+ * Describe one education entry
+ * @param {Object} entry - Education entry with degree, institution, period,
+ *   details and, when added, structured `dates`
+ * @param {Object} [options] - Parsing options
+ * @param {Date|string} [options.asOf] - Date a degree ending later is still
+ *   in progress at; defaults to today
+ * @returns {Object} - `{degreeLevel, fieldOfStudy, gpa, honors,
+ *   relevantCoursework, expected}`
+ */
+function describeEducation(entry, options = {}) {
+  const details = (entry.details || []).filter(
+    (line) => typeof line === "string"
+  );
+  const degreeText = entry.degree || "";
+  const institution = entry.institution || "";
+
+  // The degree line comes first; some parsers leave the degree in the
+  // institution or the details
+  const sources = [degreeText, institution, ...details];
+  let degreeSource = degreeText;
+  let degree = null;
+  for (const source of sources) {
+    degree = findDegree(source);
+    if (degree) {
+      degreeSource = source;
+      break;
+    }
+  }
+
+  const lines = sources.filter(Boolean);
+  return {
+    degreeLevel: degree ? degree.level : null,
+    fieldOfStudy: findFieldOfStudy(degreeSource, degree, details),
+    gpa: findGpa(lines),
+    honors: findHonors(lines),
+    relevantCoursework: findCoursework(details),
+    expected:
+      Boolean(
+        entry.dates &&
+          (entry.dates.isCurrent ||
+            (entry.dates.end && entry.dates.end > toYearMonth(options.asOf)))
+      ) || IN_PROGRESS.test([...lines, entry.period || ""].join(" ")),
+  };
+}
+
+/**
+ * Add the degree level, field of study, GPA, honours, coursework and
+ * in-progress flag to every education entry
+ * @param {Object} result - Parser result, with structured `dates` added
+ * @param {Object} [options] - Parsing options
+ * @param {Date|string} [options.asOf] - Date a degree ending later is still
+ *   in progress at
+ * @returns {Object} - The same result
+ */
+function addEducationDetails(result, options = {}) {
+  if (!Array.isArray(result.education)) return result;
+
+  for (const entry of result.education) {
+    if (entry && typeof entry === "object") {
+      Object.assign(entry, describeEducation(entry, options));
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  addEducationDetails,
+  describeEducation,
+  findDegree,
+};
@@ -0,0 +1,421 @@
+/**
+ * Employer Roles
+ * Groups the roles a candidate held at one employer. Resumes often list the
+ * company once with several titles and date ranges beneath it:
+ *
+ *   Acme Corp, Sydney
+ *   Senior Software Engineer, Jan 2021 - Present
+ *   • ...
+ *   Software Engineer, Jun 2018 - Dec 2020
+ *   • ...
+ *
+ * Such blocks become one experience entry with a `roles` list, and so do
+ * consecutive entries naming the same company. Every entry keeps a flattened
+ * view for code that reads entries as single jobs: the latest title, the
+ * whole tenure as its period and the bullets of all roles. Promotions are
+ * found by comparing the seniority of consecutive titles at one employer.
+ */
+
+const { parseDateRange } = require("./date-range");
+const { findLocation } = require("./locations");
+const { joinBulletLines } = require("./bullets");
+
+// Bullets and list markers at the start of a line
+const BULLET = /^[•·▪◦●○■□➢➤►▶✓✔*-]\s*/;
+
+const MONTH = "(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?";
+const DATE = `(?:${MONTH}\\s*,?\\s*(?:19|20)\\d{2}|\\d{1,2}[/.-](?:19|20)\\d{2}|(?:19|20)\\d{2})`;
+const END_DATE = `(?:${DATE}|present|current|now|today)`;
+
+// A date range in a line ("Jan 2021 - Present", "(2018 - 2020)")
+const DATE_RANGE = new RegExp(
+  `\\(?\\b${DATE}\\s*(?:-|–|—|to|until)\\s*${END_DATE}\\b\\)?`,
+  "i"
+);
+
+// A line starting with its date range
+const LEADING_DATE_RANGE = new RegExp(`^${DATE_RANGE.source}`, "i");
+
+// Separator between the start and end of a period
+const PERIOD_SEPARATOR = /\s+(?:-|to|until)\s+|\s*[–—]\s*/i;
+
+// Separators left around a title or company once the dates are removed
+const EDGE_SEPARATORS = /^[\s,|·–—-]+|[\s,|·–—-]+$/g;
+
+// A title naming its own employer ("Engineer at Initech")
+const AT_EMPLOYER = /\s(?:at|@)\s+\S/;
+
+// Separators between the parts of a heading ("Engineer, Initech | Sydney")
+const PART_SEPARATOR = /,|\s[|·–—-]\s/;
+
+// Work arrangements written next to a title
+const WORK_MODE =
+  /^(?:remote|hybrid|on-?site|full-?time|part-?time|contract)$/i;
+
+// Words of job titles, which company names rarely contain
+const TITLE_WORDS =
+  /\b(?:engineer|developer|programmer|manager|director|analyst|consultant|designer|architect|scientist|specialist|administrator|officer|coordinator|assistant|associate|intern|lead|head|president|vp|executive|technician|representative|advisor|adviser|researcher|teacher|tutor|instructor|lecturer|editor|writer|accountant|supervisor|founder|co-founder|owner|partner|agent|clerk|nurse|strategist|product owner|scrum master|chief|cto|ceo|cfo|coo|trainee|apprentice|fellow|attorney|lawyer|recruiter|marketer|tester|operator)s?\b/i;
+
+// Seniority of job titles, from the most senior; titles without any of
+// these words rank in between ("Software Engineer")
+const SENIORITY = [
+  { rank: 9, pattern: /\b(?:chief|ceo|cto|cfo|coo|(?<!vice\s)president)\b/i },
+  { rank: 8, pattern: /\b(?:vp|vice\s+president|svp|evp)\b/i },
+  { rank: 7, pattern: /\b(?:director|head\s+of)\b/i },
+  { rank: 6, pattern: /\b(?:principal|distinguished|senior\s+manager)\b/i },
+  { rank: 5, pattern: /\b(?:manager|staff|architect)\b/i },
+  { rank: 4, pattern: /\b(?:lead|team\s+lead|supervisor)\b/i },
+  { rank: 3, pattern: /\b(?:senior|sr\.?)\b/i },
+  { rank: 1, pattern: /\b(?:junior|jr\.?|associate|assistant|graduate)\b/i },
+  {
+    rank: 0,
+    pattern: /\b(?:intern(?:ship)?|trainee|apprentice|co-?op)\b/i,
+  },
+];
+const DEFAULT_SENIORITY = 2;
+
+// Level numbers after a title ("Software Engineer II", "Analyst 3")
+const TITLE_LEVEL = /\b(I{1,3}|IV|V|[1-5])\s*$/;
+const ROMAN_LEVELS = { I: 1, II: 2, III: 3, IV: 4, V: 5 };
+
+/**
+ * Check whether a line could name an employer: short, not a sentence and
+ * not a job title
+ * @param {string} text - Line without its dates
+ * @returns {boolean} - True for lines such as "Acme Corp, Sydney"
+ */
+function looksLikeEmployer(text) {
+  if (!text || text.length > 80 || /[.:;]$/.test(text)) return false;
+  if (!/^[A-Z0-9]/.test(text) || TITLE_WORDS.test(text)) return false;
+  const name = text.split(PART_SEPARATOR)[0];
+  return name.split(/\s+/).length <= 6 && text.split(/\s+/).length <= 12;
+}
+
+/**
+ * Check whether a role's heading names an employer besides the title
+ * ("Engineer at Initech", "Research Intern - Patches Australia"), so the
+ * role does not belong to the employer above it
+ * @param {string} title - Role heading without its dates
+ * @returns {boolean} - True when a part other than the title, a location or
+ *   a work arrangement is left
+ */
+function namesOwnEmployer(title) {
+  if (AT_EMPLOYER.test(title)) return true;
+  return title
+    .split(PART_SEPARATOR)
+    .slice(1)
+    .map((part) => part.trim())
+    .some(
+      (part) =>
+        part &&
+        !TITLE_WORDS.test(part) &&
+        !WORK_MODE.test(part) &&
+        !findLocation(part)
+    );
+}
+
+/**
+ * Read a role starting at a line: a title with its dates on the same line
+ * ("Senior Engineer, Jan 2021 - Present") or on the next one
+ * @param {string[]} lines - Experience lines
+ * @param {number} index - Line to read from
+ * @returns {Object|null} - `{title, period, location, lineCount}`, or null
+ *   when no role starts there
+ */
+function readRole(lines, index) {
+  const line = lines[index];
+  if (!line || BULLET.test(line)) return null;
+
+  const range = line.match(DATE_RANGE);
+  if (range) {
+    const title = line.replace(range[0], " ").replace(EDGE_SEPARATORS, "");
+    if (!TITLE_WORDS.test(title)) return null;
+    return { title, period: cleanPeriod(range[0]), location: "", lineCount: 1 };
+  }
+
+  const next = lines[index + 1] || "";
+  const nextRange = next.match(LEADING_DATE_RANGE);
+  if (!nextRange || !TITLE_WORDS.test(line) || line.length > 80) return null;
+  const location = next.slice(nextRange[0].length).replace(EDGE_SEPARATORS, "");
+  return {
+    title: line.replace(EDGE_SEPARATORS, ""),
+    period: cleanPeriod(nextRange[0]),
+    location,
+    lineCount: 2,
+  };
+}
+
+/**
+ * Read an employer heading followed by a role
+ * @param {string[]} lines - Experience lines
+ * @param {number} index - Line to read from
+ * @returns {Object|null} - `{company, location, period}`, or null when the
+ *   line is not an employer heading
+ */
+function readEmployer(lines, index) {
+  const line = lines[index];
+  if (!line || BULLET.test(line) || !readRole(lines, index + 1)) return null;
+
+  // The heading may carry the whole tenure ("Acme Corp  2016 - Present")
+  const range = line.match(DATE_RANGE);
+  const text = (range ? line.replace(range[0], " ") : line).replace(
+    EDGE_SEPARATORS,
+    ""
+  );
+  if (!looksLikeEmployer(text)) return null;
+
+  // Keep a trailing location apart from the company name
+  let company = text;
+  let location = "";
+  const place = findLocation(text);
+  if (place && text.endsWith(place.raw) && text.length > place.raw.length) {
+    company = text.slice(0, -place.raw.length).replace(EDGE_SEPARATORS, "");
+    location = place.raw;
+  }
+
+  return { company, location, period: range ? cleanPeriod(range[0]) : "" };
+}
+
+/**
+ * Remove the brackets around a period
+ * @param {string} period - Period as matched
+ * @returns {string} - Period without brackets
+ */
+function cleanPeriod(period) {
+  return period.replace(/^\(|\)$/g, "").trim();
+}
+
+/**
+ * Get the start of a period, for ordering roles
+ * @param {string} period - Role period
+ * @returns {string} - Start as "YYYY-MM", empty when unknown
+ */
+function periodStart(period) {
+  const range = parseDateRange(period);
+  return (range && range.start) || "";
+}
+
+/**
+ * Build the period an employer was worked for from the periods of its roles
+ * @param {Object[]} roles - Roles with their periods
+ * @returns {string} - Period from the start of the first role to the end of
+ *   the last one
+ */
+function tenurePeriod(roles) {
+  const dated = roles.filter((role) => role.period);
+  if (dated.length === 0) return "";
+  if (dated.length === 1) return dated[0].period;
+
+  const byStart = [...dated].sort((a, b) =>
+    periodStart(a.period).localeCompare(periodStart(b.period))
+  );
+  const [firstStart] = byStart[0].period.split(PERIOD_SEPARATOR);
+  const lastParts = byStart[byStart.length - 1].period.split(PERIOD_SEPARATOR);
+  const lastEnd = lastParts[lastParts.length - 1];
+  return `${firstStart.trim()} - ${lastEnd.trim()}`;
+}
+
+/**
+ * Build an experience entry for an employer and its roles
+ * @param {Object} employer - `{company, location, period}`
+ * @param {Object[]} roles - `{title, period, location, responsibilities}`,
+ *   in the order the resume lists them
+ * @returns {Object} - Experience entry with the flattened view and `roles`
+ */
+function toEmployerEntry(employer, roles) {
+  const latest = roles.reduce((best, role) =>
+    periodStart(role.period) > periodStart(best.period) ? role : best
+  );
+  return {
+    title: latest.title,
+    company: employer.company,
+    location:
+      employer.location ||
+      roles.map((role) => role.location).find(Boolean) ||
+      "",
+    period: employer.period || tenurePeriod(roles),
+    responsibilities: roles.flatMap((role) => role.responsibilities),
+    roles,
+  };
+}
+
+/**
+ * Find the blocks of experience lines that list one employer with several
+ * roles beneath it
+ * @param {string[]} lines - Experience lines
+ * @returns {Object[]} - `{start, end, entry}` for each block, `end` being
+ *   the line after it
+ */
+function findEmployerBlocks(lines) {
+  const blocks = [];
+  let index = 0;
+  while (index < lines.length) {
+    const employer = readEmployer(lines, index);
+    if (!employer) {
+      index++;
+      continue;
+    }
+
+    const roles = [];
+    let next = index + 1;
+    while (next < lines.length && !readEmployer(lines, next)) {
+      const role = readRole(lines, next);
+      if (role && namesOwnEmployer(role.title)) break;
+      if (role) {
+        const { lineCount, ...fields } = role;
+        roles.push({ ...fields, responsibilities: [] });
+        next += lineCount;
+      } else {
+        roles[roles.length - 1].responsibilities.push(lines[next]);
+        next++;
+      }
+    }
+
+    if (roles.length >= 2) {
+      for (const role of roles) {
+        role.responsibilities = joinBulletLines(role.responsibilities);
+      }
+      blocks.push({
+        start: index,
+        end: next,
+        entry: toEmployerEntry(employer, roles),
+      });
+      index = next;
+    } else {
+      index++;
+    }
+  }
+  return blocks;
+}
+
+/**
+ * Turn a parser's experience entry into a role
+ * @param {Object} entry - Experience entry
+ * @returns {Object} - `{title, period, location, responsibilities}`
+ */
+function toRole(entry) {
+  return {
+    title: entry.title || entry.position || "",
+    period: entry.period || "",
+    location: entry.location || "",
+    responsibilities: [...(entry.responsibilities || entry.description || [])],
+  };
+}
+
+/**
+ * Get a comparison key for a company name
+ * @param {string} company - Company name
+ * @returns {string} - Lowercase name without punctuation
+ */
+function companyKey(company) {
+  return (company || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+/**
+ * Give every entry its `roles`, merging consecutive entries that name the
+ * same company into one entry for the employer
+ * @param {Object[]} entries - Experience entries
+ * @returns {Object[]} - Entries with `roles`
+ */
+function groupRoles(entries) {
+  const grouped = [];
+  for (const entry of entries) {
+    if (Array.isArray(entry.roles)) {
+      grouped.push(entry);
+      continue;
+    }
+
+    const previous = grouped[grouped.length - 1];
+    const key = companyKey(entry.company);
+    if (previous && key && companyKey(previous.company) === key) {
+      const roles = [...previous.roles, toRole(entry)];
+      grouped[grouped.length - 1] = toEmployerEntry(
+        {
+          company: previous.company,
+          location: previous.location || entry.location || "",
+          period: "",
+        },
+        roles
+      );
+    } else {
+      grouped.push({ ...entry, roles: [toRole(entry)] });
+    }
+  }
+  return grouped;
+}
+
+/**
+ * Extract the experience entries of a section, reading employers listed
+ * with several roles here and passing all other lines to the parser's own
+ * extraction
+ * @param {string[]} lines - Experience section lines
+ * @param {Function} extractEntries - The parser's extraction, taking lines
+ *   and returning experience entries
+ * @returns {Object[]} - Experience entries, each with its `roles`
+ */
+function extractExperienceWithRoles(lines, extractEntries) {
+  const entries = [];
+  let position = 0;
+  for (const block of findEmployerBlocks(lines)) {
+    if (block.start > position) {
+      entries.push(...extractEntries(lines.slice(position, block.start)));
+    }
+    entries.push(block.entry);
+    position = block.end;
+  }
+  if (position < lines.length) {
+    entries.push(...extractEntries(lines.slice(position)));
+  }
+  return groupRoles(entries);
+}
+
+/**
+ * Rank the seniority of a job title
+ * @param {string} title - Job title
+ * @returns {number} - Rank, with a title level ("II") adding a fraction
+ */
+function seniority(title) {
+  const match = SENIORITY.find(({ pattern }) => pattern.test(title));
+  const rank = match ? match.rank : DEFAULT_SENIORITY;
+  const level = title.trim().match(TITLE_LEVEL);
+  const levelNumber = level ? ROMAN_LEVELS[level[1]] || Number(level[1]) : 1;
+  return rank + (levelNumber - 1) / 10;
+}
+
+/**
+ * Find the promotions within one employer: moves to a more senior title
+ * @param {Object} entry - Experience entry with `roles`, whose roles have
+ *   structured `dates`
+ * @returns {Object[]} - `{company, from, to, date}` for each promotion, in
+ *   order, `date` being the start of the new role
+ */
+function findPromotions(entry) {
+  const roles = (entry.roles || []).filter(
+    (role) => role.title && role.dates && role.dates.start
+  );
+  roles.sort((a, b) => a.dates.start.localeCompare(b.dates.start));
+
+  const promotions = [];
+  for (let i = 1; i < roles.length; i++) {
+    const from = roles[i - 1];
+    const to = roles[i];
+    if (seniority(to.title) > seniority(from.title)) {
+      promotions.push({
+        company: entry.company || "",
+        from: from.title,
+        to: to.title,
+        date: to.dates.start,
+      });
+    }
+  }
+  return promotions;
+}
+
+module.exports = {
+  extractExperienceWithRoles,
+  findPromotions,
+  groupRoles,
+};
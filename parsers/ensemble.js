@@ -0,0 +1,422 @@
+/**
+ * Ensemble Merge
+ * Combines the results of several parsers field by field. Text fields are
+ * settled by a vote weighted with each parser's score, entries in lists such
+ * as experience and education are aligned and de-duplicated, and the parser
+ * that supplied each field is recorded.
+ */
+
+const { resumeSchema, getDefaultValue } = require("./schema");
+
+// Entry fields that identify an entry, per list field
+const ENTRY_LABEL_FIELDS = {
+  experience: ["company", "title", "position"],
+  education: ["institution", "degree"],
+  languages: ["language"],
+  certifications: ["name"],
+  projects: ["name"],
+  honors: ["title"],
+  additionalSections: ["heading"],
+};
+
+// Entry fields holding the entry's dates
+const ENTRY_DATE_FIELDS = ["period", "timeframe", "date"];
+
+// List fields whose entries are expected to carry a period
+const DATED_LIST_FIELDS = ["experience"];
+
+// Checks a value has to pass before it can take part in a vote
+const VALUE_CHECKS = {
+  email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  phone: (value) => value.replace(/\D/g, "").length >= 8,
+  linkedin: (value) => /linkedin\.com\//i.test(value),
+  github: (value) => /github\.com\//i.test(value),
+};
+
+// Fields describing another field, taken from the parser that supplied it
+const DEPENDENT_FIELDS = {
+  nameConfidence: "name",
+  phoneE164: "phone",
+  place: "location",
+  skillGroups: "skills",
+};
+
+// Share of shared words needed for two entry labels to be the same entry
+const LABEL_SIMILARITY = 0.5;
+const LABEL_ONLY_SIMILARITY = 0.8;
+
+/**
+ * Normalize a text value for comparison
+ * @param {string} field - Field name
+ * @param {string} value - Field value
+ * @returns {string} - Comparison key
+ */
+function normalizeValue(field, value) {
+  if (field === "phone") {
+    return value.replace(/\D/g, "");
+  }
+  return value.toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Check whether a field value is empty
+ * @param {*} value - Field value
+ * @returns {boolean} - True if the value is missing, blank or an empty array
+ */
+function isEmpty(value) {
+  if (Array.isArray(value)) return value.length === 0;
+  return value === undefined || value === null || String(value).trim() === "";
+}
+
+/**
+ * Order parser names from the highest to the lowest score
+ * @param {string[]} names - Parser names
+ * @param {Object} scores - Score for each parser
+ * @returns {string[]} - Sorted parser names
+ */
+function byScore(names, scores) {
+  return [...names].sort((a, b) => (scores[b] || 0) - (scores[a] || 0));
+}
+
+/**
+ * Settle a text field by a vote between parsers. Parsers agreeing on a value
+ * add up their votes; ties go to the value backed by the best-scoring parser
+ * @param {string} field - Field name
+ * @param {Object} results - Parser results keyed by parser name
+ * @param {Object} scores - Score for each parser
+ * @returns {Object|null} - Object with the value and the parser that supplied
+ *   it, or null if no parser found the field
+ */
+function voteScalar(field, results, scores) {
+  const groups = {};
+  for (const name of byScore(Object.keys(results), scores)) {
+    const value = results[name][field];
+    if (typeof value !== "string" || isEmpty(value)) continue;
+    if (VALUE_CHECKS[field] && !VALUE_CHECKS[field](value.trim())) continue;
+
+    const key = normalizeValue(field, value);
+    if (!groups[key]) {
+      groups[key] = { value: value.trim(), source: name, votes: 0 };
+    }
+    groups[key].votes++;
+  }
+
+  const [winner] = Object.values(groups).sort(
+    (a, b) =>
+      b.votes - a.votes || (scores[b.source] || 0) - (scores[a.source] || 0)
+  );
+  return winner || null;
+}
+
+/**
+ * Take a list of strings from the best-scoring parser that found any
+ * @param {string} field - Field name
+ * @param {Object} results - Parser results keyed by parser name
+ * @param {Object} scores - Score for each parser
+ * @returns {Object|null} - Object with the de-duplicated list and its parser
+ */
+function pickList(field, results, scores) {
+  for (const name of byScore(Object.keys(results), scores)) {
+    const list = results[name][field];
+    if (!Array.isArray(list) || list.length === 0) continue;
+
+    const seen = new Set();
+    const value = list.filter((item) => {
+      const key = normalizeValue(field, String(item));
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    return { value, source: name };
+  }
+  return null;
+}
+
+/**
+ * Take an object field from the best-scoring parser that produced one
+ * @param {string} field - Field name
+ * @param {Object} results - Parser results keyed by parser name
+ * @param {Object} scores - Score for each parser
+ * @returns {Object|null} - Object with the value and its parser
+ */
+function pickObject(field, results, scores) {
+  for (const name of byScore(Object.keys(results), scores)) {
+    const value = results[name][field];
+    if (value && typeof value === "object" && !Array.isArray(value)) {
+      return { value, source: name };
+    }
+  }
+  return null;
+}
+
+/**
+ * Get the words of an entry's label (company, institution, name...)
+ * @param {string} field - List field name
+ * @param {Object} entry - List entry
+ * @param {string[]} [labelFields] - Label fields to read, all by default
+ * @returns {Set<string>} - Lowercase words of the label
+ */
+function getLabelWords(field, entry, labelFields = ENTRY_LABEL_FIELDS[field]) {
+  const label = (labelFields || [])
+    .map((labelField) => entry[labelField] || "")
+    .join(" ");
+  return new Set(label.toLowerCase().match(/[a-z0-9]+/g) || []);
+}
+
+/**
+ * Get a comparison key for an entry's dates, empty if they hold no year
+ * @param {Object} entry - List entry
+ * @returns {string} - Normalized dates
+ */
+function getDateKey(entry) {
+  const dates = ENTRY_DATE_FIELDS.map((field) => entry[field] || "").join(" ");
+  if (!/\b\d{4}\b/.test(dates)) return "";
+  return dates
+    .toLowerCase()
+    .replace(/\s*(?:-|–|—|to)\s*/g, "-")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Measure how many label words two entries share
+ * @param {Set<string>} a - Label words of the first entry
+ * @param {Set<string>} b - Label words of the second entry
+ * @returns {number} - Shared words divided by the words of the shorter label
+ */
+function labelSimilarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  const shared = [...a].filter((word) => b.has(word)).length;
+  return shared / Math.min(a.size, b.size);
+}
+
+/**
+ * Check whether two entries with the same dates clearly describe different
+ * things: both name their main label (company, institution...) and the names
+ * differ, and the remaining label fields (title, degree...) don't agree either
+ * @param {string} field - List field name
+ * @param {Object} a - First entry
+ * @param {Object} b - Second entry
+ * @returns {boolean} - True if the labels conflict
+ */
+function labelsConflict(field, a, b) {
+  const [mainField, ...otherFields] = ENTRY_LABEL_FIELDS[field] || [];
+  if (!mainField) return false;
+
+  const mainA = getLabelWords(field, a, [mainField]);
+  const mainB = getLabelWords(field, b, [mainField]);
+  if (mainA.size === 0 || mainB.size === 0) return false;
+  if (labelSimilarity(mainA, mainB) >= LABEL_SIMILARITY) return false;
+
+  const othersA = getLabelWords(field, a, otherFields);
+  const othersB = getLabelWords(field, b, otherFields);
+  return labelSimilarity(othersA, othersB) < LABEL_SIMILARITY;
+}
+
+/**
+ * Check whether any label field of one entry is similar to any label field of
+ * the other. Fields are compared across, since parsers often read a company
+ * as the title. Shared words are counted against the longer label, so a
+ * description line that mentions the company does not match it
+ * @param {string} field - List field name
+ * @param {Object} a - First entry
+ * @param {Object} b - Second entry
+ * @returns {boolean} - True if two of the label fields match
+ */
+function labelFieldsMatch(field, a, b) {
+  const labelFields = ENTRY_LABEL_FIELDS[field] || [];
+  return labelFields.some((fieldA) =>
+    labelFields.some((fieldB) => {
+      const wordsA = getLabelWords(field, a, [fieldA]);
+      const wordsB = getLabelWords(field, b, [fieldB]);
+      const shared = [...wordsA].filter((word) => wordsB.has(word)).length;
+      return (
+        shared > 0 &&
+        shared / Math.max(wordsA.size, wordsB.size) >= LABEL_SIMILARITY
+      );
+    })
+  );
+}
+
+/**
+ * Check whether two entries from different parsers describe the same thing.
+ * Entries with the same dates are the same entry unless their labels clearly
+ * conflict, since one parser often garbles the label of an entry another read
+ * well. When only one side has dates, a similar company or title is enough;
+ * without dates on both sides the labels have to be nearly identical
+ * @param {string} field - List field name
+ * @param {Object} a - First entry
+ * @param {Object} b - Second entry
+ * @returns {boolean} - True if the entries match
+ */
+function isSameEntry(field, a, b) {
+  const datesA = getDateKey(a);
+  const datesB = getDateKey(b);
+
+  if (datesA && datesB) {
+    return datesA === datesB && !labelsConflict(field, a, b);
+  }
+  if (datesA || datesB) {
+    return labelFieldsMatch(field, a, b);
+  }
+  return (
+    labelSimilarity(getLabelWords(field, a), getLabelWords(field, b)) >=
+    LABEL_ONLY_SIMILARITY
+  );
+}
+
+/**
+ * Fill the empty fields of a merged entry from a matching entry
+ * @param {Object} target - Merged entry
+ * @param {Object} entry - Entry from another parser
+ */
+function fillEntry(target, entry) {
+  for (const [key, value] of Object.entries(entry)) {
+    if (isEmpty(target[key]) && !isEmpty(value)) {
+      target[key] = value;
+    }
+  }
+}
+
+/**
+ * Merge list entries from all parsers. The best-scoring parser's entries come
+ * first; matching entries from other parsers fill in their empty fields, and
+ * entries only other parsers found are added when they are labelled and dated.
+ * In experience, some parsers keep a job's period on a separate entry of its
+ * own ("Web Developer Intern", then "RMgx Technologies LLP, 05/2022 -
+ * 01/2023"), so a dated entry that matches nothing dates the undated entry
+ * matched just before it, and undated entries of the best-scoring parser that
+ * no other parser confirms are dropped once other parsers found jobs too
+ * @param {string} field - List field name
+ * @param {Object} results - Parser results keyed by parser name
+ * @param {Object} scores - Score for each parser
+ * @returns {Object} - Object with the merged entries and, for each entry, the
+ *   parsers that supplied it
+ */
+function mergeEntries(field, results, scores) {
+  const merged = [];
+  const sources = [];
+  const dated = DATED_LIST_FIELDS.includes(field);
+  let primary = null;
+  let otherParsers = false;
+
+  for (const name of byScore(Object.keys(results), scores)) {
+    const list = results[name][field];
+    if (!Array.isArray(list)) continue;
+
+    const entries = list.filter((entry) => entry && typeof entry === "object");
+    if (entries.length === 0) continue;
+    if (!primary) primary = name;
+    else otherParsers = true;
+
+    // Each merged entry is matched at most once per parser
+    const matched = new Set();
+    let previous = -1;
+    for (const entry of entries) {
+      let index = merged.findIndex(
+        (existing, i) => !matched.has(i) && isSameEntry(field, existing, entry)
+      );
+
+      // The period of the entry this parser matched last, kept apart from it
+      const datesPrevious =
+        dated &&
+        index === -1 &&
+        name !== primary &&
+        previous !== -1 &&
+        getDateKey(entry) &&
+        !getDateKey(merged[previous]);
+      if (datesPrevious) {
+        fillEntry(merged[previous], entry);
+        previous = -1;
+        continue;
+      }
+
+      if (index !== -1) {
+        // An undated entry leaves a dated one free for this parser's own
+        // dated version of it
+        if (getDateKey(entry) || !getDateKey(merged[index])) {
+          matched.add(index);
+        }
+        fillEntry(merged[index], entry);
+        if (!sources[index].includes(name)) sources[index].push(name);
+      } else if (
+        name === primary ||
+        (getDateKey(entry) && getLabelWords(field, entry).size > 0)
+      ) {
+        merged.push({ ...entry });
+        sources.push([name]);
+        index = merged.length - 1;
+        matched.add(index);
+      }
+      previous = index;
+    }
+  }
+
+  const kept = merged
+    .map((entry, index) => ({ entry, sources: sources[index] }))
+    .filter(
+      ({ entry, sources: entrySources }) =>
+        !dated || !otherParsers || entrySources.length > 1 || getDateKey(entry)
+    );
+  return {
+    value: kept.map(({ entry }) => entry),
+    sources: kept.map(({ sources: entrySources }) => entrySources),
+  };
+}
+
+/**
+ * Merge the results of several parsers field by field
+ * @param {Object} results - Parser results keyed by parser name
+ * @param {Object} [scores] - Score for each parser, used as its confidence
+ * @returns {Object} - Merged result with a `_fieldSources` record of the
+ *   parser behind each field (a list of parsers per entry for entry lists)
+ */
+function mergeResults(results, scores = {}) {
+  const valid = {};
+  for (const [name, result] of Object.entries(results)) {
+    if (result) valid[name] = result;
+  }
+
+  const merged = {};
+  const fieldSources = {};
+
+  for (const [field, rules] of Object.entries(resumeSchema)) {
+    if (DEPENDENT_FIELDS[field]) {
+      const source = fieldSources[DEPENDENT_FIELDS[field]];
+      const value = source ? valid[source][field] : undefined;
+      merged[field] = value ?? getDefaultValue(rules.type);
+      if (source) fieldSources[field] = source;
+      continue;
+    }
+
+    if (rules.type === "array" && rules.itemSchema) {
+      const entries = mergeEntries(field, valid, scores);
+      merged[field] = entries.value;
+      fieldSources[field] = entries.sources;
+      continue;
+    }
+
+    let outcome;
+    if (rules.type === "array") {
+      outcome = pickList(field, valid, scores);
+    } else if (rules.type === "object") {
+      outcome = pickObject(field, valid, scores);
+    } else {
+      outcome = voteScalar(field, valid, scores);
+    }
+
+    if (outcome) {
+      merged[field] = outcome.value;
+      fieldSources[field] = outcome.source;
+    } else {
+      merged[field] = getDefaultValue(rules.type);
+    }
+  }
+
+  merged._fieldSources = fieldSources;
+  return merged;
+}
+
+module.exports = {
+  mergeResults,
+};
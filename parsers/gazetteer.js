@@ -0,0 +1,395 @@
+/**
+ * Gazetteer
+ * Offline place names used to resolve location strings: countries with
+ * their ISO 3166 codes and common aliases, the states and territories of the
+ * United States and Australia, and major cities with the region and country
+ * they are in. Cities sharing a name are listed from the best known one.
+ */
+
+// Countries by ISO 3166 code, with names and aliases written in resumes
+const COUNTRIES = {
+  AE: ["United Arab Emirates", "UAE"],
+  AR: ["Argentina"],
+  AT: ["Austria"],
+  AU: ["Australia"],
+  BD: ["Bangladesh"],
+  BE: ["Belgium"],
+  BG: ["Bulgaria"],
+  BR: ["Brazil"],
+  BY: ["Belarus"],
+  CA: ["Canada"],
+  CH: ["Switzerland"],
+  CL: ["Chile"],
+  CN: ["China", "PRC"],
+  CO: ["Colombia"],
+  CZ: ["Czech Republic", "Czechia"],
+  DE: ["Germany"],
+  DK: ["Denmark"],
+  EE: ["Estonia"],
+  EG: ["Egypt"],
+  ES: ["Spain"],
+  FI: ["Finland"],
+  FJ: ["Fiji"],
+  FR: ["France"],
+  GB: [
+    "United Kingdom",
+    "UK",
+    "U.K.",
+    "Great Britain",
+    "England",
+    "Scotland",
+    "Wales",
+    "Northern Ireland",
+  ],
+  GH: ["Ghana"],
+  GR: ["Greece"],
+  HK: ["Hong Kong"],
+  HR: ["Croatia"],
+  HU: ["Hungary"],
+  ID: ["Indonesia"],
+  IE: ["Ireland"],
+  IL: ["Israel"],
+  IN: ["India"],
+  IQ: ["Iraq"],
+  IR: ["Iran"],
+  IS: ["Iceland"],
+  IT: ["Italy"],
+  JO: ["Jordan"],
+  JP: ["Japan"],
+  KE: ["Kenya"],
+  KR: ["South Korea", "Korea"],
+  KZ: ["Kazakhstan"],
+  LB: ["Lebanon"],
+  LK: ["Sri Lanka"],
+  LT: ["Lithuania"],
+  LU: ["Luxembourg"],
+  LV: ["Latvia"],
+  MA: ["Morocco"],
+  MX: ["Mexico"],
+  MY: ["Malaysia"],
+  NG: ["Nigeria"],
+  NL: ["Netherlands", "The Netherlands", "Holland"],
+  NO: ["Norway"],
+  NP: ["Nepal"],
+  NZ: ["New Zealand"],
+  PE: ["Peru"],
+  PH: ["Philippines"],
+  PK: ["Pakistan"],
+  PL: ["Poland"],
+  PT: ["Portugal"],
+  QA: ["Qatar"],
+  RO: ["Romania"],
+  RS: ["Serbia"],
+  RU: ["Russia", "Russian Federation"],
+  SA: ["Saudi Arabia"],
+  SE: ["Sweden"],
+  SG: ["Singapore"],
+  SI: ["Slovenia"],
+  SK: ["Slovakia"],
+  TH: ["Thailand"],
+  TR: ["Turkey", "Türkiye", "Turkiye"],
+  TW: ["Taiwan"],
+  UA: ["Ukraine"],
+  US: [
+    "United States",
+    "USA",
+    "U.S.A.",
+    "US",
+    "U.S.",
+    "United States of America",
+    "America",
+  ],
+  VN: ["Vietnam", "Viet Nam"],
+  ZA: ["South Africa"],
+};
+
+// States and territories by country and postal abbreviation
+const REGIONS = {
+  US: {
+    AL: "Alabama",
+    AK: "Alaska",
+    AZ: "Arizona",
+    AR: "Arkansas",
+    CA: "California",
+    CO: "Colorado",
+    CT: "Connecticut",
+    DE: "Delaware",
+    DC: "District of Columbia",
+    FL: "Florida",
+    GA: "Georgia",
+    HI: "Hawaii",
+    ID: "Idaho",
+    IL: "Illinois",
+    IN: "Indiana",
+    IA: "Iowa",
+    KS: "Kansas",
+    KY: "Kentucky",
+    LA: "Louisiana",
+    ME: "Maine",
+    MD: "Maryland",
+    MA: "Massachusetts",
+    MI: "Michigan",
+    MN: "Minnesota",
+    MS: "Mississippi",
+    MO: "Missouri",
+    MT: "Montana",
+    NE: "Nebraska",
+    NV: "Nevada",
+    NH: "New Hampshire",
+    NJ: "New Jersey",
+    NM: "New Mexico",
+    NY: "New York",
+    NC: "North Carolina",
+    ND: "North Dakota",
+    OH: "Ohio",
+    OK: "Oklahoma",
+    OR: "Oregon",
+    PA: "Pennsylvania",
+    RI: "Rhode Island",
+    SC: "South Carolina",
+    SD: "South Dakota",
+    TN: "Tennessee",
+    TX: "Texas",
+    UT: "Utah",
+    VT: "Vermont",
+    VA: "Virginia",
+    WA: "Washington",
+    WV: "West Virginia",
+    WI: "Wisconsin",
+    WY: "Wyoming",
+  },
+  AU: {
+    NSW: "New South Wales",
+    VIC: "Victoria",
+    QLD: "Queensland",
+    WA: "Western Australia",
+    SA: "South Australia",
+    TAS: "Tasmania",
+    ACT: "Australian Capital Territory",
+    NT: "Northern Territory",
+  },
+};
+
+// Major cities: name, region abbreviation (for countries in REGIONS) and
+// country code
+const CITIES = [
+  // Australia
+  ["Sydney", "NSW", "AU"],
+  ["Melbourne", "VIC", "AU"],
+  ["Brisbane", "QLD", "AU"],
+  ["Perth", "WA", "AU"],
+  ["Adelaide", "SA", "AU"],
+  ["Canberra", "ACT", "AU"],
+  ["Hobart", "TAS", "AU"],
+  ["Darwin", "NT", "AU"],
+  ["Gold Coast", "QLD", "AU"],
+  ["Sunshine Coast", "QLD", "AU"],
+  ["Newcastle", "NSW", "AU"],
+  ["Wollongong", "NSW", "AU"],
+  ["Geelong", "VIC", "AU"],
+  ["Townsville", "QLD", "AU"],
+  ["Cairns", "QLD", "AU"],
+  ["Toowoomba", "QLD", "AU"],
+  ["Ballarat", "VIC", "AU"],
+  ["Bendigo", "VIC", "AU"],
+  ["Launceston", "TAS", "AU"],
+  ["Parramatta", "NSW", "AU"],
+  // United States
+  ["New York", "NY", "US"],
+  ["New York City", "NY", "US"],
+  ["NYC", "NY", "US"],
+  ["Los Angeles", "CA", "US"],
+  ["San Francisco", "CA", "US"],
+  ["San Jose", "CA", "US"],
+  ["San Diego", "CA", "US"],
+  ["Palo Alto", "CA", "US"],
+  ["Mountain View", "CA", "US"],
+  ["Sunnyvale", "CA", "US"],
+  ["Oakland", "CA", "US"],
+  ["Sacramento", "CA", "US"],
+  ["Seattle", "WA", "US"],
+  ["Redmond", "WA", "US"],
+  ["Bellevue", "WA", "US"],
+  ["Portland", "OR", "US"],
+  ["Chicago", "IL", "US"],
+  ["Houston", "TX", "US"],
+  ["Dallas", "TX", "US"],
+  ["Austin", "TX", "US"],
+  ["San Antonio", "TX", "US"],
+  ["Phoenix", "AZ", "US"],
+  ["Philadelphia", "PA", "US"],
+  ["Pittsburgh", "PA", "US"],
+  ["Boston", "MA", "US"],
+  ["Cambridge", "MA", "US"],
+  ["Washington", "DC", "US"],
+  ["Washington DC", "DC", "US"],
+  ["Atlanta", "GA", "US"],
+  ["Miami", "FL", "US"],
+  ["Orlando", "FL", "US"],
+  ["Tampa", "FL", "US"],
+  ["Denver", "CO", "US"],
+  ["Boulder", "CO", "US"],
+  ["Salt Lake City", "UT", "US"],
+  ["Las Vegas", "NV", "US"],
+  ["Minneapolis", "MN", "US"],
+  ["Detroit", "MI", "US"],
+  ["Columbus", "OH", "US"],
+  ["Cleveland", "OH", "US"],
+  ["Nashville", "TN", "US"],
+  ["Charlotte", "NC", "US"],
+  ["Raleigh", "NC", "US"],
+  ["Baltimore", "MD", "US"],
+  ["St. Louis", "MO", "US"],
+  ["Kansas City", "MO", "US"],
+  ["Indianapolis", "IN", "US"],
+  ["New Orleans", "LA", "US"],
+  ["Honolulu", "HI", "US"],
+  ["Anchorage", "AK", "US"],
+  // Rest of the world
+  ["London", null, "GB"],
+  ["Manchester", null, "GB"],
+  ["Birmingham", null, "GB"],
+  ["Edinburgh", null, "GB"],
+  ["Glasgow", null, "GB"],
+  ["Bristol", null, "GB"],
+  ["Leeds", null, "GB"],
+  ["Liverpool", null, "GB"],
+  ["Oxford", null, "GB"],
+  ["Wolverhampton", null, "GB"],
+  ["Belfast", null, "GB"],
+  ["Cardiff", null, "GB"],
+  ["Dublin", null, "IE"],
+  ["Cork", null, "IE"],
+  ["Paris", null, "FR"],
+  ["Lyon", null, "FR"],
+  ["Berlin", null, "DE"],
+  ["Munich", null, "DE"],
+  ["Hamburg", null, "DE"],
+  ["Frankfurt", null, "DE"],
+  ["Cologne", null, "DE"],
+  ["Stuttgart", null, "DE"],
+  ["Vienna", null, "AT"],
+  ["Zurich", null, "CH"],
+  ["Geneva", null, "CH"],
+  ["Amsterdam", null, "NL"],
+  ["Rotterdam", null, "NL"],
+  ["Brussels", null, "BE"],
+  ["Luxembourg", null, "LU"],
+  ["Madrid", null, "ES"],
+  ["Barcelona", null, "ES"],
+  ["Lisbon", null, "PT"],
+  ["Porto", null, "PT"],
+  ["Rome", null, "IT"],
+  ["Milan", null, "IT"],
+  ["Athens", null, "GR"],
+  ["Copenhagen", null, "DK"],
+  ["Stockholm", null, "SE"],
+  ["Oslo", null, "NO"],
+  ["Helsinki", null, "FI"],
+  ["Reykjavik", null, "IS"],
+  ["Warsaw", null, "PL"],
+  ["Krakow", null, "PL"],
+  ["Prague", null, "CZ"],
+  ["Budapest", null, "HU"],
+  ["Bucharest", null, "RO"],
+  ["Sofia", null, "BG"],
+  ["Belgrade", null, "RS"],
+  ["Zagreb", null, "HR"],
+  ["Tallinn", null, "EE"],
+  ["Riga", null, "LV"],
+  ["Vilnius", null, "LT"],
+  ["Kyiv", null, "UA"],
+  ["Kiev", null, "UA"],
+  ["Minsk", null, "BY"],
+  ["Moscow", null, "RU"],
+  ["Saint Petersburg", null, "RU"],
+  ["St Petersburg", null, "RU"],
+  ["Istanbul", null, "TR"],
+  ["Ankara", null, "TR"],
+  ["Izmir", null, "TR"],
+  ["Tel Aviv", null, "IL"],
+  ["Jerusalem", null, "IL"],
+  ["Dubai", null, "AE"],
+  ["Abu Dhabi", null, "AE"],
+  ["Doha", null, "QA"],
+  ["Riyadh", null, "SA"],
+  ["Amman", null, "JO"],
+  ["Beirut", null, "LB"],
+  ["Cairo", null, "EG"],
+  ["Casablanca", null, "MA"],
+  ["Lagos", null, "NG"],
+  ["Accra", null, "GH"],
+  ["Nairobi", null, "KE"],
+  ["Johannesburg", null, "ZA"],
+  ["Cape Town", null, "ZA"],
+  ["Mumbai", null, "IN"],
+  ["Delhi", null, "IN"],
+  ["New Delhi", null, "IN"],
+  ["Bangalore", null, "IN"],
+  ["Bengaluru", null, "IN"],
+  ["Hyderabad", null, "IN"],
+  ["Chennai", null, "IN"],
+  ["Kolkata", null, "IN"],
+  ["Pune", null, "IN"],
+  ["Ahmedabad", null, "IN"],
+  ["Gurugram", null, "IN"],
+  ["Gurgaon", null, "IN"],
+  ["Noida", null, "IN"],
+  ["Chandigarh", null, "IN"],
+  ["Jaipur", null, "IN"],
+  ["Kochi", null, "IN"],
+  ["Karachi", null, "PK"],
+  ["Lahore", null, "PK"],
+  ["Islamabad", null, "PK"],
+  ["Dhaka", null, "BD"],
+  ["Colombo", null, "LK"],
+  ["Kandy", null, "LK"],
+  ["Kathmandu", null, "NP"],
+  ["Singapore", null, "SG"],
+  ["Kuala Lumpur", null, "MY"],
+  ["Jakarta", null, "ID"],
+  ["Bangkok", null, "TH"],
+  ["Manila", null, "PH"],
+  ["Ho Chi Minh City", null, "VN"],
+  ["Hanoi", null, "VN"],
+  ["Hong Kong", null, "HK"],
+  ["Beijing", null, "CN"],
+  ["Shanghai", null, "CN"],
+  ["Shenzhen", null, "CN"],
+  ["Guangzhou", null, "CN"],
+  ["Taipei", null, "TW"],
+  ["Seoul", null, "KR"],
+  ["Tokyo", null, "JP"],
+  ["Osaka", null, "JP"],
+  ["Auckland", null, "NZ"],
+  ["Wellington", null, "NZ"],
+  ["Christchurch", null, "NZ"],
+  ["Suva", null, "FJ"],
+  ["Toronto", null, "CA"],
+  ["Vancouver", null, "CA"],
+  ["Montreal", null, "CA"],
+  ["Ottawa", null, "CA"],
+  ["Calgary", null, "CA"],
+  ["Mexico City", null, "MX"],
+  ["Sao Paulo", null, "BR"],
+  ["São Paulo", null, "BR"],
+  ["Rio de Janeiro", null, "BR"],
+  ["Buenos Aires", null, "AR"],
+  ["Santiago", null, "CL"],
+  ["Bogota", null, "CO"],
+  ["Lima", null, "PE"],
+  // Smaller places sharing a name with a city above
+  ["Sydney", null, "CA"],
+  ["Perth", null, "GB"],
+  ["Melbourne", "FL", "US"],
+  ["London", null, "CA"],
+  ["Cambridge", null, "GB"],
+  ["Newcastle", null, "GB"],
+  ["Portland", "ME", "US"],
+].map(([name, region, country]) => ({ name, region, country }));
+
+module.exports = {
+  COUNTRIES,
+  REGIONS,
+  CITIES,
+};
@@ -7,7 +7,22 @@
 const defaultParser = require("./default-parser");
 const serterParser = require("./serter-parser");
 const studentParser = require("./student-parser");
-const { validateAndNormalize } = require("./schema");
+const { validateAndNormalize, validateStrict } = require("./schema");
+const { extractText } = require("./text-extractor");
+const { repairText } = require("./text-repair");
+const {
+  collectParserStats,
+  scoreParsers,
+  determineBestParser,
+} = require("./parser-scoring");
+const { mergeResults } = require("./ensemble");
+const { addDateRanges } = require("./date-range");
+const { addPlaces } = require("./locations");
+const { addNormalizedSkills } = require("./skills");
+const { addEducationDetails } = require("./education");
+const { addAchievements } = require("./achievements");
+const { analyzeTimeline } = require("./career-timeline");
+const { verifyParsedContent } = require("./content-verification");
 
 // Registry of available parsers
 const parsers = {
@@ -37,40 +52,208 @@ function listParsers() {
  * Parse resume text using the specified parser or all available parsers
  * @param {string} text - The resume text to parse
  * @param {string} [parserName] - Optional name of specific parser to use
+ * @param {Object} [options] - Options passed on to the parsers
+ * @param {string[]} [options.headings] - Heading lines marked by the source document
+ * @param {boolean} [options.repairText] - Set to false to skip glyph repair
+ * @param {boolean} [options.ensemble] - When no parser is named, merge the
+ *   results of all parsers field by field instead of picking the best one
+ * @param {boolean} [options.strict] - Leave results as the parsers returned
+ *   them and list schema violations in `_schemaViolations` instead of
+ *   normalizing them
+ * @param {Date|string} [options.asOf] - Date the structured `dates` of each
+ *   entry are current at, open ranges run to in `timeline` and
+ *   certifications are checked for expiry against, as a Date or "YYYY-MM" string; defaults to today
+ * @param {string} [options.defaultRegion] - Region for phone numbers without
+ *   a country code, also preferred for ambiguous state abbreviations in
+ *   locations ("WA")
+ * @param {number} [options.gapMonths] - Only list career gaps longer than
+ *   this many months in `timeline` (default 3)
+ * @param {Object[]} [options.skillTaxonomy] - Extra skill taxonomy entries
+ *   ({name, category, aliases}) used for `normalizedSkills`
+ * @param {Object[]} [options.certificationIssuers] - Extra certification
+ *   issuer entries ({issuer, names, certifications}) tried before the bundled
+ *   ones
  * @returns {Promise<Object>} - Parsed resume data
  */
-async function parseResume(text, parserName = null) {
+async function parseResume(text, parserName = null, options = {}) {
   if (!text) {
     throw new Error("Resume text is required");
   }
 
+  // Repair glyph corruption from PDF extraction before any parser sees the text
+  const repair = options.repairText === false ? null : repairText(text);
+  const inputText = repair ? repair.text : text;
+
+  // Heading hints have to match the repaired lines
+  if (repair && options.headings) {
+    options = {
+      ...options,
+      headings: repairHeadings(options.headings, text, repair.text),
+    };
+  }
+
   if (parserName) {
     const parser = getParser(parserName);
     if (!parser) {
       throw new Error(`Parser "${parserName}" not found`);
     }
-    return await parser.parse(text);
+    const parsed = await parser.parse(inputText, options);
+    const result = applySchema(addStructuredFields(parsed, options), options);
+    result.timeline = analyzeTimeline(result, options);
+    return attachRepairInfo(result, repair);
   }
 
-  // If no specific parser requested, try all parsers and return the best result
+  // If no specific parser requested, try all parsers and return the best
+  // result. Results are keyed in registry order, which settles score ties
+  const names = Object.keys(parsers);
   const results = await Promise.all(
-    Object.values(parsers).map(async (parser) => {
+    names.map(async (name) => {
+      const parser = parsers[name];
       try {
-        return await parser.parse(text);
+        const result = await parser.parse(inputText, options);
+        return applySchema(addStructuredFields(result, options), options);
       } catch (error) {
         console.error(`Error with ${parser.displayName}: ${error.message}`);
         return null;
       }
     })
+  ).then((list) =>
+    Object.fromEntries(names.map((name, index) => [name, list[index]]))
   );
 
-  // Filter out failed results and return the first successful one
-  const validResults = results.filter((result) => result !== null);
-  if (validResults.length === 0) {
+  const selection = selectBestResult(results, inputText);
+  if (!selection) {
     throw new Error("All parsers failed to parse the resume");
   }
 
-  return validResults[0];
+  const result = options.ensemble
+    ? applySchema(
+        addStructuredFields(mergeResults(results, selection.scores), options),
+        options
+      )
+    : results[selection.bestParser];
+  result.timeline = analyzeTimeline(result, options);
+  result._parserSelection = selection;
+  return attachRepairInfo(result, repair);
+}
+
+/**
+ * Carry heading hints over to the repaired text. Each heading is replaced by
+ * the repaired form of the line it marks, since a line can repair differently
+ * on its own than in the context of the whole text
+ * @param {string[]} headings - Heading lines marked by the source document
+ * @param {string} text - Text as extracted
+ * @param {string} repairedText - The same text after repairText, line for line
+ * @returns {string[]} - Headings as they appear in the repaired text
+ */
+function repairHeadings(headings, text, repairedText) {
+  const lines = text.split("\n").map((line) => line.trim());
+  const repairedLines = repairedText.split("\n");
+  return headings.map((heading) => {
+    const index = lines.indexOf(heading.trim());
+    return index === -1 ? heading : repairedLines[index].trim();
+  });
+}
+
+/**
+ * Add the structured fields derived from raw strings: date ranges of the
+ * entries, degree level and other details of education entries, places of
+ * the candidate and entries, skills normalized against the skill taxonomy,
+ * and the quantified achievements of experience entries
+ * @param {Object} result - The parser result
+ * @param {Object} options - Parse options
+ * @returns {Object} - The same result
+ */
+function addStructuredFields(result, options) {
+  return addAchievements(
+    addNormalizedSkills(
+      addPlaces(
+        addEducationDetails(addDateRanges(result, options), options),
+        options
+      ),
+      options
+    )
+  );
+}
+
+/**
+ * Bring a parser result in line with the schema, or report where it is not
+ * @param {Object} result - The parser result
+ * @param {Object} options - Parse options
+ * @returns {Object} - The normalized result, or in strict mode the result as
+ *   it was with its violations in `_schemaViolations`
+ */
+function applySchema(result, options) {
+  if (options.strict) {
+    result._schemaViolations = validateStrict(result);
+    return result;
+  }
+  return validateAndNormalize(result);
+}
+
+/**
+ * Score the result of every parser and pick the best one
+ * @param {Object} results - Parser results keyed by parser name, null for failures
+ * @param {string} text - The text the parsers were given
+ * @returns {Object|null} - Object with the best parser name, the score of each
+ *   parser and the statistics behind the scores, or null if all parsers failed
+ */
+function selectBestResult(results, text) {
+  const stats = {};
+  for (const [name, result] of Object.entries(results)) {
+    stats[name] = result
+      ? collectParserStats(result, verifyParsedContent(text, result))
+      : { error: "Parser failed" };
+  }
+
+  const bestParser = determineBestParser(stats);
+  if (!results[bestParser]) {
+    return null;
+  }
+
+  return { bestParser, scores: scoreParsers(stats), stats };
+}
+
+/**
+ * Attach the text repair statistics to a parser result
+ * @param {Object} result - The parser result
+ * @param {Object|null} repair - Result of repairText, or null if skipped
+ * @returns {Object} - The parser result
+ */
+function attachRepairInfo(result, repair) {
+  if (result && repair) {
+    result._textRepair = {
+      repairCount: repair.repairCount,
+      repairs: repair.repairs,
+    };
+  }
+  return result;
+}
+
+/**
+ * Parse a resume file (PDF, DOCX or plain text) using the specified parser or all available parsers
+ * @param {string} filePath - Path to the resume file
+ * @param {string} [parserName] - Optional name of specific parser to use
+ * @param {Object} [options] - Extraction options, also passed on to parseResume
+ * @param {boolean} [options.layout] - Use layout-aware PDF extraction
+ * @param {boolean} [options.repairText] - Repair glyph corruption; defaults
+ *   to true for PDF files only, as DOCX and text files carry no font damage
+ * @returns {Promise<Object>} - Parsed resume data
+ */
+async function parseFile(filePath, parserName = null, options = {}) {
+  const { text, headings, fileType } = await extractText(filePath, options);
+  if (!text || !text.trim()) {
+    throw new Error(`No text could be extracted from "${filePath}"`);
+  }
+
+  return await parseResume(text, parserName, {
+    ...options,
+    headings,
+    repairText:
+      options.repairText === undefined
+        ? fileType === "pdf"
+        : options.repairText,
+  });
 }
 
 module.exports = {
@@ -78,4 +261,5 @@ module.exports = {
   getParser,
   listParsers,
   parseResume,
+  parseFile,
 };
@@ -0,0 +1,429 @@
+/**
+ * Languages
+ * Parses spoken languages and how well the candidate speaks them. Each entry
+ * is read as `{language, proficiency, cefr, raw}` from LinkedIn-style levels
+ * ("Professional Working Proficiency"), CEFR codes ("B2"), descriptive words
+ * ("fluent", "conversational") and test results ("IELTS 7.5", "TOEFL 105",
+ * "JLPT N2"). Besides the languages section, labelled lines anywhere in the
+ * resume ("Languages: English, Turkish") are read too.
+ */
+
+// Language names, with the other names they are written as
+const LANGUAGE_NAMES = {
+  English: [],
+  Spanish: ["Castilian", "Español"],
+  French: ["Français"],
+  German: ["Deutsch"],
+  Italian: [],
+  Portuguese: ["Brazilian Portuguese"],
+  Dutch: ["Flemish"],
+  Russian: [],
+  Ukrainian: [],
+  Polish: [],
+  Czech: [],
+  Slovak: [],
+  Hungarian: [],
+  Romanian: [],
+  Bulgarian: [],
+  Greek: [],
+  Turkish: [],
+  Arabic: [],
+  Hebrew: [],
+  Persian: ["Farsi"],
+  Urdu: [],
+  Hindi: [],
+  Bengali: ["Bangla"],
+  Punjabi: [],
+  Gujarati: [],
+  Marathi: [],
+  Tamil: [],
+  Telugu: [],
+  Kannada: [],
+  Malayalam: [],
+  Sinhala: ["Sinhalese"],
+  Nepali: [],
+  Chinese: [],
+  Mandarin: ["Mandarin Chinese", "Putonghua"],
+  Cantonese: [],
+  Japanese: [],
+  Korean: [],
+  Vietnamese: [],
+  Thai: [],
+  Indonesian: ["Bahasa Indonesia"],
+  Malay: ["Bahasa Melayu", "Bahasa Malaysia"],
+  Filipino: ["Tagalog"],
+  Swahili: ["Kiswahili"],
+  Amharic: [],
+  Yoruba: [],
+  Hausa: [],
+  Igbo: [],
+  Zulu: [],
+  Afrikaans: [],
+  Swedish: [],
+  Norwegian: [],
+  Danish: [],
+  Finnish: [],
+  Icelandic: [],
+  Estonian: [],
+  Latvian: [],
+  Lithuanian: [],
+  Serbian: [],
+  Croatian: [],
+  Bosnian: [],
+  Slovenian: [],
+  Albanian: [],
+  Macedonian: [],
+  Georgian: [],
+  Armenian: [],
+  Azerbaijani: ["Azeri"],
+  Kazakh: [],
+  Uzbek: [],
+  Kurdish: [],
+  Pashto: [],
+  Catalan: [],
+  Basque: [],
+  Galician: [],
+  Irish: ["Gaelic"],
+  Welsh: [],
+  Latin: [],
+  Maltese: [],
+  Mongolian: [],
+  Burmese: [],
+  Khmer: [],
+  Somali: [],
+  "American Sign Language": ["ASL"],
+  "British Sign Language": ["BSL"],
+  Auslan: [],
+};
+
+// Proficiency levels from highest to lowest, with the CEFR level each one
+// stands for when no code is written
+const PROFICIENCY_LEVELS = [
+  { proficiency: "native", cefr: "C2" },
+  { proficiency: "full professional", cefr: "C1" },
+  { proficiency: "professional working", cefr: "B2" },
+  { proficiency: "limited working", cefr: "B1" },
+  { proficiency: "elementary", cefr: "A2" },
+];
+
+// Words describing a level, longest phrases first so "full professional"
+// is not read as "professional"
+const PROFICIENCY_WORDS = [
+  { pattern: /\bnative\s+or\s+bilingual\b/i, proficiency: "native" },
+  { pattern: /\bfull\s+professional\b/i, proficiency: "full professional" },
+  {
+    pattern: /\bprofessional\s+working\b/i,
+    proficiency: "professional working",
+  },
+  { pattern: /\blimited\s+working\b/i, proficiency: "limited working" },
+  {
+    pattern: /\b(?:native|mother\s+tongue|first\s+language|bilingual)\b/i,
+    proficiency: "native",
+  },
+  {
+    pattern: /\b(?:fluent|fluency|advanced|proficient|excellent)\b/i,
+    proficiency: "full professional",
+  },
+  {
+    pattern:
+      /\b(?:upper[\s-]intermediate|good|working\s+knowledge|professional)\b/i,
+    proficiency: "professional working",
+  },
+  {
+    pattern: /\b(?:intermediate|conversational)\b/i,
+    proficiency: "limited working",
+  },
+  {
+    pattern: /\b(?:elementary|basic|beginner|limited)\b/i,
+    proficiency: "elementary",
+  },
+];
+
+// CEFR levels in ascending order
+const CEFR_LEVELS = ["A1", "A2", "B1", "B2", "C1", "C2"];
+
+// Proficiency level a CEFR level is read as when no words are given. C2 is
+// mastery, not a native speaker
+const CEFR_PROFICIENCY = {
+  A1: "elementary",
+  A2: "elementary",
+  B1: "limited working",
+  B2: "professional working",
+  C1: "full professional",
+  C2: "full professional",
+};
+
+// Language tests: the language they test and the CEFR level of a score
+const LANGUAGE_TESTS = [
+  {
+    pattern: /\bIELTS\b[^\d]{0,20}(\d(?:\.\d)?)/i,
+    language: "English",
+    // Band scores
+    levels: [
+      [8.5, "C2"],
+      [7, "C1"],
+      [5.5, "B2"],
+      [4, "B1"],
+      [0, "A2"],
+    ],
+  },
+  {
+    pattern: /\bTOEFL\b(?:\s*iBT)?[^\d]{0,20}(\d{2,3})/i,
+    language: "English",
+    // iBT scores
+    levels: [
+      [114, "C2"],
+      [95, "C1"],
+      [72, "B2"],
+      [42, "B1"],
+      [0, "A2"],
+    ],
+  },
+  {
+    pattern: /\bTOEIC\b[^\d]{0,20}(\d{3})/i,
+    language: "English",
+    // Listening and reading scores
+    levels: [
+      [945, "C1"],
+      [785, "B2"],
+      [550, "B1"],
+      [225, "A2"],
+      [0, "A1"],
+    ],
+  },
+  {
+    pattern: /\bJLPT\b[^\dN]{0,20}N([1-5])\b/i,
+    language: "Japanese",
+    // N1 is the highest level
+    levels: [
+      [5, "A1"],
+      [4, "A2"],
+      [3, "B1"],
+      [2, "B2"],
+      [1, "C1"],
+    ],
+    exact: true,
+  },
+  { pattern: /\b(?:DELF|DALF|TCF)\b/i, language: "French" },
+  { pattern: /\b(?:DELE|SIELE)\b/i, language: "Spanish" },
+  { pattern: /\b(?:Goethe|TestDaF|telc)\b/i, language: "German" },
+  { pattern: /\b(?:Cambridge|CAE|CPE|FCE)\b/, language: "English" },
+];
+
+// "Languages: English, Turkish" on a line of its own
+const LANGUAGES_LABEL =
+  /^[\s•·*-]*(?:spoken\s+)?languages?(?:\s+(?:spoken|skills))?\s*[:–-]\s*(.+)$/i;
+
+// Separators between the languages of a line, outside parentheses
+const LANGUAGE_SEPARATOR = /[,;|•·]/;
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} - Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Language names and aliases, longest first so "Mandarin Chinese" wins over
+// "Chinese"
+const LANGUAGE_PATTERNS = Object.entries(LANGUAGE_NAMES)
+  .flatMap(([language, aliases]) =>
+    [language, ...aliases].map((alias) => ({ language, alias }))
+  )
+  .sort((a, b) => b.alias.length - a.alias.length)
+  .map(({ language, alias }) => ({
+    language,
+    pattern: new RegExp(
+      `(?:^|[^\\p{L}])${escapeRegExp(alias)}(?![\\p{L}])`,
+      "iu"
+    ),
+  }));
+
+/**
+ * Find the language named in a piece of text
+ * @param {string} text - Text such as "Spanish (Professional Working)"
+ * @returns {string|null} - Language name, or null when none is named
+ */
+function findLanguageName(text) {
+  const found = LANGUAGE_PATTERNS.find(({ pattern }) => pattern.test(text));
+  return found ? found.language : null;
+}
+
+/**
+ * Read the language test named in a piece of text
+ * @param {string} text - Text such as "IELTS 7.5"
+ * @returns {Object|null} - The tested `language` and the `cefr` level of its
+ *   score (null when the test has no score), or null when no test is named
+ */
+function findLanguageTest(text) {
+  for (const test of LANGUAGE_TESTS) {
+    const match = text.match(test.pattern);
+    if (!match) continue;
+    if (!test.levels || match[1] === undefined) {
+      return { language: test.language, cefr: null };
+    }
+
+    const score = parseFloat(match[1]);
+    const level = test.exact
+      ? test.levels.find(([value]) => value === score)
+      : test.levels.find(([minimum]) => score >= minimum);
+    return { language: test.language, cefr: level ? level[1] : null };
+  }
+  return null;
+}
+
+/**
+ * Read the proficiency and CEFR level written in a piece of text
+ * @param {string} text - Text describing a level
+ * @returns {Object} - `proficiency` and `cefr`, each null when not given
+ */
+function readLevel(text) {
+  const written = PROFICIENCY_WORDS.find(({ pattern }) => pattern.test(text));
+  const code = text.match(/\b([ABC][12])\b/);
+  const test = findLanguageTest(text);
+
+  const cefr = code ? code[1] : test && test.cefr;
+  let proficiency = written ? written.proficiency : null;
+
+  // A CEFR level without words stands for the nearest proficiency level
+  if (!proficiency && cefr) proficiency = CEFR_PROFICIENCY[cefr];
+
+  const level = PROFICIENCY_LEVELS.find(
+    (entry) => entry.proficiency === proficiency
+  );
+  return {
+    proficiency,
+    cefr: cefr || (level ? level.cefr : null),
+  };
+}
+
+/**
+ * Split a line into the pieces naming one language each, keeping
+ * parentheses together ("English (Native), Spanish (B2, DELE)")
+ * @param {string} line - Line of text
+ * @returns {string[]} - Trimmed, non-empty pieces
+ */
+function splitLanguages(line) {
+  const pieces = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of line) {
+    if (char === "(") depth++;
+    if (char === ")") depth = Math.max(0, depth - 1);
+    if (depth === 0 && LANGUAGE_SEPARATOR.test(char)) {
+      pieces.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  pieces.push(current);
+
+  return pieces
+    .map((piece) => piece.replace(/^[\s•·*-]+/, "").trim())
+    .filter(Boolean);
+}
+
+/**
+ * Parse one language with its level
+ * @param {string} raw - Text such as "Spanish (Professional Working
+ *   Proficiency)", "German - C1" or "IELTS 7.5"
+ * @returns {Object|null} - `{language, proficiency, cefr, raw}`, or null when
+ *   the text names no language or language test
+ */
+function parseLanguage(raw) {
+  if (!raw) return null;
+  const text = raw.trim();
+  const test = findLanguageTest(text);
+  const language = findLanguageName(text) || (test && test.language);
+  if (!language) return null;
+
+  return { language, ...readLevel(text), raw: text };
+}
+
+/**
+ * Parse lines listing languages. A piece naming no language but giving a
+ * level ("Native speaker" under "English") belongs to the language above it
+ * @param {string[]} lines - Lines of text
+ * @returns {Object[]} - Parsed languages in the order they appear
+ */
+function parseLanguageLines(lines) {
+  const languages = [];
+
+  for (const line of lines) {
+    for (const piece of splitLanguages(line)) {
+      const parsed = parseLanguage(piece);
+      if (parsed) {
+        languages.push(parsed);
+        continue;
+      }
+
+      const previous = languages[languages.length - 1];
+      const level = readLevel(piece);
+      if (previous && level.proficiency && !previous.proficiency) {
+        Object.assign(previous, level, { raw: `${previous.raw}, ${piece}` });
+      }
+    }
+  }
+
+  return languages;
+}
+
+/**
+ * Extract the candidate's languages from the languages section and from
+ * lines labelled "Languages:" anywhere in the resume
+ * @param {string[]} lines - Lines from the resume text
+ * @param {string[]} [sectionLines] - Lines of the languages section
+ * @returns {Object[]} - `{language, proficiency, cefr, raw}` entries, one per
+ *   language, in the order they appear. `proficiency` is "native", "full
+ *   professional", "professional working", "limited working", "elementary"
+ *   or null; `cefr` is "A1" to "C2" or null
+ */
+function extractLanguages(lines, sectionLines = []) {
+  const inline = lines
+    .map((line) => line.match(LANGUAGES_LABEL))
+    .filter(Boolean)
+    .map((match) => match[1]);
+
+  const languages = [];
+  for (const entry of parseLanguageLines([...sectionLines, ...inline])) {
+    const index = languages.findIndex(
+      (existing) => existing.language === entry.language
+    );
+    if (index === -1) {
+      languages.push(entry);
+    } else if (!languages[index].proficiency && entry.proficiency) {
+      languages[index] = entry;
+    }
+  }
+
+  return languages;
+}
+
+/**
+ * Check whether a candidate speaks a language at a level or above
+ * @param {Object[]} languages - Parsed languages (the `languages` field)
+ * @param {string} language - Language name, e.g. "German"
+ * @param {string} minimumCefr - Lowest accepted CEFR level, e.g. "B2"
+ * @returns {boolean} - True when the language is listed at that level or above
+ */
+function meetsLanguageLevel(languages, language, minimumCefr) {
+  const minimum = CEFR_LEVELS.indexOf(String(minimumCefr).toUpperCase());
+  const name = findLanguageName(language) || language;
+
+  return (languages || []).some(
+    (entry) =>
+      entry &&
+      entry.language === name &&
+      CEFR_LEVELS.indexOf(entry.cefr) >= Math.max(minimum, 0)
+  );
+}
+
+module.exports = {
+  extractLanguages,
+  meetsLanguageLevel,
+  parseLanguage,
+};
@@ -0,0 +1,314 @@
+/**
+ * Letter Spacing
+ * Collapses letter-spaced text from designer templates ("E X P E R I E N C E",
+ * "N O V E M B E R   2 0 1 4") back into words, and maps glyphs that such
+ * fonts substitute in dates ("+0" for "20", "z" between two dates) back to
+ * digits, month names and dashes.
+ */
+
+// Words expected in letter-spaced dates
+const DATE_WORDS = [
+  "JANUARY",
+  "FEBRUARY",
+  "MARCH",
+  "APRIL",
+  "MAY",
+  "JUNE",
+  "JULY",
+  "AUGUST",
+  "SEPTEMBER",
+  "OCTOBER",
+  "NOVEMBER",
+  "DECEMBER",
+  "JAN",
+  "FEB",
+  "MAR",
+  "APR",
+  "JUN",
+  "JUL",
+  "AUG",
+  "SEP",
+  "SEPT",
+  "OCT",
+  "NOV",
+  "DEC",
+  "PRESENT",
+  "CURRENT",
+  "NOW",
+];
+
+// Oldest year accepted when checking how digit glyphs are mapped
+const MIN_YEAR = 1940;
+
+// Years this far past the current one are still plausible (expected graduation)
+const FUTURE_YEARS = 6;
+
+/**
+ * Check whether a group of single-space separated pieces is letter-spaced
+ * @param {string[]} pieces - Pieces of the group
+ * @returns {boolean} - True if the pieces are spaced-out characters
+ */
+function isLetterSpaced(pieces) {
+  if (pieces.length < 3 || pieces.some((piece) => piece.length > 3)) {
+    return false;
+  }
+
+  // Ordinary short words ("I am a C developer") are not letter spacing
+  if (pieces.some((piece) => /^[a-z]{2,}$/.test(piece))) {
+    return false;
+  }
+
+  const singles = pieces.filter((piece) => piece.length === 1).length;
+  return singles / pieces.length >= 0.6;
+}
+
+/**
+ * Split a line into groups separated by wide gaps, collapsing spaced groups
+ * @param {string} line - Line to process
+ * @returns {Object|null} - Object with the collapsed groups, or null if the
+ *   line contains no letter-spaced text
+ */
+function collapseLine(line) {
+  const groups = line.trim().split(/\s{2,}/);
+  let collapsed = false;
+
+  const result = groups.map((group) => {
+    const pieces = group.split(" ");
+    if (isLetterSpaced(pieces)) {
+      collapsed = true;
+      return { text: pieces.join(""), spaced: true };
+    }
+    return { text: group, spaced: false };
+  });
+
+  return collapsed ? result : null;
+}
+
+/**
+ * Check whether a collapsed group looks like a year, possibly with glyphs
+ * @param {string} text - Collapsed group
+ * @returns {boolean} - True if the group is four digits or digit glyphs
+ */
+function isYearLike(text) {
+  return /^[\d+]{4}$/.test(text) && /\d/.test(text);
+}
+
+/**
+ * Compare a collapsed group with a date word, allowing known glyph mappings
+ * @param {string} text - Collapsed group (uppercase)
+ * @param {string} word - Date word to compare with
+ * @param {Map<string, string>} charMap - Known glyph to letter mappings
+ * @returns {number} - Number of positions that do not match
+ */
+function countMismatches(text, word, charMap) {
+  let mismatches = 0;
+  for (let i = 0; i < word.length; i++) {
+    const char = text.charAt(i);
+    if (char !== word.charAt(i) && charMap.get(char) !== word.charAt(i)) {
+      mismatches++;
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Find the date word a collapsed group most likely represents
+ * @param {string} text - Collapsed group
+ * @param {Map<string, string>} charMap - Known glyph to letter mappings
+ * @param {number} maxMismatches - Highest number of mismatches accepted
+ * @returns {string|null} - The date word, or null if there is no single match
+ */
+function matchDateWord(text, charMap, maxMismatches) {
+  const upper = text.toUpperCase();
+  let best = null;
+  let bestMismatches = Infinity;
+  let tied = false;
+
+  for (const word of DATE_WORDS) {
+    if (word.length !== upper.length) continue;
+
+    const mismatches = countMismatches(text, word, charMap);
+    if (mismatches < bestMismatches) {
+      best = word;
+      bestMismatches = mismatches;
+      tied = false;
+    } else if (mismatches === bestMismatches) {
+      tied = true;
+    }
+  }
+
+  if (!best || tied || bestMismatches > maxMismatches) {
+    return null;
+  }
+
+  // Short words need an almost exact match to avoid turning codes into months
+  if (bestMismatches > Math.floor(best.length / 3)) {
+    return null;
+  }
+
+  return best;
+}
+
+/**
+ * Learn glyph to letter mappings from date words that match closely
+ * @param {Array} lines - Collapsed groups of each letter-spaced line
+ * @param {Map<string, string>} charMap - Mappings to extend
+ */
+function learnCharMap(lines, charMap) {
+  for (const groups of lines) {
+    for (const group of groups) {
+      if (!group.spaced || isYearLike(group.text)) continue;
+
+      const word = matchDateWord(group.text, new Map(), 2);
+      if (!word) continue;
+
+      for (let i = 0; i < word.length; i++) {
+        const char = group.text.charAt(i);
+        if (char !== word.charAt(i) && !charMap.has(char)) {
+          charMap.set(char, word.charAt(i));
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Choose how digit glyphs in letter-spaced years map back to digits. Fonts
+ * that print "+" for "2" may also shift the real digit ("2" printed for "1"),
+ * so each option is checked against the range of plausible years.
+ * @param {string[]} years - Year-like groups found in letter-spaced text
+ * @returns {Object} - Mapping from printed character to digit
+ */
+function chooseDigitMap(years) {
+  const glyphs = new Set(
+    years.join("").replace(/\d/g, "").split("").filter(Boolean)
+  );
+  if (glyphs.size === 0) {
+    return {};
+  }
+
+  const maxYear = new Date().getFullYear() + FUTURE_YEARS;
+  const isPlausible = (digitMap) =>
+    years.every((year) => {
+      const value = parseInt(
+        year.replace(/./g, (char) => digitMap[char] || char),
+        10
+      );
+      return value >= MIN_YEAR && value <= maxYear;
+    });
+
+  // Only a single glyph is resolved; more would make the guess unreliable
+  if (glyphs.size > 1) {
+    return {};
+  }
+
+  const [glyph] = glyphs;
+  const options = [];
+  for (let digit = 0; digit <= 9; digit++) {
+    options.push({ [glyph]: String(digit) });
+  }
+  for (let digit = 1; digit <= 9; digit++) {
+    options.push({ [glyph]: String(digit), [digit]: String(digit - 1) });
+  }
+
+  return options.find(isPlausible) || {};
+}
+
+/**
+ * Rebuild a letter-spaced line from its collapsed groups
+ * @param {Array} groups - Collapsed groups of the line
+ * @param {Object} context - Mappings and repair counters
+ * @returns {string} - The rebuilt line
+ */
+function rebuildLine(groups, context) {
+  const isDatePart = (group) =>
+    group &&
+    (isYearLike(group.text) || matchDateWord(group.text, context.charMap, 1));
+
+  return groups
+    .map((group, index) => {
+      if (!group.spaced) {
+        // A lone glyph between two dates is the range separator
+        if (
+          group.text.length === 1 &&
+          !/\d/.test(group.text) &&
+          isDatePart(groups[index - 1]) &&
+          isDatePart(groups[index + 1])
+        ) {
+          context.glyphRepairs++;
+          return "-";
+        }
+        return group.text;
+      }
+
+      if (isYearLike(group.text)) {
+        const year = group.text.replace(
+          /./g,
+          (char) => context.digitMap[char] || char
+        );
+        if (year !== group.text) context.glyphRepairs++;
+        return year;
+      }
+
+      const word = matchDateWord(group.text, context.charMap, 1);
+      if (word && word !== group.text.toUpperCase()) {
+        context.glyphRepairs++;
+        return word;
+      }
+      return group.text;
+    })
+    .join(" ");
+}
+
+/**
+ * Collapse letter-spaced text and repair glyphs in letter-spaced dates
+ * @param {string} text - Text to normalize
+ * @param {Object} [options] - Normalization options
+ * @param {Map<string, string>} [options.charMap] - Glyph to letter mappings
+ *   already learned from the rest of the text
+ * @returns {Object} - Object with the normalized text, the number of collapsed
+ *   lines and the number of glyphs repaired in them
+ */
+function collapseLetterSpacing(text, options = {}) {
+  const lines = text.split("\n");
+  const collapsedLines = lines.map(collapseLine);
+  const spacedLines = collapsedLines.filter(Boolean);
+
+  if (spacedLines.length === 0) {
+    return { text, collapsedCount: 0, glyphRepairs: 0 };
+  }
+
+  // Letters are compared in upper case, as letter-spaced text usually is
+  const charMap = new Map();
+  for (const [glyph, letter] of options.charMap || []) {
+    if (letter.length === 1) charMap.set(glyph, letter.toUpperCase());
+  }
+  learnCharMap(spacedLines, charMap);
+
+  const years = [];
+  spacedLines.forEach((groups) =>
+    groups
+      .filter((group) => group.spaced && isYearLike(group.text))
+      .forEach((group) => years.push(group.text))
+  );
+
+  const context = {
+    charMap,
+    digitMap: chooseDigitMap(years),
+    glyphRepairs: 0,
+  };
+
+  const normalized = lines.map((line, index) =>
+    collapsedLines[index] ? rebuildLine(collapsedLines[index], context) : line
+  );
+
+  return {
+    text: normalized.join("\n"),
+    collapsedCount: spacedLines.length,
+    glyphRepairs: context.glyphRepairs,
+  };
+}
+
+module.exports = {
+  collapseLetterSpacing,
+};
@@ -0,0 +1,423 @@
+/**
+ * Locations
+ * Resolves location strings ("Sydney, Australia", "Perth, WA",
+ * "Austin, TX 78701", "Remote") into structured places with the bundled
+ * gazetteer: city, state or region, country and postal code, plus whether
+ * the work is remote or hybrid. Used for the candidate's location and for
+ * the location of each experience and education entry.
+ */
+
+const { COUNTRIES, REGIONS, CITIES } = require("./gazetteer");
+
+// Lines near the top that may hold the candidate's location
+const HEADER_LINES = 15;
+
+// A location is a few words; longer text is a sentence mentioning a place
+const MAX_LOCATION_WORDS = 8;
+
+// Work arrangements written next to or instead of a place
+const WORK_MODES = [
+  { mode: "remote", pattern: /^(?:fully\s+|100%\s+)?remote(?:\s+work)?$/i },
+  { mode: "hybrid", pattern: /^hybrid$/i },
+  { mode: "onsite", pattern: /^on[\s-]?site$/i },
+];
+
+// Separators between the parts of a location ("Brisbane, QLD, Australia",
+// "Sydney (Hybrid)", "Perth | WA", "financial services. Sydney")
+const SEGMENT_SEPARATOR =
+  /\s*[,;|•()/]\s*|\s+[–—-]\s+|(?<!\b(?:St|Mt|Ft))\.\s+|\s{3,}/;
+
+// A postal code at the end of a part ("NSW 2000", "Austin TX 78701")
+const POSTAL_CODE = /\s+(\d{4,5}(?:-\d{4})?)$/;
+
+// Labels in front of a location ("Location: ...", "Based in ...")
+const LOCATION_LABEL =
+  /^(?:location|address|city|based in|located in|residing in|lives in)\s*:?\s*/i;
+
+// Words of organization names, which are never taken as a city
+const ORGANIZATION_WORDS =
+  /\b(?:academy|bank|college|company|corp|global|group|hall|inc|institute|learning|ltd|pty|school|services|solutions|technologies|university)\b/i;
+
+// Entry fields that may mention where the entry took place
+const ENTRY_LABEL_FIELDS = [
+  "title",
+  "position",
+  "company",
+  "institution",
+  "degree",
+];
+
+/**
+ * Normalize a place name for lookups
+ * @param {string} name - Place name
+ * @returns {string} - Lowercase name without accents, periods or extra spaces
+ */
+function normalizeName(name) {
+  return name
+    .normalize("NFD")
+    .replace(/[̀-ͯ]/g, "")
+    .toLowerCase()
+    .replace(/\./g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Short all-caps aliases ("US", "UK") only match in capitals
+const isAbbreviation = (name) => /^[A-Z.]{2,6}$/.test(name);
+
+// Lookup tables built from the gazetteer
+const COUNTRY_NAMES = {};
+const COUNTRY_ABBREVIATIONS = {};
+for (const [code, names] of Object.entries(COUNTRIES)) {
+  for (const name of names) {
+    if (isAbbreviation(name)) COUNTRY_ABBREVIATIONS[name] = code;
+    else COUNTRY_NAMES[normalizeName(name)] = code;
+  }
+}
+
+const REGION_NAMES = {};
+const REGION_CODES = {};
+for (const [country, regions] of Object.entries(REGIONS)) {
+  for (const [code, name] of Object.entries(regions)) {
+    const region = { code, name, country };
+    (REGION_CODES[code] = REGION_CODES[code] || []).push(region);
+    (REGION_NAMES[normalizeName(name)] =
+      REGION_NAMES[normalizeName(name)] || []).push(region);
+  }
+}
+
+const CITY_NAMES = {};
+for (const city of CITIES) {
+  const key = normalizeName(city.name);
+  (CITY_NAMES[key] = CITY_NAMES[key] || []).push(city);
+}
+
+/**
+ * Get the name of a country
+ * @param {string} code - ISO 3166 country code
+ * @returns {string} - Country name
+ */
+function getCountryName(code) {
+  return COUNTRIES[code][0];
+}
+
+/**
+ * Work out what a part of a location string can be
+ * @param {string} segment - Part of a location string
+ * @returns {Object|null} - Object with the possible `cities`, `regions` and
+ *   `country`, a `postalCode` and a work `mode`; null if the part is none of
+ *   these
+ */
+function classifySegment(segment) {
+  let text = segment.trim();
+  const result = {
+    cities: [],
+    regions: [],
+    country: null,
+    postalCode: null,
+    mode: null,
+    combined: false,
+  };
+
+  const workMode = WORK_MODES.find(({ pattern }) => pattern.test(text));
+  if (workMode) {
+    result.mode = workMode.mode;
+    return result;
+  }
+
+  // A ZIP code on its own; four digits alone are more often a year
+  if (/^\d{5}(?:-\d{4})?$/.test(text)) {
+    result.postalCode = text;
+    return result;
+  }
+
+  const postal = text.match(POSTAL_CODE);
+  if (postal) {
+    result.postalCode = postal[1];
+    text = text.slice(0, postal.index);
+  }
+
+  // "Austin TX", "Sydney NSW" and "Tel Aviv Israel" hold a city and its
+  // region or country in one part
+  const words = text.split(/\s+/);
+  for (let split = words.length - 1; split > 0; split--) {
+    const cities = CITY_NAMES[normalizeName(words.slice(0, split).join(" "))];
+    const rest = words.slice(split).join(" ");
+    const regions = REGION_CODES[rest] || REGION_NAMES[normalizeName(rest)];
+    const country =
+      COUNTRY_ABBREVIATIONS[rest] || COUNTRY_NAMES[normalizeName(rest)];
+    if (cities && (regions || country)) {
+      result.cities = cities;
+      result.regions = regions || [];
+      result.country = regions ? null : country;
+      result.combined = true;
+      return result;
+    }
+  }
+
+  const key = normalizeName(text);
+  result.cities = CITY_NAMES[key] || [];
+  result.regions = [
+    ...(REGION_CODES[text] || []),
+    ...(REGION_NAMES[key] || []),
+  ];
+  result.country = COUNTRY_ABBREVIATIONS[text] || COUNTRY_NAMES[key] || null;
+
+  const known =
+    result.cities.length > 0 || result.regions.length > 0 || result.country;
+  return known ? result : null;
+}
+
+/**
+ * Check whether a part of a location string can be the name of a city that
+ * is not in the gazetteer
+ * @param {string} segment - Part of a location string
+ * @returns {boolean} - True for one to three capitalized words
+ */
+function looksLikeCityName(segment) {
+  const words = segment.trim().split(/\s+/);
+  return (
+    words.length <= 3 &&
+    words.every((word) => /^[A-ZÀ-Þ][a-zà-ÿ'’.-]+$/.test(word)) &&
+    !ORGANIZATION_WORDS.test(segment)
+  );
+}
+
+/**
+ * Combine classified parts of a location string into a place
+ * @param {Object[]} parts - Classified parts, in order
+ * @param {string|null} unknownCity - City name not in the gazetteer
+ * @param {Object} options - Parsing options
+ * @returns {Object} - Place without its raw string
+ */
+function combineParts(parts, unknownCity, options) {
+  let cities = [];
+  let regions = [];
+  let countryCode = null;
+  let postalCode = null;
+  let workMode = null;
+
+  parts.forEach((part, index) => {
+    workMode = workMode || part.mode;
+    postalCode = postalCode || part.postalCode;
+
+    // "New York" and "Washington" are the city when they come first, and
+    // the state after a city
+    const isCity =
+      part.cities.length > 0 &&
+      cities.length === 0 &&
+      !unknownCity &&
+      (index === 0 || (part.regions.length === 0 && !part.country));
+
+    if (isCity) {
+      cities = part.cities;
+      // "Austin TX" names the state in the same part
+      if (part.combined) {
+        regions = part.regions;
+        countryCode = part.country;
+      }
+    } else if (part.regions.length > 0 && regions.length === 0) {
+      regions = part.regions;
+    } else if (part.country) {
+      countryCode = countryCode || part.country;
+    }
+  });
+
+  // Pick the readings of ambiguous names that agree with each other:
+  // "Perth, WA" is in Western Australia, "Seattle, WA" in Washington
+  const cityFits = (city) =>
+    (!countryCode || city.country === countryCode) &&
+    (regions.length === 0 ||
+      regions.some(
+        (region) =>
+          region.country === city.country &&
+          (!city.region || region.code === city.region)
+      ));
+  const city = cities.find(cityFits) || cities[0] || null;
+
+  const preferredCountry = (options.defaultRegion || "").toUpperCase();
+  const region =
+    regions.find((entry) =>
+      city ? entry.country === city.country : entry.country === countryCode
+    ) ||
+    regions.find((entry) => entry.country === preferredCountry) ||
+    regions[0] ||
+    (city && city.region && REGIONS[city.country]
+      ? {
+          name: REGIONS[city.country][city.region],
+          country: city.country,
+        }
+      : null);
+
+  const country =
+    countryCode || (region && region.country) || (city && city.country);
+
+  return {
+    city: city ? city.name : unknownCity,
+    region: region ? region.name : null,
+    country: country ? getCountryName(country) : null,
+    countryCode: country || null,
+    postalCode,
+    workMode,
+  };
+}
+
+/**
+ * Parse a location string into a place
+ * @param {string} raw - Location as written, e.g. "Brisbane, QLD, Australia"
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.defaultRegion] - Country code preferred for
+ *   ambiguous state abbreviations ("WA")
+ * @returns {Object|null} - Place with `city`, `region` (state or territory),
+ *   `country`, `countryCode`, `postalCode`, `workMode` ("remote", "hybrid",
+ *   "onsite" or null) and the `raw` string; null if the string is not a
+ *   location
+ */
+function parseLocation(raw, options = {}) {
+  if (typeof raw !== "string") return null;
+
+  const text = raw.trim().replace(LOCATION_LABEL, "");
+  if (!text || text.split(/\s+/).length > MAX_LOCATION_WORDS) return null;
+
+  const segments = text
+    .split(SEGMENT_SEPARATOR)
+    .map((segment) => segment.replace(/[.]+$/, "").trim())
+    .filter(Boolean);
+  const parts = segments.map((segment) => classifySegment(segment));
+
+  // Every part has to be a place, except a street before it and one city
+  // name the gazetteer does not know ("Gurugram, India")
+  let first = 0;
+  while (first < parts.length && !parts[first] && /\d/.test(segments[first])) {
+    first++;
+  }
+
+  let unknownCity = null;
+  if (
+    first < parts.length &&
+    !parts[first] &&
+    looksLikeCityName(segments[first]) &&
+    parts
+      .slice(first + 1)
+      .some((part) => part && (part.regions.length > 0 || part.country))
+  ) {
+    unknownCity = segments[first];
+    first++;
+  }
+
+  const rest = parts.slice(first);
+  if (rest.length === 0 || rest.some((part) => !part)) return null;
+
+  return { ...combineParts(rest, unknownCity, options), raw: text };
+}
+
+/**
+ * Find a place mentioned in free text, such as an entry heading
+ * ("Manager, Airport Kebabs, Brisbane"). Only runs of parts that are all in
+ * the gazetteer count, so company names are not read as cities
+ * @param {string} text - Text to search
+ * @param {Object} [options] - Parsing options
+ * @returns {Object|null} - Place as returned by parseLocation
+ */
+function findLocation(text, options = {}) {
+  if (typeof text !== "string") return null;
+
+  const segments = text
+    .split(SEGMENT_SEPARATOR)
+    .map((segment) => segment.replace(/[.]+$/, "").trim());
+
+  // The last run of place parts wins; places usually follow the names
+  let best = null;
+  let run = [];
+  let modeSegment = null;
+  const closeRun = () => {
+    const places = run.filter(
+      ({ part }) =>
+        part.cities.length > 0 || part.regions.length > 0 || part.country
+    );
+    if (places.length > 0) best = run;
+    run = [];
+  };
+
+  for (const segment of segments) {
+    const part = segment ? classifySegment(segment) : null;
+    if (part && part.mode) modeSegment = modeSegment || segment;
+    if (part) run.push({ segment, part });
+    else closeRun();
+  }
+  closeRun();
+
+  // "Software Engineer (Remote)" names no place but how the work was done
+  if (!best) {
+    return modeSegment ? parseLocation(modeSegment, options) : null;
+  }
+
+  const place = combineParts(
+    best.map(({ part }) => part),
+    null,
+    options
+  );
+  if (!place.workMode && modeSegment) {
+    place.workMode = classifySegment(modeSegment).mode;
+  }
+  return { ...place, raw: best.map(({ segment }) => segment).join(", ") };
+}
+
+/**
+ * Find the candidate's location in the opening lines of a resume
+ * @param {string[]} lines - Lines from the resume text
+ * @param {Object} [options] - Parsing options
+ * @returns {Object|null} - Place as returned by parseLocation
+ */
+function findCandidateLocation(lines, options = {}) {
+  for (const line of lines.slice(0, HEADER_LINES)) {
+    // Contact lines list the location between other details
+    for (const part of line.split(/\s*[|•·]\s*|\s{3,}/)) {
+      const place = parseLocation(part, options);
+      if (place && (place.city || place.region || place.country)) {
+        return place;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Add a structured `place` next to the location of the candidate and of
+ * every experience and education entry. Entries without a location get the
+ * one named in their heading ("Manager, Airport Kebabs, Brisbane")
+ * @param {Object} result - Parser result
+ * @param {Object} [options] - Parsing options
+ * @returns {Object} - The same result
+ */
+function addPlaces(result, options = {}) {
+  result.place =
+    parseLocation(result.location, options) ||
+    parseLocation(result.address, options);
+
+  for (const field of ["experience", "education"]) {
+    if (!Array.isArray(result[field])) continue;
+
+    for (const entry of result[field]) {
+      if (!entry || typeof entry !== "object") continue;
+
+      let place = parseLocation(entry.location, options);
+      if (!place) {
+        const heading = ENTRY_LABEL_FIELDS.map((name) => entry[name])
+          .filter((value) => typeof value === "string")
+          .join(", ");
+        place = findLocation(heading, options);
+        if (place && !entry.location) entry.location = place.raw;
+      }
+      entry.place = place;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  parseLocation,
+  findLocation,
+  findCandidateLocation,
+  addPlaces,
+};
@@ -0,0 +1,180 @@
+/**
+ * Name Detection
+ * Finds the candidate's name among the opening lines of a resume instead of
+ * taking the first line, which may be a page label, "Curriculum Vitae",
+ * contact details or a sidebar heading. Each line (and each part of a line
+ * split by "|" or wide gaps) is scored on how much it looks like a name:
+ * capitalization, number of words, no digits or "@", similarity to the
+ * e-mail address and how close it is to the top.
+ */
+
+const { SECTION_VOCABULARY } = require("./section-segmenter");
+
+// Only the opening lines can hold the name
+const CANDIDATE_LINES = 8;
+
+// Score a piece of text needs to be taken as the name
+const MIN_NAME_SCORE = 0.45;
+
+// Labels that open resumes or sidebars and are never a name
+const LABELS = new Set([
+  "curriculum vitae",
+  "cv",
+  "resume",
+  "résumé",
+  "details",
+  "personal details",
+  "contact",
+  "contacts",
+  "contact details",
+  "contact information",
+  "contact info",
+  "personal information",
+  "personal info",
+  "links",
+  "page",
+  ...Object.values(SECTION_VOCABULARY).flat(),
+]);
+
+// Words of job titles and other lines that sit next to the name
+const NON_NAME_WORDS =
+  /\b(?:engineer|developer|manager|analyst|consultant|designer|architect|student|intern|scientist|specialist|director|officer|lead|administrator|assistant|coordinator|technician|professional|software|data|senior|junior|full|stack|university|college|school|street|road|avenue)\b/i;
+
+// Lowercase words allowed inside a name ("Ludwig van Beethoven")
+const NAME_PARTICLES = new Set([
+  "van",
+  "von",
+  "der",
+  "den",
+  "de",
+  "del",
+  "da",
+  "di",
+  "dos",
+  "du",
+  "la",
+  "le",
+  "bin",
+  "binti",
+  "al",
+]);
+
+// Separators between the parts of a header line
+// ("Jane Doe | Software Engineer", "Jane Doe     Sydney")
+const PART_SEPARATOR = /\s*[|•·]\s*|\s+[–—-]\s+|\s{3,}/;
+
+/**
+ * Normalize a line for comparison with the label list
+ * @param {string} text - Line or part of a line
+ * @returns {string} - Lowercase text without a trailing colon
+ */
+function normalizeLabel(text) {
+  return text
+    .toLowerCase()
+    .replace(/:\s*$/, "")
+    .replace(/\s*&\s*/g, " and ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Check whether a line is a label such as "Details" or "Curriculum Vitae"
+ * @param {string} line - Resume line
+ * @returns {boolean} - True if the line is a known label or section heading
+ */
+function isLabelLine(line) {
+  const key = normalizeLabel(line || "");
+  return LABELS.has(key) || /^page\s+\d+/.test(key);
+}
+
+/**
+ * Score how much a piece of text looks like the candidate's name
+ * @param {string} text - Line or part of a line
+ * @param {Object} context - Scoring context
+ * @param {string} context.emailUser - Lowercase letters of the e-mail's local part
+ * @param {number} context.position - Index of the line among the opening lines
+ * @returns {number} - Score, 0 for text that cannot be a name
+ */
+function scoreName(text, context) {
+  if (!text || /[\d@\/]|www\.|https?:/i.test(text) || isLabelLine(text)) {
+    return 0;
+  }
+
+  const words = text.split(/\s+/);
+  if (words.length > 5) return 0;
+
+  let score = 0;
+
+  if (words.length >= 2 && words.length <= 4) score += 0.35;
+  else if (words.length === 5) score += 0.1;
+  else score += 0.05;
+
+  // "Jane Doe", "JANE DOE", "J. Doe", "Ludwig van Beethoven"
+  const capitalized = words.every(
+    (word) =>
+      /^[A-ZÀ-Þ][A-Za-zÀ-ÿ'’-]*\.?$/.test(word) ||
+      NAME_PARTICLES.has(word.toLowerCase())
+  );
+  if (capitalized) score += 0.25;
+
+  // Names hold letters, hyphens, apostrophes and initials' periods only
+  if (/^[A-Za-zÀ-ÿ'’. -]+$/.test(text)) score += 0.1;
+  else score -= 0.3;
+
+  // Parts of the name usually make up the e-mail address
+  if (context.emailUser) {
+    const matching = words.filter((word) => {
+      const letters = word.toLowerCase().replace(/[^a-z]/g, "");
+      return letters.length >= 2 && context.emailUser.includes(letters);
+    });
+    score += 0.3 * (matching.length / words.length);
+  }
+
+  // The name is usually at the very top
+  score += 0.1 * (1 - context.position / CANDIDATE_LINES);
+
+  if (NON_NAME_WORDS.test(text)) score -= 0.4;
+
+  return score;
+}
+
+/**
+ * Detect the candidate's name in the opening lines of a resume
+ * @param {string[]} lines - Lines from the resume text
+ * @param {Object} [options] - Detection options
+ * @param {string} [options.email] - The candidate's e-mail address, if known
+ * @returns {Object} - Object with the `name` (empty when no line looks like a
+ *   name), a `confidence` between 0 and 1, and the `index` of its line (-1
+ *   when no name was found)
+ */
+function detectName(lines, options = {}) {
+  const emailUser = (options.email || "")
+    .split("@")[0]
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+
+  let best = { name: "", confidence: 0, index: -1 };
+  let bestScore = MIN_NAME_SCORE;
+
+  lines.slice(0, CANDIDATE_LINES).forEach((line, position) => {
+    for (const part of line.split(PART_SEPARATOR)) {
+      const text = part.replace(/[,;:]+$/, "").trim();
+      const score = scoreName(text, { emailUser, position });
+      if (score > bestScore) {
+        bestScore = score;
+        best = {
+          name: text,
+          confidence: Math.round(Math.min(score, 1) * 100) / 100,
+          index: position,
+        };
+      }
+    }
+  });
+
+  return best;
+}
+
+module.exports = {
+  detectName,
+  isLabelLine,
+};
@@ -0,0 +1,116 @@
+/**
+ * Parser Scoring
+ * Scores parser results by field presence, content counts and verification
+ * coverage, so the best result can be picked for a resume. Used both when
+ * parsing with all parsers and by the statistics generator.
+ */
+
+/**
+ * Collect statistics from parser results
+ * @param {Object} result - Parser result object
+ * @param {Object} [verificationResults] - Optional verification results
+ * @returns {Object} - Statistics object
+ */
+function collectParserStats(result, verificationResults = null) {
+  if (!result) return { error: "No result available" };
+
+  return {
+    name: result.name ? true : false,
+    email: result.email ? true : false,
+    phone: result.phone ? true : false,
+    linkedin: result.linkedin ? true : false,
+    github: result.github ? true : false,
+    location: result.location || result.address ? true : false,
+    experienceCount: result.experience?.length || 0,
+    educationCount: result.education?.length || 0,
+    skillsCount: result.skills?.length || 0,
+    projectsCount: result.projects?.length || 0,
+    honorsCount: result.honors?.length || 0,
+    languagesCount: result.languages?.length || 0,
+    certificationsCount: result.certifications?.length || 0,
+    coveragePercentage: verificationResults?.coveragePercentage || 0,
+    missingContentCount: verificationResults?.missingContent?.length || 0,
+  };
+}
+
+/**
+ * Score the statistics of one parser result (higher is better)
+ * @param {Object} stats - Statistics from collectParserStats
+ * @returns {number} - The score
+ */
+function scoreParserStats(stats) {
+  if (!stats || stats.error) return 0;
+
+  let score = 0;
+
+  // Basic info points (1 point each)
+  if (stats.name) score += 1;
+  if (stats.email) score += 1;
+  if (stats.phone) score += 1;
+  if (stats.linkedin) score += 1;
+  if (stats.github) score += 1;
+  if (stats.location) score += 1;
+
+  // Content count points (0.5 points each)
+  score += stats.experienceCount * 0.5;
+  score += stats.educationCount * 0.5;
+  score += stats.skillsCount * 0.25;
+  score += stats.projectsCount * 0.5;
+  score += stats.honorsCount * 0.25;
+  score += stats.languagesCount * 0.25;
+  score += stats.certificationsCount * 0.25;
+
+  // Coverage percentage (most important factor)
+  score += stats.coveragePercentage / 5; // Up to 20 points for 100% coverage
+
+  // Penalty for missing content
+  score -= stats.missingContentCount * 0.5;
+
+  return score;
+}
+
+/**
+ * Score the results of every parser
+ * @param {Object} parsers - Statistics for each parser, keyed by parser name
+ * @returns {Object} - Score for each parser without an error
+ */
+function scoreParsers(parsers) {
+  const scores = {};
+  for (const [parser, stats] of Object.entries(parsers || {})) {
+    if (stats && !stats.error) {
+      scores[parser] = scoreParserStats(stats);
+    }
+  }
+  return scores;
+}
+
+/**
+ * Determine which parser provided the best results
+ * @param {Object} parsers - Statistics for each parser, keyed by parser name
+ * @returns {string} - The name of the best parser
+ */
+function determineBestParser(parsers) {
+  if (!parsers) return "unknown";
+
+  const scores = scoreParsers(parsers);
+  const availableParsers = Object.keys(scores);
+
+  if (availableParsers.length === 0) return "none";
+
+  // Find the parser with the highest score; ties go to the first parser
+  let bestParser = availableParsers[0];
+  for (const parser of availableParsers) {
+    if (scores[parser] > scores[bestParser]) {
+      bestParser = parser;
+    }
+  }
+
+  return bestParser;
+}
+
+module.exports = {
+  collectParserStats,
+  scoreParserStats,
+  scoreParsers,
+  determineBestParser,
+};
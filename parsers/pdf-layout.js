@@ -0,0 +1,463 @@
+/**
+ * PDF Layout Extractor
+ * Rebuilds the reading order of PDF pages from the positioned text items
+ * pdf.js provides, so that sidebar and two-column resumes are read one column
+ * at a time instead of line by line across the page. Each line is tagged with
+ * its font size and boldness, which are used to pick out section headings.
+ */
+
+const pdfParse = require("pdf-parse");
+
+// Smallest empty horizontal gap (in points) treated as a column gutter
+const MIN_GUTTER_WIDTH = 12;
+
+// Share of the page text and number of lines each column needs before a
+// gutter is accepted; sidebars hold little text
+const MIN_COLUMN_SHARE = 0.05;
+const MIN_COLUMN_LINES = 3;
+
+// Above this share of lines sharing a baseline across the gutter, the "columns"
+// are really tab stops (e.g. job titles with right-aligned dates)
+const MAX_SHARED_BASELINES = 0.5;
+
+// Lines this much larger than the body text, or bold, may be headings
+const HEADING_SIZE_RATIO = 1.2;
+
+// Lines sharing a style needed before that style is read as the heading style
+const MIN_HEADING_COUNT = 2;
+
+// Font names that indicate a bold face
+const BOLD_FONT_PATTERN = /bold|black|heavy|semibold|demi/i;
+
+// Milliseconds to wait for the fonts of a page before treating the missing
+// ones as regular. The operator list has already loaded every font the page
+// draws with, so this is only a short grace period shared by all its fonts
+const FONT_TIMEOUT = 50;
+
+/**
+ * Get a font object loaded by the page's operator list
+ * @param {Object} page - pdf.js page proxy
+ * @param {string} fontName - Font ID from the text content
+ * @param {Promise<null>} deadline - Resolves to null once the page's wait is over
+ * @returns {Promise<Object|null>} - The font object, or null if it does not load
+ */
+function getFont(page, fontName, deadline) {
+  // Fonts are usually resolved by the time the operator list is done
+  if (page.commonObjs.hasData(fontName)) {
+    return Promise.resolve(page.commonObjs.getData(fontName));
+  }
+
+  // Fonts missing from the operator list would never resolve
+  const loaded = new Promise((resolve) => {
+    page.commonObjs.get(fontName, resolve);
+  });
+  return Promise.race([loaded, deadline]);
+}
+
+/**
+ * Look up which fonts used on a page are bold
+ * @param {Object} page - pdf.js page proxy
+ * @param {Object} styles - Font styles from the page text content
+ * @returns {Promise<Object>} - Map from font ID to true if the font is bold
+ */
+async function getBoldFonts(page, styles) {
+  let timer;
+  const deadline = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), FONT_TIMEOUT);
+  });
+
+  const fontNames = Object.keys(styles);
+  try {
+    const fonts = await Promise.all(
+      fontNames.map((fontName) => getFont(page, fontName, deadline))
+    );
+
+    const boldFonts = {};
+    fontNames.forEach((fontName, index) => {
+      const font = fonts[index];
+      boldFonts[fontName] = Boolean(
+        font && font.name && BOLD_FONT_PATTERN.test(font.name)
+      );
+    });
+    return boldFonts;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Convert pdf.js text items into positioned items with font information
+ * @param {Array} items - Text items from the page text content
+ * @param {Object} boldFonts - Map from font ID to boldness
+ * @returns {Array} - Items with text, position, width, font size and boldness
+ */
+function toPositionedItems(items, boldFonts) {
+  return items
+    .filter((item) => item.str && item.str.trim())
+    .map((item) => {
+      const [a, b, , , x, y] = item.transform;
+      return {
+        text: item.str,
+        x,
+        y,
+        width: item.width,
+        fontSize: Math.round(Math.hypot(a, b) * 10) / 10,
+        bold: Boolean(boldFonts[item.fontName]),
+      };
+    });
+}
+
+/**
+ * Group items into lines by baseline, top to bottom
+ * @param {Array} items - Positioned items
+ * @returns {Array} - Arrays of items, one per line, sorted left to right
+ */
+function groupLines(items) {
+  const sorted = [...items].sort((a, b) => b.y - a.y || a.x - b.x);
+  const lines = [];
+
+  for (const item of sorted) {
+    const line = lines[lines.length - 1];
+    const tolerance = Math.max(2, item.fontSize * 0.5);
+    if (line && Math.abs(line[0].y - item.y) <= tolerance) {
+      line.push(item);
+    } else {
+      lines.push([item]);
+    }
+  }
+
+  return lines.map((line) => line.sort((a, b) => a.x - b.x));
+}
+
+/**
+ * Join the items of a line into text, inserting spaces for visible gaps
+ * @param {Array} items - Items of one line, sorted left to right
+ * @returns {string} - The line text
+ */
+function joinLineText(items) {
+  let text = "";
+  let previous = null;
+
+  for (const item of items) {
+    if (previous) {
+      const gap = item.x - (previous.x + previous.width);
+      const spaced = /\s$/.test(text) || /^\s/.test(item.text);
+      if (gap > item.fontSize) {
+        // Wide gaps (tab stops) stay visible as a run of spaces
+        text = text.replace(/\s+$/, "") + "   ";
+      } else if (gap > item.fontSize * 0.2 && !spaced) {
+        text += " ";
+      }
+    }
+    text += item.text;
+    previous = item;
+  }
+
+  return text.replace(/\s+$/, "");
+}
+
+/**
+ * Find the x position of a column gutter on a page
+ * @param {Array} items - Positioned items of the page
+ * @returns {number|null} - x position of the gutter, or null for one column
+ */
+function findGutter(items) {
+  if (items.length < 4) {
+    return null;
+  }
+
+  const left = Math.floor(Math.min(...items.map((item) => item.x)));
+  const right = Math.ceil(
+    Math.max(...items.map((item) => item.x + item.width))
+  );
+
+  // Count the items covering each point across the page. A few items may
+  // cross the gutter (e.g. a name centred above both columns)
+  const coverage = new Array(right - left + 1).fill(0);
+  for (const item of items) {
+    const start = Math.floor(item.x) - left;
+    const end = Math.ceil(item.x + item.width) - left;
+    for (let x = start; x < end; x++) {
+      coverage[x]++;
+    }
+  }
+  const allowed = Math.max(1, Math.floor(items.length * 0.03));
+
+  const gaps = [];
+  let gapStart = null;
+  coverage.forEach((count, index) => {
+    if (count <= allowed && gapStart === null) {
+      gapStart = index;
+    } else if (count > allowed && gapStart !== null) {
+      gaps.push({ start: gapStart + left, end: index + left });
+      gapStart = null;
+    }
+  });
+
+  const candidates = gaps
+    .filter((gap) => gap.end - gap.start >= MIN_GUTTER_WIDTH)
+    .sort((a, b) => b.end - b.start - (a.end - a.start));
+
+  for (const gap of candidates) {
+    const gutter = (gap.start + gap.end) / 2;
+    if (isColumnSplit(items, gutter)) {
+      return gutter;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether splitting a page at a gutter gives two real columns
+ * @param {Array} items - Positioned items of the page
+ * @param {number} gutter - x position of the gutter
+ * @returns {boolean} - True if both sides read as separate columns
+ */
+function isColumnSplit(items, gutter) {
+  const leftItems = items.filter((item) => item.x + item.width <= gutter);
+  const rightItems = items.filter((item) => item.x >= gutter);
+
+  const total = items.reduce((sum, item) => sum + item.text.length, 0);
+  const share = (side) =>
+    side.reduce((sum, item) => sum + item.text.length, 0) / total;
+  if (
+    share(leftItems) < MIN_COLUMN_SHARE ||
+    share(rightItems) < MIN_COLUMN_SHARE
+  ) {
+    return false;
+  }
+
+  const leftLines = groupLines(leftItems);
+  const rightLines = groupLines(rightItems);
+  if (
+    leftLines.length < MIN_COLUMN_LINES ||
+    rightLines.length < MIN_COLUMN_LINES
+  ) {
+    return false;
+  }
+
+  const sharedBaselines = rightLines.filter((line) =>
+    leftLines.some((leftLine) => Math.abs(leftLine[0].y - line[0].y) <= 1)
+  ).length;
+
+  return (
+    sharedBaselines / Math.min(leftLines.length, rightLines.length) <=
+    MAX_SHARED_BASELINES
+  );
+}
+
+/**
+ * Build tagged lines for one column of a page
+ * @param {Array} items - Positioned items of the column
+ * @param {number} page - Page number
+ * @param {number} column - Column index, 0 for the leftmost
+ * @returns {Array} - Lines with text, page, column, font size and boldness
+ */
+function buildLines(items, page, column) {
+  return groupLines(items).map((lineItems) => {
+    const characters = lineItems.reduce(
+      (sum, item) => sum + item.text.trim().length,
+      0
+    );
+    const boldCharacters = lineItems
+      .filter((item) => item.bold)
+      .reduce((sum, item) => sum + item.text.trim().length, 0);
+
+    return {
+      text: joinLineText(lineItems),
+      page,
+      column,
+      fontSize: Math.max(...lineItems.map((item) => item.fontSize)),
+      bold: boldCharacters > characters / 2,
+    };
+  });
+}
+
+/**
+ * Lay out the text of one page in reading order
+ * @param {Array} items - Positioned items of the page
+ * @param {number} page - Page number
+ * @returns {Array} - Tagged lines in reading order
+ */
+function layoutPage(items, page) {
+  const gutter = findGutter(items);
+  if (gutter === null) {
+    return buildLines(items, page, 0);
+  }
+
+  const leftItems = items.filter((item) => item.x < gutter);
+  const rightItems = items.filter((item) => item.x >= gutter);
+
+  // Items crossing the gutter above both columns (a full-width header) are
+  // read first; any others belong to the column they start in
+  const crossing = leftItems.filter((item) => item.x + item.width > gutter);
+  const columnTop = Math.max(
+    ...leftItems
+      .concat(rightItems)
+      .filter((item) => !crossing.includes(item))
+      .map((item) => item.y)
+  );
+  const header = crossing.filter((item) => item.y > columnTop);
+
+  return [
+    ...buildLines(header, page, 0),
+    ...buildLines(
+      leftItems.filter((item) => !header.includes(item)),
+      page,
+      0
+    ),
+    ...buildLines(rightItems, page, 1),
+  ];
+}
+
+/**
+ * Find the font size used for most of the body text
+ * @param {Array} lines - Tagged lines
+ * @returns {number} - Body font size
+ */
+function getBodyFontSize(lines) {
+  const sizes = {};
+  for (const line of lines) {
+    sizes[line.fontSize] = (sizes[line.fontSize] || 0) + line.text.length;
+  }
+  const [size] = Object.entries(sizes).sort((a, b) => b[1] - a[1])[0] || [0];
+  return Number(size);
+}
+
+/**
+ * Check whether a tagged line could be a section heading
+ * @param {Object} line - Tagged line
+ * @param {number} bodySize - Body font size
+ * @returns {boolean} - True if the line is set like a heading
+ */
+function isHeadingCandidate(line, bodySize) {
+  const text = line.text.trim();
+
+  // Headings are a few words without digits or sentence punctuation
+  if (
+    text.length > 40 ||
+    text.split(/\s+/).length > 5 ||
+    !/^[A-Za-z][A-Za-z&/' -]*:?$/.test(text)
+  ) {
+    return false;
+  }
+
+  if (
+    line.fontSize >= bodySize * HEADING_SIZE_RATIO ||
+    (line.bold && line.fontSize > bodySize)
+  ) {
+    return true;
+  }
+
+  // Bold text at body size only counts when set in capitals, as bold title
+  // case is also used for job titles and institutions
+  return (
+    line.bold &&
+    line.fontSize === bodySize &&
+    text === text.toUpperCase() &&
+    text.replace(/[^A-Z]/g, "").length >= 4
+  );
+}
+
+/**
+ * Find the section headings in the tagged lines. Job titles and company names
+ * are often set larger or bolder than the body too, so only the largest style
+ * used by several heading-like lines in a column counts as a heading style;
+ * the name at the top of the page is used once and is left out
+ * @param {Array} lines - Tagged lines
+ * @returns {string[]} - Heading lines
+ */
+function findHeadings(lines) {
+  const bodySize = getBodyFontSize(lines);
+  const candidates = lines.filter((line) => isHeadingCandidate(line, bodySize));
+  const styleOf = (line) => `${line.fontSize}|${line.bold}`;
+
+  // Sidebars usually style their headings differently, so each column
+  // contributes its own heading style
+  const headingStyles = new Set();
+  const columns = [...new Set(candidates.map((line) => line.column))];
+  for (const column of columns) {
+    const styles = {};
+    candidates
+      .filter((line) => line.column === column)
+      .forEach((line) => {
+        styles[styleOf(line)] = (styles[styleOf(line)] || 0) + 1;
+      });
+
+    const [headingStyle] = Object.keys(styles)
+      .filter((style) => styles[style] >= MIN_HEADING_COUNT)
+      .sort((a, b) => {
+        const [sizeA, boldA] = a.split("|");
+        const [sizeB, boldB] = b.split("|");
+        return sizeB - sizeA || (boldB === "true") - (boldA === "true");
+      });
+    if (headingStyle) {
+      headingStyles.add(headingStyle);
+    }
+  }
+
+  return candidates
+    .filter((line) => headingStyles.has(styleOf(line)))
+    .map((line) => line.text.trim());
+}
+
+/**
+ * Extract text from a PDF in reading order, with tagged lines and headings
+ * @param {Buffer} dataBuffer - PDF file contents
+ * @returns {Promise<Object>} - Object with the extracted text, heading lines
+ *   and the tagged lines (text, page, column, fontSize and bold)
+ */
+async function extractPdfLayout(dataBuffer) {
+  const pages = [];
+
+  // pdf.js settings are process-wide, so the one changed here is put back
+  // once the document is read
+  let pdfjs = null;
+  let disableFontFace;
+
+  const renderPage = async (pageData) => {
+    // Without a DOM, fonts can only be loaded as plain objects, which is
+    // all that is needed to read their names
+    if (global.PDFJS && !pdfjs) {
+      pdfjs = global.PDFJS;
+      disableFontFace = pdfjs.disableFontFace;
+      pdfjs.disableFontFace = true;
+    }
+
+    await pageData.getOperatorList();
+    const textContent = await pageData.getTextContent({
+      normalizeWhitespace: false,
+      disableCombineTextItems: false,
+    });
+
+    const boldFonts = await getBoldFonts(pageData, textContent.styles);
+    const items = toPositionedItems(textContent.items, boldFonts);
+    const lines = layoutPage(items, pageData.pageIndex + 1);
+    pages.push(lines);
+
+    return lines.map((line) => line.text).join("\n");
+  };
+
+  try {
+    await pdfParse(dataBuffer, { pagerender: renderPage });
+  } finally {
+    if (pdfjs) {
+      pdfjs.disableFontFace = disableFontFace;
+    }
+  }
+
+  // pdf-parse renders pages in order, one at a time
+  const lines = pages.flat();
+  const headings = findHeadings(lines);
+
+  const text = pages
+    .map((pageLines) => pageLines.map((line) => line.text).join("\n"))
+    .join("\n\n");
+
+  return { text, headings, lines };
+}
+
+module.exports = {
+  extractPdfLayout,
+};
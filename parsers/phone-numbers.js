@@ -0,0 +1,247 @@
+/**
+ * Phone Numbers
+ * Finds phone numbers in resume text in national and international formats
+ * ("0405 636 970", "+44 (0)20 7946 0958", "(555) 123-4567 ext. 12") and
+ * normalizes them to E.164 ("+61405636970") with an offline table of
+ * numbering plans. Numbers without a country code are read with the plan of
+ * a default region.
+ */
+
+// Region used for numbers without a country code
+const DEFAULT_REGION = "US";
+
+// Numbering plans by ISO 3166 region code: country calling code, national
+// trunk prefix dialled before the number at home, allowed lengths of the
+// national significant number, and a pattern it has to match
+const NUMBERING_PLANS = {
+  US: { code: "1", trunk: "1", lengths: [10], pattern: /^[2-9]\d{2}[2-9]/ },
+  CA: { code: "1", trunk: "1", lengths: [10], pattern: /^[2-9]\d{2}[2-9]/ },
+  GB: { code: "44", trunk: "0", lengths: [9, 10], pattern: /^[1-9]/ },
+  IE: { code: "353", trunk: "0", lengths: [7, 8, 9], pattern: /^[1-9]/ },
+  DE: { code: "49", trunk: "0", lengths: [6, 7, 8, 9, 10, 11, 12, 13] },
+  AT: { code: "43", trunk: "0", lengths: [6, 7, 8, 9, 10, 11, 12, 13] },
+  CH: { code: "41", trunk: "0", lengths: [9] },
+  FR: { code: "33", trunk: "0", lengths: [9], pattern: /^[1-9]/ },
+  BE: { code: "32", trunk: "0", lengths: [8, 9] },
+  NL: { code: "31", trunk: "0", lengths: [9] },
+  LU: { code: "352", trunk: "", lengths: [6, 7, 8, 9, 10, 11] },
+  ES: { code: "34", trunk: "", lengths: [9], pattern: /^[5-9]/ },
+  PT: { code: "351", trunk: "", lengths: [9], pattern: /^[29]/ },
+  IT: { code: "39", trunk: "", lengths: [6, 7, 8, 9, 10, 11] },
+  GR: { code: "30", trunk: "", lengths: [10] },
+  DK: { code: "45", trunk: "", lengths: [8] },
+  NO: { code: "47", trunk: "", lengths: [8] },
+  SE: { code: "46", trunk: "0", lengths: [7, 8, 9] },
+  FI: { code: "358", trunk: "0", lengths: [5, 6, 7, 8, 9, 10, 11, 12] },
+  PL: { code: "48", trunk: "", lengths: [9] },
+  CZ: { code: "420", trunk: "", lengths: [9] },
+  RO: { code: "40", trunk: "0", lengths: [9] },
+  RU: { code: "7", trunk: "8", lengths: [10] },
+  UA: { code: "380", trunk: "0", lengths: [9] },
+  TR: { code: "90", trunk: "0", lengths: [10] },
+  IL: { code: "972", trunk: "0", lengths: [8, 9] },
+  AE: { code: "971", trunk: "0", lengths: [8, 9] },
+  SA: { code: "966", trunk: "0", lengths: [8, 9] },
+  EG: { code: "20", trunk: "0", lengths: [9, 10] },
+  ZA: { code: "27", trunk: "0", lengths: [9] },
+  NG: { code: "234", trunk: "0", lengths: [8, 10] },
+  KE: { code: "254", trunk: "0", lengths: [9] },
+  IN: { code: "91", trunk: "0", lengths: [10], pattern: /^[1-9]/ },
+  PK: { code: "92", trunk: "0", lengths: [9, 10] },
+  BD: { code: "880", trunk: "0", lengths: [9, 10] },
+  LK: { code: "94", trunk: "0", lengths: [9] },
+  NP: { code: "977", trunk: "0", lengths: [8, 10] },
+  CN: { code: "86", trunk: "0", lengths: [10, 11] },
+  HK: { code: "852", trunk: "", lengths: [8] },
+  JP: { code: "81", trunk: "0", lengths: [9, 10] },
+  KR: { code: "82", trunk: "0", lengths: [8, 9, 10] },
+  SG: { code: "65", trunk: "", lengths: [8], pattern: /^[3689]/ },
+  MY: { code: "60", trunk: "0", lengths: [9, 10] },
+  ID: { code: "62", trunk: "0", lengths: [9, 10, 11, 12] },
+  PH: { code: "63", trunk: "0", lengths: [9, 10] },
+  VN: { code: "84", trunk: "0", lengths: [9, 10] },
+  TH: { code: "66", trunk: "0", lengths: [8, 9] },
+  AU: { code: "61", trunk: "0", lengths: [9], pattern: /^[2-478]/ },
+  NZ: { code: "64", trunk: "0", lengths: [8, 9, 10] },
+  BR: { code: "55", trunk: "0", lengths: [10, 11] },
+  MX: { code: "52", trunk: "", lengths: [10] },
+  AR: { code: "54", trunk: "0", lengths: [10] },
+  CO: { code: "57", trunk: "", lengths: [10] },
+  CL: { code: "56", trunk: "", lengths: [9] },
+};
+
+// A run of digits with phone separators, optionally with an international
+// prefix and an extension. It may not continue a word, e-mail address or URL
+const PHONE_CANDIDATE =
+  /(?<![\w@.\/+-])(?:\+|00)?\(?\d[\d \t().\/-]{5,}\d\)?(?:[ \t]*(?:ext\.?|extension|x|#)[ \t]*\d{1,6})?(?![\w@]|\.\w)/gi;
+
+// An extension at the end of a candidate
+const EXTENSION = /\s*(?:ext\.?|extension|x|#)\s*(\d{1,6})$/i;
+
+// Years and month/years; a candidate made of nothing else is a date or date
+// range ("07/2019 - 05/2023", "2014 - 2018", "2022 (12/2022)")
+const DATE_PART = /\(?(?:\d{1,2}[\/.-])?(?:19|20)\d{2}\)?/g;
+
+// How phone numbers are written: groups of two to five digits split by
+// spaces, hyphens or brackets, after an optional country code. ISBNs,
+// versions, IP addresses and IDs are grouped differently, with dots or not
+// at all
+const PHONE_GROUPING =
+  /^(?:\+\d{1,3}[ \t-]?)?(?:\(0\)[ \t]?)?\(?\d{2,5}\)?(?:[ \t-]+\d{2,5}){1,4}$/;
+
+// National numbers too short or long for any plan are not phone numbers
+const MIN_DIGITS = 7;
+const MAX_DIGITS = 15;
+
+/**
+ * Find the region of an international number from its country calling code
+ * @param {string} digits - Digits after the international prefix
+ * @returns {Object|null} - Object with the region, its plan and the national
+ *   significant number, or null if no plan matches
+ */
+function matchCountryCode(digits) {
+  for (const [region, plan] of Object.entries(NUMBERING_PLANS)) {
+    if (!digits.startsWith(plan.code)) continue;
+
+    const national = digits.slice(plan.code.length);
+    if (isValidNational(national, plan)) {
+      return { region, plan, national };
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a national significant number against a numbering plan
+ * @param {string} national - Digits without country code or trunk prefix
+ * @param {Object} plan - Numbering plan
+ * @returns {boolean} - True if the length and leading digits fit the plan
+ */
+function isValidNational(national, plan) {
+  return (
+    plan.lengths.includes(national.length) &&
+    (!plan.pattern || plan.pattern.test(national))
+  );
+}
+
+/**
+ * Parse a phone number and normalize it to E.164
+ * @param {string} raw - Phone number as written, e.g. "0405 636 970"
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.defaultRegion] - ISO 3166 region code used for
+ *   numbers without a country code (default "US")
+ * @returns {Object|null} - Object with the `raw` string, the `e164` form
+ *   (null when the number fits no known plan), its `region` and `extension`,
+ *   or null if the string is not a phone number
+ */
+function parsePhoneNumber(raw, options = {}) {
+  if (typeof raw !== "string") return null;
+
+  const text = raw.trim();
+  const extensionMatch = text.match(EXTENSION);
+  const extension = extensionMatch ? extensionMatch[1] : null;
+  const number = extensionMatch
+    ? text.slice(0, extensionMatch.index).trim()
+    : text;
+
+  if (!number.replace(DATE_PART, "").replace(/[\s–-]/g, "")) return null;
+
+  const international = /^(?:\+|00)/.test(number);
+  // A trunk prefix in brackets ("+44 (0)20...") is not dialled from abroad
+  let digits = number.replace(/\(0\)/g, "").replace(/\D/g, "");
+  if (number.startsWith("00")) digits = digits.slice(2);
+  if (digits.length < MIN_DIGITS || digits.length > MAX_DIGITS) return null;
+
+  let region = null;
+  let e164 = null;
+
+  if (international) {
+    const match = matchCountryCode(digits);
+    if (match) {
+      region = match.region;
+      e164 = `+${match.plan.code}${match.national}`;
+    } else {
+      e164 = `+${digits}`;
+    }
+  } else {
+    const regionCode = (options.defaultRegion || DEFAULT_REGION).toUpperCase();
+    const plan = NUMBERING_PLANS[regionCode];
+    if (plan) {
+      // Drop the trunk prefix ("0405..." is "405..." in Australia)
+      let national = digits;
+      const withoutTrunk = digits.slice(plan.trunk.length);
+      if (
+        plan.trunk &&
+        digits.startsWith(plan.trunk) &&
+        isValidNational(withoutTrunk, plan)
+      ) {
+        national = withoutTrunk;
+      }
+      if (isValidNational(national, plan)) {
+        region = regionCode;
+        e164 = `+${plan.code}${national}`;
+      }
+    }
+  }
+
+  return { raw: text, e164, region, extension };
+}
+
+/**
+ * Check whether a number is written the way phone numbers are, for numbers
+ * that fit no known numbering plan
+ * @param {Object} phone - Number as returned by parsePhoneNumber
+ * @returns {boolean} - True if its digits are grouped like a phone number
+ */
+function looksLikePhoneNumber(phone) {
+  const number = phone.raw.replace(EXTENSION, "").trim();
+  return PHONE_GROUPING.test(number);
+}
+
+/**
+ * Find the phone numbers in a text
+ * @param {string} text - Text to search
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.defaultRegion] - Region for numbers without a
+ *   country code
+ * @returns {Object[]} - Numbers found, as returned by parsePhoneNumber, in
+ *   the order they appear
+ */
+function findPhoneNumbers(text, options = {}) {
+  const numbers = [];
+  for (const match of (text || "").matchAll(PHONE_CANDIDATE)) {
+    const phone = parsePhoneNumber(match[0], options);
+    if (phone) numbers.push(phone);
+  }
+  return numbers;
+}
+
+/**
+ * Find the main phone number in a text: the first one that fits a numbering
+ * plan, or else the first one grouped like a phone number. Other digit runs
+ * (ISBNs, versions, IP addresses) are never taken for the phone
+ * @param {string|string[]} text - Text or lines to search
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.defaultRegion] - Region for numbers without a
+ *   country code
+ * @returns {Object|null} - The number, as returned by parsePhoneNumber
+ */
+function findPhoneNumber(text, options = {}) {
+  const numbers = findPhoneNumbers(
+    Array.isArray(text) ? text.join("\n") : text,
+    options
+  );
+  return (
+    numbers.find((phone) => phone.e164) ||
+    numbers.find(looksLikePhoneNumber) ||
+    null
+  );
+}
+
+module.exports = {
+  NUMBERING_PLANS,
+  looksLikePhoneNumber,
+  parsePhoneNumber,
+  findPhoneNumbers,
+  findPhoneNumber,
+};
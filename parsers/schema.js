@@ -7,13 +7,19 @@
 const resumeSchema = {
   // Basic profile information
   name: { type: "string", required: true },
+  nameConfidence: { type: "number", required: false },
   title: { type: "string", required: false },
   email: { type: "string", required: true },
   phone: { type: "string", required: true },
+  phoneE164: { type: "string", required: false },
   linkedin: { type: "string", required: false },
   github: { type: "string", required: false },
+  // Every e-mail address, phone number and online profile
+  contacts: { type: "object", required: false },
   address: { type: "string", required: false },
   location: { type: "string", required: false },
+  // Location resolved into city, region, country and postal code
+  place: { type: "object", required: false },
   summary: { type: "string", required: false },
 
   // Experience section
@@ -25,9 +31,17 @@ const resumeSchema = {
       position: { type: "string", required: false },
       company: { type: "string", required: false },
       location: { type: "string", required: false },
+      place: { type: "object", required: false },
       period: { type: "string", required: false },
+      dates: { type: "object", required: false },
       responsibilities: { type: "array", required: true, itemType: "string" },
       description: { type: "array", required: false, itemType: "string" },
+      // Roles held at the employer, each with title, period, dates, location
+      // and responsibilities
+      roles: { type: "array", required: false },
+      // Quantified achievements in the bullets, each with type, value, unit,
+      // magnitude, from, verb, object and raw
+      achievements: { type: "array", required: false },
     },
   },
 
@@ -39,23 +53,77 @@ const resumeSchema = {
       degree: { type: "string", required: false },
       institution: { type: "string", required: false },
       location: { type: "string", required: false },
+      place: { type: "object", required: false },
       period: { type: "string", required: false },
+      dates: { type: "object", required: false },
       details: { type: "array", required: true, itemType: "string" },
+      degreeLevel: { type: "string", required: false },
+      fieldOfStudy: { type: "string", required: false },
+      gpa: { type: "object", required: false },
+      honors: { type: "array", required: false, itemType: "string" },
+      relevantCoursework: {
+        type: "array",
+        required: false,
+        itemType: "string",
+      },
+      expected: { type: "boolean", required: false },
     },
   },
 
   // Skills section
   skills: { type: "array", required: true, itemType: "string" },
+  // Skills under the category they are listed with ("Frontend: React, Vue")
+  skillGroups: {
+    type: "array",
+    required: false,
+    itemSchema: {
+      category: { type: "string", required: false },
+      skills: { type: "array", required: true, itemType: "string" },
+    },
+  },
+  // Skills mapped to the skill taxonomy, with the text they were written as
+  normalizedSkills: {
+    type: "array",
+    required: false,
+    itemSchema: {
+      name: { type: "string", required: true },
+      category: { type: "string", required: false },
+      raw: { type: "string", required: true },
+    },
+  },
 
   // Additional sections
-  languages: { type: "array", required: false, itemType: "string" },
-  certifications: { type: "array", required: false, itemType: "string" },
+  languages: {
+    type: "array",
+    required: false,
+    itemSchema: {
+      language: { type: "string", required: true },
+      proficiency: { type: "string", required: false },
+      cefr: { type: "string", required: false },
+      raw: { type: "string", required: true },
+    },
+  },
+  certifications: {
+    type: "array",
+    required: false,
+    itemSchema: {
+      name: { type: "string", required: true },
+      issuer: { type: "string", required: false },
+      issued: { type: "string", required: false },
+      expires: { type: "string", required: false },
+      credentialId: { type: "string", required: false },
+      url: { type: "string", required: false },
+      expired: { type: "boolean", required: false },
+      raw: { type: "string", required: true },
+    },
+  },
   projects: {
     type: "array",
     required: false,
     itemSchema: {
       name: { type: "string", required: true },
       timeframe: { type: "string", required: false },
+      dates: { type: "object", required: false },
       link: { type: "string", required: false },
       description: { type: "array", required: true, itemType: "string" },
     },
@@ -66,16 +134,91 @@ const resumeSchema = {
     itemSchema: {
       title: { type: "string", required: true },
       date: { type: "string", required: false },
+      dates: { type: "object", required: false },
       description: { type: "array", required: true, itemType: "string" },
     },
   },
   references: { type: "array", required: false, itemType: "string" },
+
+  // Share of experience bullets with a quantified achievement
+  quantifiedBulletRatio: { type: "number", required: false },
+
+  // Career timeline computed from the experience dates
+  timeline: { type: "object", required: false },
+
+  // Sections under headings the parser does not know (e.g. "Volunteering")
+  additionalSections: {
+    type: "array",
+    required: false,
+    itemSchema: {
+      heading: { type: "string", required: true },
+      lines: { type: "array", required: true, itemType: "string" },
+    },
+  },
 };
 
+// Types of schema violations reported by validateStrict
+const VIOLATION_TYPES = {
+  MISSING_REQUIRED: "missing-required",
+  WRONG_TYPE: "wrong-type",
+  UNKNOWN_FIELD: "unknown-field",
+};
+
+/**
+ * Check whether a field holds metadata added by the library (e.g. "_textRepair")
+ * @param {string} field - Field name
+ * @returns {boolean} - True for metadata fields, which the schema does not cover
+ */
+function isMetadataField(field) {
+  return field.startsWith("_");
+}
+
+/**
+ * Get the empty value for a field type
+ * @param {string} type - Field type from the schema
+ * @returns {*} - Empty array, empty string or null
+ */
+function getDefaultValue(type) {
+  if (type === "array") return [];
+  if (type === "string") return "";
+  return null;
+}
+
+/**
+ * Normalize an array value, wrapping single values in an array
+ * @param {*} value - Field value
+ * @returns {Array} - The value as an array
+ */
+function toArray(value) {
+  if (Array.isArray(value)) return value;
+  return value !== undefined && value !== null && value !== "" ? [value] : [];
+}
+
+/**
+ * Copy values parsers store under another name to their schema field
+ * @param {string} field - List field the item belongs to
+ * @param {Object} item - List item
+ * @returns {Object} - Item with aliased values in place
+ */
+function applyFieldAliases(field, item) {
+  if (field !== "experience") return item;
+
+  // Some parsers use 'description' or 'position' for these fields
+  const aliased = { ...item };
+  if (!Array.isArray(aliased.responsibilities) && aliased.description) {
+    aliased.responsibilities = aliased.description;
+  }
+  if (!aliased.position && aliased.title) {
+    aliased.position = aliased.title;
+  }
+  return aliased;
+}
+
 /**
  * Validate parsed data against the schema and normalize it
  * @param {Object} parsedData - The data returned by a parser
- * @returns {Object} - Normalized data that conforms to the schema
+ * @returns {Object} - Normalized data that conforms to the schema. Metadata
+ *   fields (starting with "_") are kept as they are
  */
 function validateAndNormalize(parsedData) {
   const result = {};
@@ -86,92 +229,174 @@ function validateAndNormalize(parsedData) {
 
     // Handle required fields
     if (rules.required && (value === undefined || value === null)) {
-      if (rules.type === "array") {
-        result[field] = [];
-      } else if (rules.type === "string") {
-        result[field] = "";
-      } else {
-        result[field] = null;
-      }
+      result[field] = getDefaultValue(rules.type);
     }
     // Handle arrays
     else if (rules.type === "array") {
-      if (!Array.isArray(value)) {
-        result[field] = [];
-      } else if (rules.itemSchema) {
+      const items = toArray(value);
+      if (rules.itemSchema) {
         // Complex array items (objects)
-        result[field] = value.map((item) => {
-          const normalizedItem = {};
-          for (const [itemField, itemRules] of Object.entries(
-            rules.itemSchema
-          )) {
-            const itemValue = item[itemField];
-
-            // Handle required fields in array items
-            if (
-              itemRules.required &&
-              (itemValue === undefined || itemValue === null)
-            ) {
-              if (itemRules.type === "array") {
-                normalizedItem[itemField] = [];
-              } else if (itemRules.type === "string") {
-                normalizedItem[itemField] = "";
-              } else {
-                normalizedItem[itemField] = null;
+        result[field] = items
+          .filter((item) => item && typeof item === "object")
+          .map((rawItem) => {
+            const item = applyFieldAliases(field, rawItem);
+            const normalizedItem = {};
+            for (const [itemField, itemRules] of Object.entries(
+              rules.itemSchema
+            )) {
+              const itemValue = item[itemField];
+
+              // Handle required fields in array items
+              if (
+                itemRules.required &&
+                (itemValue === undefined || itemValue === null)
+              ) {
+                normalizedItem[itemField] = getDefaultValue(itemRules.type);
+              }
+              // Handle arrays within objects
+              else if (itemRules.type === "array") {
+                normalizedItem[itemField] = toArray(itemValue);
+              }
+              // Handle other types
+              else {
+                normalizedItem[itemField] =
+                  itemValue !== undefined
+                    ? itemValue
+                    : getDefaultValue(itemRules.type);
               }
             }
-            // Handle arrays within objects
-            else if (itemRules.type === "array") {
-              normalizedItem[itemField] = Array.isArray(itemValue)
-                ? itemValue
-                : itemValue
-                ? [itemValue]
-                : [];
-            }
-            // Handle other types
-            else {
-              normalizedItem[itemField] =
-                itemValue !== undefined ? itemValue : "";
-            }
-          }
-          return normalizedItem;
-        });
+            return normalizedItem;
+          });
       } else {
         // Simple array items (strings)
-        result[field] = value;
+        result[field] = items;
       }
     }
     // Handle strings and other simple types
     else {
-      result[field] = value !== undefined ? value : "";
+      result[field] = value !== undefined ? value : getDefaultValue(rules.type);
     }
   }
 
-  // Handle parser-specific fields that need normalization
+  // Keep metadata added by the library
+  for (const [field, value] of Object.entries(parsedData)) {
+    if (isMetadataField(field)) {
+      result[field] = value;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get the schema type of a value
+ * @param {*} value - Value to check
+ * @returns {string} - "array", "null" or the typeof result
+ */
+function getValueType(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+/**
+ * Check the fields of an object against a set of schema rules
+ * @param {Object} data - Object to check
+ * @param {Object} schema - Field rules
+ * @param {string} prefix - Path of the object, prepended to field paths
+ * @param {Array} violations - List the violations are added to
+ */
+function collectViolations(data, schema, prefix, violations) {
+  for (const [field, rules] of Object.entries(schema)) {
+    const path = prefix + field;
+    const value = data[field];
 
-  // Ensure responsibilities exists in each experience item
-  if (result.experience && Array.isArray(result.experience)) {
-    result.experience.forEach((exp) => {
-      // Handle different naming conventions between parsers
-      if (!exp.responsibilities && exp.description) {
-        exp.responsibilities = exp.description;
-      } else if (!exp.responsibilities) {
-        exp.responsibilities = [];
+    if (value === undefined || value === null) {
+      if (rules.required) {
+        violations.push({
+          type: VIOLATION_TYPES.MISSING_REQUIRED,
+          path,
+          expected: rules.type,
+        });
       }
+      continue;
+    }
+
+    const actual = getValueType(value);
+    if (actual !== rules.type) {
+      violations.push({
+        type: VIOLATION_TYPES.WRONG_TYPE,
+        path,
+        expected: rules.type,
+        actual,
+      });
+      continue;
+    }
 
-      // Ensure position exists (some parsers use 'title' instead)
-      if (!exp.position && exp.title) {
-        exp.position = exp.title;
-      } else if (!exp.position) {
-        exp.position = "";
+    if (rules.type !== "array") continue;
+
+    value.forEach((item, index) => {
+      const itemPath = `${path}[${index}]`;
+      if (rules.itemSchema) {
+        if (getValueType(item) !== "object") {
+          violations.push({
+            type: VIOLATION_TYPES.WRONG_TYPE,
+            path: itemPath,
+            expected: "object",
+            actual: getValueType(item),
+          });
+          return;
+        }
+        collectViolations(item, rules.itemSchema, `${itemPath}.`, violations);
+      } else if (rules.itemType && getValueType(item) !== rules.itemType) {
+        violations.push({
+          type: VIOLATION_TYPES.WRONG_TYPE,
+          path: itemPath,
+          expected: rules.itemType,
+          actual: getValueType(item),
+        });
       }
     });
   }
 
-  return result;
+  // Fields the schema does not know about
+  for (const field of Object.keys(data)) {
+    if (!schema[field] && !isMetadataField(field)) {
+      violations.push({
+        type: VIOLATION_TYPES.UNKNOWN_FIELD,
+        path: prefix + field,
+      });
+    }
+  }
+}
+
+/**
+ * Validate parsed data against the schema without changing it
+ * @param {Object} parsedData - The data returned by a parser
+ * @returns {Array} - Violations found, each with a type (see VIOLATION_TYPES),
+ *   the path of the field (e.g. "experience[0].responsibilities") and, for
+ *   type errors, the expected and actual types. Empty if the data is valid
+ */
+function validateStrict(parsedData) {
+  const violations = [];
+  if (getValueType(parsedData) !== "object") {
+    violations.push({
+      type: VIOLATION_TYPES.WRONG_TYPE,
+      path: "",
+      expected: "object",
+      actual: getValueType(parsedData),
+    });
+    return violations;
+  }
+
+  collectViolations(parsedData, resumeSchema, "", violations);
+  return violations;
 }
 
 module.exports = {
   resumeSchema,
+  VIOLATION_TYPES,
+  getDefaultValue,
   validateAndNormalize,
+  validateStrict,
 };
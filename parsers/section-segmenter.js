@@ -0,0 +1,301 @@
+/**
+ * Section Segmentation
+ * Splits resume lines into sections for every parser. Each parser passes its
+ * own header vocabulary; lines are recognized as headings by that vocabulary,
+ * by the shared one below, by heading hints from the source document, or by
+ * how much they look like a heading (capitals, a trailing colon, a short
+ * line, where it sits in the resume). Headings no vocabulary knows are kept
+ * as named sections instead of being dropped, but only when the source
+ * document marks them or they end in a colon, since an all-caps line is as
+ * often an employer or school.
+ */
+
+// Headers for every section known to the parsers
+const SECTION_VOCABULARY = {
+  summary: [
+    "summary",
+    "professional summary",
+    "profile",
+    "about me",
+    "about",
+    "objective",
+  ],
+  experience: [
+    "experience",
+    "work experience",
+    "employment history",
+    "work history",
+    "professional experience",
+  ],
+  education: [
+    "education",
+    "academic background",
+    "academic history",
+    "educational background",
+    "qualifications",
+  ],
+  skills: [
+    "skills",
+    "technical skills",
+    "core competencies",
+    "competencies",
+    "key skills",
+    "technical competencies",
+    "expertise",
+  ],
+  projects: [
+    "projects",
+    "key projects",
+    "personal projects",
+    "professional projects",
+    "academic projects",
+  ],
+  certifications: [
+    "certifications",
+    "certificates",
+    "credentials",
+    "professional certifications",
+  ],
+  languages: ["languages", "language proficiency", "spoken languages"],
+  honors: [
+    "honors",
+    "awards",
+    "achievements",
+    "recognitions",
+    "honours and awards",
+  ],
+  references: ["references", "recommendations"],
+  volunteering: ["volunteering", "volunteer experience", "volunteer work"],
+  publications: ["publications"],
+  interests: ["interests", "hobbies", "hobbies and interests"],
+  activities: ["activities", "extracurricular activities", "leadership"],
+  courses: ["courses", "coursework", "relevant coursework", "training"],
+};
+
+// Header-likeness scores needed for a line containing a known header, and
+// for a line no vocabulary knows, to count as a heading
+const KNOWN_HEADING_SCORE = 0.5;
+const UNKNOWN_HEADING_SCORE = 0.7;
+
+// Lines with more words than this are never headings
+const MAX_HEADING_WORDS = 6;
+
+// Lines up to this many words count as short
+const SHORT_HEADING_WORDS = 4;
+
+// Words that stay lowercase in a title-case heading
+const MINOR_WORDS = new Set(["and", "of", "the", "for", "in", "&"]);
+
+/**
+ * Normalize a line for comparison with header vocabularies
+ * @param {string} line - Resume line
+ * @returns {string} - Lowercase line without a trailing colon
+ */
+function normalizeHeading(line) {
+  return line
+    .toLowerCase()
+    .replace(/:\s*$/, "")
+    .replace(/\s*&\s*/g, " and ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Score how much a line looks like a section heading
+ * @param {string} line - Resume line
+ * @param {boolean} [repeated] - Whether the same line occurs more than once
+ * @returns {number} - Score, 0 for lines that cannot be headings
+ */
+function scoreHeading(line, repeated = false) {
+  const text = line.replace(/:\s*$/, "").trim();
+
+  // Digits, bullets, addresses and sentence punctuation rule a heading out
+  if (!text || /[^A-Za-z&'\-\/() ]/.test(text)) return 0;
+
+  const words = text.split(/\s+/);
+  if (words.length > MAX_HEADING_WORDS) return 0;
+
+  let score = 0;
+  const letters = text.replace(/[^A-Za-z]/g, "");
+  if (letters.length >= 4 && letters === letters.toUpperCase()) score += 0.4;
+  if (/:\s*$/.test(line)) score += 0.3;
+  if (words.length <= SHORT_HEADING_WORDS) score += 0.2;
+  if (words.every((word) => /^[A-Z]/.test(word) || MINOR_WORDS.has(word))) {
+    score += 0.1;
+  }
+
+  // A lone word is more often a name, company or tool than a heading
+  if (words.length === 1 && !/:\s*$/.test(line)) score -= 0.3;
+
+  // Section headings appear once; a repeated line is a sub-heading inside
+  // entries ("Accomplishments:" under each job)
+  if (repeated) score -= 0.5;
+
+  return score;
+}
+
+/**
+ * Find the section a heading belongs to in a header vocabulary
+ * @param {string} key - Normalized heading
+ * @param {Object} vocabulary - Headers for each section
+ * @param {boolean} exact - Require the heading to equal a header instead of
+ *   containing one
+ * @returns {string|null} - Section name, or null if no header matches
+ */
+function findSection(key, vocabulary, exact) {
+  let best = null;
+  let bestLength = 0;
+
+  for (const [section, headers] of Object.entries(vocabulary)) {
+    for (const header of headers) {
+      const matches = exact
+        ? key === header
+        : ` ${key} `.includes(` ${header} `);
+      // The longest header wins ("volunteer experience" over "experience")
+      if (matches && header.length > bestLength) {
+        best = section;
+        bestLength = header.length;
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Find the section a heading belongs to, looking in the parser's vocabulary
+ * first and the shared one second
+ * @param {string} key - Normalized heading
+ * @param {Object} vocabulary - The parser's headers for each section
+ * @param {boolean} exact - Require the heading to equal a header
+ * @returns {string|null} - Section name, or null if no header matches
+ */
+function matchHeader(key, vocabulary, exact) {
+  return (
+    findSection(key, vocabulary, exact) ||
+    findSection(key, SECTION_VOCABULARY, exact)
+  );
+}
+
+/**
+ * Split resume lines into sections
+ * @param {string[]} lines - Lines from the resume text
+ * @param {Object} [options] - Segmentation options
+ * @param {Object} [options.vocabulary] - The parser's headers for each of its
+ *   sections, defaults to SECTION_VOCABULARY
+ * @param {string[]} [options.headings] - Heading lines marked by the source document
+ * @returns {Object} - Object with `sections`, the lines of each section in the
+ *   vocabulary, and `additionalSections`, a list of `{heading, lines}` for
+ *   headings outside it
+ */
+function segmentSections(lines, options = {}) {
+  const vocabulary = options.vocabulary || SECTION_VOCABULARY;
+  const headingHints = new Set(
+    (options.headings || []).map((heading) => normalizeHeading(heading))
+  );
+
+  const sections = {};
+  for (const section of Object.keys(vocabulary)) {
+    sections[section] = [];
+  }
+  const additionalSections = [];
+
+  const counts = {};
+  for (const line of lines) {
+    const key = normalizeHeading(line);
+    counts[key] = (counts[key] || 0) + 1;
+  }
+
+  let current = null;
+  let seenHeading = false;
+
+  /**
+   * Start a section for a heading line
+   * @param {string|null} section - Section the heading belongs to, if known
+   * @param {string} heading - Heading line
+   */
+  function startSection(section, heading) {
+    seenHeading = true;
+    if (section && sections[section]) {
+      current = sections[section];
+    } else {
+      current = [];
+      additionalSections.push({
+        heading: heading.replace(/:\s*$/, "").trim(),
+        lines: current,
+      });
+    }
+  }
+
+  for (const line of lines) {
+    const key = normalizeHeading(line);
+
+    // A heading marked by the source document starts a section even when
+    // worded differently
+    if (headingHints.has(key)) {
+      startSection(matchHeader(key, vocabulary, false), line);
+      continue;
+    }
+
+    // A line that is exactly a known header
+    const exactSection = matchHeader(key, vocabulary, true);
+    if (exactSection) {
+      startSection(exactSection, line);
+      continue;
+    }
+
+    // A known header followed by the section's first line ("Skills: Java, Go").
+    // Inside a skills section such a line is a skill category ("Languages:
+    // Python, Java") and stays in the section
+    const inline = line.match(/^([^:]{3,40}):\s*(\S.*)$/);
+    if (inline && !(current && current === sections.skills)) {
+      const inlineKey = normalizeHeading(inline[1]);
+      const inlineSection = matchHeader(inlineKey, vocabulary, true);
+      if (inlineSection) {
+        startSection(inlineSection, inline[1]);
+        current.push(inline[2].trim());
+        continue;
+      }
+    }
+
+    const score = scoreHeading(line, counts[key] > 1);
+
+    // A heading-like line containing a known header ("TECHNICAL SKILLS AND
+    // METHODOLOGIES:")
+    if (score >= KNOWN_HEADING_SCORE) {
+      const section = matchHeader(key, vocabulary, false);
+      if (section) {
+        startSection(section, line);
+        continue;
+      }
+    }
+
+    // Unknown headings are only trusted once the resume's sections have
+    // started, since above them sit the name and title, and only with a
+    // colon: capitals alone mark employers ("ACME CORPORATION") as often as
+    // headings. Jobs and degrees hold such sub-headings ("Selected Clients:")
+    const inEntries =
+      current === sections.experience || current === sections.education;
+    if (
+      seenHeading &&
+      !inEntries &&
+      /:\s*$/.test(line) &&
+      score >= UNKNOWN_HEADING_SCORE
+    ) {
+      startSection(null, line);
+      continue;
+    }
+
+    if (current) {
+      current.push(line);
+    }
+  }
+
+  return { sections, additionalSections };
+}
+
+module.exports = {
+  SECTION_VOCABULARY,
+  scoreHeading,
+  segmentSections,
+};
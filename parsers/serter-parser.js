@@ -1,29 +1,86 @@
 const fs = require("fs");
 const path = require("path");
 const pdfParse = require("pdf-parse");
+const { segmentSections } = require("./section-segmenter");
+const { findPhoneNumber } = require("./phone-numbers");
+const { extractContacts } = require("./contacts");
+const { detectName, isLabelLine } = require("./name-detection");
+const { findCandidateLocation } = require("./locations");
+const { groupSkills, removeSkillCategory } = require("./skills");
+const { extractLanguages } = require("./languages");
+const { extractCertifications } = require("./certifications");
+const { extractExperienceWithRoles } = require("./employer-roles");
+const { joinBulletLines } = require("./bullets");
+
+// Section headers typical for Serter format
+const SECTION_HEADERS = {
+  summary: ["summary", "professional summary", "profile", "about me", "about"],
+  experience: [
+    "experience",
+    "work experience",
+    "employment history",
+    "work history",
+    "professional experience",
+  ],
+  education: [
+    "education",
+    "academic background",
+    "academic history",
+    "qualifications",
+  ],
+  skills: [
+    "skills",
+    "technical skills",
+    "core competencies",
+    "competencies",
+    "key skills",
+    "technical competencies",
+  ],
+  projects: [
+    "projects",
+    "key projects",
+    "personal projects",
+    "professional projects",
+  ],
+  certifications: [
+    "certifications",
+    "certificates",
+    "credentials",
+    "professional certifications",
+  ],
+  languages: ["languages", "language proficiency", "spoken languages"],
+};
 
 /**
  * A specialized parser for resumes similar to Serter_I.pdf format.
  * This function will take resume text and extract relevant information.
  * @param {string} text - The resume text to parse.
+ * @param {Object} [options] - Parsing options.
+ * @param {string[]} [options.headings] - Heading lines marked by the source document.
+ * @param {string} [options.defaultRegion] - Region for phone numbers without a country code.
  * @returns {Object} - An object containing parsed information.
  */
-async function parseSerterFormat(text) {
+async function parseSerterFormat(text, options = {}) {
   // Initialize parsed data structure
   const parsedData = {
     name: "",
+    nameConfidence: 0,
     title: "",
     email: "",
     phone: "",
+    phoneE164: "",
     linkedin: "",
+    contacts: null,
     location: "",
     summary: "",
     experience: [],
     education: [],
     skills: [],
+    skillGroups: [],
     projects: [],
     certifications: [],
     languages: [],
+    additionalSections: [],
   };
 
   try {
@@ -34,10 +91,13 @@ async function parseSerterFormat(text) {
       .filter((line) => line.length > 0);
 
     // Extract basic information (typically at the top of the resume)
-    extractBasicInfo(lines, parsedData);
+    extractBasicInfo(lines, parsedData, options);
 
     // Extract sections based on Serter format section headers
-    const sections = extractSections(lines);
+    const { sections, additionalSections } = segmentSections(lines, {
+      vocabulary: SECTION_HEADERS,
+      headings: options.headings,
+    });
 
     // Process each section
     if (sections.summary && sections.summary.length > 0) {
@@ -45,7 +105,10 @@ async function parseSerterFormat(text) {
     }
 
     if (sections.experience) {
-      parsedData.experience = extractExperience(sections.experience);
+      parsedData.experience = extractExperienceWithRoles(
+        sections.experience,
+        extractExperience
+      );
     }
 
     if (sections.education) {
@@ -54,6 +117,7 @@ async function parseSerterFormat(text) {
 
     if (sections.skills) {
       parsedData.skills = extractSkills(sections.skills);
+      parsedData.skillGroups = groupSkills(sections.skills);
     }
 
     if (sections.projects) {
@@ -61,17 +125,23 @@ async function parseSerterFormat(text) {
     }
 
     if (sections.certifications) {
-      parsedData.certifications = sections.certifications.map((line) => line.trim());
+      parsedData.certifications = extractCertifications(
+        sections.certifications,
+        options
+      );
     }
 
-    if (sections.languages) {
-      parsedData.languages = sections.languages.map((line) => line.trim());
-    }
+    // Languages come from their section and from "Languages:" lines
+    parsedData.languages = extractLanguages(lines, sections.languages);
+
+    // Keep sections under headings this parser does not know
+    parsedData.additionalSections = additionalSections;
 
     // Ensure all array fields are properly initialized
     parsedData.experience = parsedData.experience || [];
     parsedData.education = parsedData.education || [];
     parsedData.skills = parsedData.skills || [];
+    parsedData.skillGroups = parsedData.skillGroups || [];
     parsedData.projects = parsedData.projects || [];
     parsedData.certifications = parsedData.certifications || [];
     parsedData.languages = parsedData.languages || [];
@@ -87,24 +157,10 @@ async function parseSerterFormat(text) {
  * Extract basic information from the resume (name, contact info, etc.)
  * @param {string[]} lines - Lines from the resume text
  * @param {Object} parsedData - Object to store the extracted data
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.defaultRegion] - Region for phone numbers without a country code
  */
-function extractBasicInfo(lines, parsedData) {
-  // In Serter format, the name is typically the first line in larger/bold text
-  if (lines.length > 0) {
-    parsedData.name = lines[0];
-  }
-
-  // Title usually follows the name
-  if (lines.length > 1) {
-    // If the second line looks like a title (no email/phone/etc.)
-    if (
-      !lines[1].includes("@") &&
-      !lines[1].match(/\d{3}[-.\s]?\d{3}[-.\s]?\d{4}/)
-    ) {
-      parsedData.title = lines[1];
-    }
-  }
-
+function extractBasicInfo(lines, parsedData, options = {}) {
   // Extract email
   const emailRegex = /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g;
   for (const line of lines.slice(0, 10)) {
@@ -116,14 +172,29 @@ function extractBasicInfo(lines, parsedData) {
     }
   }
 
-  // Extract phone
-  const phoneRegex = /(\+\d{1,2}\s?)?\(?\d{3}\)?[-.\s]?\d{3}[-.\s]?\d{4}/g;
-  for (const line of lines.slice(0, 10)) {
-    const match = line.match(phoneRegex);
-    if (match) {
-      parsedData.phone = match[0];
-      break;
-    }
+  // In Serter format, the name is near the top in larger/bold text, possibly
+  // below a sidebar label
+  const detected = detectName(lines, { email: parsedData.email });
+  parsedData.name = detected.name;
+  parsedData.nameConfidence = detected.confidence;
+
+  // Title usually follows the name
+  const titleLine = detected.index >= 0 ? lines[detected.index + 1] : null;
+  // If the line looks like a title (no email/phone/label)
+  if (
+    titleLine &&
+    !titleLine.includes("@") &&
+    !titleLine.match(/\d{3}[-.\s]?\d{3}[-.\s]?\d{4}/) &&
+    !isLabelLine(titleLine)
+  ) {
+    parsedData.title = titleLine;
+  }
+
+  // Extract phone, in national or international format
+  const phone = findPhoneNumber(lines.slice(0, 10), options);
+  if (phone) {
+    parsedData.phone = phone.raw;
+    parsedData.phoneE164 = phone.e164 || "";
   }
 
   // Extract LinkedIn
@@ -136,132 +207,18 @@ function extractBasicInfo(lines, parsedData) {
     }
   }
 
-  // Extract location (often near contact details)
-  const locationIndicators = ["located in", "location:", "address:", "city:"];
-  for (const line of lines.slice(0, 15)) {
-    const lowerLine = line.toLowerCase();
-    if (
-      locationIndicators.some((indicator) => lowerLine.includes(indicator)) ||
-      (line.includes(",") && /[A-Z]{2}/.test(line))
-    ) {
-      parsedData.location = line;
-      break;
-    }
-  }
-}
-
-/**
- * Extract different sections from the resume based on Serter format
- * @param {string[]} lines - Lines from the resume text
- * @returns {Object} - Object with different sections as properties
- */
-function extractSections(lines) {
-  const sections = {
-    summary: [],
-    experience: [],
-    education: [],
-    skills: [],
-    projects: [],
-    certifications: [],
-    languages: [],
-  };
-
-  let currentSection = null;
-
-  // Define section headers typical for Serter format
-  const sectionHeaders = {
-    summary: [
-      "summary",
-      "professional summary",
-      "profile",
-      "about me",
-      "about",
-    ],
-    experience: [
-      "experience",
-      "work experience",
-      "employment history",
-      "work history",
-      "professional experience",
-    ],
-    education: [
-      "education",
-      "academic background",
-      "academic history",
-      "qualifications",
-    ],
-    skills: [
-      "skills",
-      "technical skills",
-      "core competencies",
-      "competencies",
-      "key skills",
-      "technical competencies",
-    ],
-    projects: [
-      "projects",
-      "key projects",
-      "personal projects",
-      "professional projects",
-    ],
-    certifications: [
-      "certifications",
-      "certificates",
-      "credentials",
-      "professional certifications",
-    ],
-    languages: ["languages", "language proficiency", "spoken languages"],
-  };
-
-  // Find sections in the text
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].toLowerCase();
-
-    // Check if the current line is a section header
-    let foundSection = false;
-    for (const [section, headers] of Object.entries(sectionHeaders)) {
-      // Section headers in Serter format are often CAPITALIZED or followed by a colon
-      if (
-        headers.some(
-          (header) =>
-            line === header ||
-            line === header.toUpperCase() ||
-            line.startsWith(header + ":") ||
-            line.startsWith(header.toUpperCase() + ":") ||
-            line === header.charAt(0).toUpperCase() + header.slice(1)
-        )
-      ) {
-        currentSection = section;
-        foundSection = true;
-        break;
-      }
-    }
-
-    // If not a section header and we're in a section, add the line
-    if (!foundSection && currentSection) {
-      // Check if we've hit another section header
-      const isNewSectionHeader = Object.values(sectionHeaders).some((headers) =>
-        headers.some(
-          (header) =>
-            line === header ||
-            line === header.toUpperCase() ||
-            line.startsWith(header + ":") ||
-            line.startsWith(header.toUpperCase() + ":") ||
-            line === header.charAt(0).toUpperCase() + header.slice(1)
-        )
-      );
+  // Every e-mail address, phone number and profile
+  parsedData.contacts = extractContacts(lines, options);
 
-      if (isNewSectionHeader) {
-        currentSection = null;
-      } else {
-        sections[currentSection].push(lines[i]);
-      }
-    }
+  // Extract location (often near contact details), resolved against the
+  // gazetteer
+  const place = findCandidateLocation(lines, options);
+  if (place) {
+    parsedData.location = place.raw;
   }
-
-  return sections;
 }
 
+
 /**
  * Extract experience information from the experience section
  * @param {string[]} experienceLines - Lines from the experience section
@@ -277,6 +234,18 @@ function extractExperience(experienceLines) {
   for (let i = 0; i < experienceLines.length; i++) {
     const line = experienceLines[i];
 
+    // A line holding only a date range belongs to the entry above it
+    if (
+      currentExperience &&
+      currentExperience.title &&
+      !currentExperience.period &&
+      datePattern.test(line) &&
+      !line.replace(datePattern, "").trim()
+    ) {
+      currentExperience.period = line.match(datePattern)[0];
+      continue;
+    }
+
     // Check if this looks like a job title line (often starts with a title)
     if (
       i === 0 ||
@@ -371,13 +340,10 @@ function extractExperience(experienceLines) {
       ) {
         currentExperience.location = line;
       }
-      // Otherwise it's likely a responsibility bullet
+      // Otherwise it's likely a responsibility bullet, or part of one; bullet
+      // glyphs are kept so the wrapped lines can be joined below
       else if (line.trim().length > 0) {
-        // Clean up bullet points for consistency
-        const cleanedLine = line.replace(/^[•●■◼︎]/, "").trim();
-        if (cleanedLine.length > 0) {
-          currentExperience.responsibilities.push(cleanedLine);
-        }
+        currentExperience.responsibilities.push(line.trim());
       }
     }
   }
@@ -390,6 +356,10 @@ function extractExperience(experienceLines) {
     experiences.push(currentExperience);
   }
 
+  for (const experience of experiences) {
+    experience.responsibilities = joinBulletLines(experience.responsibilities);
+  }
+
   return experiences;
 }
 
@@ -404,11 +374,23 @@ function extractEducation(educationLines) {
   const datePattern =
     /\b(?:\d{4}(?:\s*-\s*|\s*–\s*|\s*—\s*|\s+to\s+)(?:\d{4}|present|current|now)|\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{4}\s*(?:-|–|—|to)\s*(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{4}|\b(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*\s+\d{4}\s*(?:-|–|—|to)\s*(?:Present|Current|Now))\b/i;
   const degreePattern =
-    /\b(?:Bachelor|Master|PhD|Ph\.D|Doctorate|MBA|BS|BA|MS|MA|Associate|B\.S\.|M\.S\.|B\.A\.|M\.A\.|B\.E\.|M\.E\.|B\.Tech|M\.Tech)[a-zA-Z\.\s,]*(?:in|of)?\s+[a-zA-Z\s,]+\b/i;
+    /\b(?:Bachelors?|Masters?|PhD|Ph\.D|Doctorate|MBA|BSc|MSc|BEng|MEng|BS|BA|MS|MA|Associates?|B\.S|M\.S|B\.A|M\.A|B\.E|M\.E|B\.Tech|M\.Tech|Diploma)\b[a-zA-Z\.\s,]*(?:in|of)?\s+[a-zA-Z\s,]+\b/i;
 
   for (let i = 0; i < educationLines.length; i++) {
     const line = educationLines[i];
 
+    // A line holding only a date range belongs to the entry above it
+    if (
+      currentEducation &&
+      (currentEducation.degree || currentEducation.institution) &&
+      !currentEducation.period &&
+      datePattern.test(line) &&
+      !line.replace(datePattern, "").trim()
+    ) {
+      currentEducation.period = line.match(datePattern)[0];
+      continue;
+    }
+
     // Check if this looks like a new education entry
     if (
       i === 0 ||
@@ -534,7 +516,10 @@ function extractSkills(skillsLines) {
   const skills = [];
 
   // In Serter format, skills are often presented in a list or separated by commas
-  for (const line of skillsLines) {
+  for (const rawLine of skillsLines) {
+    // "Frontend: React, Vue" lists "React" and "Vue"
+    const line = removeSkillCategory(rawLine);
+
     // First check if line contains bullet points or commas
     if (
       line.includes("•") ||
@@ -651,9 +636,8 @@ function extractProjects(projectLines) {
       currentProject.name = projectName.replace(/[:•●■◼︎]/g, "").trim();
     } else if (currentProject) {
       // If it's a continuation of the current project, add to description
-      const cleanedLine = line.replace(/^[•●■◼︎]/, "").trim();
-      if (cleanedLine.length > 0) {
-        currentProject.description.push(cleanedLine);
+      if (line.trim().length > 0) {
+        currentProject.description.push(line.trim());
       }
     }
   }
@@ -663,6 +647,10 @@ function extractProjects(projectLines) {
     projects.push(currentProject);
   }
 
+  for (const project of projects) {
+    project.description = joinBulletLines(project.description);
+  }
+
   return projects;
 }
 
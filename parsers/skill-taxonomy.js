@@ -0,0 +1,282 @@
+/**
+ * Skill Taxonomy
+ * Canonical skill names with their category and the aliases they are
+ * written as in resumes. Aliases are compared without case, spaces, dots or
+ * hyphens, so "Node.js", "NodeJS" and "node js" only need one entry.
+ *
+ * Categories: "language", "framework", "database", "cloud", "tool",
+ * "methodology" and "soft skill".
+ */
+
+const SKILL_TAXONOMY = [
+  // Programming, query and markup languages
+  {
+    name: "JavaScript",
+    category: "language",
+    aliases: ["JS", "ECMAScript", "ES6"],
+  },
+  { name: "TypeScript", category: "language", aliases: ["TS"] },
+  { name: "Python", category: "language", aliases: ["Python3", "Py"] },
+  { name: "Java", category: "language", aliases: [] },
+  { name: "C", category: "language", aliases: [] },
+  { name: "C++", category: "language", aliases: ["CPP"] },
+  { name: "C#", category: "language", aliases: ["CSharp", "C Sharp"] },
+  { name: "Go", category: "language", aliases: ["Golang"] },
+  { name: "Rust", category: "language", aliases: [] },
+  { name: "Ruby", category: "language", aliases: [] },
+  { name: "PHP", category: "language", aliases: [] },
+  { name: "Kotlin", category: "language", aliases: [] },
+  { name: "Swift", category: "language", aliases: [] },
+  { name: "Dart", category: "language", aliases: [] },
+  { name: "Scala", category: "language", aliases: [] },
+  { name: "R", category: "language", aliases: [] },
+  { name: "MATLAB", category: "language", aliases: [] },
+  { name: "Perl", category: "language", aliases: [] },
+  { name: "Bash", category: "language", aliases: ["Shell", "Shell Scripting"] },
+  { name: "PowerShell", category: "language", aliases: [] },
+  { name: "SQL", category: "language", aliases: ["T-SQL", "TSQL", "PL/SQL"] },
+  { name: "DAX", category: "language", aliases: [] },
+  { name: "HTML", category: "language", aliases: ["HTML5"] },
+  { name: "CSS", category: "language", aliases: ["CSS3"] },
+  { name: "Sass", category: "language", aliases: ["SCSS"] },
+  { name: "XML", category: "language", aliases: [] },
+  { name: "JSON", category: "language", aliases: [] },
+  { name: "GraphQL", category: "language", aliases: [] },
+  { name: "Solidity", category: "language", aliases: [] },
+
+  // Frameworks and libraries
+  { name: "React", category: "framework", aliases: ["React.js", "ReactJS"] },
+  { name: "React Native", category: "framework", aliases: [] },
+  {
+    name: "Angular",
+    category: "framework",
+    aliases: ["AngularJS", "Angular.js"],
+  },
+  { name: "Vue.js", category: "framework", aliases: ["Vue", "VueJS"] },
+  { name: "Svelte", category: "framework", aliases: ["SvelteKit"] },
+  { name: "Next.js", category: "framework", aliases: ["NextJS", "Next"] },
+  { name: "Nuxt.js", category: "framework", aliases: ["Nuxt"] },
+  { name: "Node.js", category: "framework", aliases: ["NodeJS", "Node"] },
+  {
+    name: "Express",
+    category: "framework",
+    aliases: ["Express.js", "ExpressJS"],
+  },
+  { name: "NestJS", category: "framework", aliases: ["Nest.js", "Nest"] },
+  { name: "Redux", category: "framework", aliases: ["Redux Toolkit"] },
+  { name: "jQuery", category: "framework", aliases: [] },
+  { name: "Bootstrap", category: "framework", aliases: [] },
+  {
+    name: "Tailwind CSS",
+    category: "framework",
+    aliases: ["Tailwind", "TailwindCSS"],
+  },
+  {
+    name: "Material UI",
+    category: "framework",
+    aliases: ["MUI", "Material-UI"],
+  },
+  { name: "Django", category: "framework", aliases: [] },
+  { name: "Flask", category: "framework", aliases: [] },
+  { name: "FastAPI", category: "framework", aliases: [] },
+  {
+    name: "Spring",
+    category: "framework",
+    aliases: ["Spring Boot", "SpringBoot"],
+  },
+  { name: "Ruby on Rails", category: "framework", aliases: ["Rails", "RoR"] },
+  { name: "Laravel", category: "framework", aliases: [] },
+  {
+    name: ".NET",
+    category: "framework",
+    aliases: ["dotnet", ".NET Core", "ASP.NET"],
+  },
+  { name: "Flutter", category: "framework", aliases: [] },
+  { name: "Prisma", category: "framework", aliases: ["Prisma ORM"] },
+  { name: "Hibernate", category: "framework", aliases: [] },
+  { name: "TensorFlow", category: "framework", aliases: [] },
+  { name: "PyTorch", category: "framework", aliases: [] },
+  { name: "scikit-learn", category: "framework", aliases: ["sklearn"] },
+  { name: "Pandas", category: "framework", aliases: [] },
+  { name: "NumPy", category: "framework", aliases: [] },
+  { name: "Jest", category: "framework", aliases: [] },
+  { name: "Cypress", category: "framework", aliases: [] },
+  { name: "Selenium", category: "framework", aliases: [] },
+
+  // Databases and data stores
+  { name: "MySQL", category: "database", aliases: [] },
+  { name: "PostgreSQL", category: "database", aliases: ["Postgres"] },
+  { name: "SQLite", category: "database", aliases: [] },
+  {
+    name: "Microsoft SQL Server",
+    category: "database",
+    aliases: ["SQL Server", "MSSQL", "MS SQL"],
+  },
+  {
+    name: "Oracle Database",
+    category: "database",
+    aliases: ["Oracle", "Oracle DB"],
+  },
+  { name: "MongoDB", category: "database", aliases: ["Mongo"] },
+  { name: "Redis", category: "database", aliases: [] },
+  { name: "Cassandra", category: "database", aliases: [] },
+  { name: "DynamoDB", category: "database", aliases: [] },
+  { name: "Elasticsearch", category: "database", aliases: ["Elastic Search"] },
+  { name: "Neo4j", category: "database", aliases: [] },
+  { name: "Teradata", category: "database", aliases: [] },
+  { name: "Snowflake", category: "database", aliases: [] },
+  { name: "Amazon Redshift", category: "database", aliases: ["Redshift"] },
+  { name: "BigQuery", category: "database", aliases: ["Google BigQuery"] },
+  { name: "Hive", category: "database", aliases: ["Apache Hive"] },
+
+  // Cloud platforms and services
+  { name: "AWS", category: "cloud", aliases: ["Amazon Web Services"] },
+  { name: "AWS EC2", category: "cloud", aliases: ["EC2"] },
+  { name: "AWS S3", category: "cloud", aliases: ["S3"] },
+  { name: "AWS RDS", category: "cloud", aliases: ["RDS"] },
+  { name: "AWS Lambda", category: "cloud", aliases: ["Lambda"] },
+  { name: "Microsoft Azure", category: "cloud", aliases: ["Azure"] },
+  { name: "Azure Data Factory", category: "cloud", aliases: ["ADF"] },
+  { name: "Azure Data Lake", category: "cloud", aliases: ["Azure DataLake"] },
+  {
+    name: "Google Cloud",
+    category: "cloud",
+    aliases: ["GCP", "Google Cloud Platform"],
+  },
+  { name: "Firebase", category: "cloud", aliases: [] },
+  { name: "Heroku", category: "cloud", aliases: [] },
+  { name: "Vercel", category: "cloud", aliases: [] },
+  { name: "Netlify", category: "cloud", aliases: [] },
+  { name: "Databricks", category: "cloud", aliases: [] },
+  {
+    name: "Microsoft Synapse",
+    category: "cloud",
+    aliases: ["Azure Synapse", "Synapse"],
+  },
+
+  // Tools
+  { name: "Git", category: "tool", aliases: [] },
+  { name: "GitHub", category: "tool", aliases: [] },
+  { name: "GitLab", category: "tool", aliases: [] },
+  { name: "Bitbucket", category: "tool", aliases: [] },
+  { name: "Docker", category: "tool", aliases: [] },
+  { name: "Kubernetes", category: "tool", aliases: ["K8s"] },
+  { name: "Terraform", category: "tool", aliases: [] },
+  { name: "Jenkins", category: "tool", aliases: [] },
+  { name: "GitHub Actions", category: "tool", aliases: [] },
+  { name: "CI/CD", category: "tool", aliases: ["CI/CD Pipelines", "CICD"] },
+  { name: "Webpack", category: "tool", aliases: [] },
+  { name: "Vite", category: "tool", aliases: [] },
+  { name: "npm", category: "tool", aliases: [] },
+  { name: "Postman", category: "tool", aliases: [] },
+  { name: "Jira", category: "tool", aliases: [] },
+  { name: "Confluence", category: "tool", aliases: [] },
+  { name: "Figma", category: "tool", aliases: [] },
+  { name: "Visio", category: "tool", aliases: ["Microsoft Visio"] },
+  { name: "Excel", category: "tool", aliases: ["Microsoft Excel", "MS Excel"] },
+  {
+    name: "Microsoft Office",
+    category: "tool",
+    aliases: ["MS Office", "Office 365"],
+  },
+  {
+    name: "Power BI",
+    category: "tool",
+    aliases: ["PowerBI", "PowerBi Desktop"],
+  },
+  {
+    name: "Power Automate",
+    category: "tool",
+    aliases: ["Microsoft Power Automate"],
+  },
+  { name: "Tableau", category: "tool", aliases: [] },
+  { name: "SSIS", category: "tool", aliases: [] },
+  { name: "SSRS", category: "tool", aliases: [] },
+  { name: "SPSS", category: "tool", aliases: [] },
+  { name: "Salesforce", category: "tool", aliases: [] },
+  { name: "Collibra", category: "tool", aliases: [] },
+  { name: "Informatica", category: "tool", aliases: [] },
+  { name: "Erwin", category: "tool", aliases: ["Erwin Data Modeler"] },
+  { name: "Linux", category: "tool", aliases: ["Unix"] },
+  { name: "Airflow", category: "tool", aliases: ["Apache Airflow"] },
+  { name: "Kafka", category: "tool", aliases: ["Apache Kafka"] },
+  { name: "Spark", category: "tool", aliases: ["Apache Spark", "PySpark"] },
+  { name: "JWT", category: "tool", aliases: [] },
+  { name: "OAuth", category: "tool", aliases: ["OAuth2"] },
+  {
+    name: "REST APIs",
+    category: "tool",
+    aliases: ["REST", "RESTful", "RESTful APIs", "REST API"],
+  },
+
+  // Methodologies and practices
+  { name: "Agile", category: "methodology", aliases: [] },
+  { name: "Scrum", category: "methodology", aliases: [] },
+  { name: "Kanban", category: "methodology", aliases: [] },
+  { name: "Waterfall", category: "methodology", aliases: [] },
+  { name: "DevOps", category: "methodology", aliases: [] },
+  {
+    name: "TDD",
+    category: "methodology",
+    aliases: ["Test-Driven Development"],
+  },
+  { name: "Unit Testing", category: "methodology", aliases: [] },
+  {
+    name: "Automated Testing",
+    category: "methodology",
+    aliases: ["Test Automation"],
+  },
+  { name: "TOGAF", category: "methodology", aliases: [] },
+  { name: "PMBOK", category: "methodology", aliases: [] },
+  { name: "DMBOK", category: "methodology", aliases: [] },
+  { name: "Data Vault", category: "methodology", aliases: [] },
+  { name: "Kimball", category: "methodology", aliases: [] },
+  {
+    name: "Data Modeling",
+    category: "methodology",
+    aliases: ["Data Modelling"],
+  },
+  { name: "Machine Learning", category: "methodology", aliases: ["ML"] },
+  {
+    name: "UI/UX Design",
+    category: "methodology",
+    aliases: ["UI/UX", "UX Design", "UI Design"],
+  },
+
+  // Soft skills
+  {
+    name: "Communication",
+    category: "soft skill",
+    aliases: ["Communication Skills"],
+  },
+  {
+    name: "Teamwork",
+    category: "soft skill",
+    aliases: ["Team Work", "Collaboration"],
+  },
+  { name: "Leadership", category: "soft skill", aliases: ["Team Leadership"] },
+  {
+    name: "Problem Solving",
+    category: "soft skill",
+    aliases: ["Problem-Solving"],
+  },
+  { name: "Critical Thinking", category: "soft skill", aliases: [] },
+  { name: "Time Management", category: "soft skill", aliases: [] },
+  { name: "Project Management", category: "soft skill", aliases: [] },
+  { name: "Stakeholder Management", category: "soft skill", aliases: [] },
+  { name: "Mentoring", category: "soft skill", aliases: ["Coaching"] },
+  { name: "Customer Service", category: "soft skill", aliases: [] },
+  {
+    name: "Public Speaking",
+    category: "soft skill",
+    aliases: ["Presentation Skills"],
+  },
+  { name: "Negotiation", category: "soft skill", aliases: [] },
+  { name: "Adaptability", category: "soft skill", aliases: [] },
+  { name: "Attention to Detail", category: "soft skill", aliases: [] },
+  { name: "Writing", category: "soft skill", aliases: ["Technical Writing"] },
+];
+
+module.exports = {
+  SKILL_TAXONOMY,
+};
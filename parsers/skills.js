@@ -0,0 +1,388 @@
+/**
+ * Skills
+ * Reads the category groups of a skills section ("Frontend: React, Vue",
+ * tab-separated or table rows) and normalizes the raw skills a parser
+ * extracted against the local skill taxonomy: lines are split into individual
+ * skills, aliases ("ReactJS", "Postgres") map to their canonical name and
+ * category, and the text each skill was written as is kept next to it.
+ */
+
+const { SKILL_TAXONOMY } = require("./skill-taxonomy");
+
+// Longest run of words matched against the taxonomy when a line lists
+// skills separated by spaces only ("ReactJS Angular React Native")
+const MAX_ALIAS_WORDS = 4;
+
+// Unknown items longer than this are sentences, not skills
+const MAX_SKILL_WORDS = 6;
+
+// Bullets and list markers at the start of an item
+const BULLET = /^[\s•·▪◦●○■□➢➤►▶✓✔*-]+/;
+
+// "Frontend: React, Vue" - a short category label before a colon
+const CATEGORY_PREFIX = /^([A-Za-z][A-Za-z &/+-]{1,40}?)\s*:\s*(.+)$/;
+
+// Cells of a tab-separated or table row ("Frontend<TAB>React, Vue",
+// "Frontend     React, Vue", "| Frontend | React, Vue |")
+const CELL_SEPARATOR = /\t+|\s{3,}|\s*\|\s*/;
+
+// Header rows of skills tables ("Category | Skills")
+const TABLE_HEADER =
+  /^(?:categor(?:y|ies)|areas?|types?|skills?|skill sets?|technolog(?:y|ies)|tools?|details|proficiency)$/i;
+
+// Joins between two skills written as one item
+const JOINED_SKILLS = /\s*\/\s*|\s+(?:and|&)\s+/i;
+
+// Qualifiers written around a skill ("Advanced Excel", "Proficient in SQL")
+const QUALIFIER =
+  /^(?:(?:strong|good|excellent|advanced|basic|intermediate|expert|working|solid)\s+(?:knowledge|understanding|experience)?\s*(?:of|in|with)?\s*|(?:proficient|experienced|skilled|expert|fluent)\s+(?:in|with)\s+|knowledge\s+of\s+|experience\s+(?:in|with)\s+)/i;
+
+/**
+ * Reduce a skill to the key its aliases are compared by
+ * @param {string} text - Skill as written
+ * @returns {string} - Lowercase text without spaces, dots, hyphens or underscores
+ */
+function skillKey(text) {
+  return text.toLowerCase().replace(/[\s._-]+/g, "");
+}
+
+/**
+ * Build the alias lookup for a taxonomy
+ * @param {Object[]} taxonomy - Entries with name, category and aliases
+ * @returns {Map} - Map from skill key to taxonomy entry
+ */
+function buildIndex(taxonomy) {
+  const index = new Map();
+  for (const entry of taxonomy) {
+    for (const alias of [entry.name, ...(entry.aliases || [])]) {
+      const key = skillKey(alias);
+      if (!index.has(key)) index.set(key, entry);
+    }
+  }
+  return index;
+}
+
+const DEFAULT_INDEX = buildIndex(SKILL_TAXONOMY);
+
+/**
+ * Split text on commas, semicolons, pipes and bullets that are outside
+ * parentheses
+ * @param {string} text - Text listing skills
+ * @returns {string[]} - Trimmed, non-empty items
+ */
+function splitOutsideParentheses(text) {
+  const items = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of text) {
+    if (char === "(") depth++;
+    if (char === ")") depth = Math.max(0, depth - 1);
+    if (depth === 0 && /[,;|•·]/.test(char)) {
+      items.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  items.push(current);
+
+  return items.map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Rejoin items a parser split inside parentheses
+ * ("AWS (EC2", "S3", "RDS)" becomes "AWS (EC2, S3, RDS)")
+ * @param {string[]} skills - Raw skills
+ * @returns {string[]} - Skills with balanced parentheses
+ */
+function rejoinParentheses(skills) {
+  const joined = [];
+  let open = null;
+
+  for (const skill of skills) {
+    const text = String(skill || "");
+    if (open !== null) {
+      // A lowercase word after a lowercase word continues a wrapped line
+      const wrapped = /[a-z]$/.test(open) && /^[a-z]/.test(text);
+      open += wrapped ? ` ${text}` : `, ${text}`;
+      if (text.includes(")")) {
+        joined.push(open);
+        open = null;
+      }
+    } else if (text.includes("(") && !text.includes(")")) {
+      open = text;
+    } else {
+      joined.push(text);
+    }
+  }
+  if (open !== null) joined.push(open);
+
+  return joined;
+}
+
+/**
+ * Check whether a table cell reads as a category label rather than a skill
+ * @param {string} cell - First cell of a row
+ * @returns {boolean} - True for short labels that are not themselves a skill
+ */
+function isCategoryCell(cell) {
+  return (
+    /^[A-Za-z][A-Za-z &/+-]*$/.test(cell) &&
+    cell.split(/\s+/).length <= 5 &&
+    !DEFAULT_INDEX.has(skillKey(cell))
+  );
+}
+
+/**
+ * Read a skills line as a category label and the skills it lists
+ * @param {string} line - Line such as "Frontend: React, Vue", "Frontend:",
+ *   "Frontend<TAB>React, Vue" or "| Frontend | React | Vue |"
+ * @returns {Object} - Object with the `category` label (null when the line has
+ *   none) and the `text` listing its skills (empty for a label on its own)
+ */
+function parseSkillRow(line) {
+  const text = line.replace(BULLET, "").trim();
+
+  // "Frontend: React, Vue" or a label on its own line ("Frontend:")
+  const prefixed = text.match(CATEGORY_PREFIX);
+  if (prefixed && !/\bhttps?$/i.test(prefixed[1])) {
+    return { category: prefixed[1].trim(), text: prefixed[2].trim() };
+  }
+  const label = text.match(/^([A-Za-z][A-Za-z &/+-]{1,40}?)\s*:$/);
+  if (label) return { category: label[1].trim(), text: "" };
+
+  // Tab-separated and table rows: a label cell followed by skill cells. A
+  // row of two plain cells needs a list in its second cell, so "React | Vue"
+  // stays a list of skills
+  const bordered = /^\|.*\|$/.test(text);
+  const cells = text
+    .split(CELL_SEPARATOR)
+    .map((cell) => cell.trim())
+    .filter(Boolean);
+  if (cells.length >= 2 && isCategoryCell(cells[0])) {
+    const listed = /\t|\s{3,}/.test(text) || bordered || /[,;•]/.test(cells[1]);
+    if (listed && cells.every((cell) => TABLE_HEADER.test(cell))) {
+      return { category: null, text: "" };
+    }
+    if (listed) {
+      return { category: cells[0], text: cells.slice(1).join(", ") };
+    }
+  }
+
+  // Markdown table rule ("|---|---|")
+  if (/^[|:\s-]+$/.test(text)) return { category: null, text: "" };
+
+  return { category: null, text };
+}
+
+/**
+ * Split a skills line into its category label and items
+ * @param {string} line - Line such as "Frontend: React, Vue (Nuxt)"
+ * @returns {Object} - Object with the `category` label (null when the line has
+ *   none) and the `items` it lists
+ */
+function splitSkillLine(line) {
+  const { category, text } = parseSkillRow(line);
+  return { category, items: splitOutsideParentheses(text) };
+}
+
+/**
+ * Remove the category label from a skills line, so "Frontend: React, Vue"
+ * lists "React" rather than "Frontend: React"
+ * @param {string} line - Line from a skills section
+ * @returns {string} - The part of the line listing skills
+ */
+function removeSkillCategory(line) {
+  return parseSkillRow(line).text;
+}
+
+/**
+ * Match a run of space-separated skills word by word, taking the longest
+ * known alias at each position
+ * @param {string} text - Item without separators
+ * @param {Map} index - Alias lookup
+ * @returns {Object[]|null} - Matched `{entry, raw}` pairs, or null unless every
+ *   word is part of a known skill
+ */
+function matchWords(text, index) {
+  const words = text.split(/\s+/);
+  const matches = [];
+
+  for (let start = 0; start < words.length;) {
+    let found = null;
+    const longest = Math.min(MAX_ALIAS_WORDS, words.length - start);
+    for (let length = longest; length >= 1 && !found; length--) {
+      const raw = words.slice(start, start + length).join(" ");
+      const entry = index.get(skillKey(raw));
+      if (entry) found = { entry, raw, length };
+    }
+    if (!found) return null;
+    matches.push({ entry: found.entry, raw: found.raw });
+    start += found.length;
+  }
+
+  return matches;
+}
+
+/**
+ * Resolve one item to skills
+ * @param {string} item - Item such as "ReactJS", "AWS (EC2, S3)" or "GCP/BigQuery"
+ * @param {Map} index - Alias lookup
+ * @returns {Object[]} - `{name, category, raw}` skills
+ */
+function resolveItem(item, index) {
+  const raw = item
+    .replace(BULLET, "")
+    .replace(/[.:]+$/, "")
+    .trim();
+  if (!raw) return [];
+
+  const toSkill = (entry, text) => ({
+    name: entry.name,
+    category: entry.category,
+    raw: text,
+  });
+
+  // "AWS (EC2, S3, RDS)" lists skills in parentheses; "DMBOK (data
+  // management body of knowledge)" and "role-based access (RBAC)" explain one
+  const parenthetical = raw.match(/^([^(]*?)\s*\((.*)\)?$/);
+  if (parenthetical) {
+    const [, head, inside] = parenthetical;
+    const inner = inside.replace(/\)$/, "");
+    const listed = splitOutsideParentheses(inner);
+    const isList =
+      listed.length > 1 &&
+      listed.some((part) => index.has(skillKey(part.replace(QUALIFIER, ""))));
+    if (isList) {
+      return [head, ...listed]
+        .filter(Boolean)
+        .flatMap((part) => resolveItem(part, index));
+    }
+    const entry = index.get(skillKey(head)) || index.get(skillKey(inner));
+    if (entry) return [toSkill(entry, raw)];
+    return head ? resolveItem(head, index) : [];
+  }
+
+  const text = raw.replace(QUALIFIER, "").trim();
+
+  const entry = index.get(skillKey(text));
+  if (entry) return [toSkill(entry, raw)];
+
+  // "GCP/BigQuery", "Python and SQL" - but only when every part is a known
+  // skill, so "A/B testing" or "Research and Development" stay whole
+  if (JOINED_SKILLS.test(text)) {
+    const parts = text.split(JOINED_SKILLS).map((part) => part.trim());
+    const entries = parts.map((part) => index.get(skillKey(part)));
+    if (entries.every(Boolean)) {
+      return entries.map((known, i) => toSkill(known, parts[i]));
+    }
+  }
+
+  const words = matchWords(text, index);
+  if (words && words.length > 1) {
+    return words.map((match) => toSkill(match.entry, match.raw));
+  }
+
+  if (text.split(/\s+/).length > MAX_SKILL_WORDS || !/[a-z]/i.test(text)) {
+    return [];
+  }
+  return [{ name: text, category: null, raw }];
+}
+
+/**
+ * Group the lines of a skills section by the category they are listed under.
+ * Lines without a label continue the group above them, as a long list wraps
+ * onto the next line; lines before the first label form a group without a
+ * category
+ * @param {string[]} lines - Lines from the skills section
+ * @returns {Object[]} - `{category, skills}` groups in the order they appear,
+ *   with the skills as written
+ */
+function groupSkills(lines) {
+  const groups = [];
+  let current = null;
+
+  for (const line of lines || []) {
+    const row = parseSkillRow(line);
+    if (!row.category && !row.text) continue;
+
+    if (row.category || !current) {
+      current = { category: row.category, text: "" };
+      groups.push(current);
+    }
+    if (!row.text) continue;
+
+    // Inside open parentheses the line continues the same skill
+    const open =
+      (current.text.match(/\(/g) || []).length >
+      (current.text.match(/\)/g) || []).length;
+    current.text = current.text
+      ? `${current.text}${open ? " " : ", "}${row.text}`
+      : row.text;
+  }
+
+  return groups
+    .map(({ category, text }) => ({
+      category,
+      skills: splitOutsideParentheses(text).flatMap((item) => {
+        // "ReactJS Angular React Native" lists several known skills
+        const words = matchWords(item, DEFAULT_INDEX);
+        return words && words.length > 1
+          ? words.map((match) => match.raw)
+          : [item];
+      }),
+    }))
+    .filter((group) => group.skills.length > 0);
+}
+
+/**
+ * Normalize raw skills against the skill taxonomy
+ * @param {string[]} skills - Skills as a parser extracted them
+ * @param {Object} [options] - Normalization options
+ * @param {Object[]} [options.skillTaxonomy] - Extra taxonomy entries
+ *   ({name, category, aliases}), taking precedence over the bundled ones
+ * @returns {Object[]} - Unique `{name, category, raw}` skills in the order
+ *   they appear; `category` is null for skills not in the taxonomy
+ */
+function normalizeSkills(skills, options = {}) {
+  if (!Array.isArray(skills)) return [];
+
+  const index = options.skillTaxonomy
+    ? buildIndex([...options.skillTaxonomy, ...SKILL_TAXONOMY])
+    : DEFAULT_INDEX;
+
+  const normalized = [];
+  const seen = new Set();
+
+  for (const line of rejoinParentheses(skills)) {
+    for (const item of splitSkillLine(line).items) {
+      for (const skill of resolveItem(item, index)) {
+        const key = skillKey(skill.name);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        normalized.push(skill);
+      }
+    }
+  }
+
+  return normalized;
+}
+
+/**
+ * Add the normalized skills to a parser result
+ * @param {Object} result - The parser result
+ * @param {Object} [options] - Normalization options, see normalizeSkills
+ * @returns {Object} - The same result with `normalizedSkills` set
+ */
+function addNormalizedSkills(result, options = {}) {
+  result.normalizedSkills = normalizeSkills(result.skills, options);
+  return result;
+}
+
+module.exports = {
+  addNormalizedSkills,
+  groupSkills,
+  normalizeSkills,
+  removeSkillCategory,
+};
@@ -1,30 +1,90 @@
 const fs = require("fs");
 const path = require("path");
 const pdfParse = require("pdf-parse");
+const { segmentSections } = require("./section-segmenter");
+const { findPhoneNumber, findPhoneNumbers } = require("./phone-numbers");
+const { extractContacts } = require("./contacts");
+const { detectName, isLabelLine } = require("./name-detection");
+const { findCandidateLocation } = require("./locations");
+const { groupSkills, removeSkillCategory } = require("./skills");
+const { extractLanguages } = require("./languages");
+const { extractCertifications } = require("./certifications");
+const { extractExperienceWithRoles } = require("./employer-roles");
+const { hasBulletGlyph, joinBulletLines } = require("./bullets");
+
+// Common section headers in modern student resumes
+const SECTION_HEADERS = {
+  summary: [
+    "summary",
+    "profile",
+    "objective",
+    "about me",
+    "professional summary",
+  ],
+  experience: [
+    "experience",
+    "work experience",
+    "professional experience",
+    "employment history",
+  ],
+  education: ["education", "educational background", "academic background"],
+  skills: ["skills", "technical skills", "core competencies", "expertise"],
+  projects: [
+    "projects",
+    "key projects",
+    "personal projects",
+    "academic projects",
+  ],
+  honors: [
+    "honors",
+    "awards",
+    "achievements",
+    "recognitions",
+    "honours and awards",
+  ],
+  certifications: [
+    "certifications",
+    "certificates",
+    "credentials",
+    "professional certifications",
+  ],
+  languages: ["languages", "language proficiency", "spoken languages"],
+  references: ["references", "recommendations"],
+};
 
 /**
  * A specialized parser for modern student/recent graduate resumes.
  * Focus on better extracting phone numbers, work experience, projects, and honors.
  * @param {string} text - The resume text to parse.
+ * @param {Object} [options] - Parsing options.
+ * @param {string[]} [options.headings] - Heading lines marked by the source document.
+ * @param {string} [options.defaultRegion] - Region for phone numbers without a country code.
  * @returns {Object} - An object containing parsed information.
  */
-async function parseStudentFormat(text) {
+async function parseStudentFormat(text, options = {}) {
   // Initialize parsed data structure
   const parsedData = {
     name: "",
+    nameConfidence: 0,
     title: "",
     email: "",
     phone: "",
+    phoneE164: "",
     linkedin: "",
     github: "",
+    contacts: null,
     location: "",
     summary: "",
     experience: [],
     education: [],
     skills: [],
+    skillGroups: [],
+    languages: [],
+    certifications: [],
     projects: [],
     honors: [],
     references: "",
+    additionalSections: [],
   };
 
   try {
@@ -35,10 +95,13 @@ async function parseStudentFormat(text) {
       .filter((line) => line.length > 0);
 
     // Extract basic information (typically at the top of the resume)
-    extractBasicInfo(lines, parsedData);
+    extractBasicInfo(lines, parsedData, options);
 
     // Extract sections from the resume
-    const sections = extractSections(lines);
+    const { sections, additionalSections } = segmentSections(lines, {
+      vocabulary: SECTION_HEADERS,
+      headings: options.headings,
+    });
 
     // Extract summary if available
     if (sections.summary && sections.summary.length > 0) {
@@ -47,7 +110,10 @@ async function parseStudentFormat(text) {
 
     // Extract experience information
     if (sections.experience) {
-      parsedData.experience = extractExperience(sections.experience);
+      parsedData.experience = extractExperienceWithRoles(
+        sections.experience,
+        extractExperience
+      );
     }
 
     // Extract education information
@@ -58,6 +124,7 @@ async function parseStudentFormat(text) {
     // Extract skills
     if (sections.skills) {
       parsedData.skills = extractSkills(sections.skills);
+      parsedData.skillGroups = groupSkills(sections.skills);
     }
 
     // Extract projects
@@ -70,17 +137,33 @@ async function parseStudentFormat(text) {
       parsedData.honors = extractHonors(sections.honors);
     }
 
+    // Extract languages from their section and from "Languages:" lines
+    parsedData.languages = extractLanguages(lines, sections.languages);
+
+    // Extract certifications
+    if (sections.certifications) {
+      parsedData.certifications = extractCertifications(
+        sections.certifications,
+        options
+      );
+    }
+
     // Extract references
     if (sections.references) {
       parsedData.references = sections.references.join(" ").trim();
     }
 
+    // Keep sections under headings this parser does not know
+    parsedData.additionalSections = additionalSections;
+
     // Ensure all array fields are properly initialized
     parsedData.experience = parsedData.experience || [];
     parsedData.education = parsedData.education || [];
     parsedData.skills = parsedData.skills || [];
+    parsedData.skillGroups = parsedData.skillGroups || [];
     parsedData.projects = parsedData.projects || [];
     parsedData.honors = parsedData.honors || [];
+    parsedData.certifications = parsedData.certifications || [];
     // Convert references to array if needed by verification
     if (typeof parsedData.references === "string") {
       parsedData.references = parsedData.references ? [parsedData.references] : [];
@@ -97,18 +180,10 @@ async function parseStudentFormat(text) {
  * Extract basic information from the resume (name, contact info, etc.)
  * @param {string[]} lines - Lines from the resume text
  * @param {Object} parsedData - Object to store the extracted data
+ * @param {Object} [options] - Parsing options
+ * @param {string} [options.defaultRegion] - Region for phone numbers without a country code
  */
-function extractBasicInfo(lines, parsedData) {
-  // In modern student resumes, the name is typically the first line
-  if (lines.length > 0) {
-    parsedData.name = lines[0];
-  }
-
-  // Extract title/job role (usually second line)
-  if (lines.length > 1 && !isContactInfo(lines[1])) {
-    parsedData.title = lines[1];
-  }
-
+function extractBasicInfo(lines, parsedData, options = {}) {
   // Extract contact information from the first 10 lines
   const contactInfoLines = lines.slice(0, 15);
 
@@ -122,23 +197,22 @@ function extractBasicInfo(lines, parsedData) {
     }
   }
 
-  // Extract phone number with more flexible pattern matching for international formats
-  const phoneRegexes = [
-    /(?:\+\d{1,3}[-.\s]?)?\(?(?:\d{1,4})\)?[-.\s]?\d{1,4}[-.\s]?\d{1,9}/g, // Most formats
-    /\d{3}[-.\s]?\d{3}[-.\s]?\d{4}/g, // US format
-    /\+\d{2}\s\d{3}\s\d{3}\s\d{3}/g, // European format +XX XXX XXX XXX
-    /\+\d{1,3}\s\d{2,3}\s\d{3}\s\d{3,4}/g, // International format
-  ];
+  // In modern student resumes, the name is typically the first line
+  const detected = detectName(lines, { email: parsedData.email });
+  parsedData.name = detected.name;
+  parsedData.nameConfidence = detected.confidence;
+
+  // Extract title/job role (usually the line after the name)
+  const titleLine = detected.index >= 0 ? lines[detected.index + 1] : null;
+  if (titleLine && !isContactInfo(titleLine) && !isLabelLine(titleLine)) {
+    parsedData.title = titleLine;
+  }
 
-  for (const line of contactInfoLines) {
-    for (const regex of phoneRegexes) {
-      const match = line.match(regex);
-      if (match) {
-        parsedData.phone = match[0];
-        break;
-      }
-    }
-    if (parsedData.phone) break;
+  // Extract phone, in national or international format
+  const phone = findPhoneNumber(contactInfoLines, options);
+  if (phone) {
+    parsedData.phone = phone.raw;
+    parsedData.phoneE164 = phone.e164 || "";
   }
 
   // Extract LinkedIn with more flexible pattern matching
@@ -168,41 +242,13 @@ function extractBasicInfo(lines, parsedData) {
     }
   }
 
-  // Extract location
-  const locationKeywords = ["location:", "address:", "based in", "residing in"];
-  const cityOrCountry =
-    /(?:^|\s)([A-Za-z\s]+,\s*[A-Za-z\s]+|[A-Za-z\s]+)(?:$|\s)/g;
-
-  for (const line of contactInfoLines) {
-    const lowerLine = line.toLowerCase();
+  // Every e-mail address, phone number and profile
+  parsedData.contacts = extractContacts(lines, options);
 
-    // Check if line contains a location keyword
-    if (
-      locationKeywords.some((keyword) =>
-        lowerLine.includes(keyword.toLowerCase())
-      )
-    ) {
-      parsedData.location = line
-        .replace(/location:|address:|based in|residing in/gi, "")
-        .trim();
-      break;
-    }
-
-    // Check for city/country patterns if we haven't found a location yet
-    if (
-      !parsedData.location &&
-      !isContactInfo(line) &&
-      !lowerLine.includes("university") &&
-      !line.includes(parsedData.name)
-    ) {
-      // Common location patterns like "City, Country" or just "City"
-      const match = cityOrCountry.exec(line);
-      if (match && match[1].length > 2) {
-        // Avoid matching on short words
-        parsedData.location = match[1].trim();
-        break;
-      }
-    }
+  // Extract location, resolved against the gazetteer
+  const place = findCandidateLocation(contactInfoLines, options);
+  if (place) {
+    parsedData.location = place.raw;
   }
 }
 
@@ -216,112 +262,10 @@ function isContactInfo(line) {
     line.includes("@") || // Email
     line.includes("linkedin") || // LinkedIn
     line.includes("github") || // GitHub
-    /\d{3}[-.\s]?\d{3}[-.\s]?\d{4}/.test(line) || // Phone
-    /\+\d{1,3}\s\d{3}\s\d{3}\s\d{3,4}/.test(line) // International phone
+    findPhoneNumbers(line).length > 0 // Phone
   );
 }
 
-/**
- * Extract sections from the resume
- * @param {string[]} lines - Lines from the resume text
- * @returns {Object} - Object with sections
- */
-function extractSections(lines) {
-  const sections = {
-    summary: [],
-    experience: [],
-    education: [],
-    skills: [],
-    projects: [],
-    honors: [],
-    references: [],
-  };
-
-  // Common section headers in modern student resumes
-  const sectionHeaders = {
-    summary: [
-      "summary",
-      "profile",
-      "objective",
-      "about me",
-      "professional summary",
-    ],
-    experience: [
-      "experience",
-      "work experience",
-      "professional experience",
-      "employment history",
-    ],
-    education: ["education", "educational background", "academic background"],
-    skills: ["skills", "technical skills", "core competencies", "expertise"],
-    projects: [
-      "projects",
-      "key projects",
-      "personal projects",
-      "academic projects",
-    ],
-    honors: [
-      "honors",
-      "awards",
-      "achievements",
-      "recognitions",
-      "honours and awards",
-    ],
-    references: ["references", "recommendations"],
-  };
-
-  let currentSection = null;
-
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i].toLowerCase();
-
-    // Check if the current line is a section header
-    let foundSection = false;
-    for (const [section, headers] of Object.entries(sectionHeaders)) {
-      if (
-        headers.some((header) => {
-          // Match full words only, accounting for common formatting
-          return (
-            line === header ||
-            line.includes(header.toUpperCase()) ||
-            line.replace(/:/g, "") === header ||
-            line.startsWith(header)
-          );
-        })
-      ) {
-        currentSection = section;
-        foundSection = true;
-        break;
-      }
-    }
-
-    // If not a section header and we're in a section, add to that section
-    if (!foundSection && currentSection && i < lines.length - 1) {
-      const nextLine = lines[i + 1].toLowerCase();
-
-      // Check if next line is a new section header (indicating end of current section)
-      const isNextSectionHeader = Object.values(sectionHeaders).some(
-        (headers) =>
-          headers.some(
-            (header) =>
-              nextLine === header ||
-              nextLine.includes(header.toUpperCase()) ||
-              nextLine.replace(/:/g, "") === header ||
-              nextLine.startsWith(header)
-          )
-      );
-
-      if (!isNextSectionHeader || i === lines.length - 2) {
-        sections[currentSection].push(lines[i]);
-      } else {
-        // Move to the next section
-        currentSection = null;
-      }
-    }
-  }
-
-  return sections;
-}
 
 /**
  * Extract work experience from the resume
@@ -372,8 +316,12 @@ function extractExperience(experienceLines) {
           if (locationMatch) {
             currentExp.location = locationMatch[0].trim();
           }
-        } else if (!jobTitlePattern.test(nextLine) && nextLine.length < 50) {
-          // This is likely the company name
+        } else if (
+          !jobTitlePattern.test(nextLine) &&
+          !hasBulletGlyph(nextLine) &&
+          nextLine.length < 50
+        ) {
+          // This is likely the company name; a bullet is a responsibility
           currentExp.company = nextLine;
 
           // Check for date in the next line
@@ -412,6 +360,11 @@ function extractExperience(experienceLines) {
     experience.push(currentExp);
   }
 
+  // Join lines that were wrapped across several lines
+  for (const job of experience) {
+    job.responsibilities = joinBulletLines(job.responsibilities);
+  }
+
   return experience;
 }
 
@@ -425,7 +378,7 @@ function extractEducation(educationLines) {
   let currentEdu = null;
 
   const degreePattern =
-    /(?:Bachelor|Master|PhD|Associate|B\.S\.|M\.S\.|B\.A\.|M\.A\.|M\.B\.A\.|Ph\.D|Diploma|Certificate|Degree)/i;
+    /\b(?:Bachelors?|Masters?|PhD|Associates?|B\.S|M\.S|B\.A|M\.A|M\.B\.A|Ph\.D|BSc|MSc|BEng|MEng|Diploma|Certificate|Degree)\b/i;
   const datePattern =
     /(?:\d{1,2}\/\d{1,2}\/\d{2,4}|\d{1,2}\/\d{4}|\d{1,2}\.\d{4}|\d{1,2}\-\d{4}|(?:Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec)[a-z]*[\s./-]+\d{2,4})/i;
 
@@ -513,8 +466,11 @@ function extractEducation(educationLines) {
 function extractSkills(skillsLines) {
   const skills = [];
 
-  // Process each line
-  for (const line of skillsLines) {
+  // Process each line, leaving out its category label
+  for (const rawLine of skillsLines) {
+    const line = removeSkillCategory(rawLine);
+    if (!line) continue;
+
     // If line has commas, split by commas
     if (line.includes(",")) {
       const splitSkills = line.split(",").map((skill) => skill.trim());
@@ -611,6 +567,10 @@ function extractProjects(projectLines) {
     projects.push(currentProject);
   }
 
+  for (const project of projects) {
+    project.description = joinBulletLines(project.description);
+  }
+
   return projects;
 }
 
@@ -675,6 +635,10 @@ function extractHonors(honorsLines) {
     honors.push(currentHonor);
   }
 
+  for (const honor of honors) {
+    honor.description = joinBulletLines(honor.description);
+  }
+
   return honors;
 }
 
@@ -0,0 +1,131 @@
+/**
+ * Text Extractor
+ * Turns resume files (PDF, DOCX, plain text) into raw text the parsers can work with
+ */
+
+const fs = require("fs");
+const path = require("path");
+const pdfParse = require("pdf-parse");
+const { isDocx, extractDocxText } = require("./docx-extractor");
+const { extractPdfLayout } = require("./pdf-layout");
+
+// File extensions treated as plain text
+const TEXT_EXTENSIONS = [".txt", ".text", ".md"];
+
+// File extensions picked up when scanning directories for resumes
+const SUPPORTED_EXTENSIONS = [".pdf", ".docx", ...TEXT_EXTENSIONS];
+
+/**
+ * Detect the type of a resume file from its contents and extension
+ * @param {string} filePath - Path to the resume file
+ * @param {Buffer} [dataBuffer] - File contents, read from disk if omitted
+ * @returns {string|null} - "pdf", "docx", "txt" or null if the type is not supported
+ */
+function detectFileType(filePath, dataBuffer = null) {
+  const buffer = dataBuffer || fs.readFileSync(filePath);
+
+  // PDF files always start with the "%PDF" signature, whatever their extension
+  if (buffer.slice(0, 4).toString("latin1") === "%PDF") {
+    return "pdf";
+  }
+
+  // DOCX files are ZIP packages containing word/document.xml
+  if (isDocx(buffer)) {
+    return "docx";
+  }
+
+  const extension = path.extname(filePath).toLowerCase();
+  if (extension === ".pdf" || extension === ".docx") {
+    // Named like a PDF or DOCX but missing the signature
+    return null;
+  }
+
+  if (TEXT_EXTENSIONS.includes(extension)) {
+    return "txt";
+  }
+
+  // Fall back to treating files without binary content as text
+  return buffer.includes(0) ? null : "txt";
+}
+
+/**
+ * Extract text from a PDF buffer using pdf-parse
+ * @param {Buffer} dataBuffer - PDF file contents
+ * @param {Object} [options] - Extraction options
+ * @param {boolean} [options.layout] - Read columns separately and detect
+ *   headings from font size and boldness
+ * @returns {Promise<Object>} - Object with the extracted text, plus heading
+ *   lines and tagged lines in layout mode
+ */
+async function extractPdfText(dataBuffer, options = {}) {
+  if (options.layout) {
+    return extractPdfLayout(dataBuffer);
+  }
+
+  const pdfData = await pdfParse(dataBuffer);
+  return { text: pdfData.text };
+}
+
+/**
+ * Extract text from a plain text buffer
+ * @param {Buffer} dataBuffer - Text file contents
+ * @returns {Promise<Object>} - Object with the file contents, line endings normalized
+ */
+async function extractPlainText(dataBuffer) {
+  const text = dataBuffer
+    .toString("utf8")
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n");
+  return { text };
+}
+
+/**
+ * Extract text from a DOCX buffer
+ * @param {Buffer} dataBuffer - DOCX file contents
+ * @returns {Promise<Object>} - Object with the extracted text and heading lines
+ */
+async function extractWordText(dataBuffer) {
+  return extractDocxText(dataBuffer);
+}
+
+// Extraction functions for each supported file type
+const extractors = {
+  pdf: extractPdfText,
+  docx: extractWordText,
+  txt: extractPlainText,
+};
+
+/**
+ * Extract the text content of a resume file
+ * @param {string} filePath - Path to the resume file
+ * @param {Object} [options] - Extraction options
+ * @param {boolean} [options.layout] - Use layout-aware PDF extraction
+ * @returns {Promise<Object>} - Object with the extracted text, detected file type
+ *   and heading lines marked by the document itself (DOCX heading styles, or
+ *   PDF font size and boldness in layout mode). Layout mode also returns the
+ *   tagged lines as `lines`
+ */
+async function extractText(filePath, options = {}) {
+  if (!filePath) {
+    throw new Error("Resume file path is required");
+  }
+
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Resume file "${filePath}" not found`);
+  }
+
+  const dataBuffer = fs.readFileSync(filePath);
+  const fileType = detectFileType(filePath, dataBuffer);
+  if (!fileType) {
+    throw new Error(`Unsupported resume file type: ${filePath}`);
+  }
+
+  const extracted = await extractors[fileType](dataBuffer, options);
+  return { headings: [], ...extracted, fileType };
+}
+
+module.exports = {
+  SUPPORTED_EXTENSIONS,
+  detectFileType,
+  extractText,
+};
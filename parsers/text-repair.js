@@ -0,0 +1,631 @@
+/**
+ * Text Repair
+ * Fixes glyph corruption in PDF-extracted text before it reaches the parsers.
+ * Fonts with broken ligature or character maps make pdf-parse emit text such
+ * as "Pro,cient", "selfKmanage" or "TBuilt". Candidate repairs are only
+ * accepted when they turn the token into a dictionary word, and words are only
+ * repaired at all once the text as a whole shows glyph damage, so clean text
+ * and CamelCase names ("BlackRock", "PowerPoint") pass through unchanged.
+ */
+
+const { collapseLetterSpacing } = require("./letter-spacing");
+
+// Ligatures that fonts commonly map to a single (wrong) glyph
+const LIGATURES = ["fi", "fl", "ff", "ffi", "ffl"];
+
+// Unicode ligature characters that can be expanded directly
+const UNICODE_LIGATURES = {
+  "\uFB00": "ff",
+  "\uFB01": "fi",
+  "\uFB02": "fl",
+  "\uFB03": "ffi",
+  "\uFB04": "ffl",
+  "\uFB05": "st",
+  "\uFB06": "st",
+};
+
+const ALPHABET = "abcdefghijklmnopqrstuvwxyz".split("");
+
+// Characters that never belong inside a word and may stand in for a lost glyph
+const GLYPH_CHARS = /[,•'!?*^~|\\=<>;`\u0000-\u001f\uE000-\uF8FF\uFFFD]/;
+
+// Private use area characters, used by symbol fonts for bullets
+const PRIVATE_USE_BULLET = /^[\uE000-\uF8FF]\s*/;
+
+// Prefixes that are written with a hyphen but are not words on their own
+const HYPHEN_PREFIXES = [
+  "anti",
+  "co",
+  "cross",
+  "multi",
+  "non",
+  "post",
+  "pre",
+  "re",
+  "semi",
+  "sub",
+];
+
+// Frequent short words, used to choose between otherwise equal candidates
+const COMMON_WORDS = new Set([
+  "a",
+  "all",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "but",
+  "by",
+  "can",
+  "for",
+  "from",
+  "had",
+  "has",
+  "have",
+  "he",
+  "her",
+  "his",
+  "in",
+  "is",
+  "it",
+  "its",
+  "my",
+  "not",
+  "of",
+  "on",
+  "or",
+  "our",
+  "she",
+  "that",
+  "the",
+  "their",
+  "them",
+  "then",
+  "there",
+  "these",
+  "they",
+  "this",
+  "to",
+  "was",
+  "we",
+  "were",
+  "what",
+  "when",
+  "which",
+  "who",
+  "will",
+  "with",
+  "you",
+  "your",
+]);
+
+// The dictionary is large, so it is only loaded on first use
+let dictionary = null;
+
+/**
+ * Get the English dictionary used to validate repairs
+ * @returns {Set<string>} - Set of lowercase English words
+ */
+function getDictionary() {
+  if (!dictionary) {
+    dictionary = new Set(require("an-array-of-english-words"));
+  }
+  return dictionary;
+}
+
+/**
+ * Check if a word is in the dictionary, allowing common inflections
+ * @param {string} word - Word to check
+ * @returns {boolean} - True if the word (or its stem) is an English word
+ */
+function isWord(word) {
+  const words = getDictionary();
+  const lower = word.toLowerCase();
+  if (!/^[a-z]+$/.test(lower)) return false;
+  if (words.has(lower)) return true;
+
+  // Words like "onboarded" are missing from the list while their stem is present
+  const stems = [
+    [/ed$/, ""],
+    [/d$/, ""],
+    [/ing$/, ""],
+    [/ing$/, "e"],
+    [/es$/, ""],
+    [/s$/, ""],
+    [/ly$/, ""],
+  ];
+  return stems.some(
+    ([suffix, replacement]) =>
+      suffix.test(lower) &&
+      lower.replace(suffix, replacement).length > 2 &&
+      words.has(lower.replace(suffix, replacement))
+  );
+}
+
+/**
+ * Apply the letter case of the original token to a repaired word
+ * @param {string} original - Original (corrupted) token
+ * @param {string} repaired - Repaired lowercase word
+ * @param {boolean} [sentenceStart] - Whether the word starts a sentence
+ * @returns {string} - Repaired word with matching case
+ */
+function matchCase(original, repaired, sentenceStart = false) {
+  const letters = original.replace(/[^A-Za-z]/g, "");
+  if (letters.length > 1 && letters === letters.toUpperCase()) {
+    return repaired.toUpperCase();
+  }
+
+  // A replaced leading glyph carries no case, so the sentence position decides
+  const capitalize = /[A-Za-z]/.test(original.charAt(0))
+    ? /[A-Z]/.test(original.charAt(0))
+    : sentenceStart;
+  return capitalize
+    ? repaired.charAt(0).toUpperCase() + repaired.slice(1)
+    : repaired;
+}
+
+/**
+ * Split a token into leading punctuation, the word itself and trailing punctuation
+ * @param {string} token - Whitespace-delimited token
+ * @returns {Object} - Object with lead, core and trail strings
+ */
+function splitToken(token) {
+  const match = token.match(/^([("[]*)(.*?)([.,;:!?)\]"]*)$/);
+  return { lead: match[1], core: match[2], trail: match[3] };
+}
+
+/**
+ * Check whether the character at a position may be a corrupted glyph
+ * @param {string} word - Word to check
+ * @param {number} index - Position of the character
+ * @returns {boolean} - True if the character cannot belong to the word
+ */
+function isGlyphAt(word, index) {
+  const char = word.charAt(index);
+  // Apostrophes inside words are genuine ("don't"); only a leading one is suspect
+  return GLYPH_CHARS.test(char) && !(char === "'" && index > 0);
+}
+
+/**
+ * Check whether a capital letter joins two words in CamelCase ("PowerPoint")
+ * @param {string} word - Word to check
+ * @param {number} index - Position of the capital letter
+ * @returns {boolean} - True if the words on both sides of the join are words
+ */
+function isCamelCaseJoin(word, index) {
+  const before = word.slice(0, index);
+  const left = before.slice(before.search(/[A-Z][a-z]*$|[a-z]+$/));
+  const right = (word.slice(index).match(/^[A-Z][a-z]+/) || [""])[0];
+  return left.length >= 2 && isWord(left) && right.length >= 2 && isWord(right);
+}
+
+/**
+ * Check whether a capital letter sits inside a lowercase word ("eIuipment")
+ * @param {string} word - Word to check
+ * @param {number} index - Position of the character
+ * @returns {boolean} - True if the letter is a capital between lowercase
+ *   letters that does not join two words
+ */
+function isStrayCapital(word, index) {
+  return (
+    index > 0 &&
+    /[A-Z]/.test(word.charAt(index)) &&
+    /[a-z]/.test(word.charAt(index - 1)) &&
+    /[a-z]/.test(word.charAt(index + 1)) &&
+    !isCamelCaseJoin(word, index)
+  );
+}
+
+/**
+ * Find dictionary words created by replacing one character of a word
+ * @param {string} core - Word to repair
+ * @param {Object} context - Repair context
+ * @param {boolean} allowLetters - Whether a leading letter may be replaced too
+ * @returns {Array} - Candidates as { word, glyph, replacement } objects
+ */
+function findCandidates(core, context, allowLetters) {
+  const candidates = [];
+  const lower = core.toLowerCase();
+
+  for (let i = 0; i < core.length; i++) {
+    const glyph = core.charAt(i);
+
+    // Glyphs and stray capitals may stand for any letter or ligature. Other
+    // letters are only replaced at the start of a word known to be corrupted,
+    // or else by a ligature in text already known to be corrupted, when enough
+    // of the word follows to be sure ("Jying" -> "flying")
+    let replacements;
+    if (
+      isGlyphAt(core, i) ||
+      isStrayCapital(core, i) ||
+      (allowLetters && i === 0)
+    ) {
+      replacements = [...LIGATURES, ...ALPHABET];
+    } else if (context.corruptedFont && core.length - i - 1 >= 3) {
+      replacements = LIGATURES;
+    } else {
+      continue;
+    }
+
+    for (const replacement of replacements) {
+      const word = lower.slice(0, i) + replacement + lower.slice(i + 1);
+      if (word !== lower && isWord(word)) {
+        candidates.push({ word, glyph, replacement });
+      }
+    }
+  }
+
+  return candidates;
+}
+
+/**
+ * Choose one candidate, using what was learned from the rest of the document
+ * @param {Array} candidates - Candidates from findCandidates
+ * @param {Object} context - Repair context
+ * @returns {Object|null} - The chosen candidate, or null if still ambiguous
+ */
+function chooseCandidate(candidates, context) {
+  const unique = candidates.filter(
+    (candidate, index) =>
+      candidates.findIndex((other) => other.word === candidate.word) === index
+  );
+
+  if (unique.length <= 1) {
+    return unique[0] || null;
+  }
+
+  // Prefer the replacement seen in unambiguous repairs of the same glyph
+  const learned = unique.filter(
+    (candidate) =>
+      context.glyphMap.get(candidate.glyph) === candidate.replacement
+  );
+  if (learned.length === 1) return learned[0];
+
+  const pool = learned.length > 1 ? learned : unique;
+  const common = pool.filter((candidate) => COMMON_WORDS.has(candidate.word));
+  if (common.length === 1) return common[0];
+
+  const known = pool.filter((candidate) =>
+    context.vocabulary.has(candidate.word)
+  );
+  if (known.length === 1) return known[0];
+
+  return null;
+}
+
+/**
+ * Record a repair, or learn from it during the first pass
+ * @param {Object} context - Repair context
+ * @param {string} type - Repair type (ligature, bullet, glyph or hyphen)
+ * @param {Object} [candidate] - The applied candidate, if any
+ * @param {boolean} [unambiguous] - Whether the candidate was the only option
+ */
+function recordRepair(context, type, candidate = null, unambiguous = false) {
+  if (context.learning) {
+    context.evidence[type]++;
+    if (candidate && unambiguous) {
+      const counts = context.glyphCounts.get(candidate.glyph) || {};
+      counts[candidate.replacement] = (counts[candidate.replacement] || 0) + 1;
+      context.glyphCounts.set(candidate.glyph, counts);
+    }
+    return;
+  }
+
+  context.repairs[type]++;
+}
+
+/**
+ * Resolve a word that may contain a single corrupted glyph
+ * @param {string} core - Word to resolve
+ * @param {Object} context - Repair context
+ * @param {boolean} allowLetters - Whether a leading letter may be replaced
+ * @param {boolean} [sentenceStart] - Whether the word starts a sentence
+ * @returns {string|null} - The repaired word, or null if it cannot be resolved
+ */
+function resolveWord(core, context, allowLetters, sentenceStart = false) {
+  if (isWord(core)) {
+    return core;
+  }
+
+  const candidates = findCandidates(core, context, allowLetters);
+  const chosen = chooseCandidate(candidates, context);
+  if (!chosen) {
+    return null;
+  }
+
+  const type = chosen.replacement.length > 1 ? "ligature" : "glyph";
+  recordRepair(context, type, chosen, candidates.length === 1);
+  return matchCase(core, chosen.word, sentenceStart);
+}
+
+/**
+ * Repair words where a letter stands in for a hyphen ("selfKmanage")
+ * @param {string} core - Word to repair
+ * @param {Object} context - Repair context
+ * @returns {string|null} - The repaired word, or null if no split was found
+ */
+function repairHyphen(core, context) {
+  for (let i = 2; i < core.length - 2; i++) {
+    const glyph = core.charAt(i);
+    if (!/[A-Z]/.test(glyph) || !/[a-z]/.test(core.charAt(i - 1))) continue;
+
+    const left = core.slice(0, i);
+    const right = core.slice(i + 1);
+
+    // Direct splits into two dictionary words teach which letter is the hyphen
+    const leftIsWord =
+      isWord(left) || HYPHEN_PREFIXES.includes(left.toLowerCase());
+    if (leftIsWord && /^[a-z]/.test(right) && isWord(right)) {
+      // "PowerPoint" splits into "power" and "oint" too, so splits that also
+      // read as CamelCase are no evidence of a hyphen glyph
+      if (context.learning && !isCamelCaseJoin(core, i)) {
+        const words = context.hyphenCounts.get(glyph) || new Set();
+        words.add(core.toLowerCase());
+        context.hyphenCounts.set(glyph, words);
+      }
+      if (context.hyphenGlyphs.has(glyph)) {
+        recordRepair(context, "hyphen");
+        return `${left}-${right}`;
+      }
+      continue;
+    }
+
+    // Once a hyphen glyph is known, its parts may contain corrupted glyphs too
+    if (context.hyphenGlyphs.has(glyph) && !isCamelCaseJoin(core, i)) {
+      const repairedLeft = leftIsWord ? left : resolveWord(left, context, true);
+      const repairedRight = resolveWord(right, context, true);
+      if (repairedLeft && repairedRight) {
+        recordRepair(context, "hyphen");
+        return `${repairedLeft}-${repairedRight}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Repair a single whitespace-delimited token
+ * @param {string} token - Token to repair
+ * @param {Object} context - Repair context
+ * @param {boolean} [corrupted] - Whether the token is known to be corrupted
+ * @param {boolean} [sentenceStart] - Whether the token starts a sentence
+ * @returns {string} - The repaired token
+ */
+function repairToken(token, context, corrupted = false, sentenceStart = false) {
+  const { lead, core, trail } = splitToken(token);
+
+  // Leave anything that is not word-like alone (URLs, emails, numbers, acronyms)
+  if (
+    core.length < 3 ||
+    /[@/:.\d_]/.test(core) ||
+    !/[a-z]/.test(core) ||
+    isWord(core)
+  ) {
+    return token;
+  }
+
+  const hasGlyph = [...core].some((_, index) => isGlyphAt(core, index));
+  const isPlainWord = /^[A-Za-z]+$/.test(core);
+  if (!hasGlyph && !isPlainWord) {
+    return token;
+  }
+
+  if (isPlainWord) {
+    const hyphenated = repairHyphen(core, context);
+    if (hyphenated) {
+      return lead + hyphenated + trail;
+    }
+  }
+
+  const repaired = resolveWord(core, context, corrupted, sentenceStart);
+  return repaired ? lead + repaired + trail : token;
+}
+
+/**
+ * Rejoin words split around a dropped ligature ("e cient", "signi cant")
+ * @param {string} line - Line to repair
+ * @param {Object} context - Repair context
+ * @returns {string} - The repaired line
+ */
+function repairDroppedLigatures(line, context) {
+  return line.replace(/\b([A-Za-z]+) ([a-z]+)\b/g, (match, left, right) => {
+    if (isWord(left) && isWord(right)) {
+      return match;
+    }
+
+    for (const ligature of LIGATURES) {
+      const word = left + ligature + right;
+      if (word.length >= 5 && isWord(word)) {
+        recordRepair(context, "ligature");
+        return word;
+      }
+    }
+
+    return match;
+  });
+}
+
+/**
+ * Find characters used in place of the bullet glyph at the start of lines
+ * @param {string[]} lines - Lines of the text
+ * @returns {Set<string>} - Characters that act as bullets
+ */
+function findBulletGlyphs(lines) {
+  const counts = {};
+
+  for (const line of lines) {
+    const [firstToken = "", secondToken = ""] = line.trim().split(/\s+/);
+    const { core } = splitToken(firstToken);
+
+    // e.g. "TBuilt", or "T Built" when the layout keeps the bullet apart:
+    // the glyph is followed by a capitalized dictionary word
+    const separate = core.length === 1;
+    const rest = separate ? splitToken(secondToken).core : core.slice(1);
+    if (
+      /^[A-Z][a-z]+$/.test(rest) &&
+      isWord(rest) &&
+      (separate ? /^[A-Za-z]$/.test(core) : !isWord(core))
+    ) {
+      counts[core.charAt(0)] = (counts[core.charAt(0)] || 0) + 1;
+    }
+  }
+
+  return new Set(Object.keys(counts).filter((glyph) => counts[glyph] >= 3));
+}
+
+/**
+ * Repair a single line of text
+ * @param {string} line - Line to repair
+ * @param {Object} context - Repair context
+ * @returns {string} - The repaired line
+ */
+function repairLine(line, context) {
+  let repaired = line;
+  let bulletRemoved = false;
+
+  // Symbol-font bullets come through as private use characters
+  if (PRIVATE_USE_BULLET.test(repaired.trimStart())) {
+    repaired = repaired.trimStart().replace(PRIVATE_USE_BULLET, "• ");
+    recordRepair(context, "bullet");
+    bulletRemoved = true;
+  }
+
+  // Letters standing in for bullets ("TBuilt", "T'ontrolled", "T Built")
+  const trimmed = repaired.trimStart();
+  const first = trimmed.charAt(0);
+  const second = trimmed.charAt(1);
+  if (
+    !bulletRemoved &&
+    context.bulletGlyphs.has(first) &&
+    second &&
+    !/[a-z]/.test(second)
+  ) {
+    repaired = "• " + trimmed.slice(1).trimStart();
+    recordRepair(context, "bullet");
+    bulletRemoved = true;
+  }
+
+  repaired = repairDroppedLigatures(repaired, context);
+
+  let isFirstWord = true;
+  let sentenceStart = bulletRemoved;
+  return repaired.replace(/\S+/g, (token) => {
+    if (token === "•") {
+      return token;
+    }
+
+    // The word after a substituted bullet is often corrupted as well
+    const corrupted = bulletRemoved && isFirstWord;
+    const result = repairToken(token, context, corrupted, sentenceStart);
+    isFirstWord = false;
+    sentenceStart = /[.!?]$/.test(token);
+    return result;
+  });
+}
+
+/**
+ * Collect the clean words of a text, used to break ties between candidates
+ * @param {string} text - Text to scan
+ * @returns {Set<string>} - Lowercase words found in the text
+ */
+function buildVocabulary(text) {
+  const vocabulary = new Set();
+  for (const word of text.match(/\b[A-Za-z]{2,}\b/g) || []) {
+    vocabulary.add(word.toLowerCase());
+  }
+  return vocabulary;
+}
+
+/**
+ * Repair glyph corruption in extracted resume text
+ * @param {string} text - Text extracted from a resume
+ * @returns {Object} - Object with the repaired text, the total number of
+ *   repairs and a breakdown by repair type
+ */
+function repairText(text) {
+  const repairs = { ligature: 0, bullet: 0, glyph: 0, hyphen: 0, spacing: 0 };
+  if (!text) {
+    return { text, repairCount: 0, repairs };
+  }
+
+  // Unicode ligature characters are always safe to expand
+  let repairedText = text.replace(/[\uFB00-\uFB06]/g, (ligature) => {
+    repairs.ligature++;
+    return UNICODE_LIGATURES[ligature];
+  });
+
+  const lines = repairedText.split("\n");
+  const context = {
+    learning: true,
+    repairs,
+    vocabulary: buildVocabulary(repairedText),
+    bulletGlyphs: findBulletGlyphs(lines),
+    corruptedFont: false,
+    glyphCounts: new Map(),
+    glyphMap: new Map(),
+    hyphenCounts: new Map(),
+    hyphenGlyphs: new Set(),
+    evidence: { ligature: 0, bullet: 0, glyph: 0, hyphen: 0 },
+  };
+
+  // First pass: find letters used as hyphens. A letter only counts when it
+  // splits at least three different words into two dictionary words
+  lines.forEach((line) => repairLine(line, context));
+  for (const [glyph, words] of context.hyphenCounts) {
+    if (words.size >= 3) {
+      context.hyphenGlyphs.add(glyph);
+    }
+  }
+
+  // Words are only touched when the text shows glyph damage. A single odd
+  // token is more likely a name or a typo than a broken font
+  const { evidence } = context;
+  const damaged =
+    context.bulletGlyphs.size > 0 ||
+    context.hyphenGlyphs.size > 0 ||
+    evidence.bullet > 0 ||
+    evidence.glyph + evidence.ligature >= 2;
+
+  if (damaged) {
+    // Letters are only read as ligatures once other glyph damage has been
+    // seen, otherwise names missing from the dictionary would be "repaired"
+    context.corruptedFont =
+      context.bulletGlyphs.size > 0 ||
+      context.hyphenGlyphs.size > 0 ||
+      context.glyphCounts.size > 0;
+
+    // Second pass: learn glyph mappings from repairs that have only one
+    // candidate, including those inside hyphenated words
+    context.glyphCounts.clear();
+    lines.forEach((line) => repairLine(line, context));
+    for (const [glyph, counts] of context.glyphCounts) {
+      const [replacement] = Object.entries(counts).sort(
+        (a, b) => b[1] - a[1]
+      )[0];
+      context.glyphMap.set(glyph, replacement);
+    }
+
+    // Third pass: apply the repairs
+    context.learning = false;
+    repairedText = lines.map((line) => repairLine(line, context)).join("\n");
+  }
+
+  // Letter-spaced headings and dates are collapsed last, reusing the glyph
+  // mappings learned above for their month names
+  const spacing = collapseLetterSpacing(repairedText, {
+    charMap: context.glyphMap,
+  });
+  repairedText = spacing.text;
+  repairs.spacing += spacing.collapsedCount;
+  repairs.glyph += spacing.glyphRepairs;
+
+  const repairCount = Object.values(repairs).reduce((sum, n) => sum + n, 0);
+  return { text: repairedText, repairCount, repairs };
+}
+
+module.exports = {
+  repairText,
+};
@@ -0,0 +1,122 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  findAchievements,
+  addAchievements,
+} = require("../parsers/achievements");
+const { isActionVerb } = require("../parsers/bullets");
+
+function metrics(bullet) {
+  return findAchievements(bullet).map(
+    (achievement) =>
+      `${achievement.type} ${achievement.value} ${achievement.unit}`
+  );
+}
+
+function verbs(bullet) {
+  return findAchievements(bullet).map((achievement) => [
+    achievement.verb,
+    achievement.object,
+  ]);
+}
+
+describe("findAchievements", () => {
+  test("reads percentages, amounts, multipliers, times and counts", () => {
+    assert.deepEqual(metrics("Saved $2.5M a year"), ["currency 2500000 $"]);
+    assert.deepEqual(metrics("Made builds 3x faster"), ["multiplier 3 x"]);
+    assert.deepEqual(metrics("Cut page load time from 4s to 1.5s"), [
+      "time 1.5 second",
+    ]);
+    assert.deepEqual(metrics("Reduced API latency to 200ms"), [
+      "time 200 millisecond",
+    ]);
+    assert.deepEqual(metrics("Mentored 3 junior developers"), ["count 3 "]);
+  });
+
+  test("keeps the start of a range", () => {
+    const [achievement] = findAchievements("Grew revenue from 67% to 100%");
+    assert.equal(achievement.value, 100);
+    assert.equal(achievement.from, 67);
+  });
+
+  test("does not count versions, dates and standard names", () => {
+    for (const bullet of [
+      "Built Python 3 projects for clients",
+      "Achieved ISO 27001 certification",
+      "Released version 2.0 in Jan 2021",
+      "Passed AZ-104 in 2022",
+    ]) {
+      assert.deepEqual(metrics(bullet), [], bullet);
+    }
+  });
+
+  test("takes the verb leading the bullet over nouns before the metric", () => {
+    assert.deepEqual(verbs("Reduced month-end close time by 30%."), [
+      ["reduced", "month-end close time"],
+    ]);
+    assert.deepEqual(verbs("Successfully reduced churn by 12%"), [
+      ["reduced", "churn"],
+    ]);
+  });
+
+  test("takes the verb leading the clause of the metric", () => {
+    assert.deepEqual(verbs("Led the team, reducing costs by 20%"), [
+      ["reducing", "costs"],
+    ]);
+    assert.deepEqual(verbs("Led the migration and cut costs by 20%"), [
+      ["cut", "costs"],
+    ]);
+    assert.deepEqual(
+      verbs("Built an A/B test framework that increased conversion by 15%"),
+      [["increased", "conversion"]]
+    );
+    assert.deepEqual(
+      verbs("Improved throughput 3x by reducing access attempts by 40%"),
+      [
+        ["improved", "throughput"],
+        ["reducing", "access attempts"],
+      ]
+    );
+  });
+
+  test("falls back to the nearest verb without a leading one", () => {
+    assert.deepEqual(verbs("Over two years grew revenue by 25%"), [
+      ["grew", "revenue"],
+    ]);
+    assert.deepEqual(verbs("Team of 4 engineers"), [["", "engineers"]]);
+  });
+});
+
+describe("isActionVerb", () => {
+  test("takes noun-like verbs only in their other forms", () => {
+    for (const word of ["close", "found", "present", "test", "tests"]) {
+      assert.equal(isActionVerb(word), false, word);
+    }
+    for (const word of ["closed", "founded", "presented", "testing"]) {
+      assert.equal(isActionVerb(word), true, word);
+    }
+  });
+});
+
+describe("addAchievements", () => {
+  test("adds achievements and the share of quantified bullets", () => {
+    const result = addAchievements({
+      experience: [
+        { responsibilities: ["Mentored 3 junior developers", "Wrote docs"] },
+        { responsibilities: [] },
+      ],
+    });
+    assert.deepEqual(
+      result.experience.map((entry) => entry.achievements.length),
+      [1, 0]
+    );
+    assert.equal(result.quantifiedBulletRatio, 0.5);
+  });
+
+  test("leaves the share null without bullets", () => {
+    assert.equal(
+      addAchievements({ experience: [] }).quantifiedBulletRatio,
+      null
+    );
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseResume, listParsers } = require("../parsers");
+const { verifyParsedContent } = require("../parsers/content-verification");
+const { validateStrict } = require("../parsers/schema");
+
+// Sections no parser has a field for, between two it knows
+const UNKNOWN_SECTIONS = `Jane Doe
+jane@example.com
+
+EXPERIENCE
+Software Engineer at Acme Corp
+Jan 2020 - Present
+• Built APIs for the billing platform
+
+VOLUNTEERING
+Mentor, Code Club (2021 - Present)
+
+PUBLICATIONS
+Scaling billing systems, ACM Queue 2022
+
+SIDE HUSTLES:
+Weekend bakery
+
+EDUCATION
+BSc Computer Science, State University, 2019`;
+
+describe("additionalSections", () => {
+  test("every parser keeps sections under unknown headings", async () => {
+    for (const parser of listParsers()) {
+      const result = await parseResume(UNKNOWN_SECTIONS, parser.name);
+      assert.deepEqual(
+        result.additionalSections,
+        [
+          {
+            heading: "VOLUNTEERING",
+            lines: ["Mentor, Code Club (2021 - Present)"],
+          },
+          {
+            heading: "PUBLICATIONS",
+            lines: ["Scaling billing systems, ACM Queue 2022"],
+          },
+          { heading: "SIDE HUSTLES", lines: ["Weekend bakery"] },
+        ],
+        parser.name
+      );
+    }
+  });
+
+  test("their lines are not added to the previous section", async () => {
+    for (const parser of listParsers()) {
+      const result = await parseResume(UNKNOWN_SECTIONS, parser.name);
+      const experience = JSON.stringify(result.experience);
+      assert.ok(!experience.includes("Code Club"), parser.name);
+      assert.ok(!experience.includes("bakery"), parser.name);
+    }
+  });
+
+  test("count towards content coverage", async () => {
+    const result = await parseResume(UNKNOWN_SECTIONS, "default");
+    const { missingContent } = verifyParsedContent(UNKNOWN_SECTIONS, result);
+    for (const chunk of missingContent) {
+      assert.doesNotMatch(chunk, /Code Club|ACM Queue|bakery/);
+    }
+  });
+
+  test("are part of the schema", async () => {
+    const result = await parseResume(UNKNOWN_SECTIONS, "default");
+    assert.deepEqual(validateStrict(result), []);
+  });
+});
@@ -0,0 +1,90 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  parseResumeDirectory,
+  collectResumeFiles,
+  getOutputNames,
+} = require("../parseAllResumes");
+
+/**
+ * Create a temporary directory holding the given files
+ * @param {string[]} files - Relative file paths to create
+ * @returns {string} - Path to the directory
+ */
+function makeResumeDirectory(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "resume-batch-"));
+  for (const file of files) {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), "John Doe");
+  }
+  return dir;
+}
+
+describe("collectResumeFiles", () => {
+  const dir = makeResumeDirectory([
+    "b.pdf",
+    "a.txt",
+    ".DS_Store",
+    "nested/c.docx",
+  ]);
+
+  test("lists the files of a directory, sorted, without hidden files", () => {
+    const files = collectResumeFiles(dir, false).map((file) =>
+      path.relative(dir, file)
+    );
+    assert.deepEqual(files, ["a.txt", "b.pdf"]);
+  });
+
+  test("descends into subdirectories when recursive", () => {
+    const files = collectResumeFiles(dir, true).map((file) =>
+      path.relative(dir, file)
+    );
+    assert.deepEqual(files, ["a.txt", "b.pdf", path.join("nested", "c.docx")]);
+  });
+});
+
+describe("getOutputNames", () => {
+  test("names outputs after the file's base name", () => {
+    const names = getOutputNames(["resume.pdf", "cv.docx"]);
+    assert.equal(names.get("resume.pdf"), "resume");
+    assert.equal(names.get("cv.docx"), "cv");
+  });
+
+  test("keeps files that share a base name apart", () => {
+    const a = path.join("a", "resume.pdf");
+    const b = path.join("b", "resume.pdf");
+    const names = getOutputNames([a, b, "resume.txt"]);
+    assert.equal(names.get(a), "a_resume.pdf");
+    assert.equal(names.get(b), "b_resume.pdf");
+    assert.equal(names.get("resume.txt"), "resume.txt");
+  });
+
+  test("never gives two files the same name", () => {
+    const nested = path.join("a", "resume.txt");
+    const names = getOutputNames([nested, "resume.txt", "a_resume.txt.md"]);
+    assert.equal(new Set(names.values()).size, 3);
+  });
+});
+
+describe("parseResumeDirectory", () => {
+  test("throws for a missing directory", async () => {
+    await assert.rejects(
+      parseResumeDirectory(path.join(os.tmpdir(), "no-such-resumes")),
+      /not found/
+    );
+  });
+
+  test("skips unsupported files", async (t) => {
+    t.mock.method(console, "log", () => {});
+    const dir = makeResumeDirectory(["notes.odt", "photo.png"]);
+    const summary = await parseResumeDirectory(dir);
+    assert.deepEqual(summary.succeeded, []);
+    assert.deepEqual(
+      summary.skipped.map((entry) => entry.reason),
+      ["Unsupported file type", "Unsupported file type"]
+    );
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  hasBulletGlyph,
+  isActionVerb,
+  joinBulletLines,
+} = require("../parsers/bullets");
+const { parseResume, listParsers } = require("../parsers");
+
+// A bullet wrapped inside a word, right under its entry header
+const WRAPPED_BULLET = `Jane Doe
+jane@example.com
+
+EXPERIENCE
+Software Engineer, Acme Corp, Jan 2020 - Present
+• Maintained the CI pipeline and develop-
+ment workflow for the team
+• Built APIs
+
+EDUCATION
+BSc Computer Science, State University, 2019`;
+
+describe("hasBulletGlyph", () => {
+  test("recognizes bullet glyphs and list dashes", () => {
+    assert.equal(hasBulletGlyph("• Built APIs"), true);
+    assert.equal(hasBulletGlyph("  - Built APIs"), true);
+    assert.equal(hasBulletGlyph("➤ Shipped"), true);
+  });
+
+  test("does not take a hyphenated word for a bullet", () => {
+    assert.equal(hasBulletGlyph("-based tooling"), false);
+    assert.equal(hasBulletGlyph("Built APIs"), false);
+  });
+});
+
+describe("isActionVerb", () => {
+  test("accepts action verbs in any form", () => {
+    for (const word of ["Developed", "leads", "reducing", "Optimized"]) {
+      assert.equal(isActionVerb(word), true, word);
+    }
+  });
+
+  test("rejects names and nouns", () => {
+    for (const word of ["Acme", "Python", "team"]) {
+      assert.equal(isActionVerb(word), false, word);
+    }
+  });
+});
+
+describe("joinBulletLines", () => {
+  test("joins a bullet wrapped inside a word", () => {
+    assert.deepEqual(
+      joinBulletLines([
+        "• Maintained the CI pipeline and develop-",
+        "ment workflow for the team",
+        "• Built APIs",
+      ]),
+      [
+        "Maintained the CI pipeline and development workflow for the team",
+        "Built APIs",
+      ]
+    );
+  });
+
+  test("joins a wrapped line that starts with a capital", () => {
+    assert.deepEqual(
+      joinBulletLines(["• Built firmware for the", "Embedded controller line"]),
+      ["Built firmware for the Embedded controller line"]
+    );
+  });
+
+  test("starts a bullet at an action verb or after a full stop", () => {
+    assert.deepEqual(
+      joinBulletLines(["Developed the billing platform", "Led a team of four"]),
+      ["Developed the billing platform", "Led a team of four"]
+    );
+    assert.deepEqual(
+      joinBulletLines(["• Built APIs.", "Python is the main language"]),
+      ["Built APIs.", "Python is the main language"]
+    );
+  });
+
+  test("keeps subheadings and drops glyphs and blank lines", () => {
+    assert.deepEqual(
+      joinBulletLines(["Key Projects:", "", "- Built APIs", "* Led teams"]),
+      ["Key Projects:", "Built APIs", "Led teams"]
+    );
+    assert.deepEqual(joinBulletLines(["", "  "]), []);
+  });
+});
+
+describe("bullets in every parser", () => {
+  test("wrapped bullets are joined", async () => {
+    const bullet =
+      "Maintained the CI pipeline and development workflow for the team";
+    for (const parser of listParsers()) {
+      const result = await parseResume(WRAPPED_BULLET, parser.name);
+      const bullets = result.experience.flatMap(
+        (entry) => entry.responsibilities || []
+      );
+      assert.ok(bullets.includes(bullet), `${parser.name}: ${bullets}`);
+    }
+  });
+});
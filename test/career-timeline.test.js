@@ -0,0 +1,109 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { analyzeTimeline } = require("../parsers/career-timeline");
+const { addDateRanges } = require("../parsers/date-range");
+
+const AS_OF = { asOf: "2025-06" };
+
+function timeline(experience, options = {}) {
+  const result = addDateRanges({ experience }, AS_OF);
+  return analyzeTimeline(result, { ...AS_OF, ...options });
+}
+
+const CAREER = [
+  { title: "Senior Engineer", company: "Acme", period: "Jan 2022 - Present" },
+  { title: "Consultant", company: "Self", period: "Jun 2021 - Mar 2022" },
+  { title: "Engineer", company: "Globex", period: "Jan 2019 - Dec 2020" },
+  {
+    title: "Software Engineering Intern",
+    company: "Initech",
+    period: "Jun 2018 - Aug 2018",
+  },
+  { title: "Volunteer", company: "Code Club" },
+];
+
+describe("analyzeTimeline", () => {
+  test("lists dated roles from the earliest and runs current ones to the as-of date", () => {
+    const { roles, undatedCount } = timeline(CAREER);
+    assert.deepEqual(
+      roles.map((role) => [role.index, role.start, role.end, role.months]),
+      [
+        [3, "2018-06", "2018-08", 3],
+        [2, "2019-01", "2020-12", 24],
+        [1, "2021-06", "2022-03", 10],
+        [0, "2022-01", "2025-06", 42],
+      ]
+    );
+    assert.equal(roles[3].isCurrent, true);
+    assert.equal(undatedCount, 1);
+  });
+
+  test("counts overlapping months once and internships apart", () => {
+    const result = timeline(CAREER);
+    assert.equal(result.totalMonths, 73);
+    assert.equal(result.totalYears, 6.1);
+    assert.equal(result.internshipMonths, 3);
+    assert.deepEqual(
+      result.roles.map((role) => role.internship),
+      [true, false, false, false]
+    );
+  });
+
+  test("lists gaps longer than the gap threshold", () => {
+    assert.deepEqual(timeline(CAREER).gaps, [
+      { start: "2018-09", end: "2018-12", months: 4 },
+      { start: "2021-01", end: "2021-05", months: 5 },
+    ]);
+    assert.deepEqual(timeline(CAREER, { gapMonths: 4 }).gaps, [
+      { start: "2021-01", end: "2021-05", months: 5 },
+    ]);
+  });
+
+  test("does not list a gap of three months or less", () => {
+    const { gaps } = timeline([
+      { title: "Engineer", period: "Jan 2020 - Dec 2020" },
+      { title: "Developer", period: "Jan 2019 - Sep 2019" },
+    ]);
+    assert.deepEqual(gaps, []);
+  });
+
+  test("lists roles held at the same time", () => {
+    assert.deepEqual(timeline(CAREER).overlaps, [
+      { entries: [1, 0], start: "2022-01", end: "2022-03", months: 3 },
+    ]);
+  });
+
+  test("does not count a shared month or roles at one employer as overlaps", () => {
+    const { overlaps, roles, promotions } = timeline([
+      {
+        company: "Acme",
+        roles: [
+          { title: "Engineer I", period: "Jan 2018 - Jan 2020" },
+          { title: "Engineer II", period: "Jun 2019 - Dec 2021" },
+        ],
+      },
+      { title: "Engineer", company: "Globex", period: "Dec 2021 - Dec 2022" },
+    ]);
+    assert.deepEqual(overlaps, []);
+    assert.deepEqual(
+      roles.map((role) => [role.index, role.title]),
+      [
+        [0, "Engineer I"],
+        [0, "Engineer II"],
+        [1, "Engineer"],
+      ]
+    );
+    assert.equal(promotions.length, 1);
+  });
+
+  test("counts entries without usable dates as undated", () => {
+    const result = timeline([
+      { title: "Engineer", period: "Dec 2021 - Jan 2020" },
+      { title: "Developer", period: "Remote" },
+      null,
+    ]);
+    assert.deepEqual(result.roles, []);
+    assert.equal(result.totalMonths, 0);
+    assert.equal(result.undatedCount, 3);
+  });
+});
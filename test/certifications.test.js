@@ -0,0 +1,158 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseCertification,
+  extractCertifications,
+} = require("../parsers/certifications");
+const { parseResume, listParsers } = require("../parsers");
+
+const AS_OF = { asOf: "2025-06" };
+
+const CERTIFICATIONS_SECTION = `Jane Doe
+jane@example.com
+
+CERTIFICATIONS
+• AWS Certified Developer – Associate, Expires Jan 2024
+• Certified ScrumMaster (CSM), Scrum Alliance, Jan 2024 - Jan 2026
+
+EDUCATION
+BSc Computer Science, State University, 2019`;
+
+describe("parseCertification", () => {
+  test("reads labelled dates and the credential ID", () => {
+    assert.deepEqual(
+      parseCertification(
+        "AWS Certified Solutions Architect – Associate, Issued Mar 2022, Expires Mar 2025, Credential ID ABC123",
+        AS_OF
+      ),
+      {
+        name: "AWS Certified Solutions Architect - Associate",
+        issuer: "Amazon Web Services",
+        issued: "2022-03",
+        expires: "2025-03",
+        credentialId: "ABC123",
+        url: null,
+        expired: true,
+        raw: "AWS Certified Solutions Architect – Associate, Issued Mar 2022, Expires Mar 2025, Credential ID ABC123",
+      }
+    );
+  });
+
+  test("takes a date range as issued and expiry dates", () => {
+    const certification = parseCertification(
+      "Certified ScrumMaster (CSM), Scrum Alliance, Jan 2024 - Jan 2026",
+      AS_OF
+    );
+    assert.equal(certification.name, "Certified ScrumMaster (CSM)");
+    assert.equal(certification.issuer, "Scrum Alliance");
+    assert.equal(certification.issued, "2024-01");
+    assert.equal(certification.expires, "2026-01");
+    assert.equal(certification.expired, false);
+  });
+
+  test("knows issuers from their names and certifications", () => {
+    assert.equal(
+      parseCertification("PMP, PMI, 2020").issuer,
+      "Project Management Institute"
+    );
+    assert.equal(
+      parseCertification("Google Cloud Professional Data Engineer").issuer,
+      "Google Cloud"
+    );
+    assert.equal(parseCertification("CCNA").issuer, "Cisco");
+  });
+
+  test("reads badge links and credentials that never expire", () => {
+    assert.equal(
+      parseCertification("CCNA https://www.credly.com/badges/abc-123").url,
+      "https://www.credly.com/badges/abc-123"
+    );
+    const lifetime = parseCertification(
+      "Microsoft Certified: Azure Fundamentals, No Expiration Date",
+      AS_OF
+    );
+    assert.equal(lifetime.expires, null);
+    assert.equal(lifetime.expired, false);
+  });
+
+  test("leaves the expiry open without an end date", () => {
+    for (const raw of ["PMP, PMI, 2020", "CKA, Jan 2021 - Present"]) {
+      const certification = parseCertification(raw, AS_OF);
+      assert.equal(certification.expires, null, raw);
+      assert.equal(certification.expired, null, raw);
+    }
+  });
+
+  test("takes issuers from an extra catalogue", () => {
+    const certification = parseCertification("Widget Pro Certified", {
+      certificationIssuers: [
+        {
+          issuer: "Acme Inc",
+          names: ["Acme"],
+          certifications: /\bWidget Pro\b/,
+        },
+      ],
+    });
+    assert.equal(certification.issuer, "Acme Inc");
+  });
+
+  test("leaves unknown certifications without an issuer", () => {
+    assert.equal(
+      parseCertification("Acme Internal Safety Training").issuer,
+      null
+    );
+  });
+
+  test("returns null without a name", () => {
+    assert.equal(parseCertification("2020"), null);
+    assert.equal(parseCertification(""), null);
+  });
+});
+
+describe("extractCertifications", () => {
+  test("joins detail lines to their certification and lists each once", () => {
+    const certifications = extractCertifications(
+      [
+        "• CCNA",
+        "Cisco",
+        "Issued Jan 2021",
+        "• CCNA, Cisco",
+        "Kubernetes Administrator (CKA)",
+        "Credential ID 99-XYZ",
+      ],
+      AS_OF
+    );
+    assert.deepEqual(
+      certifications.map((entry) => [
+        entry.name,
+        entry.issuer,
+        entry.issued,
+        entry.credentialId,
+      ]),
+      [
+        ["CCNA", "Cisco", "2021-01", null],
+        ["Kubernetes Administrator (CKA)", "Linux Foundation", null, "99-XYZ"],
+      ]
+    );
+  });
+});
+
+describe("certifications in every parser", () => {
+  test("are parsed without their bullets and checked for expiry", async () => {
+    for (const parser of listParsers()) {
+      const result = await parseResume(
+        CERTIFICATIONS_SECTION,
+        parser.name,
+        AS_OF
+      );
+      assert.deepEqual(
+        result.certifications.map((entry) => [entry.name, entry.expired]),
+        [
+          ["AWS Certified Developer - Associate", true],
+          ["Certified ScrumMaster (CSM)", false],
+        ],
+        parser.name
+      );
+    }
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { extractContacts } = require("../parsers/contacts");
+const { parseResume } = require("../parsers");
+
+// Numbers and domains near the contact details that are not contacts
+const NUMBERS_THAT_ARE_NOT_PHONES = `Jane Doe
+Senior Engineer at acme.com
+jane@example.com | +1 415 555 0100 | janedoe.dev
+Server farm 192.168.100.200 admin
+
+EXPERIENCE
+Software Engineer | Acme Corp | Jan 2020 - Present
+• Resolved ticket 2021-0001-4433 for a customer
+
+CERTIFICATIONS
+AWS Certified Developer, Credential ID 1234567890`;
+
+const HEADER = [
+  "Jane Doe",
+  "jane [at] example [dot] com | Mobile: +1 415 555 0100 | Work: (415) 555-0199",
+  "linkedin.com/in/janedoe | github.com/janedoe | janedoe.dev",
+];
+
+// Lines past the header, where only numbers that fit a plan are phones
+const BODY = [
+  "",
+  "EXPERIENCE",
+  "Engineer at Acme",
+  "• Built the storefront for acme.com",
+  "• Led a team of 4",
+  "• Cut costs by 20%",
+  "• Shipped 12 releases",
+  "• Wrote the runbooks",
+  "• Resolved ticket 2021-0001-4433",
+  "• Order 020 7946 0958 shipped",
+];
+
+describe("extractContacts", () => {
+  test("reads obfuscated e-mail addresses", () => {
+    assert.deepEqual(extractContacts(HEADER).emails, [
+      { address: "jane@example.com", raw: "jane [at] example [dot] com" },
+    ]);
+  });
+
+  test("labels phone numbers", () => {
+    assert.deepEqual(
+      extractContacts(HEADER).phones.map((phone) => [phone.e164, phone.label]),
+      [
+        ["+14155550100", "mobile"],
+        ["+14155550199", "work"],
+      ]
+    );
+  });
+
+  test("normalizes profiles on known networks and personal websites", () => {
+    assert.deepEqual(extractContacts(HEADER).profiles, [
+      {
+        network: "linkedin",
+        url: "https://www.linkedin.com/in/janedoe",
+        username: "janedoe",
+      },
+      {
+        network: "github",
+        url: "https://github.com/janedoe",
+        username: "janedoe",
+      },
+      { network: "website", url: "https://janedoe.dev", username: null },
+    ]);
+  });
+
+  test("keeps numbers that fit a plan on any line", () => {
+    const { phones } = extractContacts([
+      "Jane Doe",
+      ...BODY,
+      "Reach me on +44 20 7946 0958",
+    ]);
+    assert.deepEqual(
+      phones.map((phone) => phone.raw),
+      ["+44 20 7946 0958"]
+    );
+  });
+
+  test("keeps numbers that fit no plan only from the header or a labelled line", () => {
+    assert.deepEqual(
+      extractContacts(["Jane Doe", ...BODY]).phones.map((phone) => phone.raw),
+      []
+    );
+    assert.deepEqual(
+      extractContacts(["Jane Doe", ...BODY, "Phone: 0405 636 970"]).phones.map(
+        (phone) => phone.raw
+      ),
+      ["0405 636 970"]
+    );
+    assert.deepEqual(
+      extractContacts(["Jane Doe", "0405 636 970"]).phones.map(
+        (phone) => phone.raw
+      ),
+      ["0405 636 970"]
+    );
+  });
+
+  test("takes no credential IDs, IP addresses or employer domains", async () => {
+    const result = await parseResume(NUMBERS_THAT_ARE_NOT_PHONES, "default");
+    assert.deepEqual(
+      result.contacts.phones.map((phone) => phone.raw),
+      ["+1 415 555 0100"]
+    );
+    assert.deepEqual(
+      result.contacts.profiles.map((profile) => profile.url),
+      ["https://janedoe.dev"]
+    );
+  });
+});
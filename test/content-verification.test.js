@@ -0,0 +1,57 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { verifyParsedContent } = require("../parsers/content-verification");
+
+const TEXT = `Jane Doe
+jane@example.com
+
+Built billing services for large retail customers across Europe
+
+Enjoys sailing, climbing mountains and photographing wildlife`;
+
+describe("verifyParsedContent", () => {
+  test("lists paragraphs the parsed fields do not account for", () => {
+    const result = verifyParsedContent(TEXT, {
+      name: "Jane Doe",
+      email: "jane@example.com",
+      experience: [
+        {
+          company: "Acme",
+          responsibilities: [
+            "Built billing services for large retail customers across Europe",
+          ],
+        },
+      ],
+    });
+    assert.deepEqual(result.missingContent, [
+      "Enjoys sailing, climbing mountains and photographing wildlife",
+    ]);
+    assert.equal(Math.round(result.coveragePercentage), 67);
+  });
+
+  test("counts content from additional sections", () => {
+    const result = verifyParsedContent(TEXT, {
+      name: "Jane Doe",
+      email: "jane@example.com",
+      summary:
+        "Built billing services for large retail customers across Europe",
+      additionalSections: [
+        {
+          heading: "Interests",
+          lines: [
+            "Enjoys sailing, climbing mountains and photographing wildlife",
+          ],
+        },
+      ],
+    });
+    assert.deepEqual(result.missingContent, []);
+    assert.equal(result.coveragePercentage, 100);
+  });
+
+  test("reports full coverage for text without paragraphs", () => {
+    assert.deepEqual(verifyParsedContent("", {}), {
+      missingContent: [],
+      coveragePercentage: 100,
+    });
+  });
+});
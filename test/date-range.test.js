@@ -0,0 +1,101 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseDateRange, addDateRanges } = require("../parsers/date-range");
+const { parseCertification } = require("../parsers/certifications");
+const { parseResume } = require("../parsers");
+
+const AS_OF = { asOf: "2025-06" };
+
+const CURRENT_ROLE = `Jane Doe
+jane@example.com
+
+EXPERIENCE
+Software Engineer | Acme Corp | Jan 2024 - Present
+• Built APIs`;
+
+function range(raw) {
+  const dates = parseDateRange(raw, AS_OF);
+  return dates && [dates.start, dates.end, dates.isCurrent];
+}
+
+describe("parseDateRange", () => {
+  test("reads month names, numeric dates and seasons", () => {
+    assert.deepEqual(range("Sept. 2019 - Jun 2021"), [
+      "2019-09",
+      "2021-06",
+      false,
+    ]);
+    assert.deepEqual(range("05/2021 - 2022-03"), ["2021-05", "2022-03", false]);
+    assert.deepEqual(range("Fall 2019 - Spring 2021"), [
+      "2019-09",
+      "2021-03",
+      false,
+    ]);
+    assert.deepEqual(range("Mar 2019"), ["2019-03", "2019-03", false]);
+  });
+
+  test("runs a year on its own to December", () => {
+    assert.deepEqual(range("2014 - 2018"), ["2014-01", "2018-12", false]);
+    assert.deepEqual(range("2019"), ["2019-01", "2019-12", false]);
+    assert.equal(parseDateRange("2014 - 2018").precision, "year");
+  });
+
+  test("ends the year under way at the as-of date", () => {
+    assert.deepEqual(range("2025"), ["2025-01", "2025-06", false]);
+  });
+
+  test("leaves the end of an open range null", () => {
+    assert.deepEqual(range("Jan 2020 - Present"), ["2020-01", null, true]);
+    assert.deepEqual(range("Jan 2020 - Presently"), ["2020-01", null, true]);
+    assert.deepEqual(range("Since 2019"), ["2019-01", null, true]);
+  });
+
+  test("keeps an expected end without a start", () => {
+    assert.deepEqual(range("Expected 2025"), [null, "2025-12", true]);
+    assert.deepEqual(range("Expected 2024"), [null, "2024-12", false]);
+  });
+
+  test("returns null without a date", () => {
+    assert.equal(parseDateRange("Present"), null);
+    assert.equal(parseDateRange("Remote"), null);
+  });
+});
+
+describe("addDateRanges", () => {
+  test("adds dates next to periods, timeframes and roles", () => {
+    const result = addDateRanges(
+      {
+        name: "Jane Doe",
+        experience: [
+          { period: "Jan 2020 - Present", roles: [{ period: "2019" }] },
+        ],
+        projects: [{ timeframe: "Remote" }],
+      },
+      AS_OF
+    );
+    assert.equal(result.experience[0].dates.end, null);
+    assert.equal(result.experience[0].roles[0].dates.end, "2019-12");
+    assert.equal(result.projects[0].dates, null);
+  });
+});
+
+describe("open ranges in other fields", () => {
+  test("do not give a certification an expiry", () => {
+    assert.equal(parseCertification("CKA, Jan 2021 - Present").expires, null);
+    assert.equal(
+      parseCertification("AWS Certified Developer, 2019").expires,
+      null
+    );
+    assert.equal(
+      parseCertification("AWS Certified Developer, 2019 - 2022").expires,
+      "2022-12"
+    );
+  });
+
+  test("run to the as-of date in the timeline", async () => {
+    const result = await parseResume(CURRENT_ROLE, "default", AS_OF);
+    assert.equal(result.experience[0].dates.end, null);
+    assert.equal(result.timeline.roles[0].end, "2025-06");
+    assert.equal(result.timeline.totalMonths, 18);
+  });
+});
@@ -0,0 +1,165 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { isDocx, extractDocxText } = require("../parsers/docx-extractor");
+const { parseResume } = require("../parsers");
+
+/**
+ * Compute the CRC-32 of a buffer, as stored in ZIP headers
+ * @param {Buffer} data - Data to check
+ * @returns {number} - Unsigned CRC-32
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a ZIP package with deflated entries
+ * @param {Object} files - File contents keyed by name
+ * @returns {Buffer} - ZIP file contents
+ */
+function buildZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBuffer = Buffer.from(name, "utf8");
+    const data = Buffer.from(contents, "utf8");
+    const compressed = zlib.deflateRawSync(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBuffer.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBuffer.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBuffer, compressed);
+    centralParts.push(central, nameBuffer);
+    offset += local.length + nameBuffer.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+/**
+ * Build a DOCX package from paragraphs
+ * @param {Array<string|Object>} paragraphs - Paragraph text, or objects with
+ *   `text` and an optional `style` or `list` flag
+ * @param {string} [stylesXml] - Contents of word/styles.xml
+ * @returns {Buffer} - DOCX file contents
+ */
+function buildDocx(paragraphs, stylesXml) {
+  const body = paragraphs
+    .map((paragraph) => {
+      const { text, style, list } =
+        typeof paragraph === "string" ? { text: paragraph } : paragraph;
+      const properties = [
+        style ? `<w:pStyle w:val="${style}"/>` : "",
+        list ? "<w:numPr><w:numId w:val=\"1\"/></w:numPr>" : "",
+      ].join("");
+      return `<w:p><w:pPr>${properties}</w:pPr><w:r><w:t xml:space="preserve">${text}</w:t></w:r></w:p>`;
+    })
+    .join("");
+  const files = {
+    "[Content_Types].xml": "<Types/>",
+    "word/document.xml": `<w:document><w:body>${body}</w:body></w:document>`,
+  };
+  if (stylesXml) files["word/styles.xml"] = stylesXml;
+  return buildZip(files);
+}
+
+describe("isDocx", () => {
+  test("recognizes a ZIP package holding word/document.xml", () => {
+    assert.equal(isDocx(buildDocx(["John Doe"])), true);
+  });
+
+  test("rejects other ZIP files and non-ZIP data", () => {
+    assert.equal(isDocx(buildZip({ "notes.txt": "John" })), false);
+    assert.equal(isDocx(Buffer.from("%PDF-1.4")), false);
+  });
+});
+
+describe("extractDocxText", () => {
+  test("keeps paragraphs as lines and marks list items as bullets", () => {
+    const { text } = extractDocxText(
+      buildDocx([
+        "John Doe",
+        "Tom &amp; Jerry Ltd",
+        { text: "Built APIs", list: true },
+      ])
+    );
+    assert.equal(text, "John Doe\nTom & Jerry Ltd\n• Built APIs");
+  });
+
+  test("reports paragraphs in heading styles as headings", () => {
+    const { headings } = extractDocxText(
+      buildDocx([
+        { text: "John Doe", style: "Title" },
+        { text: "Experience", style: "Heading1" },
+        "Engineer at Acme",
+      ])
+    );
+    assert.deepEqual(headings, ["Experience"]);
+  });
+
+  test("reads localized heading style IDs from their style names", () => {
+    const styles =
+      '<w:styles><w:style w:styleId="berschrift1"><w:name w:val="heading 1"/></w:style></w:styles>';
+    const { headings } = extractDocxText(
+      buildDocx([{ text: "Berufserfahrung", style: "berschrift1" }], styles)
+    );
+    assert.deepEqual(headings, ["Berufserfahrung"]);
+  });
+
+  test("throws for a ZIP file without a document", () => {
+    assert.throws(
+      () => extractDocxText(buildZip({ "notes.txt": "John" })),
+      /word\/document\.xml not found/
+    );
+  });
+
+  test("keeps a name in the Title style as the name", async () => {
+    const { text, headings } = extractDocxText(
+      buildDocx([
+        { text: "Jane Smith", style: "Title" },
+        "jane@example.com | +44 20 7946 0958",
+        { text: "Experience", style: "Heading1" },
+        "Engineer | Acme | Jan 2020 - Present",
+      ])
+    );
+    const result = await parseResume(text, "default", { headings });
+    assert.equal(result.name, "Jane Smith");
+    assert.equal(result.email, "jane@example.com");
+    assert.deepEqual(result.additionalSections, []);
+  });
+});
@@ -0,0 +1,123 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { findDegree, describeEducation } = require("../parsers/education");
+const { parseResume, listParsers } = require("../parsers");
+
+const AS_OF = { asOf: "2025-06" };
+
+// A degree that ends after the as-of date, and one that ended before it
+const DEGREE_IN_PROGRESS = `Jane Doe
+jane@example.com
+
+EDUCATION
+Master of Science in Data Science
+State University
+Sep 2024 - Jun 2026
+
+Bachelor of Science in Computer Science
+City College
+Sep 2019 - Jun 2023`;
+
+// Activities under a degree whose words start like degree abbreviations
+const ACTIVITIES = `Jane Doe
+jane@example.com
+
+EDUCATION
+BSc Computer Science, State University, 2015 - 2019
+Managed the student robotics club
+Basketball team captain`;
+
+describe("findDegree", () => {
+  test("finds the degree level of names and abbreviations", () => {
+    const levels = [
+      ["BSc Computer Science", "bachelor"],
+      ["B.Tech in CSE", "bachelor"],
+      ["Master of Science in Data Science", "master"],
+      ["MBA", "master"],
+      ["PhD, Physics", "doctorate"],
+    ];
+    for (const [text, level] of levels) {
+      assert.equal(findDegree(text).level, level, text);
+    }
+  });
+
+  test("finds no degree in words that start like one", () => {
+    for (const text of [
+      "Managed the student robotics club",
+      "Basketball team captain",
+      "Associate Engineer",
+    ]) {
+      assert.equal(findDegree(text), null, text);
+    }
+  });
+});
+
+describe("describeEducation", () => {
+  test("reads the field of study, GPA, honours and coursework", () => {
+    assert.deepEqual(
+      describeEducation(
+        {
+          degree: "BSc (Hons) Computer Science",
+          institution: "State University",
+          period: "2015 - 2019",
+          details: [
+            "GPA: 3.8/4.0",
+            "First Class Honours, Summa Cum Laude",
+            "Relevant Coursework: Algorithms, Operating Systems",
+          ],
+        },
+        AS_OF
+      ),
+      {
+        degreeLevel: "bachelor",
+        fieldOfStudy: "Computer Science",
+        gpa: { value: 3.8, scale: 4 },
+        honors: ["Summa Cum Laude", "First-Class Honours"],
+        relevantCoursework: ["Algorithms", "Operating Systems"],
+        expected: false,
+      }
+    );
+  });
+
+  test("marks open and expected degrees as in progress", () => {
+    const open = { start: "2022-09", end: null, isCurrent: true };
+    assert.equal(
+      describeEducation({ degree: "BSc", dates: open }, AS_OF).expected,
+      true
+    );
+    assert.equal(
+      describeEducation({ degree: "BSc", period: "Expected 2026" }, AS_OF)
+        .expected,
+      true
+    );
+  });
+});
+
+describe("education in every parser", () => {
+  test("degrees ending after the as-of date are expected", async () => {
+    for (const parser of listParsers()) {
+      const result = await parseResume(DEGREE_IN_PROGRESS, parser.name, AS_OF);
+      const dated = result.education.filter((entry) => entry.dates);
+      assert.ok(dated.length > 0, parser.name);
+      for (const entry of dated) {
+        assert.equal(
+          entry.expected,
+          entry.dates.end > AS_OF.asOf,
+          `${parser.name}: ${entry.period}`
+        );
+      }
+    }
+  });
+
+  test("activities under a degree are not degrees", async () => {
+    for (const parser of listParsers()) {
+      const result = await parseResume(ACTIVITIES, parser.name);
+      const degrees = result.education.map((entry) => entry.degree);
+      assert.ok(result.education.length > 0, parser.name);
+      assert.ok(
+        degrees.every((degree) => !/robotics|Basketball/.test(degree)),
+        `${parser.name}: ${JSON.stringify(degrees)}`
+      );
+    }
+  });
+});
@@ -0,0 +1,183 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  extractExperienceWithRoles,
+  findPromotions,
+  groupRoles,
+} = require("../parsers/employer-roles");
+const { addDateRanges } = require("../parsers/date-range");
+const { parseResume, listParsers } = require("../parsers");
+
+// One employer listed once, with two roles beneath it
+const ROLES_UNDER_EMPLOYER = `Jane Doe
+jane@example.com
+
+EXPERIENCE
+Acme Corp, Sydney
+Senior Software Engineer | Jan 2021 - Present
+• Led the platform team
+Software Engineer | Mar 2018 - Dec 2020
+• Built the billing APIs
+
+EDUCATION
+BSc Computer Science, State University, 2015`;
+
+function promotions(roles) {
+  const { experience } = addDateRanges({
+    experience: [{ company: "Acme", roles }],
+  });
+  return findPromotions(experience[0]).map(({ from, to }) => [from, to]);
+}
+
+describe("groupRoles", () => {
+  test("merges consecutive entries at one company", () => {
+    const [acme, globex] = groupRoles([
+      {
+        title: "Senior Engineer",
+        company: "Acme Corp.",
+        period: "Jan 2021 - Present",
+        responsibilities: ["Led"],
+      },
+      {
+        title: "Engineer",
+        company: "ACME Corp",
+        period: "Jan 2018 - Dec 2020",
+        responsibilities: ["Built"],
+      },
+      { title: "Developer", company: "Globex", period: "2016 - 2017" },
+    ]);
+    assert.equal(acme.title, "Senior Engineer");
+    assert.equal(acme.period, "Jan 2018 - Present");
+    assert.deepEqual(acme.responsibilities, ["Led", "Built"]);
+    assert.deepEqual(
+      acme.roles.map((role) => [role.title, role.period]),
+      [
+        ["Senior Engineer", "Jan 2021 - Present"],
+        ["Engineer", "Jan 2018 - Dec 2020"],
+      ]
+    );
+    assert.deepEqual(
+      globex.roles.map((role) => role.title),
+      ["Developer"]
+    );
+  });
+
+  test("keeps entries without a company apart", () => {
+    const grouped = groupRoles([
+      { title: "Engineer", company: "", period: "2020 - 2021" },
+      { title: "Developer", company: "", period: "2018 - 2019" },
+    ]);
+    assert.equal(grouped.length, 2);
+  });
+});
+
+describe("extractExperienceWithRoles", () => {
+  test("reads employer blocks and passes other lines to the parser", () => {
+    const passed = [];
+    const entries = extractExperienceWithRoles(
+      [
+        "Developer at Globex, 2014 - 2015",
+        "Acme Corp",
+        "Senior Engineer | Jan 2021 - Present",
+        "• Led",
+        "Engineer | Mar 2018 - Dec 2020",
+        "• Built",
+        "Analyst at Initech, 2012 - 2013",
+      ],
+      (lines) => {
+        passed.push(lines);
+        return lines.map((line) => ({ title: line, responsibilities: [] }));
+      }
+    );
+    assert.deepEqual(passed, [
+      ["Developer at Globex, 2014 - 2015"],
+      ["Analyst at Initech, 2012 - 2013"],
+    ]);
+    assert.deepEqual(
+      entries.map((entry) => [entry.company || "", entry.roles.length]),
+      [
+        ["", 1],
+        ["Acme Corp", 2],
+        ["", 1],
+      ]
+    );
+  });
+});
+
+describe("findPromotions", () => {
+  test("finds moves to a more senior title or level", () => {
+    assert.deepEqual(
+      promotions([
+        { title: "Engineer I", period: "2018 - 2019" },
+        { title: "Engineer II", period: "2020 - 2021" },
+        { title: "Engineering Manager", period: "2022 - 2023" },
+      ]),
+      [
+        ["Engineer I", "Engineer II"],
+        ["Engineer II", "Engineering Manager"],
+      ]
+    );
+  });
+
+  test("orders roles by their start, not by how they are listed", () => {
+    assert.deepEqual(
+      promotions([
+        { title: "Senior Developer", period: "2020 - 2021" },
+        { title: "Software Engineering Intern", period: "2019" },
+      ]),
+      [["Software Engineering Intern", "Senior Developer"]]
+    );
+  });
+
+  test("ignores lateral moves, step-downs and undated roles", () => {
+    assert.deepEqual(
+      promotions([
+        { title: "Backend Engineer", period: "2018 - 2019" },
+        { title: "Frontend Engineer", period: "2020 - 2021" },
+      ]),
+      []
+    );
+    assert.deepEqual(
+      promotions([
+        { title: "Team Lead", period: "2018 - 2019" },
+        { title: "Senior Engineer", period: "2020 - 2021" },
+      ]),
+      []
+    );
+    assert.deepEqual(
+      promotions([
+        { title: "Junior Developer" },
+        { title: "Senior Developer", period: "2020 - 2021" },
+      ]),
+      []
+    );
+  });
+});
+
+describe("roles in every parser", () => {
+  test("keep the employer for every role and find the promotion", async () => {
+    for (const parser of listParsers()) {
+      const result = await parseResume(ROLES_UNDER_EMPLOYER, parser.name);
+      const [acme] = result.experience;
+      assert.equal(acme.company, "Acme Corp", parser.name);
+      assert.equal(acme.period, "Mar 2018 - Present", parser.name);
+      assert.deepEqual(
+        acme.roles.map((role) => [role.title, role.responsibilities.length]),
+        [
+          ["Senior Software Engineer", 1],
+          ["Software Engineer", 1],
+        ],
+        parser.name
+      );
+      assert.deepEqual(
+        result.timeline.promotions.map(({ from, to, date }) => [
+          from,
+          to,
+          date,
+        ]),
+        [["Software Engineer", "Senior Software Engineer", "2021-01"]],
+        parser.name
+      );
+    }
+  });
+});
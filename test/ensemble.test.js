@@ -0,0 +1,153 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("path");
+const { mergeResults } = require("../parsers/ensemble");
+const { parseFile } = require("../parsers");
+
+const ROOT = path.join(__dirname, "..");
+
+describe("mergeResults", () => {
+  test("settles text fields by a vote", () => {
+    const merged = mergeResults(
+      {
+        first: { name: "Jane Doe", email: "not an email" },
+        second: { name: "Jane Doe", email: "jane@example.com" },
+        third: { name: "Jane D", email: "" },
+      },
+      { first: 1, second: 2, third: 3 }
+    );
+    assert.equal(merged.name, "Jane Doe");
+    assert.equal(merged.email, "jane@example.com");
+    assert.equal(merged._fieldSources.email, "second");
+  });
+
+  test("takes the E.164 number and place from the parser of the phone and location", () => {
+    const merged = mergeResults(
+      {
+        first: {
+          phone: "+1 415 555 0100",
+          phoneE164: "+14155550100",
+          location: "San Francisco, CA",
+          place: { city: "San Francisco" },
+        },
+        second: {
+          phone: "+44 20 7946 0958",
+          phoneE164: "+442079460958",
+          location: "London",
+          place: { city: "London" },
+        },
+        third: {
+          phone: "+44 20 7946 0958",
+          phoneE164: null,
+          location: "London",
+          place: { city: "London", countryCode: "GB" },
+        },
+      },
+      { first: 3, second: 1, third: 2 }
+    );
+    assert.equal(merged.phone, "+44 20 7946 0958");
+    assert.equal(merged._fieldSources.phone, "third");
+    assert.equal(merged.phoneE164, "");
+    assert.equal(merged._fieldSources.phoneE164, "third");
+    assert.equal(merged.location, "London");
+    assert.deepEqual(merged.place, { city: "London", countryCode: "GB" });
+  });
+
+  test("aligns an entry dated by only one parser on its company", () => {
+    const merged = mergeResults(
+      {
+        first: { experience: [{ title: "Engineer", company: "Acme Corp" }] },
+        second: {
+          experience: [{ company: "Acme Corp", period: "2019 - 2021" }],
+        },
+      },
+      { first: 2, second: 1 }
+    );
+    assert.deepEqual(merged.experience, [
+      { title: "Engineer", company: "Acme Corp", period: "2019 - 2021" },
+    ]);
+    assert.deepEqual(merged._fieldSources.experience, [["first", "second"]]);
+  });
+
+  test("dates a job from the separate entry a parser kept its period on", () => {
+    const merged = mergeResults(
+      {
+        first: {
+          experience: [
+            { title: "Web Developer Intern" },
+            { title: "SDE Intern" },
+          ],
+        },
+        second: {
+          experience: [
+            { title: "Web Developer Intern" },
+            { title: "RMgx Technologies LLP", period: "05/2022 - 01/2023" },
+            { title: "SDE Intern" },
+            { title: "Guenstiger India", period: "03/2022 - 05/2022" },
+          ],
+        },
+      },
+      { first: 2, second: 1 }
+    );
+    assert.deepEqual(
+      merged.experience.map((entry) => [entry.title, entry.period]),
+      [
+        ["Web Developer Intern", "05/2022 - 01/2023"],
+        ["SDE Intern", "03/2022 - 05/2022"],
+      ]
+    );
+  });
+
+  test("leaves out undated jobs no other parser found", () => {
+    const merged = mergeResults(
+      {
+        first: {
+          experience: [
+            { title: "Engineer", company: "Acme", period: "2019 - 2021" },
+            { title: "Reduced costs by 20% across the team" },
+          ],
+        },
+        second: {
+          experience: [{ company: "Acme", period: "2019 - 2021" }],
+        },
+      },
+      { first: 2, second: 1 }
+    );
+    assert.deepEqual(
+      merged.experience.map((entry) => entry.title),
+      ["Engineer"]
+    );
+  });
+
+  test("keeps undated jobs when only one parser found any", () => {
+    const merged = mergeResults(
+      { first: { experience: [{ title: "Engineer" }] }, second: {} },
+      { first: 2, second: 1 }
+    );
+    assert.equal(merged.experience.length, 1);
+  });
+});
+
+describe("ensemble parsing", () => {
+  test("lists each job of the sample resume once", async () => {
+    const result = await parseFile(path.join(ROOT, "sample-resume.txt"), null, {
+      ensemble: true,
+    });
+    const periods = result.experience
+      .map((entry) => entry.period)
+      .filter((period) => /\d{4}/.test(period));
+    assert.deepEqual(periods, ["Jan 2020 - Present", "Mar 2018 - Dec 2019"]);
+  });
+
+  test("merges all three parsers into one entry per job", async () => {
+    const result = await parseFile(
+      path.join(ROOT, "resumes", "Karan's Resume.pdf"),
+      null,
+      { ensemble: true }
+    );
+    assert.deepEqual(
+      result.experience.map((entry) => entry.period),
+      ["02/2023 - 02/2024", "05/2022 - 01/2023", "03/2022 - 05/2022"]
+    );
+  });
+});
@@ -0,0 +1,129 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseLanguage,
+  extractLanguages,
+  meetsLanguageLevel,
+} = require("../parsers/languages");
+const { parseResume, listParsers } = require("../parsers");
+
+const LANGUAGES_SECTION = `Jane Doe
+jane@example.com
+
+SKILLS
+Python, Go
+
+LANGUAGES
+Spanish (Professional Working Proficiency)
+German B2
+
+EDUCATION
+BSc Computer Science, State University, 2019`;
+
+function level(raw) {
+  const parsed = parseLanguage(raw);
+  return parsed && [parsed.language, parsed.proficiency, parsed.cefr];
+}
+
+describe("parseLanguage", () => {
+  test("reads LinkedIn proficiency levels", () => {
+    assert.deepEqual(
+      parseLanguage("Spanish (Professional Working Proficiency)"),
+      {
+        language: "Spanish",
+        proficiency: "professional working",
+        cefr: "B2",
+        raw: "Spanish (Professional Working Proficiency)",
+      }
+    );
+    assert.deepEqual(level("English: Native"), ["English", "native", "C2"]);
+    assert.deepEqual(level("Mandarin - Elementary proficiency"), [
+      "Mandarin",
+      "elementary",
+      "A2",
+    ]);
+  });
+
+  test("reads CEFR codes and descriptive words", () => {
+    assert.deepEqual(level("German B2"), [
+      "German",
+      "professional working",
+      "B2",
+    ]);
+    assert.deepEqual(level("French - fluent"), [
+      "French",
+      "full professional",
+      "C1",
+    ]);
+    assert.deepEqual(level("Japanese (conversational)"), [
+      "Japanese",
+      "limited working",
+      "B1",
+    ]);
+  });
+
+  test("maps test scores to a CEFR level", () => {
+    assert.equal(parseLanguage("English (IELTS 7.5)").cefr, "C1");
+    assert.equal(parseLanguage("English TOEFL 105").cefr, "C1");
+  });
+
+  test("keeps a language without a level", () => {
+    assert.deepEqual(level("Italian"), ["Italian", null, null]);
+    assert.equal(parseLanguage("Deutsch (Muttersprache)").language, "German");
+  });
+
+  test("returns null for skills and words that are not languages", () => {
+    assert.equal(parseLanguage("Python"), null);
+    assert.equal(parseLanguage("Teamwork"), null);
+  });
+});
+
+describe("extractLanguages", () => {
+  test("adds inline mentions to the languages section, each once", () => {
+    const languages = extractLanguages(
+      ["Jane Doe", "Languages: English, Turkish", "Languages: English"],
+      ["Spanish (Limited Working)"]
+    );
+    assert.deepEqual(
+      languages.map((entry) => [entry.language, entry.cefr]),
+      [
+        ["Spanish", "B1"],
+        ["English", null],
+        ["Turkish", null],
+      ]
+    );
+  });
+});
+
+describe("meetsLanguageLevel", () => {
+  const languages = ["German B2", "French B1", "Italian"].map(parseLanguage);
+
+  test("accepts a language at the level or above", () => {
+    assert.equal(meetsLanguageLevel(languages, "German", "B2"), true);
+    assert.equal(meetsLanguageLevel(languages, "german", "B1"), true);
+  });
+
+  test("rejects lower, unknown and missing levels", () => {
+    assert.equal(meetsLanguageLevel(languages, "German", "C1"), false);
+    assert.equal(meetsLanguageLevel(languages, "French", "B2"), false);
+    assert.equal(meetsLanguageLevel(languages, "Italian", "A1"), false);
+    assert.equal(meetsLanguageLevel(languages, "Spanish", "A1"), false);
+    assert.equal(meetsLanguageLevel(null, "German", "A1"), false);
+  });
+});
+
+describe("languages in every parser", () => {
+  test("parse the languages section", async () => {
+    for (const parser of listParsers()) {
+      const result = await parseResume(LANGUAGES_SECTION, parser.name);
+      assert.deepEqual(
+        result.languages.map((entry) => [entry.language, entry.cefr]),
+        [
+          ["Spanish", "B2"],
+          ["German", "B2"],
+        ],
+        parser.name
+      );
+    }
+  });
+});
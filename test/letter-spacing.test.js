@@ -0,0 +1,68 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { collapseLetterSpacing } = require("../parsers/letter-spacing");
+const { parseResume } = require("../parsers");
+
+describe("collapseLetterSpacing", () => {
+  test("collapses letter-spaced headings", () => {
+    const result = collapseLetterSpacing("S K I L L S\nPython, Java");
+    assert.equal(result.text, "SKILLS\nPython, Java");
+    assert.equal(result.collapsedCount, 1);
+    assert.equal(result.glyphRepairs, 0);
+  });
+
+  test("keeps words apart where the gap is wider", () => {
+    const result = collapseLetterSpacing("W O R K   E X P E R I E N C E");
+    assert.equal(result.text, "WORK EXPERIENCE");
+  });
+
+  test("leaves ordinary short words alone", () => {
+    const text = "I am a C developer";
+    assert.deepEqual(collapseLetterSpacing(text), {
+      text,
+      collapsedCount: 0,
+      glyphRepairs: 0,
+    });
+  });
+
+  test("maps digit and dash glyphs in letter-spaced dates", () => {
+    const result = collapseLetterSpacing(
+      "N O V E M B E R   2 0 1 4   z   M A R C H   + 0 1 8"
+    );
+    assert.equal(result.text, "NOVEMBER 2014 - MARCH 2018");
+    assert.equal(result.glyphRepairs, 2);
+  });
+
+  test("uses glyph mappings learned from the rest of the text", () => {
+    const result = collapseLetterSpacing("N ! V E M B E R   2 0 1 4", {
+      charMap: new Map([["!", "o"]]),
+    });
+    assert.equal(result.text, "NOVEMBER 2014");
+    assert.equal(result.glyphRepairs, 1);
+  });
+
+  test("does not turn short codes into months", () => {
+    const result = collapseLetterSpacing("A B C   2 0 1 4");
+    assert.equal(result.text, "ABC 2014");
+    assert.equal(result.glyphRepairs, 0);
+  });
+});
+
+describe("letter spacing in parseResume", () => {
+  test("finds sections and dates under letter-spaced headings", async () => {
+    const result = await parseResume(
+      `Jane Doe
+jane@example.com
+
+E X P E R I E N C E
+Software Engineer, Acme Corp
+J U N E   2 0 1 9   –   P R E S E N T
+• Built the billing service`,
+      "default",
+      { asOf: "2025-06" }
+    );
+    assert.equal(result.experience.length, 1);
+    assert.equal(result.experience[0].period, "JUNE 2019 - PRESENT");
+    assert.equal(result.experience[0].dates.start, "2019-06");
+  });
+});
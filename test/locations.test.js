@@ -0,0 +1,110 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parseLocation,
+  findLocation,
+  findCandidateLocation,
+  addPlaces,
+} = require("../parsers/locations");
+
+function place(raw, options) {
+  const result = parseLocation(raw, options);
+  return result && [result.city, result.region, result.countryCode];
+}
+
+describe("parseLocation", () => {
+  test("resolves cities, states and countries", () => {
+    assert.deepEqual(parseLocation("Brisbane, QLD, Australia"), {
+      city: "Brisbane",
+      region: "Queensland",
+      country: "Australia",
+      countryCode: "AU",
+      postalCode: null,
+      workMode: null,
+      raw: "Brisbane, QLD, Australia",
+    });
+    assert.deepEqual(place("San Francisco, CA"), [
+      "San Francisco",
+      "California",
+      "US",
+    ]);
+    assert.deepEqual(place("London, UK"), ["London", null, "GB"]);
+    assert.deepEqual(place("Berlin"), ["Berlin", null, "DE"]);
+  });
+
+  test("settles ambiguous state abbreviations by the city or region", () => {
+    assert.deepEqual(place("Seattle, WA"), ["Seattle", "Washington", "US"]);
+    assert.deepEqual(place("Perth, WA"), ["Perth", "Western Australia", "AU"]);
+    assert.deepEqual(place("WA"), [null, "Washington", "US"]);
+    assert.deepEqual(place("WA", { defaultRegion: "AU" }), [
+      null,
+      "Western Australia",
+      "AU",
+    ]);
+  });
+
+  test("reads postal codes, accents and work modes", () => {
+    assert.equal(parseLocation("Springfield, IL 62701").postalCode, "62701");
+    assert.equal(parseLocation("Newtown, NSW 2042").postalCode, "2042");
+    assert.equal(parseLocation("São Paulo, Brazil").countryCode, "BR");
+    assert.equal(parseLocation("Remote").workMode, "remote");
+  });
+
+  test("returns null for text that is not a place", () => {
+    assert.equal(parseLocation("Acme Corp"), null);
+    assert.equal(parseLocation("Python"), null);
+    assert.equal(parseLocation(""), null);
+    assert.equal(parseLocation(undefined), null);
+  });
+});
+
+describe("findLocation", () => {
+  test("finds the place at the end of an entry heading", () => {
+    const found = findLocation("Manager, Airport Kebabs, Brisbane");
+    assert.equal(found.city, "Brisbane");
+    assert.equal(found.raw, "Brisbane");
+  });
+
+  test("reads a work mode without a place", () => {
+    assert.equal(findLocation("Software Engineer (Remote)").workMode, "remote");
+  });
+
+  test("does not read company or school names as places", () => {
+    assert.equal(findLocation("Engineer, Acme Corp"), null);
+    assert.equal(findLocation("Jordan Smith, Georgia Tech"), null);
+  });
+});
+
+describe("findCandidateLocation", () => {
+  test("takes the location from the contact line", () => {
+    const found = findCandidateLocation([
+      "Jane Doe",
+      "jane@example.com | Melbourne, VIC",
+      "EXPERIENCE",
+      "Engineer, London",
+    ]);
+    assert.equal(found.raw, "Melbourne, VIC");
+  });
+
+  test("finds none in a header without one", () => {
+    assert.equal(findCandidateLocation(["Jane Doe", "jane@example.com"]), null);
+  });
+});
+
+describe("addPlaces", () => {
+  test("adds places to the candidate and their entries", () => {
+    const result = addPlaces({
+      location: "Austin, TX",
+      experience: [
+        { location: "Remote" },
+        { title: "Manager", company: "Airport Kebabs, Brisbane" },
+      ],
+      education: [{ institution: "State University" }],
+    });
+    assert.equal(result.place.city, "Austin");
+    assert.equal(result.experience[0].place.workMode, "remote");
+    assert.equal(result.experience[1].location, "Brisbane");
+    assert.equal(result.experience[1].place.countryCode, "AU");
+    assert.equal(result.education[0].place, null);
+  });
+});
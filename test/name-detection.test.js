@@ -0,0 +1,87 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { detectName, isLabelLine } = require("../parsers/name-detection");
+const { parseResume, listParsers } = require("../parsers");
+
+// A resume opening with a label rather than the name
+const LABEL_FIRST = `Curriculum Vitae
+Jane Doe
+jane.doe@example.com
+
+EXPERIENCE
+Software Engineer | Acme Corp | Jan 2020 - Present
+• Built APIs`;
+
+describe("isLabelLine", () => {
+  test("recognizes resume labels, page labels and section headings", () => {
+    assert.equal(isLabelLine("Curriculum Vitae"), true);
+    assert.equal(isLabelLine("Page 2 of 3"), true);
+    assert.equal(isLabelLine("Work Experience:"), true);
+  });
+
+  test("does not take a name for a label", () => {
+    assert.equal(isLabelLine("Jane Doe"), false);
+  });
+});
+
+describe("detectName", () => {
+  test("skips labels above the name", () => {
+    assert.deepEqual(
+      detectName([
+        "Page 1 of 2",
+        "Curriculum Vitae",
+        "Contact Details",
+        "Jane Doe",
+      ]),
+      { name: "Jane Doe", confidence: 0.76, index: 3 }
+    );
+  });
+
+  test("takes the name out of a header line with other parts", () => {
+    assert.equal(
+      detectName(["Jane Doe | Software Engineer | Sydney"]).name,
+      "Jane Doe"
+    );
+  });
+
+  test("accepts particles, hyphens and apostrophes", () => {
+    assert.equal(
+      detectName(["Ludwig van Beethoven"]).name,
+      "Ludwig van Beethoven"
+    );
+    assert.equal(detectName(["Jean-Luc O'Brien"]).name, "Jean-Luc O'Brien");
+  });
+
+  test("is more confident when the e-mail address matches", () => {
+    const withEmail = detectName(["Jane Doe"], {
+      email: "jane.doe@example.com",
+    });
+    const withoutEmail = detectName(["Jane Doe"], { email: "hr@example.com" });
+    assert.equal(withEmail.confidence, 1);
+    assert.ok(withoutEmail.confidence < withEmail.confidence);
+  });
+
+  test("prefers the name over a job title above it", () => {
+    assert.equal(detectName(["Software Engineer", "Jane Doe"]).index, 1);
+  });
+
+  test("finds no name in job titles, contact details or lower lines", () => {
+    const none = { name: "", confidence: 0, index: -1 };
+    assert.deepEqual(detectName(["Senior Software Engineer"]), none);
+    assert.deepEqual(detectName(["jane.doe@example.com | 555 0100"]), none);
+    assert.deepEqual(
+      detectName(["a", "b", "c", "d", "e", "f", "g", "h", "Jane Doe"]),
+      none
+    );
+  });
+});
+
+describe("names in every parser", () => {
+  test("skip a label on the first line", async () => {
+    for (const parser of listParsers()) {
+      const result = await parseResume(LABEL_FIRST, parser.name);
+      assert.equal(result.name, "Jane Doe", parser.name);
+      assert.ok(result.nameConfidence > 0.5, parser.name);
+    }
+  });
+});
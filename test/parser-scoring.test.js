@@ -0,0 +1,100 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  collectParserStats,
+  scoreParserStats,
+  scoreParsers,
+  determineBestParser,
+} = require("../parsers/parser-scoring");
+const { parseResume, listParsers } = require("../parsers");
+
+const SAMPLE = fs.readFileSync(
+  path.join(__dirname, "..", "sample-resume.txt"),
+  "utf8"
+);
+
+describe("collectParserStats", () => {
+  test("counts fields and entries", () => {
+    const stats = collectParserStats(
+      {
+        name: "Jane Doe",
+        email: "jane@example.com",
+        address: "Berlin",
+        experience: [{}, {}],
+        skills: ["Python"],
+      },
+      { coveragePercentage: 80, missingContent: ["Hobbies"] }
+    );
+    assert.equal(stats.name, true);
+    assert.equal(stats.phone, false);
+    assert.equal(stats.location, true);
+    assert.equal(stats.experienceCount, 2);
+    assert.equal(stats.skillsCount, 1);
+    assert.equal(stats.coveragePercentage, 80);
+    assert.equal(stats.missingContentCount, 1);
+  });
+
+  test("reports a missing result as an error", () => {
+    assert.deepEqual(collectParserStats(null), {
+      error: "No result available",
+    });
+  });
+});
+
+describe("scoreParserStats", () => {
+  test("weights coverage most and penalizes missing content", () => {
+    const stats = collectParserStats(
+      { name: "Jane Doe", experience: [{}, {}] },
+      { coveragePercentage: 50, missingContent: ["a", "b"] }
+    );
+    // 1 (name) + 2 * 0.5 (jobs) + 50 / 5 (coverage) - 2 * 0.5 (missing)
+    assert.equal(scoreParserStats(stats), 11);
+  });
+
+  test("scores errors as zero", () => {
+    assert.equal(scoreParserStats({ error: "Parser failed" }), 0);
+  });
+});
+
+describe("determineBestParser", () => {
+  test("picks the highest score and leaves out failed parsers", () => {
+    const stats = {
+      first: collectParserStats({ name: "A" }),
+      second: collectParserStats({ name: "A", email: "a@b.c" }),
+      third: { error: "Parser failed" },
+    };
+    assert.deepEqual(Object.keys(scoreParsers(stats)), ["first", "second"]);
+    assert.equal(determineBestParser(stats), "second");
+  });
+
+  test("gives ties to the first parser", () => {
+    const stats = {
+      first: collectParserStats({ name: "A" }),
+      second: collectParserStats({ name: "B" }),
+    };
+    assert.equal(determineBestParser(stats), "first");
+  });
+
+  test("reports when there is nothing to choose from", () => {
+    assert.equal(determineBestParser(null), "unknown");
+    assert.equal(determineBestParser({ first: { error: "x" } }), "none");
+  });
+});
+
+describe("parser selection in parseResume", () => {
+  test("returns the result of the best scoring parser", async () => {
+    const result = await parseResume(SAMPLE);
+    const { bestParser, scores } = result._parserSelection;
+    assert.equal(scores[bestParser], Math.max(...Object.values(scores)));
+  });
+
+  test("scores parser results in registry order", async () => {
+    const result = await parseResume(SAMPLE);
+    assert.deepEqual(
+      Object.keys(result._parserSelection.scores),
+      listParsers().map((parser) => parser.name)
+    );
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { extractPdfLayout } = require("../parsers/pdf-layout");
+const { extractText } = require("../parsers/text-extractor");
+const { parseResume } = require("../parsers");
+
+const RESUMES = path.join(__dirname, "..", "resumes");
+
+// A heading whose glyph damage can only be repaired from the rest of the text
+const DAMAGED_HEADING = `Jane Doe
+jane@example.com
+
+EXPERIENCE
+Engineer | Acme | Jan 2020 - Present
+• Led SelfKmanaged and crossKfunctional teams on userKfriendly tools
+
+ProblemKSolving
+Debugged production outages under pressure`;
+
+describe("extractPdfLayout", () => {
+  test("finds headings by font size and boldness", async () => {
+    const data = fs.readFileSync(
+      path.join(RESUMES, "Farah_Warnakulasuriya_SE_CV .pdf")
+    );
+    const { text, headings, lines } = await extractPdfLayout(data);
+
+    assert.ok(headings.includes("Professional Experience"));
+    assert.ok(headings.includes("Education"));
+    assert.ok(text.startsWith("Farah Warnakulasuriya"));
+    assert.equal(lines[0].page, 1);
+    assert.equal(lines[0].bold, true);
+  });
+
+  test("reads two-column pages one column at a time", async () => {
+    const data = fs.readFileSync(path.join(RESUMES, "Karan's Resume.pdf"));
+    const { headings, lines } = await extractPdfLayout(data);
+
+    assert.ok(headings.includes("WORK EXPERIENCE"));
+    assert.ok(lines.some((line) => line.column === 1));
+    const columns = lines.map((line) => line.column);
+    assert.deepEqual(columns, [...columns].sort());
+  });
+
+  test("puts the pdf.js font setting back", async () => {
+    const file = path.join(RESUMES, "Serter_I.pdf");
+    await extractText(file);
+    const before = global.PDFJS.disableFontFace;
+
+    await extractText(file, { layout: true });
+    assert.equal(global.PDFJS.disableFontFace, before);
+  });
+});
+
+describe("heading hints", () => {
+  test("match their line after text repair", async () => {
+    const result = await parseResume(DAMAGED_HEADING, "default", {
+      headings: ["EXPERIENCE", "ProblemKSolving"],
+    });
+    assert.deepEqual(
+      result.additionalSections.map((section) => section.heading),
+      ["Problem-Solving"]
+    );
+  });
+});
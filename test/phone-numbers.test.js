@@ -0,0 +1,109 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  parsePhoneNumber,
+  looksLikePhoneNumber,
+  findPhoneNumbers,
+  findPhoneNumber,
+} = require("../parsers/phone-numbers");
+const { parseResume, listParsers } = require("../parsers");
+
+// A header with digit runs but no phone number
+const NO_PHONE_NUMBER = `Jane Doe
+jane@example.com
+Author of ISBN 978-3-16-148410-0, maintainer of Python 3.10.12
+Lab server 192.168.100.200
+
+EXPERIENCE
+Software Engineer | Acme Corp | Jan 2020 - Present
+• Built APIs`;
+
+describe("parsePhoneNumber", () => {
+  test("normalizes international numbers to E.164", () => {
+    assert.deepEqual(parsePhoneNumber("+44 20 7946 0958"), {
+      raw: "+44 20 7946 0958",
+      e164: "+442079460958",
+      region: "GB",
+      extension: null,
+    });
+    assert.equal(parsePhoneNumber("+44 (0)20 7946 0958").e164, "+442079460958");
+    assert.equal(parsePhoneNumber("0044 20 7946 0958").e164, "+442079460958");
+  });
+
+  test("reads national numbers in the default region", () => {
+    assert.equal(parsePhoneNumber("(415) 555-0100").e164, "+14155550100");
+    const phone = parsePhoneNumber("0405 636 970", { defaultRegion: "AU" });
+    assert.equal(phone.e164, "+61405636970");
+    assert.equal(phone.region, "AU");
+  });
+
+  test("keeps numbers that fit no plan without an E.164 form", () => {
+    const phone = parsePhoneNumber("0405 636 970");
+    assert.equal(phone.e164, null);
+    assert.equal(phone.region, null);
+  });
+
+  test("splits off the extension", () => {
+    const phone = parsePhoneNumber("+1 415 555 0100 ext. 12");
+    assert.equal(phone.e164, "+14155550100");
+    assert.equal(phone.extension, "12");
+  });
+
+  test("rejects short digit runs and dates", () => {
+    assert.equal(parsePhoneNumber("12345"), null);
+    assert.equal(parsePhoneNumber("2019-2021"), null);
+    assert.equal(parsePhoneNumber(null), null);
+  });
+});
+
+describe("looksLikePhoneNumber", () => {
+  test("accepts digits grouped like a phone number", () => {
+    assert.equal(looksLikePhoneNumber(parsePhoneNumber("020 7946 0958")), true);
+  });
+
+  test("rejects ISBNs, IP addresses and plain digit runs", () => {
+    for (const raw of ["978-3-16-148410-0", "192.168.100.200", "1234567890"]) {
+      assert.equal(looksLikePhoneNumber(parsePhoneNumber(raw)), false, raw);
+    }
+  });
+});
+
+describe("findPhoneNumbers", () => {
+  test("lists the numbers in order", () => {
+    const phones = findPhoneNumbers(
+      "Tel +1 415 555 0100 or 020 7946 0958, since 2019 - 2021"
+    );
+    assert.deepEqual(
+      phones.map((phone) => phone.raw),
+      ["+1 415 555 0100", "020 7946 0958"]
+    );
+  });
+});
+
+describe("findPhoneNumber", () => {
+  test("prefers a number that fits a plan", () => {
+    const phone = findPhoneNumber(
+      ["Jane Doe", "020 7946 0958 | Mobile: 0412 345 678"],
+      { defaultRegion: "AU" }
+    );
+    assert.equal(phone.e164, "+61412345678");
+  });
+
+  test("falls back to a number grouped like a phone number", () => {
+    const phone = findPhoneNumber("ISBN 978-3-16-148410-0, call 020 7946 0958");
+    assert.equal(phone.raw, "020 7946 0958");
+  });
+
+  test("takes no ISBN, version or IP address for the phone", async () => {
+    assert.equal(
+      findPhoneNumber(
+        "ISBN 978-3-16-148410-0, Python 3.10.12, 192.168.100.200"
+      ),
+      null
+    );
+    for (const parser of listParsers()) {
+      const result = await parseResume(NO_PHONE_NUMBER, parser.name);
+      assert.equal(result.phone, "", parser.name);
+    }
+  });
+});
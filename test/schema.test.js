@@ -0,0 +1,139 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const {
+  resumeSchema,
+  VIOLATION_TYPES,
+  validateAndNormalize,
+  validateStrict,
+} = require("../parsers/schema");
+const { parseResume, listParsers } = require("../parsers");
+
+const SAMPLE = fs.readFileSync(
+  path.join(__dirname, "..", "sample-resume.txt"),
+  "utf8"
+);
+
+describe("validateAndNormalize", () => {
+  test("fills missing fields with empty values", () => {
+    const result = validateAndNormalize({ name: "Jane Doe", phone: null });
+    assert.equal(result.name, "Jane Doe");
+    assert.equal(result.email, "");
+    assert.equal(result.phone, "");
+    assert.deepEqual(result.experience, []);
+    assert.equal(result.place, null);
+  });
+
+  test("wraps single values and drops entries that are not objects", () => {
+    const result = validateAndNormalize({
+      skills: "Python",
+      experience: [
+        "Engineer at Acme",
+        { title: "Engineer", responsibilities: "Built APIs" },
+      ],
+    });
+    assert.deepEqual(result.skills, ["Python"]);
+    assert.equal(result.experience.length, 1);
+    assert.deepEqual(result.experience[0].responsibilities, ["Built APIs"]);
+  });
+
+  test("copies aliased experience fields", () => {
+    const [entry] = validateAndNormalize({
+      experience: [{ title: "Engineer", description: ["Built APIs"] }],
+    }).experience;
+    assert.equal(entry.position, "Engineer");
+    assert.deepEqual(entry.responsibilities, ["Built APIs"]);
+  });
+
+  test("drops unknown fields and keeps metadata", () => {
+    const result = validateAndNormalize({
+      hobbies: ["Sailing"],
+      _textRepair: { repairCount: 0 },
+    });
+    assert.equal("hobbies" in result, false);
+    assert.deepEqual(result._textRepair, { repairCount: 0 });
+  });
+});
+
+describe("validateStrict", () => {
+  test("accepts a normalized result", () => {
+    assert.deepEqual(validateStrict(validateAndNormalize({})), []);
+  });
+
+  test("reports missing, mistyped and unknown fields with their path", () => {
+    const violations = validateStrict({
+      name: "Jane Doe",
+      email: 42,
+      experience: [{ title: "Engineer" }, "Intern"],
+      education: [],
+      skills: ["Python", 3],
+      hobbies: [],
+      _textRepair: {},
+    });
+    assert.deepEqual(violations, [
+      {
+        type: VIOLATION_TYPES.WRONG_TYPE,
+        path: "email",
+        expected: "string",
+        actual: "number",
+      },
+      {
+        type: VIOLATION_TYPES.MISSING_REQUIRED,
+        path: "phone",
+        expected: "string",
+      },
+      {
+        type: VIOLATION_TYPES.MISSING_REQUIRED,
+        path: "experience[0].responsibilities",
+        expected: "array",
+      },
+      {
+        type: VIOLATION_TYPES.WRONG_TYPE,
+        path: "experience[1]",
+        expected: "object",
+        actual: "string",
+      },
+      {
+        type: VIOLATION_TYPES.WRONG_TYPE,
+        path: "skills[1]",
+        expected: "string",
+        actual: "number",
+      },
+      { type: VIOLATION_TYPES.UNKNOWN_FIELD, path: "hobbies" },
+    ]);
+  });
+
+  test("rejects data that is not an object", () => {
+    assert.deepEqual(validateStrict(null), [
+      {
+        type: VIOLATION_TYPES.WRONG_TYPE,
+        path: "",
+        expected: "object",
+        actual: "null",
+      },
+    ]);
+  });
+});
+
+describe("schema in parseResume", () => {
+  test("every parser returns exactly the schema fields", async () => {
+    for (const parser of listParsers()) {
+      const result = await parseResume(SAMPLE, parser.name);
+      const fields = Object.keys(result).filter(
+        (field) => !field.startsWith("_")
+      );
+      assert.deepEqual(
+        fields.sort(),
+        Object.keys(resumeSchema).sort(),
+        parser.name
+      );
+      assert.deepEqual(validateStrict(result), [], parser.name);
+    }
+  });
+
+  test("strict mode lists violations instead of normalizing", async () => {
+    const result = await parseResume(SAMPLE, "default", { strict: true });
+    assert.ok(Array.isArray(result._schemaViolations));
+  });
+});
@@ -0,0 +1,142 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  scoreHeading,
+  segmentSections,
+} = require("../parsers/section-segmenter");
+const { parseResume, listParsers } = require("../parsers");
+
+// Employers and schools written in capitals, as many templates do
+const ALL_CAPS_ENTRIES = `Jane Doe
+jane@example.com
+
+SUMMARY
+Backend engineer with eight years of experience.
+
+EXPERIENCE
+ACME CORPORATION
+Senior Engineer | Jan 2020 - Present
+• Built the billing platform
+GLOBEX INDUSTRIES
+Engineer | Mar 2016 - Dec 2019
+• Maintained the payments service
+
+EDUCATION
+STATE UNIVERSITY
+BSc Computer Science | 2012 - 2016`;
+
+// A technical skills block whose sub-lines are named like sections
+const SKILLS_WITH_LANGUAGES = `Jane Doe
+jane@example.com
+
+EXPERIENCE
+Software Engineer | Acme Corp | Jan 2020 - Present
+• Built APIs
+
+TECHNICAL SKILLS
+Languages: Python, Java, Go
+Frameworks: React, Django
+Databases: PostgreSQL, MongoDB
+
+EDUCATION
+BSc Computer Science, State University, 2019`;
+
+describe("scoreHeading", () => {
+  test("scores capitals, a colon and short lines", () => {
+    assert.ok(scoreHeading("SIDE PROJECTS:") >= 0.7);
+    assert.ok(scoreHeading("Side Projects") < scoreHeading("SIDE PROJECTS"));
+  });
+
+  test("rules out lines with digits and repeated lines", () => {
+    assert.equal(scoreHeading("Tel: 555 0100"), 0);
+    assert.ok(scoreHeading("Accomplishments:", true) < 0.5);
+  });
+});
+
+describe("segmentSections", () => {
+  test("splits lines at known headers", () => {
+    const { sections } = segmentSections([
+      "Jane Doe",
+      "Work Experience",
+      "Engineer at Acme",
+      "Skills: Python, Go",
+      "EDUCATION",
+      "State University",
+    ]);
+    assert.deepEqual(sections.experience, ["Engineer at Acme"]);
+    assert.deepEqual(sections.skills, ["Python, Go"]);
+    assert.deepEqual(sections.education, ["State University"]);
+  });
+
+  test("keeps unknown headings that end in a colon", () => {
+    const { additionalSections } = segmentSections([
+      "SKILLS",
+      "Python",
+      "SIDE HUSTLES:",
+      "Weekend bakery",
+    ]);
+    assert.deepEqual(additionalSections, [
+      { heading: "SIDE HUSTLES", lines: ["Weekend bakery"] },
+    ]);
+  });
+
+  test("keeps unknown headings marked by the source document", () => {
+    const { additionalSections } = segmentSections(
+      ["EDUCATION", "State University", "Problem Solving", "Puzzles"],
+      { headings: ["Problem Solving"] }
+    );
+    assert.deepEqual(additionalSections, [
+      { heading: "Problem Solving", lines: ["Puzzles"] },
+    ]);
+  });
+
+  test("does not open a section for an all-caps line without a colon", () => {
+    const { sections, additionalSections } = segmentSections([
+      "SKILLS",
+      "Python",
+      "MACHINE LEARNING",
+      "PyTorch",
+    ]);
+    assert.deepEqual(sections.skills, [
+      "Python",
+      "MACHINE LEARNING",
+      "PyTorch",
+    ]);
+    assert.deepEqual(additionalSections, []);
+  });
+
+  test("never opens an unknown section inside experience", () => {
+    const { sections, additionalSections } = segmentSections([
+      "EXPERIENCE",
+      "ACME CORPORATION",
+      "SELECTED CLIENTS:",
+      "Globex",
+    ]);
+    assert.deepEqual(sections.experience, [
+      "ACME CORPORATION",
+      "SELECTED CLIENTS:",
+      "Globex",
+    ]);
+    assert.deepEqual(additionalSections, []);
+  });
+});
+
+describe("sections in every parser", () => {
+  test("all-caps employers and schools stay in their entries", async () => {
+    for (const parser of listParsers()) {
+      const result = await parseResume(ALL_CAPS_ENTRIES, parser.name);
+      assert.ok(result.experience.length > 0, parser.name);
+      assert.ok(result.education.length > 0, parser.name);
+      assert.deepEqual(result.additionalSections, [], parser.name);
+    }
+  });
+
+  test("a Languages line in a skills block stays a skill category", async () => {
+    for (const parser of listParsers()) {
+      const result = await parseResume(SKILLS_WITH_LANGUAGES, parser.name);
+      for (const skill of ["Python", "React", "PostgreSQL"]) {
+        assert.ok(result.skills.includes(skill), `${parser.name}: ${skill}`);
+      }
+    }
+  });
+});
@@ -0,0 +1,119 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const path = require("path");
+const { groupSkills, removeSkillCategory } = require("../parsers/skills");
+const { parseResume, listParsers } = require("../parsers");
+
+const SAMPLE = fs.readFileSync(
+  path.join(__dirname, "..", "sample-resume.txt"),
+  "utf8"
+);
+
+describe("groupSkills", () => {
+  test("groups skills under colon-prefixed categories", () => {
+    assert.deepEqual(
+      groupSkills([
+        "• Frontend: React, Angular, Vue.js",
+        "• Backend: Node.js, Express",
+      ]),
+      [
+        { category: "Frontend", skills: ["React", "Angular", "Vue.js"] },
+        { category: "Backend", skills: ["Node.js", "Express"] },
+      ]
+    );
+  });
+
+  test("reads tab-separated and table layouts", () => {
+    const expected = [
+      { category: "Languages", skills: ["Python", "Go"] },
+      { category: "Databases", skills: ["PostgreSQL"] },
+    ];
+    assert.deepEqual(
+      groupSkills(["Languages\tPython, Go", "Databases\tPostgreSQL"]),
+      expected
+    );
+    assert.deepEqual(
+      groupSkills(["| Languages | Python, Go |", "| Databases | PostgreSQL |"]),
+      expected
+    );
+  });
+
+  test("continues a group on lines without a label", () => {
+    assert.deepEqual(
+      groupSkills(["Cloud: AWS (EC2,", "S3, RDS), GCP", "Docker, Kubernetes"]),
+      [
+        {
+          category: "Cloud",
+          skills: ["AWS (EC2, S3, RDS)", "GCP", "Docker", "Kubernetes"],
+        },
+      ]
+    );
+  });
+
+  test("splits runs of known skills written without commas", () => {
+    assert.deepEqual(groupSkills(["ReactJS Angular React Native"]), [
+      { category: null, skills: ["ReactJS", "Angular", "React Native"] },
+    ]);
+  });
+
+  test("leaves lines before the first label without a category", () => {
+    assert.deepEqual(groupSkills(["Python, Go", "Cloud: AWS"]), [
+      { category: null, skills: ["Python", "Go"] },
+      { category: "Cloud", skills: ["AWS"] },
+    ]);
+  });
+
+  test("does not take a sentence before a colon for a category", () => {
+    assert.deepEqual(
+      groupSkills(["Experienced with cloud platforms including AWS: Lambda"]),
+      [
+        {
+          category: null,
+          skills: ["Experienced with cloud platforms including AWS: Lambda"],
+        },
+      ]
+    );
+    assert.deepEqual(groupSkills([]), []);
+  });
+});
+
+describe("removeSkillCategory", () => {
+  test("drops the category label of a line", () => {
+    assert.equal(
+      removeSkillCategory("• Frontend: React, Angular"),
+      "React, Angular"
+    );
+    assert.equal(removeSkillCategory("Frontend\tReact"), "React");
+    assert.equal(removeSkillCategory("Python, Go"), "Python, Go");
+  });
+});
+
+describe("skill groups in every parser", () => {
+  test("keep the categories of the sample resume off the flat skills", async () => {
+    for (const parser of listParsers()) {
+      const result = await parseResume(SAMPLE, parser.name);
+      assert.deepEqual(
+        result.skillGroups.map((group) => group.category),
+        [
+          "Programming Languages",
+          "Frontend",
+          "Backend",
+          "Databases",
+          "Tools",
+          "Other",
+        ],
+        parser.name
+      );
+      assert.deepEqual(
+        result.skillGroups[1].skills,
+        ["React", "Angular", "Vue.js"],
+        parser.name
+      );
+      assert.ok(
+        result.skills.every((skill) => !skill.includes(":")),
+        parser.name
+      );
+    }
+  });
+});
@@ -0,0 +1,110 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const { SKILL_TAXONOMY } = require("../parsers/skill-taxonomy");
+const { normalizeSkills, addNormalizedSkills } = require("../parsers/skills");
+
+function names(skills, options) {
+  return normalizeSkills(skills, options).map((skill) => [
+    skill.name,
+    skill.category,
+  ]);
+}
+
+describe("SKILL_TAXONOMY", () => {
+  test("gives every alias to one skill only", () => {
+    const key = (text) => text.toLowerCase().replace(/[\s._-]/g, "");
+    const owners = new Map();
+    for (const entry of SKILL_TAXONOMY) {
+      for (const alias of [entry.name, ...entry.aliases]) {
+        const owner = owners.get(key(alias));
+        assert.ok(!owner || owner === entry.name, `${alias}: ${owner}`);
+        owners.set(key(alias), entry.name);
+      }
+    }
+  });
+});
+
+describe("normalizeSkills", () => {
+  test("maps aliases to canonical names with their category", () => {
+    assert.deepEqual(names(["JS", "ReactJS", "Node", "Postgres", "k8s"]), [
+      ["JavaScript", "language"],
+      ["React", "framework"],
+      ["Node.js", "framework"],
+      ["PostgreSQL", "database"],
+      ["Kubernetes", "tool"],
+    ]);
+  });
+
+  test("keeps the raw text and lists each skill once", () => {
+    assert.deepEqual(normalizeSkills(["React.js", "ReactJS", "Python 3"]), [
+      { name: "React", category: "framework", raw: "React.js" },
+      { name: "Python", category: "language", raw: "Python 3" },
+    ]);
+  });
+
+  test("splits lists in parentheses and skills joined by a slash or and", () => {
+    assert.deepEqual(
+      names(["AWS (Lambda, S3)", "GCP/BigQuery", "Python and SQL"]).map(
+        ([name]) => name
+      ),
+      [
+        "AWS",
+        "AWS Lambda",
+        "AWS S3",
+        "Google Cloud",
+        "BigQuery",
+        "Python",
+        "SQL",
+      ]
+    );
+  });
+
+  test("keeps phrases whole unless every part is a skill", () => {
+    assert.deepEqual(names(["A/B testing", "Research and Development"]), [
+      ["A/B testing", null],
+      ["Research and Development", null],
+    ]);
+  });
+
+  test("keeps a parenthesis that explains one skill", () => {
+    assert.deepEqual(names(["DMBOK (data management body of knowledge)"]), [
+      ["DMBOK", "methodology"],
+    ]);
+  });
+
+  test("drops sentences and items without letters", () => {
+    assert.deepEqual(
+      names([
+        "Worked closely with many cross functional stakeholders daily",
+        "2019",
+      ]),
+      []
+    );
+    assert.deepEqual(normalizeSkills("Python"), []);
+  });
+
+  test("prefers entries of a custom taxonomy", () => {
+    assert.deepEqual(
+      names(["Acme DSL", "Python"], {
+        skillTaxonomy: [
+          { name: "AcmeScript", category: "language", aliases: ["Acme DSL"] },
+          { name: "CPython", category: "language", aliases: ["Python"] },
+        ],
+      }),
+      [
+        ["AcmeScript", "language"],
+        ["CPython", "language"],
+      ]
+    );
+  });
+});
+
+describe("addNormalizedSkills", () => {
+  test("sets normalizedSkills from the skills of a result", () => {
+    const result = addNormalizedSkills({ skills: ["JS", "Docker"] });
+    assert.deepEqual(result.normalizedSkills, [
+      { name: "JavaScript", category: "language", raw: "JS" },
+      { name: "Docker", category: "tool", raw: "Docker" },
+    ]);
+  });
+});
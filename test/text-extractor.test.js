@@ -0,0 +1,84 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { detectFileType, extractText } = require("../parsers/text-extractor");
+const { parseFile } = require("../parsers");
+
+const ROOT = path.join(__dirname, "..");
+const SAMPLE_TEXT = path.join(ROOT, "sample-resume.txt");
+const SAMPLE_PDF = path.join(ROOT, "resumes", "Karan's Resume.pdf");
+
+/**
+ * Write a file to a fresh temporary directory
+ * @param {string} name - File name
+ * @param {string|Buffer} contents - File contents
+ * @returns {string} - Path to the file
+ */
+function writeTempFile(name, contents) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "resume-parser-"));
+  const filePath = path.join(dir, name);
+  fs.writeFileSync(filePath, contents);
+  return filePath;
+}
+
+describe("detectFileType", () => {
+  test("reads PDFs from their signature, whatever their extension", () => {
+    assert.equal(detectFileType("resume.txt", Buffer.from("%PDF-1.4\n")), "pdf");
+  });
+
+  test("rejects a .pdf file without the PDF signature", () => {
+    assert.equal(detectFileType("resume.pdf", Buffer.from("John Doe")), null);
+  });
+
+  test("treats text files and extensionless text as text", () => {
+    assert.equal(detectFileType("resume.md", Buffer.from("# John")), "txt");
+    assert.equal(detectFileType("resume", Buffer.from("John Doe")), "txt");
+  });
+
+  test("rejects binary content", () => {
+    assert.equal(detectFileType("resume", Buffer.from([1, 0, 2])), null);
+  });
+});
+
+describe("extractText", () => {
+  test("reads plain text with normalized line endings", async () => {
+    const filePath = writeTempFile("resume.txt", "\uFEFFJohn Doe\r\nEngineer\r");
+    const { text, fileType, headings } = await extractText(filePath);
+    assert.equal(text, "John Doe\nEngineer\n");
+    assert.equal(fileType, "txt");
+    assert.deepEqual(headings, []);
+  });
+
+  test("reads the text of a PDF", async () => {
+    const { text, fileType } = await extractText(SAMPLE_PDF);
+    assert.equal(fileType, "pdf");
+    assert.match(text, /Karan/);
+  });
+
+  test("throws for missing and unsupported files", async () => {
+    await assert.rejects(extractText(), /path is required/);
+    await assert.rejects(extractText("missing.pdf"), /not found/);
+    const binary = writeTempFile("resume.bin", Buffer.from([1, 0, 2]));
+    await assert.rejects(extractText(binary), /Unsupported resume file type/);
+  });
+});
+
+describe("parseFile", () => {
+  test("parses a text file", async () => {
+    const result = await parseFile(SAMPLE_TEXT, "default");
+    assert.equal(result.name, "John Doe");
+    assert.equal(result.email, "john.doe@email.com");
+  });
+
+  test("parses a PDF file path directly", async () => {
+    const result = await parseFile(SAMPLE_PDF, "default");
+    assert.equal(result.name, "Karan Sandhu");
+  });
+
+  test("throws for a file without text", async () => {
+    const empty = writeTempFile("empty.txt", "  \n");
+    await assert.rejects(parseFile(empty), /No text could be extracted/);
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { repairText } = require("../parsers/text-repair");
+const { parseResume, parseFile } = require("../parsers");
+
+// Clean text full of CamelCase names that are not glyph damage
+const CLEAN_RESUME = `Jane Doe
+jane@example.com
+
+EXPERIENCE
+Analyst | BlackRock | Jan 2020 - Present
+• Built reports in PowerPoint and SharePoint for McKinsey partners
+• Maintained the WordPress site and JavaScript tooling
+• Worked with DeepMind researchers on GitHub projects`;
+
+describe("repairText", () => {
+  test("leaves clean text unchanged", () => {
+    const result = repairText(CLEAN_RESUME);
+    assert.equal(result.text, CLEAN_RESUME);
+    assert.equal(result.repairCount, 0);
+  });
+
+  test("does not repair a single unknown word", () => {
+    const text = "Worked at Zyxcorp on the billing team";
+    assert.equal(repairText(text).text, text);
+  });
+
+  test("replaces glyphs that stand in for letters", () => {
+    const result = repairText("Pro!cient in of!ce tools");
+    assert.equal(result.text, "Proficient in office tools");
+    assert.equal(result.repairCount, 2);
+  });
+
+  test("restores hyphens replaced by a letter in three different words", () => {
+    const result = repairText(
+      "Led SelfKmanaged and crossKfunctional teams on userKfriendly tools"
+    );
+    assert.equal(
+      result.text,
+      "Led Self-managed and cross-functional teams on user-friendly tools"
+    );
+    assert.equal(result.repairs.hyphen, 3);
+  });
+
+  test("does not learn a hyphen glyph from two words", () => {
+    const text = "Led SelfKmanaged and crossKfunctional teams";
+    assert.equal(repairText(text).text, text);
+  });
+
+  test("keeps CamelCase words in damaged text", () => {
+    const result = repairText(
+      "Pro!cient in of!ce tools\nBuilt PowerPoint and SharePoint decks for BlackRock"
+    );
+    assert.equal(
+      result.text,
+      "Proficient in office tools\nBuilt PowerPoint and SharePoint decks for BlackRock"
+    );
+  });
+
+  test("turns private use bullets into bullets", () => {
+    const result = repairText(" Built the API\n Led the team");
+    assert.equal(result.text, "• Built the API\n• Led the team");
+    assert.equal(result.repairs.bullet, 2);
+  });
+
+  test("expands Unicode ligatures in any text", () => {
+    const result = repairText("Eﬃcient ﬁnance work");
+    assert.equal(result.text, "Efficient finance work");
+    assert.equal(result.repairs.ligature, 2);
+  });
+});
+
+describe("repair in parseResume", () => {
+  test("keeps CamelCase employer and tool names", async () => {
+    const result = await parseResume(CLEAN_RESUME, "default");
+    const text = JSON.stringify(result.experience);
+    for (const word of ["BlackRock", "PowerPoint", "SharePoint", "WordPress"]) {
+      assert.ok(text.includes(word), `${word} is missing`);
+    }
+    assert.equal(result._textRepair.repairCount, 0);
+  });
+
+  test("parseFile does not repair text files", async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), "text-repair-"));
+    const filePath = path.join(directory, "resume.txt");
+    fs.writeFileSync(filePath, "Jane Doe\nPro!cient in of!ce tools\n");
+
+    const result = await parseFile(filePath, "default");
+    assert.equal(result._textRepair, undefined);
+  });
+});
@@ -7,7 +7,7 @@
 
 const fs = require("fs");
 const path = require("path");
-const { parseResume, listParsers } = require("./parsers");
+const { parseFile, listParsers } = require("./parsers");
 
 // Resume to test with
 const RESUME_FILE = "resumes/Serter_I.pdf";
@@ -60,7 +60,7 @@ async function runTest() {
 
     try {
       // Parse the resume with this parser
-      const parsedData = await parseResume(RESUME_FILE, parser.name);
+      const parsedData = await parseFile(RESUME_FILE, parser.name);
 
       // Save the full parsed data to a file
       const outputFile = path.join(